@@ -0,0 +1,111 @@
+// Helpers for animated image conversions (GIF, WebP and AVIF sequences) that go through FFmpeg: frame
+// timing for frames piped in from sharp, the filter graph capping the frame rate and keeping transparency,
+// the encoder options mapped from the image options of a run (see IMAGE_OPTIONS) and the filters of the
+// palette GIF encoder for videos.
+
+// Image options FFmpeg can honour for an animation, e.g. not targetSize, which needs sharp's quality search
+const FFMPEG_IMAGE_OPTIONS = ['quality', 'effort', 'lossless', 'chroma'];
+
+// GIF delays are in hundredths of a second and browsers show frames shorter than 20 ms at 100 ms
+const MIN_DELAY_MS = 20;
+const DEFAULT_DELAY_MS = 100;
+
+// How far a GIF size budget may lower the frame rate and then the width
+const MIN_GIF_FPS = 5;
+const MIN_GIF_WIDTH = 120;
+
+function frameDelay(delay) {
+  return delay >= MIN_DELAY_MS ? Math.round(delay / 10) * 10 : DEFAULT_DELAY_MS;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Raw frames are piped to FFmpeg at a constant rate, so a frame shown for several ticks is repeated.
+// Returns the tick (ms) and how often each frame is repeated.
+function frameTicks(delays, frames) {
+  const durations = Array.from({ length: frames }, (_, index) => frameDelay(delays[index] !== undefined ? delays[index] : delays[delays.length - 1]));
+  const tick = durations.reduce(gcd);
+  return { tick, repeats: durations.map(duration => duration / tick) };
+}
+
+// Yield each frame of a raw buffer of stacked frames as often as frameTicks says
+function* rawFrames(data, frameSize, repeats) {
+  for (let index = 0; index < repeats.length; index++) {
+    const frame = data.subarray(index * frameSize, (index + 1) * frameSize);
+    for (let repeat = 0; repeat < repeats[index]; repeat++) yield frame;
+  }
+}
+
+// Keep only frames at least 1/fps apart. Unlike the fps filter this never adds frames, and the frames
+// kept are shown until the next one, so the timing of the animation is unchanged.
+function capFilter(fps) {
+  return `select=isnan(prev_selected_t)+gte(t-prev_selected_t\\,${1 / fps})`;
+}
+
+// Filter graph from input 0 to the labelled outputs. A separate alpha stream (AVIF sequences) is merged
+// back into the frames. AVIF output carries transparency as a second, greyscale stream.
+function animationFilterGraph(format, { fps, alphaStream, chroma }) {
+  const filters = [alphaStream ? '[0:v:0][0:v:1]alphamerge' : '[0:v]null'];
+  if (fps) filters.push(capFilter(fps));
+  if (format === 'gif') {
+    return { graph: `${filters.join(',')},split[frames][source];[source]palettegen=reserve_transparent=1[palette];[frames][palette]paletteuse=alpha_threshold=128[out]`, outputs: ['out'] };
+  }
+  if (format === 'avif') {
+    return { graph: `${filters.join(',')},format=yuva444p,split[frames][source];[frames]format=${chroma === '4:4:4' ? 'yuv444p' : 'yuv420p'}[color];[source]alphaextract[alpha]`, outputs: ['color', 'alpha'] };
+  }
+  return { graph: `${filters.join(',')},format=yuva420p[out]`, outputs: ['out'] };
+}
+
+// Loop counts as libvips reports them are the number of times the animation plays, 0 for forever. The
+// GIF muxer counts repeats instead, with -1 for playing once.
+function loopOption(format, loop) {
+  if (format !== 'gif' || !loop) return `-loop ${loop || 0}`;
+  return `-loop ${loop === 1 ? -1 : loop - 1}`;
+}
+
+// Output options for an animation written by FFmpeg. quality and effort follow the sharp scales: WebP
+// defaults to quality 90 and effort 6, AVIF to quality 50 and effort 4, mapped onto libaom's crf and cpu-used.
+function animationOutputOptions(format, image = {}, loop = 0) {
+  const options = [loopOption(format, loop)];
+  if (format === 'webp') {
+    options.push(`-quality ${image.quality || 90}`, `-compression_level ${image.effort !== undefined ? image.effort : 6}`);
+    if (image.lossless) options.push('-lossless 1');
+  } else if (format === 'avif') {
+    const quality = image.quality || 50;
+    const effort = image.effort !== undefined ? image.effort : 4;
+    options.push(image.lossless ? '-aom-params lossless=1' : `-crf ${Math.round(((100 - quality) * 63) / 100)}`, '-b:v 0', `-cpu-used ${Math.round(((9 - effort) * 8) / 9)}`);
+  }
+  return options;
+}
+
+// Scale to at most `width` and make the palette from the frames themselves: palettegen collects the colors
+// (of the whole clip, or of each frame with paletteMode 'frame') and paletteuse maps the frames onto them.
+// The 'diff' statistics favour the moving parts of the picture, where banding shows most.
+function gifFilters({ fps, width, colors, dither, paletteMode }) {
+  const perFrame = paletteMode === 'frame';
+  const palettegen = `palettegen=max_colors=${colors}:stats_mode=${perFrame ? 'single' : 'diff'}`;
+  const paletteuse = `paletteuse=dither=${dither}${perFrame ? ':new=1' : ''}${dither === 'bayer' ? ':bayer_scale=3' : ''}`;
+  return `fps=${fps},scale='min(${width},iw)':-1:flags=lanczos,split[frames][source];[source]${palettegen}[palette];[frames][palette]${paletteuse}`;
+}
+
+// The next, smaller settings to try for a GIF over its size budget: lower the frame rate by a quarter down
+// to MIN_GIF_FPS, then the width by a fifth down to MIN_GIF_WIDTH. Returns null when neither can go lower.
+function shrinkGif({ fps, width }) {
+  if (fps > MIN_GIF_FPS) return { fps: Math.max(MIN_GIF_FPS, Math.floor(fps * 0.75)), width };
+  if (width > MIN_GIF_WIDTH) return { fps, width: Math.max(MIN_GIF_WIDTH, Math.floor(width * 0.8)) };
+  return null;
+}
+
+// Whether an AVIF file is an image sequence, from the brands of its ftyp box
+function isAvifSequence(head) {
+  if (head.length < 16 || head.toString('ascii', 4, 8) !== 'ftyp') return false;
+  const size = Math.min(head.readUInt32BE(0), head.length);
+  for (let offset = 8; offset + 4 <= size; offset += 4) {
+    if (offset !== 12 && head.toString('ascii', offset, offset + 4) === 'avis') return true;
+  }
+  return false;
+}
+
+module.exports = { FFMPEG_IMAGE_OPTIONS, frameTicks, rawFrames, animationFilterGraph, loopOption, animationOutputOptions, gifFilters, shrinkGif, isAvifSequence };
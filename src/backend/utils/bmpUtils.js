@@ -0,0 +1,164 @@
+// BMP reading and writing for the image conversions. libvips has no BMP loader or saver, so BMP pixels are
+// decoded here and handed to sharp as raw data, and sharp's raw output is written back as a BMP. Reads
+// uncompressed and bitfield BMPs at 1, 4, 8, 16, 24 and 32 bits per pixel (RLE compression is not
+// supported); writes 24-bit BMPs, or 32-bit ones with an alpha mask when the image has alpha.
+
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+// Parse the file and info headers. Throws when the buffer is not a BMP this module can read.
+function readBmpHeader(buffer) {
+  if (buffer.length < 26 || buffer.toString('ascii', 0, 2) !== 'BM') {
+    throw new Error('Not a BMP file');
+  }
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  const header = { dataOffset, headerSize, compression: BI_RGB, masks: null, paletteSize: 0 };
+  if (headerSize === 12) {
+    // OS/2 BITMAPCOREHEADER
+    header.width = buffer.readUInt16LE(18);
+    header.height = buffer.readInt16LE(20);
+    header.bitsPerPixel = buffer.readUInt16LE(24);
+  } else if (headerSize >= 40 && buffer.length >= 14 + headerSize) {
+    header.width = buffer.readInt32LE(18);
+    header.height = buffer.readInt32LE(22);
+    header.bitsPerPixel = buffer.readUInt16LE(28);
+    header.compression = buffer.readUInt32LE(30);
+    header.paletteSize = buffer.readUInt32LE(46);
+    if (header.compression === BI_BITFIELDS || header.compression === BI_ALPHABITFIELDS) {
+      // Masks follow a 40-byte header, or are part of a V4/V5 header
+      const hasAlphaMask = header.compression === BI_ALPHABITFIELDS || headerSize >= 56;
+      header.masks = [0, 1, 2, 3].map(index => (index < 3 || hasAlphaMask ? buffer.readUInt32LE(54 + index * 4) : 0));
+    }
+  } else {
+    throw new Error(`Unsupported BMP header size: ${headerSize}`);
+  }
+  if (![BI_RGB, BI_BITFIELDS, BI_ALPHABITFIELDS].includes(header.compression)) {
+    throw new Error(`Unsupported BMP compression: ${header.compression}`);
+  }
+  if (![1, 4, 8, 16, 24, 32].includes(header.bitsPerPixel)) {
+    throw new Error(`Unsupported BMP bit depth: ${header.bitsPerPixel}`);
+  }
+  if (header.width <= 0 || header.height === 0) {
+    throw new Error(`Invalid BMP size: ${header.width}x${header.height}`);
+  }
+  header.topDown = header.height < 0;
+  header.height = Math.abs(header.height);
+  return header;
+}
+
+// Extract a channel with a bitfield mask and scale it to 0-255
+function maskedChannel(value, mask) {
+  if (!mask) return 255;
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  const max = mask >>> shift;
+  return Math.round((((value & mask) >>> shift) * 255) / max);
+}
+
+// Decode a BMP buffer to raw pixels: { data, width, height, channels }, with 4 channels when the image
+// has an alpha channel in use and 3 otherwise
+function decodeBmp(buffer) {
+  const header = readBmpHeader(buffer);
+  const { width, height, bitsPerPixel } = header;
+  const rowSize = Math.ceil((width * bitsPerPixel) / 32) * 4;
+  if (header.dataOffset + rowSize * height > buffer.length) {
+    throw new Error('BMP pixel data is truncated');
+  }
+
+  let palette = null;
+  if (bitsPerPixel <= 8) {
+    const entrySize = header.headerSize === 12 ? 3 : 4;
+    const count = header.paletteSize || 2 ** bitsPerPixel;
+    const start = 14 + header.headerSize;
+    palette = [];
+    for (let index = 0; index < count; index++) {
+      const offset = start + index * entrySize;
+      palette.push([buffer[offset + 2], buffer[offset + 1], buffer[offset]]);
+    }
+  }
+  let masks = header.masks;
+  if (!masks && bitsPerPixel === 16) masks = [0x7c00, 0x03e0, 0x001f, 0];
+  if (!masks && bitsPerPixel === 32) masks = [0x00ff0000, 0x0000ff00, 0x000000ff, 0];
+
+  const data = Buffer.alloc(width * height * 4);
+  let hasAlpha = false;
+  for (let y = 0; y < height; y++) {
+    const row = header.dataOffset + (header.topDown ? y : height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let pixel;
+      if (palette) {
+        const bit = x * bitsPerPixel;
+        const index = (buffer[row + (bit >> 3)] >> (8 - bitsPerPixel - (bit & 7))) & ((1 << bitsPerPixel) - 1);
+        pixel = [...(palette[index] || [0, 0, 0]), 255];
+      } else if (bitsPerPixel === 24) {
+        const offset = row + x * 3;
+        pixel = [buffer[offset + 2], buffer[offset + 1], buffer[offset], 255];
+      } else {
+        const value = bitsPerPixel === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4);
+        pixel = masks.map(mask => maskedChannel(value, mask));
+        if (masks[3]) hasAlpha = true;
+      }
+      data[out] = pixel[0];
+      data[out + 1] = pixel[1];
+      data[out + 2] = pixel[2];
+      data[out + 3] = pixel[3];
+    }
+  }
+  if (hasAlpha) return { data, width, height, channels: 4 };
+  const rgb = Buffer.alloc(width * height * 3);
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    rgb[j] = data[i];
+    rgb[j + 1] = data[i + 1];
+    rgb[j + 2] = data[i + 2];
+  }
+  return { data: rgb, width, height, channels: 3 };
+}
+
+// Encode raw RGB (3 channels) or RGBA (4 channels) pixels as a bottom-up BMP
+function encodeBmp(data, width, height, channels) {
+  if (channels !== 3 && channels !== 4) {
+    throw new Error(`BMP output needs 3 or 4 channels, not ${channels}`);
+  }
+  const alpha = channels === 4;
+  const headerSize = alpha ? 108 : 40; // BITMAPV4HEADER carries the alpha mask
+  const bitsPerPixel = alpha ? 32 : 24;
+  const rowSize = Math.ceil((width * bitsPerPixel) / 32) * 4;
+  const dataOffset = 14 + headerSize;
+  const buffer = Buffer.alloc(dataOffset + rowSize * height);
+  buffer.write('BM', 0, 'ascii');
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(dataOffset, 10);
+  buffer.writeUInt32LE(headerSize, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(height, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(bitsPerPixel, 28);
+  buffer.writeUInt32LE(alpha ? BI_BITFIELDS : BI_RGB, 30);
+  buffer.writeUInt32LE(rowSize * height, 34);
+  buffer.writeInt32LE(2835, 38); // 72 DPI
+  buffer.writeInt32LE(2835, 42);
+  if (alpha) {
+    buffer.writeUInt32LE(0x00ff0000, 54);
+    buffer.writeUInt32LE(0x0000ff00, 58);
+    buffer.writeUInt32LE(0x000000ff, 62);
+    buffer.writeUInt32LE(0xff000000, 66);
+    buffer.write('BGRs', 70, 'ascii'); // LCS_sRGB, stored little-endian
+  }
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * channels;
+      const target = row + x * (bitsPerPixel / 8);
+      buffer[target] = data[source + 2];
+      buffer[target + 1] = data[source + 1];
+      buffer[target + 2] = data[source];
+      if (alpha) buffer[target + 3] = data[source + 3];
+    }
+  }
+  return buffer;
+}
+
+module.exports = { readBmpHeader, decodeBmp, encodeBmp };
@@ -0,0 +1,76 @@
+// Process-wide cancellation. The first Ctrl-C (SIGINT) or SIGTERM during an operation aborts
+// cancelSignal(): the job queue stops starting jobs and aborts the running ones, which kills their
+// FFmpeg processes, and partial outputs are removed. A second Ctrl-C, or one while nothing is running,
+// quits at once. Temp files and directories registered with trackTemp are removed even then.
+
+const fs = require('fs');
+const { log } = require('./logUtils');
+const { CancelledError } = require('./errorUtils');
+
+let controller = new AbortController();
+let activeOperations = 0;
+let handlersInstalled = false;
+const tempPaths = new Set();
+
+function cancelSignal() {
+  return controller.signal;
+}
+
+// True once the process was cancelled, or the given signal (e.g. a library caller's) was aborted
+function isCancelled(signal) {
+  return controller.signal.aborted || Boolean(signal && signal.aborted);
+}
+
+function cancel(reason = 'Cancelled') {
+  if (!controller.signal.aborted) controller.abort(new CancelledError(reason));
+}
+
+// Start over after a cancelled feature so the menu can run the next one
+function resetCancellation() {
+  if (controller.signal.aborted) controller = new AbortController();
+}
+
+// Mark an operation as running so Ctrl-C cancels it instead of quitting; call the returned function when it ends
+function beginOperation() {
+  activeOperations++;
+  let ended = false;
+  return () => {
+    if (!ended) activeOperations--;
+    ended = true;
+  };
+}
+
+// Remove a temp file or directory when the process exits, unless the returned function is called first
+function trackTemp(tempPath) {
+  tempPaths.add(tempPath);
+  return () => tempPaths.delete(tempPath);
+}
+
+function removeTempPaths() {
+  for (const tempPath of tempPaths) {
+    try {
+      fs.rmSync(tempPath, { recursive: true, force: true });
+    } catch {
+      // Best effort: the process is going away
+    }
+  }
+  tempPaths.clear();
+}
+
+function installCancelHandlers() {
+  if (handlersInstalled) return;
+  handlersInstalled = true;
+  const onSignal = (signal) => {
+    if (activeOperations === 0 || controller.signal.aborted) {
+      removeTempPaths();
+      process.exit(signal === 'SIGINT' ? 130 : 143);
+    }
+    log('WARN', 'Cancelling... Press Ctrl-C again to quit now.');
+    cancel(`Cancelled by ${signal}`);
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  process.on('exit', removeTempPaths);
+}
+
+module.exports = { cancelSignal, isCancelled, cancel, resetCancellation, beginOperation, trackTemp, removeTempPaths, installCancelHandlers };
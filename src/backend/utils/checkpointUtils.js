@@ -0,0 +1,219 @@
+// Checkpoints for the batch features that write a new output for every input (convert, resize and
+// metadata). A run saves json/checkpoints/<job id>.json with its options and, for every input, the output
+// it is written to and whether it is pending, done or failed. runJobs (see jobUtils) updates the file as
+// jobs finish, so a run that crashes or is stopped with Ctrl-C leaves a record of how far it got.
+// Resuming the job runs the feature again with the saved options: an input whose output is still on disk
+// with the size and SHA-256 recorded when it was written is skipped, everything else is processed again.
+// A job that ends with every file done has nothing left to resume, so its checkpoint is removed.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { log } = require('./logUtils');
+const { PathError, ValidationError } = require('./errorUtils');
+const { hashFile } = require('./fileUtils');
+const { applyConflicts } = require('./conflictUtils');
+
+const BASE_DIR = path.join(__dirname, '..', '..', '..');
+const CHECKPOINT_DIR = path.join(BASE_DIR, 'json', 'checkpoints');
+
+// Options holding paths, saved absolute so a job can be resumed from any working directory
+const PATH_OPTIONS = ['input', 'output', 'fileList'];
+
+const saving = new Map(); // checkpoint id -> { promise, dirty } while the file is being written
+
+function checkpointPath(id) {
+  return path.join(CHECKPOINT_DIR, `${id}.json`);
+}
+
+// The options a resumed run needs: everything that can be saved as JSON, with paths made absolute.
+// The caller's cancel signal belongs to this run only.
+function savedOptions(options) {
+  const saved = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (key === 'resume' || key === 'signal' || value === undefined || typeof value === 'function') continue;
+    saved[key] = PATH_OPTIONS.includes(key) && typeof value === 'string' && value !== '' ? path.resolve(value) : value;
+  }
+  return saved;
+}
+
+// Job ids start with a compact UTC timestamp, like journal ids, so they sort in the order the runs started
+function createCheckpoint(feature, options = {}) {
+  const startedAt = new Date();
+  const stamp = startedAt.toISOString().replace(/[-:.TZ]/g, '');
+  return { id: `${stamp}-${feature}`, feature, options: savedOptions(options), status: 'running', startedAt: startedAt.toISOString(), resumedAt: null, finishedAt: null, files: {} };
+}
+
+// Load a checkpoint by job id
+async function loadCheckpoint(id) {
+  const filePath = checkpointPath(path.basename(String(id), '.json'));
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    throw new PathError(`Checkpoint not found: ${id}`, { path: filePath });
+  }
+}
+
+// All saved checkpoints, newest first
+async function listCheckpoints() {
+  let files;
+  try {
+    files = await fs.readdir(CHECKPOINT_DIR);
+  } catch {
+    return [];
+  }
+  const checkpoints = [];
+  for (const file of files.filter(file => file.endsWith('.json')).sort().reverse()) {
+    try {
+      checkpoints.push(JSON.parse(await fs.readFile(path.join(CHECKPOINT_DIR, file), 'utf8')));
+    } catch (error) {
+      log('WARN', `Skipping unreadable checkpoint ${file}: ${error.message}`);
+    }
+  }
+  return checkpoints;
+}
+
+// Start a checkpoint for a run of `feature`, or pick up the one named by options.resume (a job id)
+async function openCheckpoint(feature, options = {}) {
+  if (!options.resume) return createCheckpoint(feature, options);
+  const checkpoint = await loadCheckpoint(options.resume);
+  if (checkpoint.feature !== feature) {
+    throw new ValidationError(`Checkpoint ${checkpoint.id} belongs to ${checkpoint.feature}, not ${feature}`, { option: 'resume' });
+  }
+  checkpoint.status = 'running';
+  checkpoint.resumedAt = new Date().toISOString();
+  checkpoint.finishedAt = null;
+  return checkpoint;
+}
+
+async function writeCheckpoint(checkpoint) {
+  const filePath = checkpointPath(checkpoint.id);
+  await fs.mkdir(CHECKPOINT_DIR, { recursive: true });
+  await fs.writeFile(`${filePath}.tmp`, JSON.stringify(checkpoint, null, 2));
+  await fs.rename(`${filePath}.tmp`, filePath);
+}
+
+// Write the checkpoint atomically. Changes made while a write is running are saved by one more write
+// when it ends, so jobs finishing together do not each rewrite the file.
+function saveCheckpoint(checkpoint) {
+  const current = saving.get(checkpoint.id);
+  if (current) {
+    current.dirty = true;
+    return current.promise;
+  }
+  const state = { dirty: false };
+  state.promise = (async () => {
+    try {
+      do {
+        state.dirty = false;
+        await writeCheckpoint(checkpoint);
+      } while (state.dirty);
+    } finally {
+      saving.delete(checkpoint.id);
+    }
+  })();
+  saving.set(checkpoint.id, state);
+  return state.promise;
+}
+
+// applyConflicts (see conflictUtils) for a checkpointed run. Inputs the checkpoint already lists keep the
+// output they were given the first time, so finished outputs are found again and a half-written one is
+// replaced rather than renamed around; only inputs new to the job go through onConflict. Inputs that are
+// gone from the run (deleted or no longer selected) are dropped from the checkpoint. Every settled input
+// is saved as pending before the first job starts.
+async function applyCheckpointConflicts(checkpoint, result, targets, options = {}, fallback = 'overwrite') {
+  for (const input of Object.keys(checkpoint.files).filter(input => !targets.has(input))) {
+    log('DEBUG', `${input} is no longer part of job ${checkpoint.id}, dropping it from the checkpoint`);
+    delete checkpoint.files[input];
+  }
+  const known = new Map([...targets.keys()].filter(input => checkpoint.files[input]).map(input => [input, checkpoint.files[input].output]));
+  const settled = await applyConflicts(result, new Map([...targets].filter(([input]) => !known.has(input))), options, fallback);
+  const outputs = new Map();
+  for (const input of targets.keys()) {
+    const output = known.get(input) || settled.get(input);
+    if (!output) continue;
+    outputs.set(input, output);
+    if (!checkpoint.files[input]) checkpoint.files[input] = { output, status: 'pending' };
+  }
+  if (outputs.size === 0) return outputs;
+  await saveCheckpoint(checkpoint);
+  if (!options.resume) log('INFO', `Saved checkpoint ${checkpoint.id}. If the run stops, continue it with: node src/main.js resume ${checkpoint.id}`);
+  return outputs;
+}
+
+// The output of an input the checkpoint lists as done when it is still on disk with the recorded size
+// and hash, or null when the input has to be processed again
+async function verifiedOutput(checkpoint, input) {
+  const entry = checkpoint.files[input];
+  if (!entry || entry.status !== 'done') return null;
+  const stats = await fs.stat(entry.output).catch(() => null);
+  let reason = null;
+  if (!stats || !stats.isFile()) reason = 'is missing';
+  else if (stats.size !== entry.size) reason = `is ${stats.size} bytes instead of ${entry.size}`;
+  else if (await hashFile(entry.output) !== entry.hash) reason = 'has changed since it was written';
+  if (reason) {
+    log('WARN', `Processing ${path.basename(input)} again: its output ${entry.output} ${reason}`);
+    return null;
+  }
+  log('DEBUG', `Already done: ${input} -> ${entry.output}`);
+  return entry.output;
+}
+
+// Record how a job ended. A finished job stores the size and hash of its output for verifiedOutput;
+// when the output cannot be read back the input stays pending and is redone on resume.
+async function markCheckpoint(checkpoint, input, status, detail) {
+  const entry = checkpoint.files[input] || (checkpoint.files[input] = { output: null });
+  entry.status = status;
+  entry.at = new Date().toISOString();
+  delete entry.error;
+  if (status === 'done') {
+    try {
+      entry.output = detail;
+      entry.size = (await fs.stat(detail)).size;
+      entry.hash = await hashFile(detail);
+    } catch (error) {
+      log('DEBUG', `Cannot checksum ${detail}, leaving ${input} pending: ${error.message}`);
+      entry.status = 'pending';
+    }
+  } else if (status === 'failed') {
+    entry.error = detail instanceof Error ? detail.message : String(detail);
+  }
+  await saveCheckpoint(checkpoint);
+}
+
+// Counts of the checkpoint's files by status
+function checkpointCounts(checkpoint) {
+  const counts = { done: 0, failed: 0, pending: 0 };
+  for (const entry of Object.values(checkpoint.files)) counts[entry.status]++;
+  return counts;
+}
+
+// Remove the checkpoint when every file is done, otherwise mark it incomplete and leave it resumable
+async function finishCheckpoint(checkpoint) {
+  if (Object.keys(checkpoint.files).length === 0) return;
+  const counts = checkpointCounts(checkpoint);
+  checkpoint.finishedAt = new Date().toISOString();
+  if (counts.failed + counts.pending === 0) {
+    checkpoint.status = 'complete';
+    if (saving.has(checkpoint.id)) await saving.get(checkpoint.id).promise;
+    await fs.rm(checkpointPath(checkpoint.id), { force: true });
+    log('DEBUG', `Job ${checkpoint.id} is complete, removed its checkpoint`);
+    return;
+  }
+  checkpoint.status = 'incomplete';
+  await saveCheckpoint(checkpoint);
+  log('INFO', `${counts.failed + counts.pending} files of job ${checkpoint.id} are not done. Retry them with: node src/main.js resume ${checkpoint.id}`);
+}
+
+module.exports = {
+  CHECKPOINT_DIR,
+  createCheckpoint,
+  openCheckpoint,
+  loadCheckpoint,
+  listCheckpoints,
+  saveCheckpoint,
+  applyCheckpointConflicts,
+  verifiedOutput,
+  markCheckpoint,
+  checkpointCounts,
+  finishCheckpoint,
+};
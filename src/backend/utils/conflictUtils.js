@@ -0,0 +1,127 @@
+// What the features that write or move files do when an output path is already taken, either by a file
+// on disk or by another file of the same run (--on-conflict):
+//   overwrite  replace it (moves send the replaced file to the trash first, see journalUtils)
+//   skip       leave the input alone and record it as skipped
+//   rename     use the first free name with -1, -2, ... appended
+//   fail       stop before anything is written
+// Features settle every output path up front with applyConflicts, so a run never stops half way.
+
+const path = require('path');
+const fs = require('fs').promises;
+const { log } = require('./logUtils');
+const { ValidationError, ConflictError } = require('./errorUtils');
+const { recordSkipped } = require('./resultUtils');
+const { pathExists } = require('./pathUtils');
+
+const CONFLICT_POLICIES = ['overwrite', 'skip', 'rename', 'fail'];
+
+// Flags accepted by every feature that writes or moves files
+const CONFLICT_FLAGS = ['on-conflict'];
+
+// Pick the conflict option out of parsed feature flags, e.g. { onConflict: 'skip' }
+function conflictOptions(params) {
+  return params['on-conflict'] ? { onConflict: params['on-conflict'] } : {};
+}
+
+// Validate options.onConflict, falling back to the feature's default policy when it is not set
+function resolveConflictPolicy(options = {}, fallback = 'overwrite') {
+  if (options.onConflict === undefined || options.onConflict === null || options.onConflict === '') return fallback;
+  const policy = String(options.onConflict).toLowerCase();
+  if (!CONFLICT_POLICIES.includes(policy)) {
+    throw new ValidationError(`Invalid on-conflict policy: ${options.onConflict}. Must be one of ${CONFLICT_POLICIES.join(', ')}.`, { option: 'onConflict' });
+  }
+  return policy;
+}
+
+// First of name-1.ext, name-2.ext, ... that is neither on disk nor in `taken`
+async function nextFreePath(target, taken = new Set()) {
+  const ext = path.extname(target);
+  const stem = target.slice(0, target.length - ext.length);
+  for (let counter = 1; ; counter++) {
+    const candidate = `${stem}-${counter}${ext}`;
+    if (!taken.has(candidate) && !(await pathExists(candidate))) return candidate;
+  }
+}
+
+// Whether two paths name the same file, e.g. Photo.JPG and photo.jpg on a case-insensitive disk
+async function isSameFile(first, second) {
+  const [a, b] = await Promise.all([fs.stat(first).catch(() => null), fs.stat(second).catch(() => null)]);
+  return Boolean(a && b && a.ino === b.ino && a.dev === b.dev);
+}
+
+// Settle the output path of every input in `targets` (a Map of input -> wanted path) under
+// options.onConflict, or `fallback` when it is not set. Resolves to a Map of input -> output path without
+// the skipped inputs, which are recorded on the result. An output equal to its input (an in-place write
+// or a case-only rename on a case-insensitive disk) is not a conflict. The policy and what it did are kept
+// as result.conflicts: { policy, overwritten, skipped, renamed }. With 'fail' any conflict throws a
+// ConflictError, except on a dry run, where the conflicts are left in place for the plan to show.
+// Pass `moves` when every input is renamed to its output (see vacateSources in journalUtils): an output may
+// then be another input's current path, as long as that input moves away and is not skipped.
+async function applyConflicts(result, targets, options = {}, fallback = 'overwrite', moves = false) {
+  const policy = resolveConflictPolicy(options, fallback);
+  const counts = { overwritten: 0, skipped: 0, renamed: 0 };
+  const conflicts = [];
+  const taken = new Set();
+  const outputs = new Map();
+  for (const [input, target] of targets) {
+    let reason = null;
+    if (taken.has(target)) reason = 'duplicate target';
+    else if (target !== input && !(moves && targets.has(target)) && await pathExists(target) && !(await isSameFile(input, target))) reason = 'target exists';
+    if (!reason || policy === 'fail') {
+      taken.add(target);
+      outputs.set(input, target);
+      if (reason) conflicts.push({ input, target, reason });
+      continue;
+    }
+    conflicts.push({ input, target, reason });
+    if (policy === 'overwrite') {
+      counts.overwritten++;
+      outputs.set(input, target);
+    } else if (policy === 'skip') {
+      counts.skipped++;
+      recordSkipped(result, input, `conflict: ${reason} (${target})`);
+    } else {
+      const free = await nextFreePath(target, taken);
+      counts.renamed++;
+      taken.add(free);
+      outputs.set(input, free);
+      log('DEBUG', `${target} is taken (${reason}), using ${free}`);
+    }
+  }
+  // A skipped input stays where it is, so an output counting on it to move away is taken after all
+  for (let blocked = true; moves && blocked;) {
+    blocked = false;
+    for (const [input, output] of outputs) {
+      if (output === input || !targets.has(output) || outputs.has(output)) continue;
+      blocked = true;
+      conflicts.push({ input, target: output, reason: 'target exists' });
+      counts.skipped++;
+      outputs.delete(input);
+      recordSkipped(result, input, `conflict: target exists (${output})`);
+    }
+  }
+
+  if (policy === 'fail' && conflicts.length > 0 && !options.dryRun) {
+    const listed = conflicts.slice(0, 5).map(conflict => `${conflict.target} (${conflict.reason})`).join(', ');
+    const more = conflicts.length > 5 ? ` and ${conflicts.length - 5} more` : '';
+    throw new ConflictError(`${conflicts.length} output${conflicts.length === 1 ? ' is' : 's are'} already taken: ${listed}${more}. Nothing was written; use --on-conflict overwrite, skip or rename to go ahead.`, { conflicts });
+  }
+  result.conflicts = { policy, ...counts };
+  if (conflicts.length > 0 && policy !== 'fail') {
+    const done = { overwrite: `${counts.overwritten} overwritten`, skip: `${counts.skipped} skipped`, rename: `${counts.renamed} renamed` };
+    log('INFO', `${conflicts.length} output conflict${conflicts.length === 1 ? '' : 's'} (on-conflict: ${policy}): ${done[policy]}.`);
+  }
+  return outputs;
+}
+
+// Settle a single output path written outside a batch (e.g. a generated image). Resolves to the path to
+// write, or null when the policy is 'skip' and the path is taken.
+async function claimOutputPath(target, options = {}, fallback = 'overwrite') {
+  const policy = resolveConflictPolicy(options, fallback);
+  if (policy === 'overwrite' || !(await pathExists(target))) return target;
+  if (policy === 'skip') return null;
+  if (policy === 'rename') return nextFreePath(target);
+  throw new ConflictError(`Output already exists: ${target}. Nothing was written; use --on-conflict overwrite, skip or rename to go ahead.`, { conflicts: [{ input: null, target, reason: 'target exists' }] });
+}
+
+module.exports = { CONFLICT_POLICIES, CONFLICT_FLAGS, conflictOptions, resolveConflictPolicy, nextFreePath, applyConflicts, claimOutputPath };
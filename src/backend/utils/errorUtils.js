@@ -0,0 +1,55 @@
+// Errors thrown by the library API (src/index.js). Each carries a stable `code` so callers can
+// branch on the kind of failure without parsing messages.
+
+class FileManipulatorError extends Error {
+  constructor(message, code = 'EFILEMANIPULATOR', details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// An option is missing or has an invalid value
+class ValidationError extends FileManipulatorError {
+  constructor(message, details) {
+    super(message, 'EVALIDATION', details);
+  }
+}
+
+// An input or output path does not exist or is not allowed
+class PathError extends FileManipulatorError {
+  constructor(message, details) {
+    super(message, 'EPATH', details);
+  }
+}
+
+// The requested format or format pair is not supported
+class UnsupportedFormatError extends FileManipulatorError {
+  constructor(message, details) {
+    super(message, 'EUNSUPPORTED', details);
+  }
+}
+
+// An external tool such as FFmpeg or ExifTool is not installed
+class DependencyError extends FileManipulatorError {
+  constructor(message, details) {
+    super(message, 'EDEPENDENCY', details);
+  }
+}
+
+// An output or destination already exists and the conflict policy is 'fail' (see conflictUtils)
+class ConflictError extends FileManipulatorError {
+  constructor(message, details) {
+    super(message, 'ECONFLICT', details);
+  }
+}
+
+// The run was cancelled with Ctrl-C or an aborted signal before it finished (see cancelUtils)
+class CancelledError extends FileManipulatorError {
+  constructor(message = 'Cancelled', details) {
+    super(message, 'ECANCELLED', details);
+  }
+}
+
+module.exports = { FileManipulatorError, ValidationError, PathError, UnsupportedFormatError, DependencyError, ConflictError, CancelledError };
@@ -0,0 +1,53 @@
+// File helpers shared by the features that move files around or track them by content
+
+const fs = require('fs');
+const fsPromises = fs.promises;
+const crypto = require('crypto');
+const path = require('path');
+const { trackTemp } = require('./cancelUtils');
+const { CancelledError } = require('./errorUtils');
+
+// SHA-256 of a file's content, streamed so large videos are not read into memory
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Rename a file, falling back to copy + delete when the destination is on another device
+async function movePath(source, destination) {
+  await fsPromises.mkdir(path.dirname(destination), { recursive: true });
+  try {
+    await fsPromises.rename(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fsPromises.copyFile(source, destination);
+    await fsPromises.unlink(source);
+  }
+  return destination;
+}
+
+// Write a file under a temporary name and rename it to `target` only once write(partialPath) resolves,
+// so a failed or cancelled write never leaves a truncated output. The partial file sits in a hidden
+// directory next to the target with the same name, so tools that pick the format from the extension
+// still see it. When the signal was aborted during the write the output is discarded instead.
+async function writeAtomically(target, write, signal) {
+  const tempDir = await fsPromises.mkdtemp(path.join(path.dirname(target), '.partial-'));
+  const untrack = trackTemp(tempDir);
+  try {
+    const partialPath = path.join(tempDir, path.basename(target));
+    await write(partialPath);
+    if (signal && signal.aborted) throw new CancelledError(`Cancelled while writing ${path.basename(target)}`);
+    await fsPromises.rename(partialPath, target);
+    return target;
+  } finally {
+    await fsPromises.rm(tempDir, { recursive: true, force: true });
+    untrack();
+  }
+}
+
+module.exports = { hashFile, movePath, writeAtomically };
@@ -0,0 +1,87 @@
+// File name helpers. Names may contain spaces, Unicode and shell characters such as quotes or `$`: every
+// external tool is started with an argument array rather than through a shell, so the features only
+// refuse names no tool can be handed safely. Names are compared in Unicode NFC, the form most file
+// systems store (macOS hands out decomposed NFD names).
+//
+// sanitizeFileName is the opt-in clean-up used by the Sanitize Filenames feature: it transliterates to
+// ASCII and turns a name into a lower-case slug such as `vacation-photo-1.jpg`.
+
+const path = require('path');
+
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/g;
+// Characters Windows does not allow in file names, plus both path separators
+const RESERVED_CHARS = /[<>:"/\\|?*]/g;
+
+// Extensions of more than one part, kept whole rather than split at their last dot
+const COMPOUND_EXTENSIONS = ['.tar.gz', '.tar.bz2', '.tar.xz', '.tar.zst', '.tar.lz', '.tar.lzma', '.tar.z'];
+
+// Letters that do not decompose into an ASCII letter plus accents
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', đ: 'd', Đ: 'D', ð: 'd', Ð: 'D',
+  þ: 'th', Þ: 'Th', ł: 'l', Ł: 'L', ı: 'i', ħ: 'h', Ħ: 'H', ŋ: 'ng', Ŋ: 'NG', '&': ' and ',
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', ё: 'yo', є: 'ye', ж: 'zh', з: 'z', и: 'i',
+  і: 'i', ї: 'yi', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e',
+  ю: 'yu', я: 'ya',
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm',
+  ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps',
+  ω: 'o',
+};
+
+function normalizeName(name) {
+  return String(name).normalize('NFC');
+}
+
+// Whether a path's file name can be handled: not empty, not . or .., and free of control characters
+// (which cannot be logged or typed back in)
+function isValidFileName(filePath) {
+  const name = path.basename(filePath);
+  return name !== '' && name !== '.' && name !== '..' && !new RegExp(CONTROL_CHARS.source).test(name);
+}
+
+// Make user input usable as (part of) a file name while keeping spaces and Unicode: drops control and
+// reserved characters and trims spaces and trailing dots, which Windows cannot store
+function cleanFileName(name) {
+  return normalizeName(name).replace(CONTROL_CHARS, '').replace(RESERVED_CHARS, '').trim().replace(/[. ]+$/, '');
+}
+
+// Spell a name in ASCII where possible: accents are dropped (é -> e) and the letters above are spelled
+// out. Characters with no spelling, e.g. CJK, are left as they are.
+function transliterate(name) {
+  return normalizeName(name)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^\u0000-\u007f]/g, char => {
+      const lower = char.toLowerCase();
+      if (TRANSLITERATIONS[char] !== undefined) return TRANSLITERATIONS[char];
+      if (TRANSLITERATIONS[lower] !== undefined) {
+        const spelled = TRANSLITERATIONS[lower];
+        return spelled.charAt(0).toUpperCase() + spelled.slice(1);
+      }
+      return char;
+    })
+    .normalize('NFC');
+}
+
+// Turn a file name into a slug: transliterated, runs of anything but letters and digits collapsed into
+// one separator, and lower case unless `keepCase`. With `keepUnicode` letters of other scripts are kept;
+// otherwise they are dropped. The extension is kept (lower-cased), compound ones such as `.tar.gz` included,
+// and so is the leading dot of a hidden file (`.DS_Store` becomes `.ds-store`). Resolves to '' when
+// nothing is left of the base name.
+// options: { separator: '-' | '_' | '.', keepCase, keepUnicode }
+function sanitizeFileName(name, options = {}) {
+  const separator = options.separator === undefined ? '-' : options.separator;
+  const dot = name.startsWith('.') ? '.' : '';
+  const rest = name.slice(dot.length);
+  const compound = COMPOUND_EXTENSIONS.find(extension => rest.toLowerCase().endsWith(extension) && rest.length > extension.length);
+  const ext = compound ? rest.slice(-compound.length) : path.extname(rest);
+  let base = transliterate(rest.slice(0, rest.length - ext.length));
+  if (!options.keepCase) base = base.toLowerCase();
+  const allowed = options.keepUnicode ? /[\p{L}\p{N}]+/gu : /[A-Za-z0-9]+/g;
+  const slug = (base.match(allowed) || []).join(separator);
+  if (!slug) return '';
+  const cleanExt = ext.replace(/[^A-Za-z0-9.]/g, '').toLowerCase();
+  return `${dot}${slug}${cleanExt.length > 1 ? cleanExt : ''}`;
+}
+
+module.exports = { normalizeName, isValidFileName, cleanFileName, transliterate, sanitizeFileName };
@@ -0,0 +1,280 @@
+// File selection filters shared by the batch features. After a feature has listed its candidate files
+// (see walkUtils) it passes them through applyFilters, which drops files that do not match the include
+// and exclude globs, size and modification date ranges, pixel dimensions or duration, or an explicit
+// list file. Dropped files are reported as skipped with the filter that rejected them.
+
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+const { log } = require('./logUtils');
+const { ValidationError } = require('./errorUtils');
+const { recordSkipped } = require('./resultUtils');
+const { normalizeName } = require('./filenameUtils');
+const { assertPathAllowed } = require('./pathUtils');
+
+// Value flags accepted by every batch feature, mapped to the option they set
+const FILTER_OPTIONS = {
+  'include': 'include',
+  'exclude': 'exclude',
+  'min-size': 'minSize',
+  'max-size': 'maxSize',
+  'modified-since': 'modifiedSince',
+  'modified-before': 'modifiedBefore',
+  'min-width': 'minWidth',
+  'max-width': 'maxWidth',
+  'min-height': 'minHeight',
+  'max-height': 'maxHeight',
+  'min-duration': 'minDuration',
+  'max-duration': 'maxDuration',
+  'file-list': 'fileList',
+};
+const FILTER_FLAGS = Object.keys(FILTER_OPTIONS);
+
+// Extensions whose dimensions and duration are read with sharp; everything else goes through ffprobe
+const SHARP_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.avif', '.tif', '.tiff', '.heic', '.heif', '.svg'];
+
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+
+// Pick the filter options out of parsed feature flags, e.g. { 'min-size': '10MB' } to { minSize: '10MB' }
+function filterOptions(params) {
+  const options = {};
+  for (const [flag, option] of Object.entries(FILTER_OPTIONS)) {
+    if (params[flag] !== undefined && params[flag] !== '') options[option] = params[flag];
+  }
+  return options;
+}
+
+// Split a comma-separated pattern list, keeping commas inside {a,b} alternations
+function splitPatterns(value) {
+  if (Array.isArray(value)) return value.flatMap(splitPatterns);
+  const patterns = [];
+  let depth = 0;
+  let current = '';
+  for (const char of String(value)) {
+    if (char === '{') depth++;
+    if (char === '}') depth = Math.max(0, depth - 1);
+    if (char === ',' && depth === 0) {
+      patterns.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  patterns.push(current);
+  return patterns.map(pattern => pattern.trim()).filter(Boolean);
+}
+
+// Convert a glob to a regular expression: * and ? stay inside one folder, ** spans folders, {a,b} picks
+// one alternative and [abc] one character. Matching ignores case, like the extension checks.
+function globToRegExp(glob) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\{}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// A pattern with a slash matches the path relative to the input directory; one without matches the
+// file name in any folder. Patterns and paths are compared in NFC, so `café*` also matches a decomposed é.
+function compilePatterns(value, option) {
+  return splitPatterns(value).map(pattern => {
+    try {
+      return { pattern, matchPath: pattern.includes('/'), regExp: globToRegExp(normalizeName(pattern).replace(/^\.\//, '')) };
+    } catch (error) {
+      throw new ValidationError(`Invalid ${option} pattern: ${pattern}`, { option });
+    }
+  });
+}
+
+function matchesAny(patterns, relativePath) {
+  return patterns.some(({ matchPath, regExp }) => regExp.test(matchPath ? relativePath : path.posix.basename(relativePath)));
+}
+
+// 'maxSize' to 'max size' for error messages
+function describeOption(option) {
+  return option.replace(/[A-Z]/g, char => ` ${char.toLowerCase()}`);
+}
+
+// Parse a size such as 2048, 500k, 1.5MB or 2G (binary units) to bytes
+function parseSize(value, option) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(value));
+  const unit = match ? SIZE_UNITS[(match[2] || 'b').toLowerCase()] : undefined;
+  if (!match || !unit) {
+    throw new ValidationError(`Invalid ${describeOption(option)}: ${value}. Use bytes or a size such as 500k, 10MB or 2G.`, { option });
+  }
+  return Math.round(Number(match[1]) * unit);
+}
+
+function parseDate(value, option) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${describeOption(option)}: ${value}. Use a date such as 2025-01-31 or 2025-01-31T18:00.`, { option });
+  }
+  return date;
+}
+
+function parseNumber(value, option, { integer = false } = {}) {
+  const number = Number(value);
+  if (!(number >= 0) || (integer && !Number.isInteger(number))) {
+    throw new ValidationError(`Invalid ${describeOption(option)}: ${value}. Must be ${integer ? 'a whole number' : 'a number'} of at least 0.`, { option });
+  }
+  return number;
+}
+
+// Validate the filter options and resolve them to { include, exclude, minSize, ..., fileList }, where
+// every filter that was not given is null. Resolves to null when no filter is set.
+async function resolveFilters(options = {}) {
+  const given = key => options[key] !== undefined && options[key] !== null && options[key] !== '';
+  if (!Object.values(FILTER_OPTIONS).some(given)) return null;
+
+  const filters = {
+    include: given('include') ? compilePatterns(options.include, 'include') : null,
+    exclude: given('exclude') ? compilePatterns(options.exclude, 'exclude') : null,
+    minSize: given('minSize') ? parseSize(options.minSize, 'minSize') : null,
+    maxSize: given('maxSize') ? parseSize(options.maxSize, 'maxSize') : null,
+    modifiedSince: given('modifiedSince') ? parseDate(options.modifiedSince, 'modifiedSince') : null,
+    modifiedBefore: given('modifiedBefore') ? parseDate(options.modifiedBefore, 'modifiedBefore') : null,
+    fileList: null,
+  };
+  for (const key of ['minWidth', 'maxWidth', 'minHeight', 'maxHeight']) {
+    filters[key] = given(key) ? parseNumber(options[key], key, { integer: true }) : null;
+  }
+  for (const key of ['minDuration', 'maxDuration']) {
+    filters[key] = given(key) ? parseNumber(options[key], key) : null;
+  }
+
+  if (given('fileList')) {
+    const listPath = await assertPathAllowed(options.fileList, 'File list', 'fileList');
+    let content;
+    try {
+      content = await fs.readFile(listPath, 'utf8');
+    } catch (error) {
+      throw new ValidationError(`Cannot read file list ${listPath}: ${error.message}`, { option: 'fileList' });
+    }
+    // One path per line, relative to the list file; blank lines and # comments are ignored
+    const entries = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    filters.fileList = new Set(entries.map(entry => normalizeName(path.resolve(path.dirname(listPath), entry))));
+    log('DEBUG', `Loaded ${filters.fileList.size} paths from file list ${listPath}`);
+  }
+  return filters;
+}
+
+function ffprobe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => (err ? reject(err) : resolve(metadata)));
+  });
+}
+
+// Read { width, height, duration } (duration in seconds, 0 for still images) with sharp or ffprobe
+async function probeMedia(filePath) {
+  if (SHARP_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    const metadata = await sharp(filePath, { animated: true }).metadata();
+    const height = metadata.pageHeight || metadata.height;
+    const duration = Array.isArray(metadata.delay) ? metadata.delay.reduce((total, delay) => total + delay, 0) / 1000 : 0;
+    return { width: metadata.width, height, duration };
+  }
+  const metadata = await ffprobe(filePath);
+  const video = metadata.streams.find(stream => stream.codec_type === 'video') || {};
+  return { width: video.width || 0, height: video.height || 0, duration: Number(metadata.format.duration) || 0 };
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)}GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)}MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${bytes}B`;
+}
+
+// Resolve to the reason a file is rejected, or null when it passes every filter
+async function rejectReason(filePath, filters, baseDir) {
+  const relativePath = normalizeName(path.relative(baseDir, filePath).split(path.sep).join('/'));
+  if (filters.fileList && !filters.fileList.has(normalizeName(path.resolve(filePath)))) return 'not in file list';
+  if (filters.include && !matchesAny(filters.include, relativePath)) return 'does not match include';
+  if (filters.exclude && matchesAny(filters.exclude, relativePath)) return 'matches exclude';
+
+  if (filters.minSize !== null || filters.maxSize !== null || filters.modifiedSince || filters.modifiedBefore) {
+    const stats = await fs.stat(filePath);
+    if (filters.minSize !== null && stats.size < filters.minSize) return `smaller than ${formatSize(filters.minSize)}`;
+    if (filters.maxSize !== null && stats.size > filters.maxSize) return `larger than ${formatSize(filters.maxSize)}`;
+    if (filters.modifiedSince && stats.mtime < filters.modifiedSince) return `modified before ${filters.modifiedSince.toISOString()}`;
+    if (filters.modifiedBefore && stats.mtime >= filters.modifiedBefore) return `modified after ${filters.modifiedBefore.toISOString()}`;
+  }
+
+  const needsProbe = ['minWidth', 'maxWidth', 'minHeight', 'maxHeight', 'minDuration', 'maxDuration'].some(key => filters[key] !== null);
+  if (needsProbe) {
+    let media;
+    try {
+      media = await probeMedia(filePath);
+    } catch (error) {
+      return `could not read dimensions or duration: ${error.message}`;
+    }
+    if (filters.minWidth !== null && media.width < filters.minWidth) return `narrower than ${filters.minWidth}px`;
+    if (filters.maxWidth !== null && media.width > filters.maxWidth) return `wider than ${filters.maxWidth}px`;
+    if (filters.minHeight !== null && media.height < filters.minHeight) return `shorter than ${filters.minHeight}px`;
+    if (filters.maxHeight !== null && media.height > filters.maxHeight) return `taller than ${filters.maxHeight}px`;
+    if (filters.minDuration !== null && media.duration < filters.minDuration) return `shorter than ${filters.minDuration}s`;
+    if (filters.maxDuration !== null && media.duration > filters.maxDuration) return `longer than ${filters.maxDuration}s`;
+  }
+  return null;
+}
+
+// Keep the files that pass every filter in options and record the others on the result as skipped.
+// Globs are matched against paths relative to baseDir (the input directory).
+// options: { include, exclude, minSize, maxSize, modifiedSince, modifiedBefore, minWidth, maxWidth,
+// minHeight, maxHeight, minDuration, maxDuration, fileList }
+async function applyFilters(result, files, options, baseDir) {
+  const filters = await resolveFilters(options);
+  if (!filters) return files;
+  const selected = [];
+  for (const file of files) {
+    const reason = await rejectReason(file, filters, baseDir);
+    if (reason) {
+      log('DEBUG', `Filtered out ${path.relative(baseDir, file)}: ${reason}`);
+      recordSkipped(result, file, `filtered: ${reason}`);
+    } else {
+      selected.push(file);
+    }
+  }
+  if (filters.fileList) {
+    const listed = new Set(files.map(file => normalizeName(path.resolve(file))));
+    const missing = [...filters.fileList].filter(file => !listed.has(file));
+    if (missing.length > 0) log('WARN', `${missing.length} paths from the file list are not among the input files: ${missing.join(', ')}`);
+  }
+  log('INFO', `Filters selected ${selected.length} of ${files.length} files.`);
+  return selected;
+}
+
+module.exports = { FILTER_FLAGS, filterOptions, globToRegExp, resolveFilters, applyFilters };
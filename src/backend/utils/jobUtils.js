@@ -0,0 +1,200 @@
+// Shared job runner for the batch features. Jobs run with a bounded concurrency, each attempt can be
+// limited by a timeout and failed jobs are retried before being reported as failed. With a checkpoint
+// (see checkpointUtils) every job's outcome is saved as it finishes and jobs already done are skipped.
+// Cancelling (see cancelUtils) stops the queue: running jobs are aborted and the rest never start.
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { timeout, TimeoutError } = require('promise-timeout');
+const { log, runWithLogContext, createCorrelationId } = require('./logUtils');
+const { ValidationError, CancelledError } = require('./errorUtils');
+const { createProgress } = require('./progressUtils');
+const { verifiedOutput, markCheckpoint, finishCheckpoint } = require('./checkpointUtils');
+const { cancelSignal, beginOperation } = require('./cancelUtils');
+
+const CPU_COUNT = Math.max(1, os.cpus().length);
+
+// Default number of jobs running at once for each kind of work. sharp (libvips) scales with the
+// cores it is given; FFmpeg already spreads a single encode over several threads.
+const DEFAULT_CONCURRENCY = {
+  sharp: CPU_COUNT,
+  ffmpeg: Math.max(1, Math.floor(CPU_COUNT / 4)),
+  exiftool: Math.max(1, Math.floor(CPU_COUNT / 2)),
+  fs: 4,
+};
+
+// Flags accepted by every batch feature and copied into its options
+const QUEUE_FLAGS = ['concurrency', 'timeout', 'retries'];
+
+// Pick the queue options out of parsed feature flags, e.g. { concurrency: '4', timeout: '60' }
+function queueOptions(params) {
+  const options = {};
+  for (const flag of QUEUE_FLAGS) {
+    if (params[flag] !== undefined && params[flag] !== '') options[flag] = params[flag];
+  }
+  return options;
+}
+
+// Validate { concurrency, timeout (seconds), retries } for a kind of work from DEFAULT_CONCURRENCY
+function resolveQueueOptions(options = {}, kind = 'fs') {
+  const concurrency = options.concurrency !== undefined ? Number(options.concurrency) : DEFAULT_CONCURRENCY[kind];
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new ValidationError(`Invalid concurrency: ${options.concurrency}. Must be a whole number of at least 1.`, { option: 'concurrency' });
+  }
+  const seconds = options.timeout !== undefined ? Number(options.timeout) : 0;
+  if (!(seconds >= 0)) {
+    throw new ValidationError(`Invalid timeout: ${options.timeout}. Must be a number of seconds (0 for none).`, { option: 'timeout' });
+  }
+  const retries = options.retries !== undefined ? Number(options.retries) : 0;
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new ValidationError(`Invalid retries: ${options.retries}. Must be a whole number of at least 0.`, { option: 'retries' });
+  }
+  return { concurrency, timeoutMs: Math.round(seconds * 1000), retries };
+}
+
+function describeItem(item, index) {
+  return typeof item === 'string' ? path.basename(item) : `#${index + 1}`;
+}
+
+// Size of a job's file, or 0 when the item or value is not a path to an existing file
+async function fileSize(value) {
+  if (typeof value !== 'string') return 0;
+  return fs.stat(value).then(stats => (stats.isFile() ? stats.size : 0), () => 0);
+}
+
+// Run one job until it succeeds or runs out of attempts. On timeout the attempt's signal is aborted
+// so workers holding a child process can kill it; the same happens when one of the cancel signals is
+// aborted, and the job is then cancelled without retrying. A job the checkpoint has as done, with its
+// output intact, succeeds without running.
+async function runJob(job, worker, settings, label, progress, checkpoint, cancelSignals) {
+  const { timeoutMs, retries } = settings;
+  if (checkpoint) {
+    const output = await verifiedOutput(checkpoint, job.item);
+    if (output) {
+      Object.assign(job, { status: 'success', value: output, resumed: true });
+      if (progress) progress.finish(job.index, true);
+      return;
+    }
+  }
+  const bytesIn = progress ? await fileSize(job.item) : 0;
+  if (progress) progress.start(job.index, describeItem(job.item, job.index));
+  const report = percent => progress && progress.update(job.index, percent);
+  for (;;) {
+    job.attempts++;
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    cancelSignals.forEach(signal => signal.addEventListener('abort', abort, { once: true }));
+    try {
+      const work = Promise.resolve().then(() => worker(job.item, { attempt: job.attempts, signal: controller.signal, progress: report }));
+      job.value = timeoutMs > 0 ? await timeout(work, timeoutMs) : await work;
+      job.status = 'success';
+      job.error = null;
+      if (checkpoint) await markCheckpoint(checkpoint, job.item, 'done', job.value);
+      if (progress) progress.finish(job.index, true, { bytesIn, bytesOut: job.value !== job.item ? await fileSize(job.value) : bytesIn });
+      return;
+    } catch (error) {
+      if (cancelSignals.some(signal => signal.aborted)) {
+        job.status = 'cancelled';
+        job.error = error instanceof CancelledError ? error : new CancelledError();
+        if (progress) progress.finish(job.index, false);
+        return;
+      }
+      job.timedOut = error instanceof TimeoutError;
+      if (job.timedOut) controller.abort();
+      job.error = job.timedOut ? new Error(`Timed out after ${timeoutMs / 1000}s`) : error;
+      if (job.attempts > retries) {
+        job.status = 'failed';
+        if (checkpoint) await markCheckpoint(checkpoint, job.item, 'failed', job.error);
+        if (progress) progress.finish(job.index, false);
+        return;
+      }
+      log('WARN', `Retrying ${label} ${describeItem(job.item, job.index)} (attempt ${job.attempts + 1} of ${retries + 1}): ${job.error.message}`);
+    } finally {
+      cancelSignals.forEach(signal => signal.removeEventListener('abort', abort));
+    }
+  }
+}
+
+// Run worker(item, { attempt, signal, progress }) for every item. The worker resolves to the job's value
+// (usually the output path) and throws to fail the attempt; it may call progress(percent) while it runs.
+// Resolves to an aggregated summary whose `jobs` keep the order of `items`:
+// { batchId, total, succeeded, resumed, failed, cancelled, retried, timedOut, concurrency, durationMs, jobs },
+// where resumed counts the jobs a checkpoint already had done (they are included in succeeded) and cancelled
+// the jobs stopped or never started because the run was cancelled (their status is 'cancelled').
+// Log lines written during the batch carry its batchId, and the worker's lines also carry the job's file.
+// options: { kind, label, quiet, checkpoint, signal, concurrency, timeout, retries }; signal is an AbortSignal
+// that cancels the run like Ctrl-C does. quiet logs the summary at
+// DEBUG and shows no progress (see progressUtils). The worker's value must be the output path when a
+// checkpoint is given, since its size and hash are recorded.
+async function runJobs(items, worker, options = {}) {
+  const settings = resolveQueueOptions(options, options.kind);
+  const label = options.label || 'job';
+  const batchId = createCorrelationId();
+  const startTime = Date.now();
+  const jobs = items.map((item, index) => ({ item, index, status: 'pending', attempts: 0, value: null, error: null, timedOut: false, resumed: false }));
+
+  const progress = options.quiet || jobs.length === 0 ? null : createProgress(label, jobs.length);
+  const cancelSignals = [cancelSignal(), options.signal].filter(Boolean);
+  const cancelled = () => cancelSignals.some(signal => signal.aborted);
+  let next = 0;
+  const lane = async () => {
+    while (next < jobs.length && !cancelled()) {
+      const job = jobs[next++];
+      await runWithLogContext({ job: describeItem(job.item, job.index) }, () => runJob(job, worker, settings, label, progress, options.checkpoint, cancelSignals));
+    }
+  };
+  const lanes = Math.min(settings.concurrency, jobs.length);
+  await runWithLogContext({ batchId }, async () => {
+    log('DEBUG', `Running ${jobs.length} ${label} jobs, ${lanes} at a time (timeout: ${settings.timeoutMs ? `${settings.timeoutMs / 1000}s` : 'none'}, retries: ${settings.retries}, batch: ${batchId})`);
+    const endOperation = beginOperation();
+    try {
+      await Promise.all(Array.from({ length: lanes }, lane));
+    } finally {
+      endOperation();
+      if (progress) progress.stop();
+    }
+    for (const job of jobs) {
+      if (job.status === 'pending') Object.assign(job, { status: 'cancelled', error: new CancelledError() });
+    }
+    if (options.checkpoint) await finishCheckpoint(options.checkpoint);
+  });
+
+  const summary = {
+    batchId,
+    total: jobs.length,
+    succeeded: jobs.filter(job => job.status === 'success').length,
+    resumed: jobs.filter(job => job.resumed).length,
+    failed: jobs.filter(job => job.status === 'failed').length,
+    cancelled: jobs.filter(job => job.status === 'cancelled').length,
+    retried: jobs.filter(job => job.attempts > 1).length,
+    timedOut: jobs.filter(job => job.status === 'failed' && job.timedOut).length,
+    concurrency: settings.concurrency,
+    durationMs: Date.now() - startTime,
+    jobs,
+  };
+  runWithLogContext({ batchId }, () => logSummary(label, summary, options.quiet ? 'DEBUG' : 'INFO'));
+  return summary;
+}
+
+// Add up several runJobs summaries, e.g. one per pass of a feature that queues work in rounds
+function mergeSummaries(summaries) {
+  const totals = { total: 0, succeeded: 0, resumed: 0, failed: 0, cancelled: 0, retried: 0, timedOut: 0, concurrency: 0, durationMs: 0 };
+  for (const summary of summaries) {
+    for (const key of Object.keys(totals)) {
+      totals[key] = key === 'concurrency' ? Math.max(totals[key], summary[key]) : totals[key] + summary[key];
+    }
+  }
+  return totals;
+}
+
+function logSummary(label, summary, level = 'INFO') {
+  if (summary.total === 0) return;
+  if (summary.cancelled > 0) {
+    log('WARN', `Cancelled ${label} jobs after ${(summary.durationMs / 1000).toFixed(1)}s: ${summary.succeeded} of ${summary.total} succeeded${summary.resumed ? ` (${summary.resumed} already done)` : ''}, ${summary.failed} failed, ${summary.cancelled} not finished`);
+    return;
+  }
+  log(level, `Finished ${summary.total} ${label} jobs in ${(summary.durationMs / 1000).toFixed(1)}s: ${summary.succeeded} succeeded${summary.resumed ? ` (${summary.resumed} already done)` : ''}, ${summary.failed} failed (${summary.retried} retried, ${summary.timedOut} timed out)`);
+}
+
+module.exports = { DEFAULT_CONCURRENCY, QUEUE_FLAGS, queueOptions, resolveQueueOptions, runJobs, mergeSummaries, logSummary };
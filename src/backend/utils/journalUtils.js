@@ -0,0 +1,116 @@
+// Operation journals for the features that rename, move or delete files. Every run that changes files
+// saves a journal to json/journal listing each change with a timestamp and the file's SHA-256, so the
+// Undo feature can replay it in reverse. Deleted files are moved into bin/trash/<journal id> rather than
+// unlinked, which keeps them recoverable until the trash is emptied.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logUtils');
+const { PathError } = require('./errorUtils');
+const { hashFile, movePath } = require('./fileUtils');
+
+const BASE_DIR = path.join(__dirname, '..', '..', '..');
+const JOURNAL_DIR = path.join(BASE_DIR, 'json', 'journal');
+const TRASH_DIR = path.join(BASE_DIR, 'bin', 'trash');
+
+// Journal ids start with a compact UTC timestamp so they sort in the order the runs started
+function createJournal(feature) {
+  const startedAt = new Date();
+  const stamp = startedAt.toISOString().replace(/[-:.TZ]/g, '');
+  return { id: `${stamp}-${feature}`, feature, startedAt: startedAt.toISOString(), finishedAt: null, undoneAt: null, entries: [] };
+}
+
+// Move or rename a file and record it. The hash is taken before the move so it describes the content
+// the journal put at `destination`. A file already at `destination` (kept by --on-conflict overwrite,
+// see conflictUtils) goes to the trash first, so undo brings it back too. The inode check keeps a
+// case-only rename on a case-insensitive disk from trashing the file itself.
+async function journaledMove(journal, type, source, destination) {
+  const hash = await hashFile(source);
+  const existing = type === 'delete' ? null : await fs.stat(destination).catch(() => null);
+  if (existing) {
+    const sourceStats = await fs.stat(source);
+    if (existing.ino !== sourceStats.ino || existing.dev !== sourceStats.dev) await trashFile(journal, destination);
+  }
+  await movePath(source, destination);
+  journal.entries.push({ type, source, destination, hash, at: new Date().toISOString() });
+  return destination;
+}
+
+// Before a batch of renames (a Map of source -> destination), move every source another rename's destination
+// points at to a temporary name next to it, so the renames can then run in any order, chains and swaps
+// included. Resolves to a Map of source -> path to rename from. When a move fails the journal is saved, so
+// undo can put back what was moved.
+async function vacateSources(journal, renames) {
+  const destinations = new Set([...renames].filter(([source, destination]) => source !== destination).map(([, destination]) => destination));
+  const from = new Map();
+  try {
+    for (const [source, destination] of renames) {
+      if (source === destination || !destinations.has(source)) continue;
+      const temporary = path.join(path.dirname(source), `.${path.basename(source)}.${journal.id}.tmp`);
+      from.set(source, await journaledMove(journal, 'rename', source, temporary));
+      log('DEBUG', `Moved ${source} out of the way to ${temporary}`);
+    }
+  } catch (error) {
+    await saveJournal(journal);
+    throw error;
+  }
+  return from;
+}
+
+// Move a file into the journal's trash folder instead of deleting it. A random prefix keeps files with
+// the same name from different directories apart.
+async function trashFile(journal, filePath) {
+  const trashPath = path.join(TRASH_DIR, journal.id, `${crypto.randomBytes(4).toString('hex')}-${path.basename(filePath)}`);
+  return journaledMove(journal, 'delete', filePath, trashPath);
+}
+
+function journalPath(id) {
+  return path.join(JOURNAL_DIR, `${id}.json`);
+}
+
+// Write the journal, skipping runs that changed nothing. Resolves to the journal's path or null.
+async function saveJournal(journal) {
+  if (journal.entries.length === 0) return null;
+  journal.finishedAt = journal.finishedAt || new Date().toISOString();
+  const filePath = journalPath(journal.id);
+  await fs.mkdir(JOURNAL_DIR, { recursive: true });
+  await fs.writeFile(`${filePath}.tmp`, JSON.stringify(journal, null, 2));
+  await fs.rename(`${filePath}.tmp`, filePath);
+  log('DEBUG', `Journal saved to: ${filePath}`);
+  return filePath;
+}
+
+// All saved journals, newest first
+async function listJournals() {
+  let files;
+  try {
+    files = await fs.readdir(JOURNAL_DIR);
+  } catch {
+    return [];
+  }
+  const journals = [];
+  for (const file of files.filter(file => file.endsWith('.json')).sort().reverse()) {
+    try {
+      journals.push(JSON.parse(await fs.readFile(path.join(JOURNAL_DIR, file), 'utf8')));
+    } catch (error) {
+      log('WARN', `Skipping unreadable journal ${file}: ${error.message}`);
+    }
+  }
+  return journals;
+}
+
+// Load a journal by id, or the newest one that has not been undone when no id is given
+async function loadJournal(id = null) {
+  if (id) {
+    try {
+      return JSON.parse(await fs.readFile(journalPath(path.basename(String(id), '.json')), 'utf8'));
+    } catch {
+      throw new PathError(`Journal not found: ${id}`, { path: journalPath(id) });
+    }
+  }
+  const journals = await listJournals();
+  return journals.find(journal => !journal.undoneAt) || null;
+}
+
+module.exports = { JOURNAL_DIR, TRASH_DIR, createJournal, journaledMove, vacateSources, trashFile, saveJournal, listJournals, loadJournal };
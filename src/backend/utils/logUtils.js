@@ -1,27 +1,158 @@
+// Console and file logging. The console gets coloured text; the log file (logs/file-manipulator.log) gets
+// one JSON object per line: { time, level, message, runId, ...context }. Every process has its own runId,
+// and runWithLogContext() adds fields such as a batch id to everything logged inside it, so the lines of
+// one run or batch job can be picked out of the shared file. With --json every console line goes to
+// stderr, leaving stdout to the run reports (see reportUtils).
+//
+// Settings come from the environment (.env):
+//   LOG_LEVEL           debug | info | warn | error (default info; --verbose means debug)
+//   LOG_MAX_SIZE_MB     rotate the log file once it grows past this size (default 5)
+//   LOG_RETENTION_DAYS  delete rotated files older than this (default 14)
+//   LOG_MAX_FILES       keep at most this many rotated files (default 10)
+
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40 };
+const LOG_FILE_NAME = 'file-manipulator.log';
+const ROTATED_FILE = /^file-manipulator-\d{8}T\d{6}(-\d+)?\.log$|^execution-\d{14}\.log$/;
 
-let verbose = false;
+let minLevel = resolveLevel(process.env.LOG_LEVEL);
 let logFilePath = null;
+let rotation = { maxBytes: 0, retentionDays: 0, maxFiles: 0 };
+let fileSize = 0;
+let writeQueue = Promise.resolve(); // File writes run one after another so rotation never splits a line
+let statusLine = null; // Live progress line kept below the log output (see progressUtils)
+let consoleToStderr = false;
+let consoleOn = true; // Off while the library entry point is used, unless the host turns it on
+const runId = createCorrelationId();
+const context = new AsyncLocalStorage();
+
+function createCorrelationId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+function resolveLevel(name, fallback = 'INFO') {
+  const level = String(name || '').toUpperCase();
+  return LEVELS[level] !== undefined ? level : fallback;
+}
+
+function numberSetting(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && value >= 0 ? value : fallback;
+}
 
 function setupConsoleLogging(args = process.argv.slice(2), logDir) {
-  verbose = args.includes('--verbose');
-  const timestamp = new Date().toISOString().replace(/[-:T.]/g, '').slice(0, 14);
-  logFilePath = path.join(logDir, `execution-${timestamp}.log`);
-  console.log(`Logging initialized. Verbose mode: ${verbose ? 'ON' : 'OFF'}, Log file: ${logFilePath}`);
-  // Initial log to file
-  const initialMessage = `[${new Date().toISOString()}] INFO: Logging initialized. Verbose mode: ${verbose ? 'ON' : 'OFF'}`;
-  fs.writeFile(logFilePath, initialMessage + '\n', { flag: 'a' }).catch(err => console.error(`Failed to write initial log: ${err.message}`));
+  consoleOn = true;
+  minLevel = args.includes('--verbose') ? 'DEBUG' : resolveLevel(process.env.LOG_LEVEL);
+  consoleToStderr = args.includes('--json');
+  if (process.env.LOG_LEVEL && resolveLevel(process.env.LOG_LEVEL, null) === null) {
+    console.warn(`Ignoring unknown LOG_LEVEL "${process.env.LOG_LEVEL}". Use debug, info, warn or error.`);
+  }
+  rotation = {
+    maxBytes: numberSetting('LOG_MAX_SIZE_MB', 5) * 1024 * 1024,
+    retentionDays: numberSetting('LOG_RETENTION_DAYS', 14),
+    maxFiles: numberSetting('LOG_MAX_FILES', 10),
+  };
+  logFilePath = logDir ? path.join(logDir, LOG_FILE_NAME) : null;
+  (consoleToStderr ? console.error : console.log)(`Logging initialized. Level: ${minLevel}, Log file: ${logFilePath || 'none'}, Run ID: ${runId}`);
+  if (logFilePath) {
+    enqueueWrite(async () => {
+      await fs.mkdir(logDir, { recursive: true });
+      fileSize = await fs.stat(logFilePath).then(stats => stats.size, () => 0);
+      if (rotation.maxBytes > 0 && fileSize >= rotation.maxBytes) await rotateLogFile();
+      await pruneLogFiles();
+    });
+    log('INFO', `Logging initialized. Level: ${minLevel}`, { args });
+  }
 }
 
-async function log(level, message) {
-  const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] ${level}: ${message}`;
+// Print log lines at `level` (debug | info | warn | error) and above, or nothing with null. The library
+// entry point (src/index.js) starts with null so a host's stdout only gets what it asks for.
+function setConsoleLevel(level) {
+  consoleOn = level !== null;
+  if (consoleOn) minLevel = resolveLevel(level, minLevel);
+}
 
-  // Console output
+function enqueueWrite(task) {
+  writeQueue = writeQueue.then(task).catch(err => console.error(`Failed to write to log file ${logFilePath}: ${err.message}`));
+  return writeQueue;
+}
+
+// Move the current log file aside under a timestamped name and start a new one
+async function rotateLogFile() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+  const dir = path.dirname(logFilePath);
+  let target = path.join(dir, `file-manipulator-${stamp}.log`);
+  for (let n = 1; await fs.access(target).then(() => true, () => false); n++) {
+    target = path.join(dir, `file-manipulator-${stamp}-${n}.log`);
+  }
+  await fs.rename(logFilePath, target).catch(err => {
+    if (err.code !== 'ENOENT') throw err;
+  });
+  fileSize = 0;
+}
+
+// Delete rotated log files (and the per-run execution-*.log files of older versions) past the retention
+// age or beyond the newest LOG_MAX_FILES
+async function pruneLogFiles() {
+  const dir = path.dirname(logFilePath);
+  const names = (await fs.readdir(dir)).filter(name => ROTATED_FILE.test(name));
+  const files = await Promise.all(names.map(async name => {
+    const filePath = path.join(dir, name);
+    return { filePath, mtime: (await fs.stat(filePath)).mtimeMs };
+  }));
+  files.sort((a, b) => b.mtime - a.mtime);
+  const cutoff = Date.now() - rotation.retentionDays * 24 * 60 * 60 * 1000;
+  for (const [index, file] of files.entries()) {
+    const expired = rotation.retentionDays > 0 && file.mtime < cutoff;
+    const surplus = rotation.maxFiles > 0 && index >= rotation.maxFiles;
+    if (expired || surplus) await fs.unlink(file.filePath).catch(() => {});
+  }
+}
+
+// Resolves once every log line so far is in the log file; await it before process.exit()
+function flushLogs() {
+  return writeQueue;
+}
+
+// Run fn with extra fields (e.g. { batchId }) added to every log line it writes, including lines from
+// async work it starts. Nested contexts add to the outer one.
+function runWithLogContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Rewrite absolute paths inside basePath as paths relative to it, e.g. /home/me/app/bin/a.jpg -> bin/a.jpg
+function sanitizePaths(message, basePath) {
+  if (!basePath) return message;
+  const base = path.resolve(basePath);
+  if (base === path.parse(base).root) return message;
+  const pattern = new RegExp(`${escapeRegExp(base)}(?:[\\\\/]|(?![\\w.-]))`, 'g');
+  return message.replace(pattern, match => (match === base ? '.' : ''));
+}
+
+// Show a line that stays at the bottom of the terminal and is redrawn after every log message.
+// Pass null to remove it.
+function setStatusLine(text) {
+  if (!consoleOn) return;
+  if (statusLine !== null || text !== null) process.stdout.write('\r\x1b[2K');
+  statusLine = text;
+  if (statusLine !== null) process.stdout.write(statusLine);
+}
+
+// Print a line in the colour of its level, clearing the status line first so the line does not end up on it
+function printLine(level, logMessage) {
+  if (statusLine !== null) process.stdout.write('\r\x1b[2K');
+  const print = consoleToStderr ? console.error : console.log;
   switch (level) {
     case 'INFO':
-      console.log(`\x1b[32m${logMessage}\x1b[0m`); // Green
+      print(`\x1b[32m${logMessage}\x1b[0m`); // Green
       break;
     case 'WARN':
       console.warn(`\x1b[33m${logMessage}\x1b[0m`); // Yellow
@@ -30,22 +161,35 @@ async function log(level, message) {
       console.error(`\x1b[31m${logMessage}\x1b[0m`); // Red
       break;
     case 'DEBUG':
-      if (verbose) {
-        console.log(`\x1b[36m${logMessage}\x1b[0m`); // Cyan
-      }
+      print(`\x1b[36m${logMessage}\x1b[0m`); // Cyan
       break;
     default:
-      console.log(logMessage);
+      print(logMessage);
   }
+  if (statusLine !== null) process.stdout.write(statusLine);
+}
+
+// options: { basePath, sanitizePaths (default true when basePath is set), ...fields for the JSON line }
+async function log(level, message, options = {}) {
+  const { basePath, sanitizePaths: sanitize = Boolean(basePath), ...fields } = options;
+  if ((LEVELS[level] || LEVELS.INFO) < LEVELS[minLevel] || (!consoleOn && !logFilePath)) return;
+  const text = sanitize ? sanitizePaths(String(message), basePath) : String(message);
+  const timestamp = new Date().toISOString();
+
+  // Console output
+  if (consoleOn) printLine(level, `[${timestamp}] ${level}: ${text}`);
 
   // File output
-  if (logFilePath && (level !== 'DEBUG' || verbose)) {
-    try {
-      await fs.writeFile(logFilePath, logMessage + '\n', { flag: 'a' });
-    } catch (err) {
-      console.error(`Failed to write to log file ${logFilePath}: ${err.message}`);
+  if (!logFilePath) return;
+  const line = `${JSON.stringify({ time: timestamp, level, message: text, runId, ...context.getStore(), ...fields })}\n`;
+  await enqueueWrite(async () => {
+    if (rotation.maxBytes > 0 && fileSize > 0 && fileSize + Buffer.byteLength(line) > rotation.maxBytes) {
+      await rotateLogFile();
+      await pruneLogFiles();
     }
-  }
+    await fs.appendFile(logFilePath, line);
+    fileSize += Buffer.byteLength(line);
+  });
 }
 
-module.exports = { setupConsoleLogging, log };
\ No newline at end of file
+module.exports = { setupConsoleLogging, setConsoleLevel, log, flushLogs, setStatusLine, sanitizePaths, runWithLogContext, createCorrelationId, runId };
@@ -0,0 +1,213 @@
+// Path safety policy shared by every feature. Each input and output path a user gives is checked twice,
+// once as given and once with symlinks resolved, against these rules:
+//   - the system directories in FORBIDDEN_DIRS, which are always denied
+//   - `pathPolicy` in json/config.json: { "allow": [dirs], "deny": [dirs], "sandbox": dir }
+// The most specific matching directory decides, so `deny: ["/media"]` with `allow: ["/media/photos"]`
+// only lets the photos folder through. When `allow` lists any directory, paths outside all of them are
+// denied. With a sandbox every path must be inside it. The app's own bin, json and logs folders are
+// always allowed. Relative directories in the config are resolved against the project folder and `~` is
+// the home folder. A violation throws a PathError with the same message wherever it is found.
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PathError, ValidationError } = require('./errorUtils');
+
+const BASE_DIR = path.join(__dirname, '..', '..', '..');
+const CONFIG_PATH = path.join(BASE_DIR, 'json', 'config.json');
+const WORKSPACE_DIRS = ['bin', 'json', 'logs'].map(dir => path.join(BASE_DIR, dir));
+
+const FORBIDDEN_DIRS = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
+
+let cachedPolicy = null; // { mtimeMs, policy }, reloaded when json/config.json changes
+
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Whether `filePath` is `dir` or inside it. path.relative ignores case on Windows.
+function isInside(filePath, dir) {
+  const relative = path.relative(dir, filePath);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+// The real path of a file that may not exist yet: the deepest existing ancestor with symlinks resolved,
+// plus the rest of the path
+async function realPathOf(filePath) {
+  const rest = [];
+  let current = path.resolve(filePath);
+  for (;;) {
+    try {
+      return path.join(await fs.realpath(current), ...rest);
+    } catch {
+      const parent = path.dirname(current);
+      if (parent === current) return path.resolve(filePath);
+      rest.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+function expandHome(dir) {
+  return dir === '~' || dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+// A directory rule as written and with symlinks resolved, e.g. /var and /private/var on macOS
+async function ruleDirs(dir) {
+  const resolved = path.resolve(BASE_DIR, expandHome(dir));
+  const real = await realPathOf(resolved);
+  return real === resolved ? [resolved] : [resolved, real];
+}
+
+function configList(value, key) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some(dir => typeof dir !== 'string' || dir.trim() === '')) {
+    throw new ValidationError(`pathPolicy.${key} in ${CONFIG_PATH} must be an array of directory paths`, { option: `pathPolicy.${key}` });
+  }
+  return value;
+}
+
+// Load the policy from json/config.json. Resolves to { rules, hasAllowList, sandbox } where rules is a
+// list of { dir, type: 'allow' | 'deny', source: 'system' | 'config' | 'app' }. A config file that cannot
+// be parsed fails every check rather than silently dropping the user's rules.
+async function loadPathPolicy() {
+  const stats = await fs.stat(CONFIG_PATH).catch(() => null);
+  if (cachedPolicy && cachedPolicy.mtimeMs === (stats ? stats.mtimeMs : null)) return cachedPolicy.policy;
+
+  let config = {};
+  if (stats) {
+    try {
+      config = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
+    } catch (error) {
+      throw new ValidationError(`Cannot read the path policy in ${CONFIG_PATH}: ${error.message}`, { option: 'pathPolicy' });
+    }
+  }
+  const settings = config.pathPolicy || {};
+  if (settings.sandbox !== undefined && settings.sandbox !== null && (typeof settings.sandbox !== 'string' || settings.sandbox.trim() === '')) {
+    throw new ValidationError(`pathPolicy.sandbox in ${CONFIG_PATH} must be a directory path`, { option: 'pathPolicy.sandbox' });
+  }
+
+  const rules = [];
+  const addRules = async (dirs, type, source) => {
+    for (const dir of dirs) {
+      for (const ruleDir of await ruleDirs(dir)) rules.push({ dir: ruleDir, type, source });
+    }
+  };
+  await addRules(FORBIDDEN_DIRS.filter(dir => path.isAbsolute(dir)), 'deny', 'system');
+  await addRules(configList(settings.deny, 'deny'), 'deny', 'config');
+  await addRules(configList(settings.allow, 'allow'), 'allow', 'config');
+  await addRules(WORKSPACE_DIRS, 'allow', 'app');
+
+  const policy = {
+    rules,
+    hasAllowList: configList(settings.allow, 'allow').length > 0,
+    sandbox: settings.sandbox ? await ruleDirs(settings.sandbox) : null,
+  };
+  cachedPolicy = { mtimeMs: stats ? stats.mtimeMs : null, policy };
+  return policy;
+}
+
+// Why one form of a path (as given or resolved) breaks the policy, or null when it is allowed
+function ruleViolation(filePath, policy) {
+  const matches = policy.rules.filter(rule => isInside(filePath, rule.dir));
+  // Longest directory first; on a tie deny wins
+  matches.sort((a, b) => b.dir.length - a.dir.length || (a.type === 'deny' ? -1 : 1));
+  const rule = matches[0];
+  if (rule && rule.source === 'app') return null;
+  if (policy.sandbox && !policy.sandbox.some(dir => isInside(filePath, dir))) {
+    return { rule: 'sandbox', reason: `it is outside the sandbox ${policy.sandbox[0]} set in json/config.json` };
+  }
+  if (rule && rule.type === 'deny') {
+    return rule.source === 'system'
+      ? { rule: 'system', reason: `it is in the system directory ${rule.dir}` }
+      : { rule: 'deny', reason: `it is in ${rule.dir}, which json/config.json denies` };
+  }
+  if (!rule && policy.hasAllowList) {
+    return { rule: 'allow', reason: 'it is not inside any directory json/config.json allows' };
+  }
+  return null;
+}
+
+// Check a path against the policy. Resolves to null when it is allowed, otherwise to
+// { path, realPath, rule, message } where rule is 'system', 'deny', 'allow' or 'sandbox'.
+async function checkPath(filePath, label = 'Path') {
+  const policy = await loadPathPolicy();
+  const resolvedPath = path.resolve(filePath);
+  const realPath = await realPathOf(resolvedPath);
+  for (const form of realPath === resolvedPath ? [resolvedPath] : [resolvedPath, realPath]) {
+    const violation = ruleViolation(form, policy);
+    if (violation) {
+      const shown = form === resolvedPath ? resolvedPath : `${resolvedPath} (links to ${realPath})`;
+      return { path: resolvedPath, realPath, rule: violation.rule, message: `${label} ${shown} is not allowed: ${violation.reason}.` };
+    }
+  }
+  return null;
+}
+
+// Whether an allow rule names a directory inside `dir`, so a walk has to enter `dir` even when it is denied
+async function hasAllowedInside(dir) {
+  const policy = await loadPathPolicy();
+  const resolvedDir = path.resolve(dir);
+  return policy.rules.some(rule => rule.type === 'allow' && rule.dir !== resolvedDir && isInside(rule.dir, resolvedDir));
+}
+
+// The policy message for a path, or null when it is allowed; for prompt validators
+async function pathViolation(filePath, label = 'Path') {
+  const violation = await checkPath(filePath, label);
+  return violation ? violation.message : null;
+}
+
+async function isForbiddenPath(filePath) {
+  return (await checkPath(filePath)) !== null;
+}
+
+// Resolve a path and throw a PathError when the policy does not allow it
+async function assertPathAllowed(filePath, label = 'Path', option) {
+  const violation = await checkPath(filePath, label);
+  if (violation) {
+    throw new PathError(violation.message, { path: violation.path, realPath: violation.realPath, rule: violation.rule, ...(option ? { option } : {}) });
+  }
+  return path.resolve(filePath);
+}
+
+// Resolve an input file or directory, throwing when it is missing, not found or not allowed
+async function resolveInputPath(input, label = 'Input path') {
+  if (!input || typeof input !== 'string') {
+    throw new ValidationError(`${label} is required`, { option: 'input' });
+  }
+  const inputPath = await assertPathAllowed(input, label, 'input');
+  if (!(await pathExists(inputPath))) {
+    throw new PathError(`${label} not found: ${inputPath}`, { path: inputPath });
+  }
+  return inputPath;
+}
+
+// Resolve an output directory and create it (unless `create` is false, e.g. on a dry run), throwing
+// when it is missing or not allowed
+async function resolveOutputDir(output, label = 'Output directory', { create = true } = {}) {
+  if (!output || typeof output !== 'string') {
+    throw new ValidationError(`${label} is required`, { option: 'output' });
+  }
+  const outputDir = await assertPathAllowed(output, label, 'output');
+  if (create) await fs.mkdir(outputDir, { recursive: true });
+  return outputDir;
+}
+
+module.exports = {
+  FORBIDDEN_DIRS,
+  pathExists,
+  isInside,
+  loadPathPolicy,
+  checkPath,
+  hasAllowedInside,
+  pathViolation,
+  isForbiddenPath,
+  assertPathAllowed,
+  resolveInputPath,
+  resolveOutputDir,
+};
@@ -0,0 +1,80 @@
+// Plans for the features that rename, move or delete files. A feature builds its plan before touching
+// anything, then either prints it (dry run) or carries it out, so both see exactly the same actions.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { log } = require('./logUtils');
+const { pathExists, assertPathAllowed } = require('./pathUtils');
+
+function createPlan(feature, baseDir) {
+  return { feature, baseDir, createdAt: new Date().toISOString(), actions: [] };
+}
+
+// type: 'rename' | 'move' | 'delete'. Deletes have no destination.
+function addAction(plan, type, source, destination = null) {
+  plan.actions.push({ type, source, destination, conflict: null });
+}
+
+// Flag actions that would overwrite a file: two actions writing the same destination, or a destination
+// that already exists. A destination that another rename moves away is free, since renames clear such
+// sources out of the way first (see vacateSources in journalUtils).
+async function findConflicts(plan) {
+  const vacated = new Set(plan.actions.filter(action => action.type === 'rename' && action.destination !== action.source).map(action => action.source));
+  const targets = new Map();
+  for (const action of plan.actions.filter(action => action.destination)) {
+    targets.set(action.destination, (targets.get(action.destination) || 0) + 1);
+  }
+  for (const action of plan.actions.filter(action => action.destination)) {
+    if (targets.get(action.destination) > 1) {
+      action.conflict = 'duplicate target';
+    } else if (action.destination !== action.source && !vacated.has(action.destination) && await pathExists(action.destination)) {
+      action.conflict = 'target exists';
+    }
+  }
+  return plan.actions.filter(action => action.conflict).length;
+}
+
+// Render the plan as a table of action, source, destination and conflict. Paths inside the plan's baseDir
+// are shown relative to it.
+function formatPlan(plan) {
+  const display = (file) => {
+    if (!file) return '-';
+    const relative = path.relative(plan.baseDir, file);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? file : relative;
+  };
+  const rows = [['ACTION', 'SOURCE', 'DESTINATION', 'CONFLICT']];
+  for (const action of plan.actions) {
+    rows.push([action.type, display(action.source), action.type === 'delete' ? 'delete' : display(action.destination), action.conflict || '']);
+  }
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+}
+
+async function writePlan(plan, planFile) {
+  const planPath = await assertPathAllowed(planFile, 'Plan file', 'planFile');
+  await fs.mkdir(path.dirname(planPath), { recursive: true });
+  await fs.writeFile(planPath, JSON.stringify(plan, null, 2));
+  log('INFO', `Plan saved to: ${planPath}`);
+  return planPath;
+}
+
+// Pick the dry-run options out of parsed feature flags: --dry-run and --plan <file>
+function planOptions(params) {
+  return { dryRun: Boolean(params['dry-run']), planFile: params['plan'] || null };
+}
+
+// Check a finished plan for conflicts, print it on a dry run and write it to options.planFile when set.
+// options: { dryRun, planFile }
+async function reviewPlan(plan, options = {}) {
+  const conflicts = await findConflicts(plan);
+  if (options.dryRun) {
+    log('INFO', `Dry run: ${plan.actions.length} planned action${plan.actions.length === 1 ? '' : 's'}, ${conflicts} conflict${conflicts === 1 ? '' : 's'}. Nothing was changed.`);
+    if (plan.actions.length > 0) log('INFO', `\n${formatPlan(plan)}`);
+  } else if (conflicts > 0) {
+    log('WARN', `${conflicts} planned action${conflicts === 1 ? '' : 's'} would overwrite an existing file. Run with --dry-run to review them.`);
+  }
+  if (options.planFile) await writePlan(plan, options.planFile);
+  return plan;
+}
+
+module.exports = { createPlan, addAction, findConflicts, formatPlan, writePlan, planOptions, reviewPlan };
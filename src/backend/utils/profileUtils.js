@@ -0,0 +1,97 @@
+// Named parameter profiles, saved under `profiles` in json/config.json next to the image generators'
+// last-used choices. A profile has the shape of a recipe step: a command from commands.js, optionally
+// the positional args it applies to, and flag values, e.g.
+//   "web-thumbnails": { "command": "resize", "args": ["images"], "width": 400, "height": 400, "method": "crop" }
+// Commands and menus fill in the flags a profile holds; flags given explicitly still win.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { log } = require('./logUtils');
+const { ValidationError } = require('./errorUtils');
+
+const BASE_DIR = path.join(__dirname, '..', '..', '..');
+const CONFIG_PATH = path.join(BASE_DIR, 'json', 'config.json');
+
+// The whole config file, or an empty one when it does not exist yet
+async function readConfig() {
+  let data;
+  try {
+    data = await fs.readFile(CONFIG_PATH, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new ValidationError(`${path.relative(BASE_DIR, CONFIG_PATH)} is not valid JSON: ${error.message}`, { option: 'profile' });
+  }
+}
+
+async function writeConfig(config) {
+  await fs.mkdir(path.dirname(CONFIG_PATH), { recursive: true });
+  await fs.writeFile(CONFIG_PATH, JSON.stringify(config, null, 2));
+}
+
+async function loadProfiles() {
+  const config = await readConfig();
+  return config.profiles || {};
+}
+
+async function getProfile(name) {
+  const profiles = await loadProfiles();
+  const profile = profiles[name];
+  if (!profile) {
+    const names = Object.keys(profiles);
+    throw new ValidationError(`Unknown profile: ${name}. ${names.length ? `Saved profiles: ${names.join(', ')}` : 'No profiles are saved yet.'}`, { option: 'profile' });
+  }
+  return profile;
+}
+
+// Flag values of a profile, without its command and args
+function profileFlags(profile) {
+  const { command, args, ...flags } = profile;
+  return flags;
+}
+
+// Whether a profile is for `command` and, when it names positional args, for these ones
+function profileMatches(profile, command, positionals = []) {
+  if (profile.command !== command) return false;
+  return !profile.args || profile.args.every((arg, index) => positionals[index] === undefined || String(arg).toLowerCase() === positionals[index]);
+}
+
+// One-line description, e.g. "resize images --width 400 --height 400 --method crop"
+function describeProfile(profile) {
+  const flags = Object.entries(profileFlags(profile)).map(([flag, value]) => (value === true ? `--${flag}` : `--${flag} ${value}`));
+  return [profile.command, ...(profile.args || []), ...flags].join(' ');
+}
+
+async function saveProfile(name, profile) {
+  if (!name || !String(name).trim()) {
+    throw new ValidationError('A profile needs a name', { option: 'profile' });
+  }
+  if (!profile || !profile.command) {
+    throw new ValidationError(`Profile ${name} needs a command`, { option: 'profile' });
+  }
+  const config = await readConfig();
+  config.profiles = { ...config.profiles, [name]: profile };
+  await writeConfig(config);
+  log('DEBUG', `Saved profile ${name}: ${describeProfile(profile)}`);
+}
+
+async function cloneProfile(name, newName) {
+  const profile = await getProfile(name);
+  await saveProfile(newName, JSON.parse(JSON.stringify(profile)));
+}
+
+async function deleteProfile(name) {
+  const config = await readConfig();
+  if (!config.profiles || !config.profiles[name]) {
+    throw new ValidationError(`Unknown profile: ${name}`, { option: 'profile' });
+  }
+  delete config.profiles[name];
+  await writeConfig(config);
+  log('DEBUG', `Deleted profile ${name}`);
+}
+
+module.exports = { CONFIG_PATH, loadProfiles, getProfile, profileFlags, profileMatches, describeProfile, saveProfile, cloneProfile, deleteProfile };
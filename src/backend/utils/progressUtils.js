@@ -0,0 +1,125 @@
+// Live progress for the batch features. runJobs (see jobUtils) creates one tracker per batch; workers
+// report per-file percentages (e.g. from FFmpeg `progress` events) through the `progress` callback they
+// are given. On a terminal the tracker draws a status line with the batch bar and the files in flight;
+// when stdout is not a terminal or --json output was requested it logs a plain progress line instead
+// every few seconds.
+
+const { log, setStatusLine } = require('./logUtils');
+
+const BAR_WIDTH = 20;
+const BAR_REFRESH_MS = 250;
+const PLAIN_INTERVAL_MS = 5000;
+
+let plainOutput = !process.stdout.isTTY;
+
+// Pick the output style from the command-line args: plain lines for --json or when stdout is redirected
+function setupProgress(args = process.argv.slice(2)) {
+  plainOutput = args.includes('--json') || !process.stdout.isTTY;
+}
+
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return '--:--';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function formatBytes(bytes) {
+  const size = Math.abs(bytes);
+  if (size >= 1024 ** 3) return `${(size / 1024 ** 3).toFixed(1)}GB`;
+  if (size >= 1024 ** 2) return `${(size / 1024 ** 2).toFixed(1)}MB`;
+  if (size >= 1024) return `${(size / 1024).toFixed(1)}KB`;
+  return `${size}B`;
+}
+
+// Seconds left for work that is `percent` done after `elapsedMs`
+function estimateRemaining(elapsedMs, percent) {
+  return percent > 0 ? (elapsedMs / 1000) * (100 - percent) / percent : Infinity;
+}
+
+// Track a batch of `total` files. Every file is started, optionally updated with a percentage and
+// finished with its input and output sizes; stop() removes the status line.
+function createProgress(label, total) {
+  const state = {
+    done: 0,
+    failed: 0,
+    startTime: Date.now(),
+    bytesIn: 0,
+    bytesOut: 0,
+    active: new Map(), // key -> { name, percent, startTime }
+    lastDraw: 0,
+  };
+
+  // Files done count fully and files in flight by their percentage, so the ETA moves during long encodes
+  const describe = () => {
+    const finished = state.done + state.failed;
+    const inFlight = [...state.active.values()].reduce((sum, file) => sum + (file.percent || 0) / 100, 0);
+    const percent = total > 0 ? Math.min(100, ((finished + inFlight) / total) * 100) : 100;
+    const elapsedMs = Date.now() - state.startTime;
+    const parts = [`${finished}/${total} files (${Math.floor(percent)}%)`];
+    if (state.bytesIn > 0 && elapsedMs > 0) {
+      parts.push(`${formatBytes(state.bytesIn / (elapsedMs / 1000))}/s`);
+    } else if (finished > 0) {
+      parts.push(`${(finished / (elapsedMs / 60000)).toFixed(1)} files/min`);
+    }
+    const saved = state.bytesIn - state.bytesOut;
+    if (state.bytesOut > 0 && saved !== 0) parts.push(`${saved > 0 ? 'saved' : 'added'} ${formatBytes(saved)}`);
+    if (finished < total) parts.push(`ETA ${formatDuration(estimateRemaining(elapsedMs, percent))}`);
+    const files = [...state.active.values()].map(file => (file.percent === null
+      ? file.name
+      : `${file.name} ${Math.floor(file.percent)}% ETA ${formatDuration(estimateRemaining(Date.now() - file.startTime, file.percent))}`));
+    return { percent, summary: parts.join(', '), files };
+  };
+
+  const draw = (force = false) => {
+    if (plainOutput || (!force && Date.now() - state.lastDraw < BAR_REFRESH_MS)) return;
+    state.lastDraw = Date.now();
+    const { percent, summary, files } = describe();
+    const filled = Math.round((percent / 100) * BAR_WIDTH);
+    const line = `${label} [${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ${summary}${files.length > 0 ? ` | ${files.join(' | ')}` : ''}`;
+    const width = (process.stdout.columns || 80) - 1;
+    setStatusLine(line.length > width ? `${line.slice(0, width - 3)}...` : line);
+  };
+
+  const timer = setInterval(() => {
+    if (plainOutput) {
+      const { summary, files } = describe();
+      log('INFO', `Progress: ${label} ${summary}${files.length > 0 ? `; ${files.join('; ')}` : ''}`);
+    } else {
+      draw(true);
+    }
+  }, plainOutput ? PLAIN_INTERVAL_MS : BAR_REFRESH_MS * 4);
+  timer.unref();
+
+  return {
+    start(key, name) {
+      state.active.set(key, { name, percent: null, startTime: Date.now() });
+      draw();
+    },
+    update(key, percent) {
+      const file = state.active.get(key);
+      if (!file || !Number.isFinite(percent)) return;
+      file.percent = Math.max(0, Math.min(100, percent));
+      draw();
+    },
+    // sizes: { bytesIn, bytesOut } of the finished file, when known
+    finish(key, ok, sizes = {}) {
+      state.active.delete(key);
+      if (ok) state.done++;
+      else state.failed++;
+      if (ok && sizes.bytesIn > 0 && sizes.bytesOut > 0) {
+        state.bytesIn += sizes.bytesIn;
+        state.bytesOut += sizes.bytesOut;
+      }
+      draw(true);
+    },
+    stop() {
+      clearInterval(timer);
+      if (!plainOutput) setStatusLine(null);
+    },
+  };
+}
+
+module.exports = { setupProgress, createProgress, formatDuration, formatBytes };
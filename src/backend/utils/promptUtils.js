@@ -0,0 +1,26 @@
+const promptsLib = require('prompts');
+
+let interactive = true;
+
+function setInteractive(value) {
+  interactive = Boolean(value);
+}
+
+function isInteractive() {
+  return interactive;
+}
+
+// Drop-in replacement for prompts() that fails fast instead of waiting on stdin
+// when the app runs non-interactively (CLI subcommands, scripts, cron jobs).
+async function prompts(questions, options) {
+  if (!interactive) {
+    const pending = [].concat(questions).filter(question => question && question.type !== null);
+    if (pending.length > 0) {
+      const message = pending[0].message || pending[0].name;
+      throw new Error(`Missing required value in non-interactive mode: ${message}`);
+    }
+  }
+  return promptsLib(questions, options);
+}
+
+module.exports = { prompts, setInteractive, isInteractive };
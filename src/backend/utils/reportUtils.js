@@ -0,0 +1,125 @@
+// Run reports. Every feature ends by turning its result (see resultUtils) into a report: the inputs it
+// considered, what it processed, skipped (with the reason) and failed on (with the error), the paths it
+// wrote, bytes in and out and how long it took. Reports are saved to bin/reports/<id>.json. With --json
+// each report is also printed to stdout as one line of JSON; log lines then go to stderr (see logUtils),
+// so stdout holds nothing but reports. A run that stops on an error before it has a result gets a short
+// error report instead (see reportError).
+
+const fs = require('fs').promises;
+const path = require('path');
+const { log } = require('./logUtils');
+const { resultStatus } = require('./resultUtils');
+
+const BASE_DIR = path.join(__dirname, '..', '..', '..');
+const REPORT_DIR = path.join(BASE_DIR, 'bin', 'reports');
+
+let printReports = false;
+
+// Print reports to stdout when --json was given
+function setupReports(args = process.argv.slice(2)) {
+  printReports = args.includes('--json');
+}
+
+async function fileSize(filePath) {
+  if (!filePath) return 0;
+  return fs.stat(filePath).then(stats => (stats.isFile() ? stats.size : 0), () => 0);
+}
+
+// Build the report for a feature's result. A file that was moved or renamed is no longer at its input
+// path, so its input bytes are those of its output. Inputs that are not paths, such as the images of a
+// generation request, count no input bytes.
+async function buildReport(feature, result) {
+  const finishedAt = new Date();
+  const startedAt = result.startedAt ? new Date(result.startedAt) : finishedAt;
+  const processed = [];
+  let bytesIn = 0;
+  let bytesOut = 0;
+  for (const entry of result.processed) {
+    const outputBytes = await fileSize(entry.output);
+    const inputBytes = (await fileSize(entry.input)) || (path.isAbsolute(String(entry.input)) ? outputBytes : 0);
+    bytesIn += inputBytes;
+    bytesOut += outputBytes;
+    processed.push({ ...entry, bytesIn: inputBytes, bytesOut: outputBytes });
+  }
+  const inputs = new Set([...result.processed, ...result.skipped, ...result.failed].map(entry => entry.input));
+  const status = resultStatus(result);
+  const stamp = finishedAt.toISOString().replace(/[-:.TZ]/g, '');
+  const report = {
+    id: `${stamp}-${feature}`,
+    feature,
+    status,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    counts: {
+      inputs: inputs.size,
+      processed: result.processed.length,
+      skipped: result.skipped.length,
+      failed: result.failed.length,
+      outputs: result.outputs.length,
+    },
+    bytesIn,
+    bytesOut,
+    processed,
+    skipped: result.skipped,
+    failed: result.failed,
+    outputs: result.outputs,
+  };
+  // Feature-specific parts of the result, such as the plan of a dry run or the duplicate groups found
+  for (const key of ['summary', 'checkpoint', 'journal', 'plan', 'duplicateGroups', 'deleted', 'reportPath']) {
+    if (result[key] !== undefined && result[key] !== null) report[key] = result[key];
+  }
+  return report;
+}
+
+// The flags of a feature's args as an object, e.g. ['--input', 'in', '--recursive'] to
+// { input: 'in', recursive: true }
+function argOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = String(args[i]);
+    if (!arg.startsWith('--')) continue;
+    if (args[i + 1] !== undefined && !String(args[i + 1]).startsWith('--')) {
+      options[arg.slice(2)] = args[i + 1];
+      i++;
+    } else {
+      options[arg.slice(2)] = true;
+    }
+  }
+  return options;
+}
+
+// Save and, with --json, print the report for a feature's result. Resolves to the status the feature
+// returns (see resultStatus). A report that cannot be saved is logged and does not fail the run.
+async function reportRun(feature, result) {
+  return saveReport(await buildReport(feature, result));
+}
+
+// Save and, with --json, print the report of a run that stopped on `error` before it had a result, e.g. an
+// invalid option, a missing input or a taken output under --on-conflict fail. Resolves to 'error'.
+async function reportError(feature, error, args = []) {
+  const finishedAt = new Date();
+  return saveReport({
+    id: `${finishedAt.toISOString().replace(/[-:.TZ]/g, '')}-${feature}`,
+    feature,
+    status: 'error',
+    finishedAt: finishedAt.toISOString(),
+    error: { code: error.code || 'EUNEXPECTED', message: error.message },
+    options: argOptions(args),
+  });
+}
+
+async function saveReport(report) {
+  const reportPath = path.join(REPORT_DIR, `${report.id}.json`);
+  try {
+    await fs.mkdir(REPORT_DIR, { recursive: true });
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+    log('DEBUG', `Saved run report ${reportPath}`);
+  } catch (error) {
+    log('WARN', `Failed to save run report ${reportPath}: ${error.message}`);
+  }
+  if (printReports) process.stdout.write(`${JSON.stringify(report)}\n`);
+  return report.status;
+}
+
+module.exports = { REPORT_DIR, setupReports, buildReport, reportRun, reportError };
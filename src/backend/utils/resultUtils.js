@@ -0,0 +1,51 @@
+// Structured results returned by the library API. Every feature reports the files it processed,
+// skipped and failed on, plus every path it wrote.
+
+function createResult() {
+  return {
+    processed: [], // { input, output }
+    skipped: [], // { input, reason }
+    failed: [], // { input, error }
+    outputs: [], // Paths written by the run
+    startedAt: new Date().toISOString(),
+  };
+}
+
+function recordProcessed(result, input, output = null) {
+  result.processed.push({ input, output });
+  if (output) result.outputs.push(output);
+}
+
+function recordSkipped(result, input, reason) {
+  result.skipped.push({ input, reason });
+}
+
+function recordFailed(result, input, error) {
+  result.failed.push({ input, error: error instanceof Error ? error.message : String(error) });
+}
+
+// Record every job of a runJobs summary (see jobUtils) as processed, with the job's value as its output,
+// or failed, and keep the queue totals on the result along with the conflict counts (see conflictUtils).
+// Jobs the run was cancelled before finishing are skipped and mark the result as cancelled.
+function recordJobs(result, summary) {
+  for (const job of summary.jobs) {
+    if (job.status === 'success') recordProcessed(result, job.item, job.value);
+    else if (job.status === 'cancelled') recordSkipped(result, job.item, 'cancelled');
+    else recordFailed(result, job.item, job.error);
+  }
+  if (summary.cancelled > 0) result.cancelled = true;
+  const { jobs, ...totals } = summary;
+  result.summary = result.conflicts ? { ...totals, conflicts: result.conflicts } : totals;
+}
+
+// Map a result onto the status returned by the interactive features: 'cancelled', 'error' when every
+// file failed, 'partial' when some did, 'nothing' when no file was processed and nothing was planned
+// (e.g. an empty folder or only skipped files), and 'success' otherwise
+function resultStatus(result) {
+  if (result.cancelled) return 'cancelled';
+  if (result.failed.length > 0) return result.processed.length > 0 ? 'partial' : 'error';
+  const planned = result.plan && result.plan.actions.length > 0;
+  return result.processed.length > 0 || planned ? 'success' : 'nothing';
+}
+
+module.exports = { createResult, recordProcessed, recordSkipped, recordFailed, recordJobs, resultStatus };
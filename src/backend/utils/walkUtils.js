@@ -0,0 +1,108 @@
+// Directory listing shared by the batch features. By default only the files directly inside the input
+// directory are listed; with `recursive` the walk also descends into subfolders, up to `maxDepth`
+// levels below the input. Symlinks are followed, but every directory is entered at most once (by its
+// real path), so a link pointing back up the tree cannot send the walk into a loop. Files and folders
+// the path policy does not allow (see pathUtils), such as a denied subfolder or a link leading out of the
+// sandbox, are skipped with a warning.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { log } = require('./logUtils');
+const { ValidationError } = require('./errorUtils');
+const { checkPath, hasAllowedInside } = require('./pathUtils');
+
+// Value flags accepted by every feature that reads a directory; --recursive is a boolean flag
+const WALK_FLAGS = ['max-depth'];
+
+// Pick the walk options out of parsed feature flags: --recursive and --max-depth <n>
+function walkOptions(params) {
+  const options = { recursive: Boolean(params['recursive']) };
+  if (params['max-depth'] !== undefined && params['max-depth'] !== '') options.maxDepth = params['max-depth'];
+  return options;
+}
+
+// Validate { recursive, maxDepth }. Giving maxDepth implies recursive; without it a recursive walk has
+// no depth limit. Resolves to the number of subfolder levels to descend (0 for the top level only).
+function resolveMaxDepth(options = {}) {
+  if (options.maxDepth === undefined || options.maxDepth === null) {
+    return options.recursive ? Infinity : 0;
+  }
+  const maxDepth = Number(options.maxDepth);
+  if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+    throw new ValidationError(`Invalid max depth: ${options.maxDepth}. Must be a whole number of at least 0.`, { option: 'maxDepth' });
+  }
+  return maxDepth;
+}
+
+// List the files in a directory (and its subfolders when recursive), sorted within each folder.
+// Files found through a symlinked folder keep the link's path, so outputs mirror the tree as the user
+// sees it. options: { recursive, maxDepth, skipDirs } where skipDirs lists directories never to enter,
+// such as an output directory inside the input.
+async function listFiles(dir, options = {}) {
+  const maxDepth = resolveMaxDepth(options);
+  const skipped = new Set();
+  for (const skipDir of options.skipDirs || []) {
+    skipped.add(await fs.realpath(path.resolve(skipDir)).catch(() => path.resolve(skipDir)));
+  }
+  const visited = new Set();
+  const files = [];
+
+  const walk = async (currentDir, depth) => {
+    // A subfolder that cannot be read is skipped; the input directory itself must be readable
+    let realDir, names;
+    try {
+      realDir = await fs.realpath(currentDir);
+      if (!visited.has(realDir)) names = await fs.readdir(currentDir);
+    } catch (error) {
+      if (depth === 0) throw error;
+      log('WARN', `Skipping unreadable folder ${currentDir}: ${error.message}`);
+      return;
+    }
+    if (visited.has(realDir)) {
+      log('WARN', `Skipping ${currentDir}: it links to a folder that was already listed`);
+      return;
+    }
+    visited.add(realDir);
+    const subDirs = [];
+    for (const name of names.sort()) {
+      const fullPath = path.join(currentDir, name);
+      let stats;
+      try {
+        stats = await fs.stat(fullPath);
+      } catch (error) {
+        log('DEBUG', `Skipping unreadable entry ${fullPath}: ${error.message}`);
+        continue;
+      }
+      const violation = await checkPath(fullPath);
+      // A denied folder is still entered when a folder inside it is explicitly allowed
+      if (violation && !(stats.isDirectory() && await hasAllowedInside(fullPath))) {
+        log('WARN', `Skipping ${fullPath}: ${violation.message}`);
+        continue;
+      }
+      if (stats.isFile()) {
+        files.push(fullPath);
+      } else if (stats.isDirectory() && depth < maxDepth) {
+        subDirs.push(fullPath);
+      }
+    }
+    for (const subDir of subDirs) {
+      if (skipped.has(await fs.realpath(subDir).catch(() => subDir))) {
+        log('DEBUG', `Skipping directory: ${subDir}`);
+        continue;
+      }
+      await walk(subDir, depth + 1);
+    }
+  };
+
+  await walk(path.resolve(dir), 0);
+  log('DEBUG', `Listed ${files.length} files in ${dir}${maxDepth > 0 ? ` (max depth: ${maxDepth})` : ''}`);
+  return files;
+}
+
+// The directory under outputDir that mirrors a file's folder relative to inputDir, e.g.
+// in/day1/a.jpg with outputDir out resolves to out/day1
+function mirrorDir(inputDir, filePath, outputDir) {
+  return path.join(outputDir, path.relative(inputDir, path.dirname(filePath)));
+}
+
+module.exports = { WALK_FLAGS, walkOptions, resolveMaxDepth, listFiles, mirrorDir };
@@ -0,0 +1,378 @@
+const { log, runWithLogContext } = require('./backend/utils/logUtils');
+const { setInteractive } = require('./backend/utils/promptUtils');
+const { QUEUE_FLAGS } = require('./backend/utils/jobUtils');
+const { WALK_FLAGS } = require('./backend/utils/walkUtils');
+const { FILTER_FLAGS } = require('./backend/utils/filterUtils');
+const { CONFLICT_FLAGS } = require('./backend/utils/conflictUtils');
+const { getProfile, profileFlags, profileMatches } = require('./backend/utils/profileUtils');
+const { reportError } = require('./backend/utils/reportUtils');
+// Update Metadata Imports
+const { updateGifMetadata } = require('./feature/update-metadata/updateGifMetadata');
+const { updateJpgMetadata } = require('./feature/update-metadata/updateJpgMetadata');
+const { updateMp4Metadata } = require('./feature/update-metadata/updateMp4Metadata');
+const { updatePngMetadata } = require('./feature/update-metadata/updatePngMetadata');
+const { updateWavMetadata } = require('./feature/update-metadata/updateWavMetadata');
+const { updateWebpMetadata } = require('./feature/update-metadata/updateWebpMetadata');
+const { updateWebmMetadata } = require('./feature/update-metadata/updateWebmMetadata');
+// Convert File Type Imports
+const { convertFiles } = require('./feature/convert-file-type/convertFiles');
+const { FORMATS, CONVERSIONS, UNREADABLE_CONVERSIONS, IMAGE_FLAGS, IMAGE_BOOLEAN_FLAGS } = require('./feature/convert-file-type/conversionRegistry');
+// Resize Files Imports
+const { resizeImages } = require('./feature/resize-files/resizeImages');
+const { resizeVideos } = require('./feature/resize-files/resizeVideos');
+// Rename Files Imports
+const { renameFiles } = require('./feature/rename-files/renameFiles');
+const { sanitizeFilenames } = require('./feature/rename-files/sanitizeFilenames');
+// Sort Files Imports
+const { sortFilesByExtension } = require('./feature/sort-files/sortFilesByExtension');
+const { sortFilesByType } = require('./feature/sort-files/sortFilesByType');
+// Run Recipe Import
+const { runRecipe } = require('./feature/run-recipe/runRecipe');
+// Watch Folder Import
+const { watchFolder } = require('./feature/watch-folder/watchFolder');
+// Cleanup Files Imports
+const { findDuplicateImages } = require('./feature/cleanup-files/findDuplicateImages');
+const { findDuplicateVideos } = require('./feature/cleanup-files/findDuplicateVideos');
+// Undo Operation Import
+const { undoOperation } = require('./feature/undo-operation/undoOperation');
+// Doctor Import
+const { runDoctor } = require('./feature/doctor/runDoctor');
+// Resume Job Import
+const { resumeJob } = require('./feature/resume-job/resumeJob');
+
+// Process exit codes for non-interactive runs. A feature's status (see resultStatus) picks its code:
+// 'error' means every file failed, 'partial' that only some did.
+const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  usage: 2,
+  cancelled: 3,
+  partial: 4,
+  nothing: 5,
+};
+
+// Map every registry conversion to a feature taking the remaining args, e.g. features.mp4.gif(args).
+// Formats are also found by their other extensions, e.g. features.tif.jpeg for tiff to jpg.
+function convertFeatures() {
+  const features = {};
+  const aliases = format => FORMATS[format].extensions.map(extension => extension.slice(1)).filter(name => name !== format);
+  // Conversions sharp cannot decode the source of are kept so the engine can say why they do not work
+  for (const { from, to } of [...CONVERSIONS, ...UNREADABLE_CONVERSIONS]) {
+    features[from] = features[from] || {};
+    features[from][to] = args => convertFiles(['--from', from, '--to', to, ...args]);
+    for (const alias of aliases(to)) features[from][alias] = features[from][to];
+    for (const alias of aliases(from)) features[alias] = features[from];
+  }
+  return features;
+}
+
+const METADATA_FLAGS = ['title', 'description', 'keywords', 'copyright', 'genre', 'comment'];
+// Job queue flags shared by every batch command (see backend/utils/jobUtils)
+const QUEUE_USAGE = '[--concurrency <n>] [--timeout <seconds>] [--retries <n>]';
+// Directory walk flags shared by every command that reads a directory (see backend/utils/walkUtils)
+const WALK_USAGE = '[--recursive] [--max-depth <n>]';
+// File selection filters shared by the same commands (see backend/utils/filterUtils and the main help)
+const FILTER_USAGE = '[--include <globs>] [--exclude <globs>] [<filter flags>]';
+// What to do with an output that already exists, shared by every command that writes or moves files
+// (see backend/utils/conflictUtils)
+const CONFLICT_USAGE = '[--on-conflict <overwrite|skip|rename|fail>]';
+// A saved profile (see backend/utils/profileUtils) filling in flags, shared by the commands with `profiles`
+const PROFILE_USAGE = '[--profile <name>]';
+
+// Subcommand definitions. Positional arguments select the feature (or are passed to it when the command
+// has a single `feature`), `required` flags must be present, `optional` flags may be omitted and
+// `booleans` take no value. Commands with `profiles` accept --profile to fill in flags from a saved profile.
+// `interactive` lists flag values that need a prompt, which commands cannot show, e.g. cleanup --delete yes.
+const COMMANDS = {
+  convert: {
+    usage: `convert <from> <to> --input <path> --output <dir> [--fps <n>] [<image options>] ${CONFLICT_USAGE} ${WALK_USAGE} ${FILTER_USAGE} ${QUEUE_USAGE} ${PROFILE_USAGE} [--verbose]`,
+    description: 'Convert videos, video to audio, MP4/WebM to animated WebP, or images between JPG, PNG, WebP, AVIF, TIFF, BMP, GIF and HEIC. Animated GIF, WebP and AVIF keep their frames, timing, loop count and transparency between each other (--fps caps their frame rate) and convert from their first frame to other formats. Image options depend on the target: --quality <1-100>, --effort <n> and --lossless (WebP, AVIF, HEIC), --near-lossless (WebP), --progressive (JPG, PNG), --mozjpeg (JPG), --chroma <4:2:0|4:4:4> (JPG, AVIF, HEIC), --palette and --colors <2-256> (PNG), --compression <type> (TIFF), --background <color> (JPG: what transparency is flattened onto, default white), --target-size <KB> (JPG, WebP, AVIF, HEIC: the highest quality that fits). Videos convert to GIF with a palette made from the clip and take --fps <n>, --width <px>, --colors <4-256>, --palette-mode <global|frame>, --dither <none|bayer|floyd_steinberg|sierra2|sierra2_4a>, --start <time>, --end <time>, --loop <n> and --target-size <KB> (lowers the frame rate, then the width, until the GIF fits)',
+    positionals: ['from', 'to'],
+    features: convertFeatures(),
+    required: ['input', 'output'],
+    optional: ['fps', ...IMAGE_FLAGS, ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS],
+    booleans: ['recursive', ...IMAGE_BOOLEAN_FLAGS, 'verbose'],
+    profiles: true,
+  },
+  rename: {
+    usage: `rename --input <dir> --base <name> ${CONFLICT_USAGE} [--dry-run] [--plan <file>] ${WALK_USAGE} ${FILTER_USAGE} ${QUEUE_USAGE} ${PROFILE_USAGE}`,
+    description: 'Rename all files in a directory to <base>-1, <base>-2, ... (--dry-run prints the plan without renaming; a name already taken stops the run unless --on-conflict says otherwise)',
+    positionals: [],
+    feature: renameFiles,
+    required: ['input', 'base'],
+    optional: ['plan', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS],
+    booleans: ['dry-run', 'recursive'],
+    profiles: true,
+  },
+  sanitize: {
+    usage: `sanitize --input <dir> [--separator <-|_|.>] [--keep-case] [--keep-unicode] ${CONFLICT_USAGE} [--dry-run] [--plan <file>] ${WALK_USAGE} ${FILTER_USAGE} ${QUEUE_USAGE} ${PROFILE_USAGE}`,
+    description: 'Rename files to transliterated lower-case slugs, e.g. "Café Photo 1.JPG" to "cafe-photo-1.jpg" (--dry-run prints the plan without renaming; a name already taken stops the run unless --on-conflict says otherwise)',
+    positionals: [],
+    feature: sanitizeFilenames,
+    required: ['input'],
+    optional: ['separator', 'plan', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS],
+    booleans: ['dry-run', 'recursive', 'keep-case', 'keep-unicode'],
+    profiles: true,
+  },
+  sort: {
+    usage: `sort <extension|type> --input <dir> --output <dir> ${CONFLICT_USAGE} [--dry-run] [--plan <file>] ${WALK_USAGE} ${FILTER_USAGE} ${QUEUE_USAGE} ${PROFILE_USAGE}`,
+    description: 'Move files into sub-folders by extension or by type (images/videos) (--dry-run prints the plan without moving; a file already at the destination stops the run unless --on-conflict says otherwise)',
+    positionals: ['by'],
+    features: { extension: sortFilesByExtension, type: sortFilesByType },
+    required: ['input', 'output'],
+    optional: ['plan', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS],
+    booleans: ['dry-run', 'recursive'],
+    profiles: true,
+  },
+  cleanup: {
+    usage: `cleanup <images|videos> --input <dir> --delete <no|all> [--dry-run] [--plan <file>] ${WALK_USAGE} ${FILTER_USAGE} ${QUEUE_USAGE} ${PROFILE_USAGE} [--yes]`,
+    description: 'Find duplicate images or videos, optionally deleting them (--yes skips the "all" confirmation, --dry-run prints the plan without deleting)',
+    positionals: ['kind'],
+    features: { images: findDuplicateImages, videos: findDuplicateVideos },
+    required: ['input', 'delete'],
+    optional: ['plan', ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS],
+    booleans: ['yes', 'dry-run', 'recursive'],
+    interactive: { delete: ['yes'] },
+    profiles: true,
+  },
+  resize: {
+    usage: `resize <images|videos> --input <path> --output <dir> --width <px> --height <px> --method <crop|stretch|contain> ${CONFLICT_USAGE} ${WALK_USAGE} ${FILTER_USAGE} ${QUEUE_USAGE} ${PROFILE_USAGE}`,
+    description: 'Resize images or videos',
+    positionals: ['kind'],
+    features: { images: resizeImages, videos: resizeVideos },
+    required: ['input', 'output', 'width', 'height', 'method'],
+    optional: [...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS],
+    booleans: ['recursive'],
+    profiles: true,
+  },
+  metadata: {
+    usage: `metadata <gif|jpg|mp4|png|wav|webp|webm> --input <path> --output <dir> [--title <text>] [--description <text>] [--keywords <list>] [--copyright <text>] [--genre <text>] [--comment <text>] ${CONFLICT_USAGE} ${WALK_USAGE} ${FILTER_USAGE} ${QUEUE_USAGE} ${PROFILE_USAGE}`,
+    description: 'Update file metadata (omitted fields use their defaults)',
+    positionals: ['type'],
+    features: {
+      gif: updateGifMetadata,
+      jpg: updateJpgMetadata,
+      mp4: updateMp4Metadata,
+      png: updatePngMetadata,
+      wav: updateWavMetadata,
+      webp: updateWebpMetadata,
+      webm: updateWebmMetadata,
+    },
+    required: ['input', 'output'],
+    optional: [...METADATA_FLAGS, ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS],
+    booleans: ['recursive'],
+    profiles: true,
+  },
+  recipe: {
+    usage: 'recipe --recipe <name|path> [--input <path>]',
+    description: 'Run a recipe of chained steps from json/recipes, stopping at the first failed step',
+    positionals: [],
+    feature: runRecipe,
+    required: ['recipe'],
+    optional: ['input'],
+    booleans: [],
+  },
+  watch: {
+    usage: 'watch --config <name|path> [--input <dir>] [--once]',
+    description: 'Watch a hot folder from json/watch and run its steps on every new file (--once handles the files already there and exits)',
+    positionals: [],
+    feature: watchFolder,
+    required: ['config'],
+    optional: ['input'],
+    booleans: ['once'],
+  },
+  undo: {
+    usage: 'undo [--journal <id>] [--yes]',
+    description: 'Undo the last rename, sanitize, sort or duplicate cleanup (or the one in json/journal/<id>.json) by replaying its journal in reverse; --yes skips the confirmation',
+    positionals: [],
+    feature: undoOperation,
+    required: [],
+    optional: ['journal'],
+    booleans: ['yes'],
+  },
+  resume: {
+    usage: `resume <job> ${QUEUE_USAGE}`,
+    description: 'Continue a convert, resize or metadata run that stopped, using its checkpoint in json/checkpoints/<job>.json; outputs already written and unchanged are skipped',
+    positionals: ['job'],
+    feature: resumeJob,
+    required: [],
+    optional: [...QUEUE_FLAGS],
+    booleans: [],
+  },
+  doctor: {
+    usage: 'doctor',
+    description: 'Check ffmpeg, ffprobe, exiftool, sharp, the FFmpeg encoders, the API keys in .env and the bin, json and logs folders, and report which features will work (exits 1 when any will not)',
+    positionals: [],
+    feature: runDoctor,
+    required: [],
+    optional: [],
+    booleans: [],
+  },
+};
+
+// Flags handled globally by main.js rather than by the feature
+const GLOBAL_FLAGS = ['verbose', 'help', 'json'];
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.code = 'EUSAGE';
+  }
+}
+
+// Split subcommand arguments into positionals and flag values, rejecting anything the command does not accept
+function parseCommandArgs(spec, args) {
+  const positionals = [];
+  const flags = {};
+  const valueFlags = [...spec.required, ...spec.optional];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg.toLowerCase());
+      continue;
+    }
+    const flag = arg.slice(2);
+    if (spec.booleans.includes(flag) || GLOBAL_FLAGS.includes(flag)) {
+      flags[flag] = true;
+    } else if (valueFlags.includes(flag) || (flag === 'profile' && spec.profiles)) {
+      const value = args[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`Missing value for --${flag}`);
+      }
+      flags[flag] = value;
+      i++;
+    } else {
+      throw new UsageError(`Unrecognized argument: --${flag}`);
+    }
+  }
+  return { positionals, flags };
+}
+
+function resolveFeature(spec, positionals) {
+  if (positionals.length !== spec.positionals.length) {
+    throw new UsageError(`Expected ${spec.positionals.length ? spec.positionals.map(name => `<${name}>`).join(' ') : 'no positional arguments'}`);
+  }
+  if (spec.feature) return spec.feature;
+  let feature = spec.features;
+  for (let i = 0; i < positionals.length; i++) {
+    feature = feature[positionals[i]];
+    if (!feature) {
+      throw new UsageError(`Unsupported ${spec.positionals[i]}: ${positionals[i]}`);
+    }
+  }
+  return feature;
+}
+
+function displayCommandHelp(name) {
+  const spec = COMMANDS[name];
+  log('INFO', `\nUsage:\n  node src/main.js ${spec.usage}\n\n${spec.description}\n`);
+}
+
+// Fill in positionals and flags from a saved profile. The profile's args stand in for missing positionals
+// and its flags for missing ones; anything given explicitly wins.
+async function applyProfile(name, positionals, flags) {
+  const spec = COMMANDS[name];
+  let profile;
+  try {
+    profile = await getProfile(flags.profile);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (profile.command !== name) {
+    throw new UsageError(`Profile ${flags.profile} is for the ${profile.command} command, not ${name}`);
+  }
+  const profilePositionals = positionals.length === 0 && profile.args ? profile.args.map(arg => String(arg).toLowerCase()) : positionals;
+  if (!profileMatches(profile, name, profilePositionals)) {
+    throw new UsageError(`Profile ${flags.profile} is for ${[name, ...profile.args].join(' ')}, not ${[name, ...positionals].join(' ')}`);
+  }
+  const values = profileFlags(profile);
+  const unknown = Object.keys(values).filter(flag => ![...spec.required, ...spec.optional, ...spec.booleans].includes(flag));
+  if (unknown.length > 0) {
+    throw new UsageError(`Profile ${flags.profile} sets flags ${name} does not accept: ${unknown.map(flag => `--${flag}`).join(', ')}`);
+  }
+  log('INFO', `Using profile ${flags.profile}.`);
+  const explicit = { ...flags };
+  delete explicit.profile;
+  return { positionals: profilePositionals, flags: { ...values, ...explicit } };
+}
+
+// Feature args for the flags of a profile, for menus that call a feature directly. Flags the command
+// does not accept are left out; booleans go last, as in prepareCommand.
+function profileArgs(name, profile) {
+  const spec = COMMANDS[name];
+  const values = profileFlags(profile);
+  const args = [];
+  for (const flag of [...spec.required, ...spec.optional]) {
+    if (values[flag] !== undefined && values[flag] !== null) args.push(`--${flag}`, String(values[flag]));
+  }
+  for (const flag of spec.booleans) {
+    if (values[flag]) args.push(`--${flag}`);
+  }
+  return args;
+}
+
+// Resolve a command's feature and build the argv it expects from already parsed positionals and flags.
+// Throws a UsageError when the positionals or required flags do not match the command definition, or a
+// flag has a value that needs a prompt (see `interactive`).
+function prepareCommand(name, positionals, flags) {
+  const spec = COMMANDS[name];
+  if (!spec) {
+    throw new UsageError(`Unknown command: ${name}`);
+  }
+  const feature = resolveFeature(spec, positionals);
+  const missing = spec.required.filter(flag => flags[flag] === undefined);
+  if (missing.length > 0) {
+    throw new UsageError(`Missing required argument${missing.length > 1 ? 's' : ''}: ${missing.map(flag => `--${flag}`).join(', ')}`);
+  }
+  for (const [flag, values] of Object.entries(spec.interactive || {})) {
+    if (flags[flag] !== undefined && values.includes(String(flags[flag]).toLowerCase())) {
+      throw new UsageError(`--${flag} ${flags[flag]} needs a prompt, so it only works from the interactive menu`);
+    }
+  }
+
+  // Feature parsers treat --verbose as a value flag, so boolean flags always go last. A command with a
+  // single feature hands its positionals on as flags named after them, e.g. `resume <job>` as --job.
+  const featureArgs = spec.feature ? positionals.flatMap((value, index) => [`--${spec.positionals[index]}`, value]) : [];
+  for (const flag of [...spec.required, ...spec.optional]) {
+    if (flags[flag] !== undefined) featureArgs.push(`--${flag}`, String(flags[flag]));
+  }
+  for (const flag of spec.booleans) {
+    if (flags[flag]) featureArgs.push(`--${flag}`);
+  }
+  return { feature, featureArgs };
+}
+
+// Run a subcommand such as `convert mp4 gif --input x --output y` without any prompts.
+// Resolves to the process exit code.
+async function runCommand(args) {
+  const [name, ...rest] = args;
+  const spec = COMMANDS[name];
+  if (!spec) {
+    log('ERROR', `Unknown command: ${name}. Run with --help to list commands.`);
+    return EXIT_CODES.usage;
+  }
+
+  let command, flags, positionals;
+  try {
+    ({ flags, positionals } = parseCommandArgs(spec, rest));
+    if (flags.help) {
+      displayCommandHelp(name);
+      return EXIT_CODES.success;
+    }
+    if (flags.profile) ({ flags, positionals } = await applyProfile(name, positionals, flags));
+    command = prepareCommand(name, positionals, flags);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    log('ERROR', `${error.message}\nUsage: node src/main.js ${spec.usage}`);
+    await reportError(name, error, rest.filter(arg => !GLOBAL_FLAGS.map(flag => `--${flag}`).includes(arg)));
+    return EXIT_CODES.usage;
+  }
+
+  setInteractive(false);
+  log('DEBUG', `Running command ${[name, ...positionals].join(' ')} with args: ${command.featureArgs.join(' ')}`);
+  const result = await runWithLogContext({ command: name }, () => command.feature(command.featureArgs));
+  log('DEBUG', `Command ${name} result: ${result}`);
+  return EXIT_CODES[result] !== undefined ? EXIT_CODES[result] : EXIT_CODES.error;
+}
+
+module.exports = { COMMANDS, EXIT_CODES, UsageError, prepareCommand, applyProfile, profileArgs, runCommand };
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const prompts = require('prompts');
+const { prompts } = require('../../backend/utils/promptUtils');
 const fs = require('fs').promises;
 const path = require('path');
 const sharp = require('sharp');
@@ -8,10 +8,21 @@ const crypto = require('crypto');
 const pixelmatchModule = require('pixelmatch');
 const pixelmatch = pixelmatchModule.default;
 const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { createResult, recordProcessed, recordSkipped, recordFailed } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { pathViolation, resolveInputPath } = require('../../backend/utils/pathUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs, mergeSummaries, logSummary } = require('../../backend/utils/jobUtils');
+const { createPlan, addAction, planOptions, reviewPlan } = require('../../backend/utils/planUtils');
+const { createJournal, trashFile, saveJournal } = require('../../backend/utils/journalUtils');
+const { WALK_FLAGS, walkOptions, listFiles } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { isValidFileName } = require('../../backend/utils/filenameUtils');
 
 // Configuration
 const BASE_DIR = path.join(__dirname, '..');
 const OUTPUT_DIR = path.join(__dirname, '..', '..', '..', 'bin', 'cleanup-files', 'duplicate-images');
+const DELETE_OPTIONS = ['no', 'yes', 'all'];
 
 log('DEBUG', `Pixelmatch module loaded: ${typeof pixelmatch}`);
 log('DEBUG', `Sharp module loaded: ${typeof sharp}`);
@@ -29,11 +40,14 @@ function getTimestamp() {
 
 function parseArgs(args) {
   const params = {};
-  const validFlags = ['input', 'delete'];
+  const validFlags = ['input', 'delete', 'plan', ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['yes', 'dry-run', 'recursive'];
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const flag = args[i].slice(2);
-      if (validFlags.includes(flag)) {
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
         const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
         params[flag] = value;
         i++;
@@ -46,11 +60,6 @@ function parseArgs(args) {
   return params;
 }
 
-function isValidFilePath(filePath) {
-  const validPathRegex = /^[a-zA-Z0-9._-][a-zA-Z0-9._-]*(?:\.[a-zA-Z0-9]+)?$/;
-  return validPathRegex.test(path.basename(filePath));
-}
-
 async function areImagesIdentical(buffer1, buffer2) {
   try {
     log('DEBUG', `Starting image comparison`);
@@ -101,6 +110,161 @@ async function areImagesIdentical(buffer1, buffer2) {
   }
 }
 
+async function writeReport(inputDir, duplicateGroups, deletedFiles) {
+  const timestamp = getTimestamp();
+  const reportPath = path.join(OUTPUT_DIR, `duplicate-images-report-${timestamp}.json`);
+  const report = {
+    duplicateGroups: duplicateGroups.map(group => group.map(file => path.relative(inputDir, file))),
+    deletedFiles: deletedFiles.map(file => path.relative(inputDir, file)),
+    timestamp: new Date().toISOString()
+  };
+  log('DEBUG', `Creating output directory: ${path.relative(BASE_DIR, OUTPUT_DIR)}`, { basePath: BASE_DIR });
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+  log('DEBUG', `Writing report to ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  log('INFO', `Duplicate images report saved to: ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
+  return reportPath;
+}
+
+// Find duplicate images in a directory (and its subfolders with recursive, see walkUtils) without prompting
+// and write a report to bin/cleanup-files.
+// options: { input, delete: 'no' | 'yes' | 'all', chooseKeep, dryRun, planFile, recursive, maxDepth, filters, concurrency, timeout, retries, signal }
+// With delete 'yes', chooseKeep(group) is awaited for each duplicate group and returns the file to
+// keep, or nothing to keep the whole group. With 'all' the first file of each group is kept.
+// Comparisons against each file run through the job queue. With dryRun the deletions are only planned
+// and printed, and no report is written; planFile saves the plan as JSON. Deleted files are moved to
+// the trash and journaled (see journalUtils) so they can be restored. The result also carries
+// duplicateGroups, deleted, plan, journal and reportPath. A cancelled run (see cancelUtils) stops comparing,
+// deletes nothing more and writes no report; its result has cancelled set.
+async function dedupeImages(options = {}) {
+  const deleteOption = String(options.delete || 'no').toLowerCase();
+  if (!DELETE_OPTIONS.includes(deleteOption)) {
+    throw new ValidationError(`Invalid delete option: ${deleteOption}. Must be 'yes', 'no', or 'all'.`, { option: 'delete' });
+  }
+  if (deleteOption === 'yes' && typeof options.chooseKeep !== 'function') {
+    throw new ValidationError(`delete 'yes' requires a chooseKeep(group) callback`, { option: 'chooseKeep' });
+  }
+  const inputDir = await resolveInputPath(options.input, 'Input directory');
+  log('DEBUG', `Delete option: ${deleteOption}`);
+  const result = Object.assign(createResult(), { duplicateGroups: [], deleted: [], reportPath: null });
+
+  log('DEBUG', `Reading directory: ${path.relative(inputDir, inputDir)}`, { basePath: inputDir });
+  const imageExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+  const imageFiles = [];
+  for (const fullPath of await listFiles(inputDir, options)) {
+    if (imageExtensions.includes(path.extname(fullPath).toLowerCase()) && isValidFileName(fullPath)) {
+      imageFiles.push(fullPath);
+    }
+  }
+  const files = await applyFilters(result, imageFiles, options, inputDir);
+  log('DEBUG', `Found ${files.length} image files in ${path.relative(inputDir, inputDir)}: ${files.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
+
+  if (files.length === 0) {
+    log('INFO', `No image files found in ${path.relative(inputDir, inputDir)}`, { basePath: inputDir });
+  } else {
+    log('INFO', `Processing ${files.length} image files for duplicates`);
+  }
+  const processedFiles = new Set();
+  const duplicateGroups = result.duplicateGroups;
+  const deletedFiles = result.deleted;
+  const summaries = [];
+
+  for (let i = 0; i < files.length; i++) {
+    if (processedFiles.has(files[i])) continue;
+    const currentGroup = [files[i]];
+    const buffer1 = await fs.readFile(files[i]);
+    const candidates = files.slice(i + 1).filter(file => !processedFiles.has(file));
+    const comparisons = await runJobs(candidates, async (file) => {
+      const buffer2 = await fs.readFile(file);
+      log('DEBUG', `Comparing ${path.relative(inputDir, files[i])} with ${path.relative(inputDir, file)}`, { basePath: inputDir });
+      return areImagesIdentical(buffer1, buffer2);
+    }, { ...options, kind: 'sharp', label: 'comparison', quiet: true });
+    summaries.push(comparisons);
+    if (comparisons.cancelled > 0) {
+      result.cancelled = true;
+      break;
+    }
+    for (const job of comparisons.jobs) {
+      if (job.status === 'failed') {
+        log('WARN', `Could not compare ${path.relative(inputDir, files[i])} with ${path.relative(inputDir, job.item)}: ${job.error.message}`, { basePath: inputDir });
+      } else if (job.value) {
+        currentGroup.push(job.item);
+        processedFiles.add(job.item);
+      }
+    }
+    processedFiles.add(files[i]);
+    if (currentGroup.length > 1) {
+      duplicateGroups.push(currentGroup);
+      log('INFO', `Found duplicate group: ${currentGroup.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
+    }
+  }
+  result.summary = mergeSummaries(summaries);
+  logSummary('comparison', result.summary);
+  if (result.cancelled) {
+    log('WARN', `Cancelled before every image was compared (${duplicateGroups.length} duplicate groups found so far). Nothing was deleted and no report was written.`);
+    return result;
+  }
+  files.forEach(file => recordProcessed(result, file));
+
+  const plan = createPlan('dedupe-images', inputDir);
+  if (files.length > 0 && duplicateGroups.length === 0) {
+    log('INFO', 'No duplicate images found.');
+  } else if (duplicateGroups.length > 0 && deleteOption === 'no') {
+    log('INFO', `Found ${duplicateGroups.length} duplicate image groups. No files deleted as per user selection.`);
+  } else if (duplicateGroups.length > 0) {
+    for (const group of duplicateGroups) {
+      let keepFile = group[0];
+      let filesToDelete = [];
+
+      if (deleteOption === 'yes') {
+        const keep = await options.chooseKeep(group);
+        if (keep && group.includes(keep)) {
+          keepFile = keep;
+          filesToDelete = group.filter(file => file !== keepFile);
+        }
+        log('DEBUG', `Chose to keep ${filesToDelete.length > 0 ? path.relative(inputDir, keepFile) : 'all'} for group ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
+      } else if (deleteOption === 'all') {
+        filesToDelete = group.slice(1);
+        log('DEBUG', `Auto-keeping ${path.relative(inputDir, keepFile)} and deleting ${filesToDelete.map(f => path.relative(inputDir, f)).join(', ')} for group ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
+      }
+
+      filesToDelete.forEach(file => addAction(plan, 'delete', file));
+    }
+  }
+
+  result.plan = await reviewPlan(plan, options);
+  if (options.dryRun) return result;
+
+  if (plan.actions.length > 0) {
+    const journal = createJournal(plan.feature);
+    const deletions = await runJobs(plan.actions.map(action => action.source), async (file) => {
+      try {
+        const stats = await fs.stat(file);
+        log('DEBUG', `Deleting file ${path.relative(inputDir, file)}, size: ${stats.size} bytes`, { basePath: inputDir });
+        await trashFile(journal, file);
+        log('INFO', `Deleted duplicate image: ${path.relative(inputDir, file)} (moved to trash)`, { basePath: inputDir });
+      } catch (error) {
+        log('ERROR', `Failed to delete ${path.relative(inputDir, file)}: ${error.message}`, { basePath: inputDir });
+        log('DEBUG', `Delete error stack: ${error.stack}`);
+        throw error;
+      }
+    }, { ...options, kind: 'fs', label: 'delete' });
+    for (const job of deletions.jobs) {
+      if (job.status === 'success') deletedFiles.push(job.item);
+      else if (job.status === 'cancelled') recordSkipped(result, job.item, 'cancelled');
+      else recordFailed(result, job.item, job.error);
+    }
+    if (deletions.cancelled > 0) result.cancelled = true;
+    if (await saveJournal(journal)) result.journal = journal.id;
+    log('INFO', `Found ${duplicateGroups.length} duplicate image groups, deleted ${deletedFiles.length} files.`);
+  }
+
+  result.reportPath = await writeReport(inputDir, duplicateGroups, deletedFiles);
+  result.outputs.push(result.reportPath);
+  log('DEBUG', `Find Duplicate Images completed: ${duplicateGroups.length} duplicate groups found, ${deletedFiles.length} deleted`);
+  return result;
+}
+
 async function findDuplicateImages(args = process.argv.slice(2)) {
   try {
     log('INFO', 'Starting Find Duplicate Images Feature');
@@ -111,18 +275,7 @@ async function findDuplicateImages(args = process.argv.slice(2)) {
     let inputDir;
     if (params['input']) {
       inputDir = path.resolve(params['input']);
-      try {
-        await fs.access(inputDir);
-        log('DEBUG', `Input directory from args: ${inputDir}`, { basePath: inputDir });
-        const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-        if (forbiddenDirs.some(dir => inputDir.startsWith(path.resolve(dir)))) {
-          log('ERROR', `Input directory ${inputDir} is a system directory and cannot be processed.`, { sanitizePaths: false });
-          return 'error';
-        }
-      } catch {
-        log('ERROR', `Input directory not found: ${inputDir}`, { basePath: inputDir });
-        return 'error';
-      }
+      log('DEBUG', `Input directory from args: ${inputDir}`, { basePath: inputDir });
     } else {
       log('DEBUG', 'Prompting for input directory');
       const inputDirResponse = await prompts({
@@ -133,11 +286,8 @@ async function findDuplicateImages(args = process.argv.slice(2)) {
           if (value.trim() === '') return true;
           try {
             await fs.access(value);
-            const resolvedDir = path.resolve(value);
-            const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-            if (forbiddenDirs.some(dir => resolvedDir.startsWith(path.resolve(dir)))) {
-              return 'System directory not allowed.';
-            }
+            const violation = await pathViolation(value);
+            if (violation) return violation;
             return true;
           } catch {
             return 'Directory not found.';
@@ -155,10 +305,6 @@ async function findDuplicateImages(args = process.argv.slice(2)) {
     let deleteOption;
     if (params['delete']) {
       deleteOption = params['delete'].toLowerCase();
-      if (!['yes', 'no', 'all'].includes(deleteOption)) {
-        log('ERROR', `Invalid delete option: ${deleteOption}. Must be 'yes', 'no', or 'all'.`);
-        return 'error';
-      }
       log('DEBUG', `Delete option from args: ${deleteOption}`);
     } else {
       log('DEBUG', 'Prompting for delete option');
@@ -181,7 +327,7 @@ async function findDuplicateImages(args = process.argv.slice(2)) {
       }
     }
 
-    if (deleteOption === 'all') {
+    if (deleteOption === 'all' && !params['yes'] && !params['dry-run']) {
       const confirmResponse = await prompts({
         type: 'confirm',
         name: 'confirm',
@@ -194,142 +340,31 @@ async function findDuplicateImages(args = process.argv.slice(2)) {
       }
     }
 
-    log('DEBUG', `Reading directory: ${path.relative(inputDir, inputDir)}`, { basePath: inputDir });
-    const dirEntries = await fs.readdir(inputDir);
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
-    const files = [];
-    for (const entry of dirEntries) {
-      const fullPath = path.join(inputDir, entry);
-      const stats = await fs.stat(fullPath);
-      if (stats.isFile() && imageExtensions.includes(path.extname(fullPath).toLowerCase()) && isValidFilePath(fullPath)) {
-        files.push(fullPath);
-      }
-    }
-    log('DEBUG', `Found ${files.length} image files in ${path.relative(inputDir, inputDir)}: ${files.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
-
-    if (files.length === 0) {
-      log('INFO', `No image files found in ${path.relative(inputDir, inputDir)}`, { basePath: inputDir });
-      const timestamp = getTimestamp();
-      const reportPath = path.join(OUTPUT_DIR, `duplicate-images-report-${timestamp}.json`);
-      const report = {
-        duplicateGroups: [],
-        deletedFiles: [],
-        timestamp: new Date().toISOString()
-      };
-      log('DEBUG', `Creating output directory: ${path.relative(BASE_DIR, OUTPUT_DIR)}`, { basePath: BASE_DIR });
-      await fs.mkdir(OUTPUT_DIR, { recursive: true });
-      log('DEBUG', `Writing report to ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-      await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
-      log('INFO', `Duplicate images report saved to: ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-      return 'success';
-    }
-
-    log('INFO', `Processing ${files.length} image files for duplicates`);
-    const processedFiles = new Set();
-    const duplicateGroups = [];
-    const deletedFiles = [];
-
-    for (let i = 0; i < files.length; i++) {
-      if (processedFiles.has(files[i])) continue;
-      const currentGroup = [files[i]];
-      const buffer1 = await fs.readFile(files[i]);
-      for (let j = i + 1; j < files.length; j++) {
-        if (processedFiles.has(files[j])) continue;
-        const buffer2 = await fs.readFile(files[j]);
-        log('DEBUG', `Comparing ${path.relative(inputDir, files[i])} with ${path.relative(inputDir, files[j])}`, { basePath: inputDir });
-        if (await areImagesIdentical(buffer1, buffer2)) {
-          currentGroup.push(files[j]);
-          processedFiles.add(files[j]);
-        }
-      }
-      processedFiles.add(files[i]);
-      if (currentGroup.length > 1) {
-        duplicateGroups.push(currentGroup);
-        log('INFO', `Found duplicate group: ${currentGroup.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
-      }
-    }
-
-    if (duplicateGroups.length === 0) {
-      log('INFO', 'No duplicate images found.');
-      const timestamp = getTimestamp();
-      const reportPath = path.join(OUTPUT_DIR, `duplicate-images-report-${timestamp}.json`);
-      const report = {
-        duplicateGroups: [],
-        deletedFiles: [],
-        timestamp: new Date().toISOString()
-      };
-      log('DEBUG', `Creating output directory: ${path.relative(BASE_DIR, OUTPUT_DIR)}`, { basePath: BASE_DIR });
-      await fs.mkdir(OUTPUT_DIR, { recursive: true });
-      log('DEBUG', `Writing report to ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-      await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
-      log('INFO', `Duplicate images report saved to: ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-      return 'success';
-    }
-
-    if (deleteOption === 'no') {
-      log('INFO', `Found ${duplicateGroups.length} duplicate image groups. No files deleted as per user selection.`);
-    } else {
-      for (const group of duplicateGroups) {
-        let keepFile = group[0];
-        let filesToDelete = [];
-
-        if (deleteOption === 'yes') {
-          log('DEBUG', `Prompting for deletion of duplicate group: ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
-          const deleteResponse = await prompts({
-            type: 'select',
-            name: 'keep',
-            message: `Duplicate images found: ${group.map(f => path.relative(inputDir, f)).join(', ')}. Choose one to keep:`,
-            choices: [
-              ...group.map(file => ({ title: `Keep ${path.relative(inputDir, file)}`, value: file })),
-              { title: 'Keep all', value: 'keep' },
-            ],
-            initial: 0,
-          });
-          if (deleteResponse.keep && deleteResponse.keep !== 'keep') {
-            keepFile = deleteResponse.keep;
-            filesToDelete = group.filter(file => file !== keepFile);
-          }
-          log('DEBUG', `User chose to keep ${keepFile ? path.relative(inputDir, keepFile) : 'all'} for group ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
-        } else if (deleteOption === 'all') {
-          filesToDelete = group.slice(1);
-          log('DEBUG', `Auto-keeping ${path.relative(inputDir, keepFile)} and deleting ${filesToDelete.map(f => path.relative(inputDir, f)).join(', ')} for group ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
-        }
-
-        for (const file of filesToDelete) {
-          try {
-            const stats = await fs.stat(file);
-            log('DEBUG', `Deleting file ${path.relative(inputDir, file)}, size: ${stats.size} bytes`, { basePath: inputDir });
-            await fs.unlink(file);
-            log('INFO', `Deleted duplicate image: ${path.relative(inputDir, file)}`, { basePath: inputDir });
-            deletedFiles.push(file);
-          } catch (error) {
-            log('ERROR', `Failed to delete ${path.relative(inputDir, file)}: ${error.message}`, { basePath: inputDir });
-            log('DEBUG', `Delete error stack: ${error.stack}`);
-          }
-        }
-      }
-      log('INFO', `Found ${duplicateGroups.length} duplicate image groups, deleted ${deletedFiles.length} files.`);
-    }
-
-    const timestamp = getTimestamp();
-    const reportPath = path.join(OUTPUT_DIR, `duplicate-images-report-${timestamp}.json`);
-    const report = {
-      duplicateGroups: duplicateGroups.map(group => group.map(file => path.relative(inputDir, file))),
-      deletedFiles: deletedFiles.map(file => path.relative(inputDir, file)),
-      timestamp: new Date().toISOString()
+    const chooseKeep = async (group) => {
+      log('DEBUG', `Prompting for deletion of duplicate group: ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
+      const deleteResponse = await prompts({
+        type: 'select',
+        name: 'keep',
+        message: `Duplicate images found: ${group.map(f => path.relative(inputDir, f)).join(', ')}. Choose one to keep:`,
+        choices: [
+          ...group.map(file => ({ title: `Keep ${path.relative(inputDir, file)}`, value: file })),
+          { title: 'Keep all', value: 'keep' },
+        ],
+        initial: 0,
+      });
+      return deleteResponse.keep !== 'keep' ? deleteResponse.keep : null;
     };
-    log('DEBUG', `Creating output directory: ${path.relative(BASE_DIR, OUTPUT_DIR)}`, { basePath: BASE_DIR });
-    await fs.mkdir(OUTPUT_DIR, { recursive: true });
-    log('DEBUG', `Writing report to ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
-    log('INFO', `Duplicate images report saved to: ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-
-    log('DEBUG', `Find Duplicate Images completed: ${duplicateGroups.length} duplicate groups found, ${deletedFiles.length} deleted`);
-    return deletedFiles.length > 0 || duplicateGroups.length > 0 ? 'success' : 'error';
+
+    const result = await dedupeImages({ input: inputDir, delete: deleteOption, chooseKeep, ...planOptions(params), ...walkOptions(params), ...filterOptions(params), ...queueOptions(params) });
+    return reportRun('dedupe-images', result);
   } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('dedupe-images', error, args);
+    }
     log('ERROR', `Unexpected error in Find Duplicate Images: ${error.message}`);
     log('DEBUG', `Error stack: ${error.stack}`);
-    return 'error';
+    return reportError('dedupe-images', error, args);
   }
 }
 
@@ -342,4 +377,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { findDuplicateImages };
\ No newline at end of file
+module.exports = { findDuplicateImages, dedupeImages };
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const prompts = require('prompts');
+const { prompts } = require('../../backend/utils/promptUtils');
 const fs = require('fs').promises;
 const path = require('path');
 const sharp = require('sharp');
@@ -9,10 +9,22 @@ const pixelmatchModule = require('pixelmatch');
 const pixelmatch = pixelmatchModule.default;
 const ffmpeg = require('fluent-ffmpeg');
 const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError, DependencyError } = require('../../backend/utils/errorUtils');
+const { createResult, recordProcessed, recordSkipped, recordFailed } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { pathViolation, resolveInputPath } = require('../../backend/utils/pathUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs, mergeSummaries, logSummary } = require('../../backend/utils/jobUtils');
+const { createPlan, addAction, planOptions, reviewPlan } = require('../../backend/utils/planUtils');
+const { createJournal, trashFile, saveJournal } = require('../../backend/utils/journalUtils');
+const { WALK_FLAGS, walkOptions, listFiles } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { isValidFileName } = require('../../backend/utils/filenameUtils');
+const { trackTemp } = require('../../backend/utils/cancelUtils');
 
 // Configuration
 const BASE_DIR = path.join(__dirname, '..');
 const OUTPUT_DIR = path.join(__dirname, '..', '..', '..', 'bin', 'cleanup-files', 'duplicate-videos');
+const DELETE_OPTIONS = ['no', 'yes', 'all'];
 
 log('DEBUG', `Pixelmatch module loaded: ${typeof pixelmatch}`);
 log('DEBUG', `Sharp module loaded: ${typeof sharp}`);
@@ -73,7 +85,8 @@ async function getVideoDuration(videoPath, inputDir) {
   }
 }
 
-async function extractKeyframes(videoPath, tempDir, inputDir) {
+// Aborting `signal` kills the running FFmpeg process
+async function extractKeyframes(videoPath, tempDir, inputDir, signal) {
   const duration = await getVideoDuration(videoPath, inputDir);
   if (!duration) return null;
 
@@ -86,14 +99,15 @@ async function extractKeyframes(videoPath, tempDir, inputDir) {
     const tempFile = path.join(tempDir, `keyframe-${crypto.randomBytes(8).toString('hex')}.png`);
     try {
       await new Promise((resolve, reject) => {
-        ffmpeg(videoPath)
+        const command = ffmpeg(videoPath)
           .seekInput(time)
           .frames(1)
           .output(tempFile)
           .outputOptions('-y')
           .on('end', resolve)
-          .on('error', reject)
-          .run();
+          .on('error', reject);
+        if (signal) signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+        command.run();
       });
       const buffer = await fs.readFile(tempFile);
       keyframes.push(buffer);
@@ -107,7 +121,7 @@ async function extractKeyframes(videoPath, tempDir, inputDir) {
   return keyframes;
 }
 
-async function areVideosIdentical(video1Path, video2Path, tempDir, inputDir) {
+async function areVideosIdentical(video1Path, video2Path, tempDir, inputDir, signal) {
   try {
     log('DEBUG', `Comparing videos: ${path.relative(inputDir, video1Path)} vs ${path.relative(inputDir, video2Path)}`, { basePath: inputDir });
 
@@ -123,8 +137,8 @@ async function areVideosIdentical(video1Path, video2Path, tempDir, inputDir) {
     }
     log('DEBUG', `Durations match: ${duration1}s`);
 
-    const keyframes1 = await extractKeyframes(video1Path, tempDir, inputDir);
-    const keyframes2 = await extractKeyframes(video2Path, tempDir, inputDir);
+    const keyframes1 = await extractKeyframes(video1Path, tempDir, inputDir, signal);
+    const keyframes2 = await extractKeyframes(video2Path, tempDir, inputDir, signal);
 
     if (!keyframes1 || !keyframes2 || keyframes1.length !== keyframes2.length) {
       log('DEBUG', `Keyframe extraction failed or mismatched keyframe count`);
@@ -189,11 +203,14 @@ async function areVideosIdentical(video1Path, video2Path, tempDir, inputDir) {
 
 function parseArgs(args) {
   const params = {};
-  const validFlags = ['input', 'delete'];
+  const validFlags = ['input', 'delete', 'plan', ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['yes', 'dry-run', 'recursive'];
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const flag = args[i].slice(2);
-      if (validFlags.includes(flag)) {
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
         const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
         params[flag] = value;
         i++;
@@ -206,20 +223,174 @@ function parseArgs(args) {
   return params;
 }
 
-function isValidFilePath(filePath) {
-  const validPathRegex = /^[a-zA-Z0-9._-][a-zA-Z0-9._-]*(?:\.[a-zA-Z0-9]+)?$/;
-  return validPathRegex.test(path.basename(filePath));
+async function writeReport(inputDir, duplicateGroups, deletedFiles) {
+  const timestamp = getTimestamp();
+  const reportPath = path.join(OUTPUT_DIR, `duplicate-videos-report-${timestamp}.json`);
+  const report = {
+    duplicateGroups: duplicateGroups.map(group => group.map(file => path.relative(inputDir, file))),
+    deletedFiles: deletedFiles.map(file => path.relative(inputDir, file)),
+    timestamp: new Date().toISOString()
+  };
+  log('DEBUG', `Creating output directory: ${path.relative(BASE_DIR, OUTPUT_DIR)}`, { basePath: BASE_DIR });
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+  log('DEBUG', `Writing report to ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  log('INFO', `Duplicate videos report saved to: ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
+  return reportPath;
 }
 
-async function findDuplicateVideos(args = process.argv.slice(2)) {
+// Find duplicate videos in a directory (and its subfolders with recursive, see walkUtils) without prompting
+// and write a report to bin/cleanup-files.
+// options: { input, delete: 'no' | 'yes' | 'all', chooseKeep, dryRun, planFile, recursive, maxDepth, filters, concurrency, timeout, retries, signal }
+// With delete 'yes', chooseKeep(group) is awaited for each duplicate group and returns the file to
+// keep, or nothing to keep the whole group. With 'all' the first file of each group is kept.
+// Comparisons against each file run through the job queue. With dryRun the deletions are only planned
+// and printed, and no report is written; planFile saves the plan as JSON. Deleted files are moved to
+// the trash and journaled (see journalUtils) so they can be restored. The result also carries
+// duplicateGroups, deleted, plan, journal and reportPath. A cancelled run (see cancelUtils) stops comparing,
+// deletes nothing more and writes no report; its result has cancelled set.
+async function dedupeVideos(options = {}) {
+  if (!(await checkFFmpeg())) {
+    throw new DependencyError('Required tools FFmpeg or ffprobe not installed.', { tool: 'ffmpeg' });
+  }
+  const deleteOption = String(options.delete || 'no').toLowerCase();
+  if (!DELETE_OPTIONS.includes(deleteOption)) {
+    throw new ValidationError(`Invalid delete option: ${deleteOption}. Must be 'yes', 'no', or 'all'.`, { option: 'delete' });
+  }
+  if (deleteOption === 'yes' && typeof options.chooseKeep !== 'function') {
+    throw new ValidationError(`delete 'yes' requires a chooseKeep(group) callback`, { option: 'chooseKeep' });
+  }
+  const inputDir = await resolveInputPath(options.input, 'Input directory');
+  log('DEBUG', `Delete option: ${deleteOption}`);
+  const result = Object.assign(createResult(), { duplicateGroups: [], deleted: [], reportPath: null });
+
+  log('DEBUG', `Reading directory: ${path.relative(inputDir, inputDir)}`, { basePath: inputDir });
+  const videoExtensions = ['.mp4', '.webm'];
+  const videoFiles = [];
+  for (const fullPath of await listFiles(inputDir, options)) {
+    if (videoExtensions.includes(path.extname(fullPath).toLowerCase()) && isValidFileName(fullPath)) {
+      videoFiles.push(fullPath);
+    }
+  }
+  const files = await applyFilters(result, videoFiles, options, inputDir);
+  log('DEBUG', `Found ${files.length} video files in ${path.relative(inputDir, inputDir)}: ${files.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
+
+  if (files.length === 0) {
+    log('INFO', `No video files found in ${path.relative(inputDir, inputDir)}`, { basePath: inputDir });
+  } else {
+    log('INFO', `Processing ${files.length} video files for duplicates`);
+  }
+  const processedFiles = new Set();
+  const duplicateGroups = result.duplicateGroups;
+  const deletedFiles = result.deleted;
+  const summaries = [];
+
+  const tempDir = path.join(BASE_DIR, 'bin', `temp-${crypto.randomBytes(8).toString('hex')}`);
+  log('DEBUG', `Creating temporary directory: ${path.relative(BASE_DIR, tempDir)}`, { basePath: BASE_DIR });
+  await fs.mkdir(tempDir, { recursive: true });
+  const untrackTempDir = trackTemp(tempDir);
   try {
-    log('INFO', 'Starting Find Duplicate Videos Feature');
+    for (let i = 0; i < files.length; i++) {
+      if (processedFiles.has(files[i])) continue;
+      const currentGroup = [files[i]];
+      const candidates = files.slice(i + 1).filter(file => !processedFiles.has(file));
+      const comparisons = await runJobs(candidates, (file, { signal }) => {
+        log('DEBUG', `Comparing ${path.relative(inputDir, files[i])} with ${path.relative(inputDir, file)}`, { basePath: inputDir });
+        return areVideosIdentical(files[i], file, tempDir, inputDir, signal);
+      }, { ...options, kind: 'ffmpeg', label: 'comparison', quiet: true });
+      summaries.push(comparisons);
+      if (comparisons.cancelled > 0) {
+        result.cancelled = true;
+        break;
+      }
+      for (const job of comparisons.jobs) {
+        if (job.status === 'failed') {
+          log('WARN', `Could not compare ${path.relative(inputDir, files[i])} with ${path.relative(inputDir, job.item)}: ${job.error.message}`, { basePath: inputDir });
+        } else if (job.value) {
+          currentGroup.push(job.item);
+          processedFiles.add(job.item);
+        }
+      }
+      processedFiles.add(files[i]);
+      if (currentGroup.length > 1) {
+        duplicateGroups.push(currentGroup);
+        log('INFO', `Found duplicate group: ${currentGroup.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
+      }
+    }
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(err => log('DEBUG', `Failed to delete temp dir ${path.relative(BASE_DIR, tempDir)}: ${err.message}`, { basePath: BASE_DIR }));
+    untrackTempDir();
+  }
+  result.summary = mergeSummaries(summaries);
+  logSummary('comparison', result.summary);
+  if (result.cancelled) {
+    log('WARN', `Cancelled before every video was compared (${duplicateGroups.length} duplicate groups found so far). Nothing was deleted and no report was written.`);
+    return result;
+  }
+  files.forEach(file => recordProcessed(result, file));
+
+  const plan = createPlan('dedupe-videos', inputDir);
+  if (files.length > 0 && duplicateGroups.length === 0) {
+    log('INFO', 'No duplicate videos found.');
+  } else if (duplicateGroups.length > 0 && deleteOption === 'no') {
+    log('INFO', `Found ${duplicateGroups.length} duplicate video groups. No files deleted as per user selection.`);
+  } else if (duplicateGroups.length > 0) {
+    for (const group of duplicateGroups) {
+      let keepFile = group[0];
+      let filesToDelete = [];
+
+      if (deleteOption === 'yes') {
+        const keep = await options.chooseKeep(group);
+        if (keep && group.includes(keep)) {
+          keepFile = keep;
+          filesToDelete = group.filter(file => file !== keepFile);
+        }
+        log('DEBUG', `Chose to keep ${filesToDelete.length > 0 ? path.relative(inputDir, keepFile) : 'all'} for group ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
+      } else if (deleteOption === 'all') {
+        filesToDelete = group.slice(1);
+        log('DEBUG', `Auto-keeping ${path.relative(inputDir, keepFile)} and deleting ${filesToDelete.map(f => path.relative(inputDir, f)).join(', ')} for group ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
+      }
 
-    const ffmpegAvailable = await checkFFmpeg();
-    if (!ffmpegAvailable) {
-      log('ERROR', 'Required tools FFmpeg or ffprobe not installed.');
-      return 'error';
+      filesToDelete.forEach(file => addAction(plan, 'delete', file));
     }
+  }
+
+  result.plan = await reviewPlan(plan, options);
+  if (options.dryRun) return result;
+
+  if (plan.actions.length > 0) {
+    const journal = createJournal(plan.feature);
+    const deletions = await runJobs(plan.actions.map(action => action.source), async (file) => {
+      try {
+        const stats = await fs.stat(file);
+        log('DEBUG', `Deleting file ${path.relative(inputDir, file)}, size: ${stats.size} bytes`, { basePath: inputDir });
+        await trashFile(journal, file);
+        log('INFO', `Deleted duplicate video: ${path.relative(inputDir, file)} (moved to trash)`, { basePath: inputDir });
+      } catch (error) {
+        log('ERROR', `Failed to delete ${path.relative(inputDir, file)}: ${error.message}`, { basePath: inputDir });
+        log('DEBUG', `Delete error stack: ${error.stack}`);
+        throw error;
+      }
+    }, { ...options, kind: 'fs', label: 'delete' });
+    for (const job of deletions.jobs) {
+      if (job.status === 'success') deletedFiles.push(job.item);
+      else if (job.status === 'cancelled') recordSkipped(result, job.item, 'cancelled');
+      else recordFailed(result, job.item, job.error);
+    }
+    if (deletions.cancelled > 0) result.cancelled = true;
+    if (await saveJournal(journal)) result.journal = journal.id;
+    log('INFO', `Found ${duplicateGroups.length} duplicate video groups, deleted ${deletedFiles.length} files.`);
+  }
+
+  result.reportPath = await writeReport(inputDir, duplicateGroups, deletedFiles);
+  result.outputs.push(result.reportPath);
+  log('DEBUG', `Find Duplicate Videos completed: ${duplicateGroups.length} duplicate groups found, ${deletedFiles.length} deleted`);
+  return result;
+}
+
+async function findDuplicateVideos(args = process.argv.slice(2)) {
+  try {
+    log('INFO', 'Starting Find Duplicate Videos Feature');
 
     const params = parseArgs(args);
     if (params.error) return 'error';
@@ -227,18 +398,7 @@ async function findDuplicateVideos(args = process.argv.slice(2)) {
     let inputDir;
     if (params['input']) {
       inputDir = path.resolve(params['input']);
-      try {
-        await fs.access(inputDir);
-        log('DEBUG', `Input directory from args: ${inputDir}`, { basePath: inputDir });
-        const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-        if (forbiddenDirs.some(dir => inputDir.startsWith(path.resolve(dir)))) {
-          log('ERROR', `Input directory ${inputDir} is a system directory and cannot be processed.`, { sanitizePaths: false });
-          return 'error';
-        }
-      } catch {
-        log('ERROR', `Input directory not found: ${inputDir}`, { basePath: inputDir });
-        return 'error';
-      }
+      log('DEBUG', `Input directory from args: ${inputDir}`, { basePath: inputDir });
     } else {
       log('DEBUG', 'Prompting for input directory');
       const inputDirResponse = await prompts({
@@ -249,11 +409,8 @@ async function findDuplicateVideos(args = process.argv.slice(2)) {
           if (value.trim() === '') return true;
           try {
             await fs.access(value);
-            const resolvedDir = path.resolve(value);
-            const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-            if (forbiddenDirs.some(dir => resolvedDir.startsWith(path.resolve(dir)))) {
-              return 'System directory not allowed.';
-            }
+            const violation = await pathViolation(value);
+            if (violation) return violation;
             return true;
           } catch {
             return 'Directory not found.';
@@ -271,10 +428,6 @@ async function findDuplicateVideos(args = process.argv.slice(2)) {
     let deleteOption;
     if (params['delete']) {
       deleteOption = params['delete'].toLowerCase();
-      if (!['yes', 'no', 'all'].includes(deleteOption)) {
-        log('ERROR', `Invalid delete option: ${deleteOption}. Must be 'yes', 'no', or 'all'.`);
-        return 'error';
-      }
       log('DEBUG', `Delete option from args: ${deleteOption}`);
     } else {
       log('DEBUG', 'Prompting for delete option');
@@ -297,7 +450,7 @@ async function findDuplicateVideos(args = process.argv.slice(2)) {
       }
     }
 
-    if (deleteOption === 'all') {
+    if (deleteOption === 'all' && !params['yes'] && !params['dry-run']) {
       const confirmResponse = await prompts({
         type: 'confirm',
         name: 'confirm',
@@ -310,153 +463,31 @@ async function findDuplicateVideos(args = process.argv.slice(2)) {
       }
     }
 
-    const tempDir = path.join(BASE_DIR, 'bin', `temp-${crypto.randomBytes(8).toString('hex')}`);
-    log('DEBUG', `Creating temporary directory: ${path.relative(BASE_DIR, tempDir)}`, { basePath: BASE_DIR });
-    if (!path.resolve(tempDir).startsWith(path.resolve(BASE_DIR))) {
-      log('ERROR', `Temporary directory ${tempDir} is outside project root.`, { sanitizePaths: false });
-      return 'error';
-    }
-    await fs.mkdir(tempDir, { recursive: true });
-
-    log('DEBUG', `Reading directory: ${path.relative(inputDir, inputDir)}`, { basePath: inputDir });
-    const dirEntries = await fs.readdir(inputDir);
-    const videoExtensions = ['.mp4', '.webm'];
-    const files = [];
-    for (const entry of dirEntries) {
-      const fullPath = path.join(inputDir, entry);
-      const stats = await fs.stat(fullPath);
-      if (stats.isFile() && videoExtensions.includes(path.extname(fullPath).toLowerCase()) && isValidFilePath(fullPath)) {
-        files.push(fullPath);
-      }
-    }
-    log('DEBUG', `Found ${files.length} video files in ${path.relative(inputDir, inputDir)}: ${files.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
-
-    if (files.length === 0) {
-      log('INFO', `No video files found in ${path.relative(inputDir, inputDir)}`, { basePath: inputDir });
-      const timestamp = getTimestamp();
-      const reportPath = path.join(OUTPUT_DIR, `duplicate-videos-report-${timestamp}.json`);
-      const report = {
-        duplicateGroups: [],
-        deletedFiles: [],
-        timestamp: new Date().toISOString()
-      };
-      log('DEBUG', `Creating output directory: ${path.relative(BASE_DIR, OUTPUT_DIR)}`, { basePath: BASE_DIR });
-      await fs.mkdir(OUTPUT_DIR, { recursive: true });
-      log('DEBUG', `Writing report to ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-      await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
-      log('INFO', `Duplicate videos report saved to: ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-      await fs.rm(tempDir, { recursive: true, force: true }).catch(err => log('DEBUG', `Failed to delete temp dir ${path.relative(BASE_DIR, tempDir)}: ${err.message}`, { basePath: BASE_DIR }));
-      return 'success';
-    }
-
-    log('INFO', `Processing ${files.length} video files for duplicates`);
-    const processedFiles = new Set();
-    const duplicateGroups = [];
-    const deletedFiles = [];
-
-    for (let i = 0; i < files.length; i++) {
-      if (processedFiles.has(files[i])) continue;
-      const currentGroup = [files[i]];
-      for (let j = i + 1; j < files.length; j++) {
-        if (processedFiles.has(files[j])) continue;
-        log('DEBUG', `Comparing ${path.relative(inputDir, files[i])} with ${path.relative(inputDir, files[j])}`, { basePath: inputDir });
-        if (await areVideosIdentical(files[i], files[j], tempDir, inputDir)) {
-          currentGroup.push(files[j]);
-          processedFiles.add(files[j]);
-        }
-      }
-      processedFiles.add(files[i]);
-      if (currentGroup.length > 1) {
-        duplicateGroups.push(currentGroup);
-        log('INFO', `Found duplicate group: ${currentGroup.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
-      }
-    }
-
-    if (duplicateGroups.length === 0) {
-      log('INFO', 'No duplicate videos found.');
-      const timestamp = getTimestamp();
-      const reportPath = path.join(OUTPUT_DIR, `duplicate-videos-report-${timestamp}.json`);
-      const report = {
-        duplicateGroups: [],
-        deletedFiles: [],
-        timestamp: new Date().toISOString()
-      };
-      log('DEBUG', `Creating output directory: ${path.relative(BASE_DIR, OUTPUT_DIR)}`, { basePath: BASE_DIR });
-      await fs.mkdir(OUTPUT_DIR, { recursive: true });
-      log('DEBUG', `Writing report to ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-      await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
-      log('INFO', `Duplicate videos report saved to: ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-      await fs.rm(tempDir, { recursive: true, force: true }).catch(err => log('DEBUG', `Failed to delete temp dir ${path.relative(BASE_DIR, tempDir)}: ${err.message}`, { basePath: BASE_DIR }));
-      return 'success';
-    }
-
-    if (deleteOption === 'no') {
-      log('INFO', `Found ${duplicateGroups.length} duplicate video groups. No files deleted as per user selection.`);
-    } else {
-      for (const group of duplicateGroups) {
-        let keepFile = group[0];
-        let filesToDelete = [];
-
-        if (deleteOption === 'yes') {
-          log('DEBUG', `Prompting for deletion of duplicate group: ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
-          const deleteResponse = await prompts({
-            type: 'select',
-            name: 'keep',
-            message: `Duplicate videos found: ${group.map(f => path.relative(inputDir, f)).join(', ')}. Choose one to keep:`,
-            choices: [
-              ...group.map(file => ({ title: `Keep ${path.relative(inputDir, file)}`, value: file })),
-              { title: 'Keep all', value: 'keep' },
-            ],
-            initial: 0,
-          });
-          if (deleteResponse.keep && deleteResponse.keep !== 'keep') {
-            keepFile = deleteResponse.keep;
-            filesToDelete = group.filter(file => file !== keepFile);
-          }
-          log('DEBUG', `User chose to keep ${keepFile ? path.relative(inputDir, keepFile) : 'all'} for group ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
-        } else if (deleteOption === 'all') {
-          filesToDelete = group.slice(1);
-          log('DEBUG', `Auto-keeping ${path.relative(inputDir, keepFile)} and deleting ${filesToDelete.map(f => path.relative(inputDir, f)).join(', ')} for group ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
-        }
-
-        for (const file of filesToDelete) {
-          try {
-            const stats = await fs.stat(file);
-            log('DEBUG', `Deleting file ${path.relative(inputDir, file)}, size: ${stats.size} bytes`, { basePath: inputDir });
-            await fs.unlink(file);
-            log('INFO', `Deleted duplicate video: ${path.relative(inputDir, file)}`, { basePath: inputDir });
-            deletedFiles.push(file);
-          } catch (error) {
-            log('ERROR', `Failed to delete ${path.relative(inputDir, file)}: ${error.message}`, { basePath: inputDir });
-            log('DEBUG', `Delete error stack: ${error.stack}`);
-          }
-        }
-      }
-      log('INFO', `Found ${duplicateGroups.length} duplicate video groups, deleted ${deletedFiles.length} files.`);
-    }
-
-    const timestamp = getTimestamp();
-    const reportPath = path.join(OUTPUT_DIR, `duplicate-videos-report-${timestamp}.json`);
-    const report = {
-      duplicateGroups: duplicateGroups.map(group => group.map(file => path.relative(inputDir, file))),
-      deletedFiles: deletedFiles.map(file => path.relative(inputDir, file)),
-      timestamp: new Date().toISOString()
+    const chooseKeep = async (group) => {
+      log('DEBUG', `Prompting for deletion of duplicate group: ${group.map(f => path.relative(inputDir, f)).join(', ')}`, { basePath: inputDir });
+      const deleteResponse = await prompts({
+        type: 'select',
+        name: 'keep',
+        message: `Duplicate videos found: ${group.map(f => path.relative(inputDir, f)).join(', ')}. Choose one to keep:`,
+        choices: [
+          ...group.map(file => ({ title: `Keep ${path.relative(inputDir, file)}`, value: file })),
+          { title: 'Keep all', value: 'keep' },
+        ],
+        initial: 0,
+      });
+      return deleteResponse.keep !== 'keep' ? deleteResponse.keep : null;
     };
-    log('DEBUG', `Creating output directory: ${path.relative(BASE_DIR, OUTPUT_DIR)}`, { basePath: BASE_DIR });
-    await fs.mkdir(OUTPUT_DIR, { recursive: true });
-    log('DEBUG', `Writing report to ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
-    log('INFO', `Duplicate videos report saved to: ${path.relative(BASE_DIR, reportPath)}`, { basePath: BASE_DIR });
-
-    await fs.rm(tempDir, { recursive: true, force: true }).catch(err => log('DEBUG', `Failed to delete temp dir ${path.relative(BASE_DIR, tempDir)}: ${err.message}`, { basePath: BASE_DIR }));
 
-    log('DEBUG', `Find Duplicate Videos completed: ${duplicateGroups.length} duplicate groups found, ${deletedFiles.length} deleted`);
-    return deletedFiles.length > 0 || duplicateGroups.length > 0 ? 'success' : 'error';
+    const result = await dedupeVideos({ input: inputDir, delete: deleteOption, chooseKeep, ...planOptions(params), ...walkOptions(params), ...filterOptions(params), ...queueOptions(params) });
+    return reportRun('dedupe-videos', result);
   } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('dedupe-videos', error, args);
+    }
     log('ERROR', `Unexpected error in Find Duplicate Videos: ${error.message}`);
     log('DEBUG', `Error stack: ${error.stack}`);
-    await fs.rm(tempDir, { recursive: true, force: true }).catch(err => log('DEBUG', `Failed to delete temp dir ${path.relative(BASE_DIR, tempDir)}: ${err.message}`, { basePath: BASE_DIR }));
-    return 'error';
+    return reportError('dedupe-videos', error, args);
   }
 }
 
@@ -469,4 +500,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { findDuplicateVideos };
\ No newline at end of file
+module.exports = { findDuplicateVideos, dedupeVideos };
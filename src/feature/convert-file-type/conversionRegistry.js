@@ -0,0 +1,192 @@
+// Registry of every file type conversion supported by the conversion engine (convertFiles.js).
+// Adding a new format pair only needs a CONVERSIONS entry (plus a FORMATS entry for a new format).
+
+// Formats the engine can read or write. `ffmpegFormat` is passed to ffmpeg's toFormat() and `sharpFormat`
+// to sharp's toFormat(), with `sharpOptions` as the defaults for every write. `options` are the
+// format-specific encoder options an image conversion to this format accepts (see IMAGE_OPTIONS).
+// `icc` marks formats that keep the input's ICC profile (others are converted to sRGB), `flatten` is the
+// default background for formats without alpha and `codec` names a format the engine encodes itself.
+// `animation` marks formats that can be animated: 'libvips' when sharp reads and writes their frames,
+// 'ffmpeg' when only FFmpeg does (AVIF sequences). FFmpeg encodes animations with `animationCodec`.
+const FORMATS = {
+  gif: { label: 'GIF', extensions: ['.gif'], ffmpegFormat: 'gif', sharpFormat: 'gif', animation: 'libvips' },
+  mov: { label: 'MOV', extensions: ['.mov'], ffmpegFormat: 'mov' },
+  mp4: { label: 'MP4', extensions: ['.mp4'], ffmpegFormat: 'mp4' },
+  webm: { label: 'WebM', extensions: ['.webm'], ffmpegFormat: 'webm' },
+  mp3: { label: 'MP3', extensions: ['.mp3'], ffmpegFormat: 'mp3' },
+  wav: { label: 'WAV', extensions: ['.wav'], ffmpegFormat: 'wav' },
+  jpg: { label: 'JPG', extensions: ['.jpg', '.jpeg'], ffmpegFormat: 'jpg', sharpFormat: 'jpeg', icc: true, flatten: '#ffffff', options: ['quality', 'progressive', 'mozjpeg', 'chroma', 'background', 'targetSize'] },
+  png: { label: 'PNG', extensions: ['.png'], ffmpegFormat: 'png', sharpFormat: 'png', icc: true, options: ['palette', 'colors', 'quality', 'progressive'] },
+  // The defaults match the cwebp settings WebP was first encoded with (-q 90 -m 6)
+  webp: { label: 'WebP', extensions: ['.webp'], ffmpegFormat: 'webp', sharpFormat: 'webp', sharpOptions: { quality: 90, effort: 6 }, icc: true, animation: 'libvips', animationCodec: 'libwebp_anim', options: ['quality', 'effort', 'lossless', 'nearLossless', 'targetSize'] },
+  avif: { label: 'AVIF', extensions: ['.avif'], ffmpegFormat: 'avif', sharpFormat: 'avif', icc: true, animation: 'ffmpeg', animationCodec: 'libaom-av1', options: ['quality', 'effort', 'lossless', 'chroma', 'targetSize'] },
+  tiff: { label: 'TIFF', extensions: ['.tif', '.tiff'], sharpFormat: 'tiff', icc: true, options: ['compression', 'quality'] },
+  // libvips cannot read or write BMP, so the engine does (see bmpUtils) and passes raw pixels to sharp
+  bmp: { label: 'BMP', extensions: ['.bmp'], codec: 'bmp' },
+  // HEVC-coded HEIF. Whether libvips can read or write it depends on how it was built (see convert())
+  heic: { label: 'HEIC', extensions: ['.heic', '.heif'], sharpFormat: 'heif', sharpOptions: { compression: 'hevc' }, icc: true, options: ['quality', 'effort', 'lossless', 'chroma', 'targetSize'] },
+};
+
+// Format-specific encoder options for image conversions, e.g. --effort 9 for AVIF, keyed by the option
+// name of convert(). `flag` is the command line flag when it differs, `sharpOption` the sharp option it
+// sets, or false for options the engine applies itself: background replaces the format's `flatten`
+// color and for targetSize the engine searches for the highest quality whose output fits (for GIF, the
+// highest frame rate and width). `range` bounds a whole number for each format, `values` lists the
+// accepted strings, `color` options take a CSS color, `time` options a time in the input and `boolean`
+// options take no value.
+const IMAGE_OPTIONS = {
+  quality: { description: 'Quality (for PNG, of the palette)', range: { jpg: [1, 100], png: [1, 100], webp: [1, 100], avif: [1, 100], tiff: [1, 100], heic: [1, 100] } },
+  effort: { description: 'CPU effort, slower for smaller files', range: { webp: [0, 6], avif: [0, 9], heic: [0, 9] } },
+  compression: { description: 'TIFF compression', values: ['none', 'lzw', 'deflate', 'jpeg', 'packbits', 'zstd', 'webp'] },
+  lossless: { description: 'Lossless encoding', boolean: true },
+  nearLossless: { flag: 'near-lossless', sharpOption: 'nearLossless', description: 'Near-lossless encoding (quality sets the preprocessing)', boolean: true },
+  progressive: { description: 'Progressive (interlaced) encoding', boolean: true },
+  mozjpeg: { description: 'mozjpeg settings, smaller files at the same quality', boolean: true },
+  chroma: { sharpOption: 'chromaSubsampling', description: 'Chroma subsampling', values: ['4:2:0', '4:4:4'] },
+  palette: { description: 'Quantise to a palette of up to 256 colors', boolean: true },
+  colors: { sharpOption: 'colours', description: 'Palette colors (for PNG, implies palette)', range: { png: [2, 256], gif: [4, 256] } },
+  paletteMode: { flag: 'palette-mode', description: 'One palette for the whole GIF or one per frame', values: ['global', 'frame'] },
+  dither: { description: 'Dither algorithm', values: ['none', 'bayer', 'floyd_steinberg', 'sierra2', 'sierra2_4a'] },
+  width: { description: 'Width in pixels, never above the source width', range: { gif: [8, 4096] } },
+  start: { description: 'Start time in the input, in seconds or [HH:]MM:SS', time: true },
+  end: { description: 'End time in the input, in seconds or [HH:]MM:SS', time: true },
+  loop: { description: 'Times the animation plays, 0 for forever', range: { gif: [0, 65535] } },
+  background: { sharpOption: false, description: 'Background color for transparent areas', color: true },
+  targetSize: { flag: 'target-size', sharpOption: false, description: 'Largest output size in KB', range: { jpg: [1, 1000000], webp: [1, 1000000], avif: [1, 1000000], heic: [1, 1000000], gif: [1, 1000000] } },
+};
+
+// Command line flags of the image options, split into those taking a value and the booleans
+const IMAGE_FLAGS = Object.entries(IMAGE_OPTIONS).filter(([, spec]) => !spec.boolean).map(([name, spec]) => spec.flag || name);
+const IMAGE_BOOLEAN_FLAGS = Object.entries(IMAGE_OPTIONS).filter(([, spec]) => spec.boolean).map(([name, spec]) => spec.flag || name);
+
+// Checks an input must pass before it is converted, keyed by the `validate` field of a conversion. Rules
+// run on ffprobe's streams unless `probe` is 'sharp', when they run on the image's metadata.
+const VALIDATION_RULES = {
+  video: {
+    skipReason: 'no frames or duration',
+    accepts: stream => stream.codec_type === 'video' &&
+      Number(stream.nb_frames) > 1 && // Require more than one frame
+      Boolean(stream.duration && parseFloat(stream.duration) >= 0.1), // Require duration >= 0.1 seconds
+  },
+  audio: {
+    skipReason: 'no audio stream',
+    accepts: stream => stream.codec_type === 'audio' &&
+      Boolean(stream.codec_name) &&
+      ['mp3', 'aac', 'pcm_s16le', 'pcm_s24le', 'pcm_s32le', 'pcm_f32le', 'pcm_f64le'].includes(stream.codec_name.toLowerCase()),
+  },
+  // Animations are checked on their first frame
+  still: {
+    skipReason: 'not an image that can be read',
+    probe: 'sharp',
+    accepts: metadata => Boolean(metadata.width && metadata.height),
+  },
+};
+
+// Images, each of which converts to every other in-process on sharp. Between formats that can be
+// animated the `animation` encoder keeps every frame.
+const IMAGE_FORMATS = ['jpg', 'png', 'webp', 'avif', 'tiff', 'bmp', 'gif', 'heic'];
+
+// Whether sharp can decode a format, from the file suffixes its loaders take. The prebuilt libvips reads
+// HEIF only when it holds AV1 (AVIF), since it has no HEVC decoder, so phone HEIC photos cannot be read.
+// A broken sharp install reads nothing; its conversions are left in for doctor to report.
+function sharpReads(format) {
+  if (FORMATS[format].codec) return true;
+  let support;
+  try {
+    support = require('sharp').format[format === 'avif' ? 'heif' : FORMATS[format].sharpFormat];
+  } catch {
+    return true;
+  }
+  return Boolean(support && support.input.file && FORMATS[format].extensions.some(extension => (support.input.fileSuffix || []).includes(extension)));
+}
+
+// Image formats this sharp build cannot decode; conversions from them are left out of CONVERSIONS
+const UNREADABLE_FORMATS = IMAGE_FORMATS.filter(format => !sharpReads(format));
+
+function imageConversions() {
+  return IMAGE_FORMATS.flatMap(from => IMAGE_FORMATS.filter(to => to !== from).map(to => ({
+    from,
+    to,
+    category: 'images',
+    validate: 'still',
+    encoder: FORMATS[from].animation && FORMATS[to].animation ? 'animation' : 'sharp',
+    settings: {},
+  })));
+}
+
+const MP3_SETTINGS = { noVideo: true, audioCodec: 'libmp3lame', audioBitrate: '192k', audioChannels: 2 };
+const WAV_SETTINGS = { noVideo: true, audioCodec: 'pcm_s16le', audioChannels: 2, audioFrequency: 44100 };
+// Defaults of the palette GIF encoder and the options it takes
+const GIF_SETTINGS = { fps: 12, width: 480, colors: 256, dither: 'sierra2_4a', paletteMode: 'global' };
+const GIF_OPTIONS = ['width', 'colors', 'dither', 'paletteMode', 'start', 'end', 'loop', 'targetSize'];
+const ANIMATED_WEBP_OPTIONS = ['quality', 'effort', 'lossless'];
+const ANIMATED_WEBP_SETTINGS = { videoCodec: 'libwebp_anim', videoFilters: ['fps=15', 'scale=480:-1:flags=lanczos'], outputOptions: ['-an'] };
+
+// Supported conversions.
+// - `category` groups conversions in menus and help text.
+// - `validate` names a VALIDATION_RULES entry.
+// - `encoder` is one of the encoders implemented by the engine (ffmpeg, sharp, animation, gif) and
+//   `settings` holds its options. ffmpeg settings map onto fluent-ffmpeg methods, `videoFilters` is the -vf
+//   filter chain and `outputOptions` are passed through as-is. sharp settings are format options, e.g.
+//   { quality: 80 }. gif settings are the defaults of the palette GIF encoder.
+// - `options` lists the image options the conversion takes when they differ from the target format's.
+// - `animated` marks ffmpeg conversions writing an animated image, which take the target's image options.
+const CONVERSIONS = [
+  // Videos
+  { from: 'gif', to: 'mp4', category: 'videos', validate: 'video', encoder: 'ffmpeg', settings: { videoCodec: 'libx264', videoFilters: ['scale=trunc(iw/2)*2:trunc(ih/2)*2'], outputOptions: ['-pix_fmt yuv420p', '-movflags faststart'] } },
+  { from: 'gif', to: 'mov', category: 'videos', validate: 'video', encoder: 'ffmpeg', settings: { videoCodec: 'libx264', videoBitrate: '1000k', audioCodec: 'aac', videoFilters: ['scale=640:-1'] } },
+  { from: 'gif', to: 'webm', category: 'videos', validate: 'video', encoder: 'ffmpeg', settings: { videoCodec: 'libvpx-vp9', videoBitrate: '1000k', audioCodec: 'libopus' } },
+  { from: 'mov', to: 'gif', category: 'videos', validate: 'video', encoder: 'gif', options: GIF_OPTIONS, settings: GIF_SETTINGS },
+  { from: 'mov', to: 'mp4', category: 'videos', validate: 'video', encoder: 'ffmpeg', settings: { videoCodec: 'libx264', videoBitrate: '1000k', audioCodec: 'aac', videoFilters: ['scale=640:-1:flags=lanczos'] } },
+  { from: 'mov', to: 'webm', category: 'videos', validate: 'video', encoder: 'ffmpeg', settings: { videoCodec: 'libvpx-vp9', videoBitrate: '1000k', audioCodec: 'libopus', videoFilters: ['scale=640:-1:flags=lanczos'] } },
+  { from: 'mp4', to: 'gif', category: 'videos', validate: 'video', encoder: 'gif', options: GIF_OPTIONS, settings: GIF_SETTINGS },
+  { from: 'mp4', to: 'mov', category: 'videos', validate: 'video', encoder: 'ffmpeg', settings: { videoCodec: 'libx264', videoBitrate: '1000k', audioCodec: 'aac', videoFilters: ['scale=640:-1:flags=lanczos'] } },
+  { from: 'mp4', to: 'webm', category: 'videos', validate: 'video', encoder: 'ffmpeg', settings: { videoCodec: 'libvpx-vp9', videoBitrate: '1000k', audioCodec: 'libopus' } },
+  { from: 'mp4', to: 'webp', category: 'videos', validate: 'video', encoder: 'ffmpeg', animated: true, options: ANIMATED_WEBP_OPTIONS, settings: ANIMATED_WEBP_SETTINGS },
+  { from: 'webm', to: 'gif', category: 'videos', validate: 'video', encoder: 'gif', options: GIF_OPTIONS, settings: GIF_SETTINGS },
+  { from: 'webm', to: 'mov', category: 'videos', validate: 'video', encoder: 'ffmpeg', settings: { videoCodec: 'libx264', videoBitrate: '1000k', audioCodec: 'aac', videoFilters: ['scale=640:-1:flags=lanczos'] } },
+  { from: 'webm', to: 'mp4', category: 'videos', validate: 'video', encoder: 'ffmpeg', settings: { videoCodec: 'libx264', outputOptions: ['-pix_fmt yuv420p', '-movflags +faststart'] } },
+  { from: 'webm', to: 'webp', category: 'videos', validate: 'video', encoder: 'ffmpeg', animated: true, options: ANIMATED_WEBP_OPTIONS, settings: ANIMATED_WEBP_SETTINGS },
+  // Video to audio
+  { from: 'gif', to: 'mp3', category: 'audio', validate: 'audio', encoder: 'ffmpeg', settings: MP3_SETTINGS },
+  { from: 'gif', to: 'wav', category: 'audio', validate: 'audio', encoder: 'ffmpeg', settings: WAV_SETTINGS },
+  { from: 'mov', to: 'mp3', category: 'audio', validate: 'audio', encoder: 'ffmpeg', settings: MP3_SETTINGS },
+  { from: 'mov', to: 'wav', category: 'audio', validate: 'audio', encoder: 'ffmpeg', settings: WAV_SETTINGS },
+  { from: 'mp4', to: 'mp3', category: 'audio', validate: 'audio', encoder: 'ffmpeg', settings: MP3_SETTINGS },
+  { from: 'mp4', to: 'wav', category: 'audio', validate: 'audio', encoder: 'ffmpeg', settings: WAV_SETTINGS },
+  { from: 'webm', to: 'mp3', category: 'audio', validate: 'audio', encoder: 'ffmpeg', settings: MP3_SETTINGS },
+  { from: 'webm', to: 'wav', category: 'audio', validate: 'audio', encoder: 'ffmpeg', settings: WAV_SETTINGS },
+  // Images
+  ...imageConversions().filter(conversion => !UNREADABLE_FORMATS.includes(conversion.from)),
+];
+
+// The image conversions left out because sharp cannot decode their source, so they can fail with a clear
+// error rather than as unknown conversions
+const UNREADABLE_CONVERSIONS = imageConversions().filter(conversion => UNREADABLE_FORMATS.includes(conversion.from));
+
+const CATEGORIES = {
+  videos: 'Videos',
+  audio: 'Video to Audio',
+  images: 'Images',
+};
+
+// Accept format names case-insensitively and by any of their extensions, e.g. 'JPEG' -> 'jpg'
+function normalizeFormat(format) {
+  if (typeof format !== 'string') return null;
+  const name = format.toLowerCase().replace(/^\./, '');
+  return Object.keys(FORMATS).find(key => key === name || FORMATS[key].extensions.includes(`.${name}`)) || null;
+}
+
+function getConversion(from, to) {
+  return CONVERSIONS.find(conversion => conversion.from === from && conversion.to === to) || null;
+}
+
+function getSourceFormats() {
+  return [...new Set(CONVERSIONS.map(conversion => conversion.from))];
+}
+
+function getTargetFormats(from) {
+  return CONVERSIONS.filter(conversion => conversion.from === from).map(conversion => conversion.to);
+}
+
+module.exports = { FORMATS, IMAGE_OPTIONS, IMAGE_FLAGS, IMAGE_BOOLEAN_FLAGS, VALIDATION_RULES, CONVERSIONS, UNREADABLE_FORMATS, UNREADABLE_CONVERSIONS, CATEGORIES, normalizeFormat, getConversion, getSourceFormats, getTargetFormats };
@@ -0,0 +1,770 @@
+#!/usr/bin/env node
+
+const { prompts, isInteractive } = require('../../backend/utils/promptUtils');
+const fs = require('fs').promises;
+const path = require('path');
+const { Readable } = require('stream');
+const ffmpeg = require('fluent-ffmpeg');
+const sharp = require('sharp');
+const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError, UnsupportedFormatError } = require('../../backend/utils/errorUtils');
+const { createResult, recordSkipped, recordFailed, recordJobs } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs } = require('../../backend/utils/jobUtils');
+const { WALK_FLAGS, walkOptions, listFiles, mirrorDir } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { CONFLICT_FLAGS, conflictOptions } = require('../../backend/utils/conflictUtils');
+const { openCheckpoint, applyCheckpointConflicts } = require('../../backend/utils/checkpointUtils');
+const { writeAtomically } = require('../../backend/utils/fileUtils');
+const { pathExists, pathViolation, resolveInputPath, resolveOutputDir } = require('../../backend/utils/pathUtils');
+const { isValidFileName } = require('../../backend/utils/filenameUtils');
+const { readBmpHeader, decodeBmp, encodeBmp } = require('../../backend/utils/bmpUtils');
+const { FFMPEG_IMAGE_OPTIONS, frameTicks, rawFrames, animationFilterGraph, loopOption, animationOutputOptions, gifFilters, shrinkGif, isAvifSequence } = require('../../backend/utils/animationUtils');
+const { FORMATS, IMAGE_OPTIONS, IMAGE_FLAGS, IMAGE_BOOLEAN_FLAGS, VALIDATION_RULES, UNREADABLE_FORMATS, normalizeFormat, getConversion, getSourceFormats, getTargetFormats } = require('./conversionRegistry');
+
+// Configuration
+const BASE_DIR = path.join(__dirname, '..', '..', '..');
+
+async function validateStream(inputFile, rule) {
+  return new Promise((resolve) => {
+    log('DEBUG', `Running ffprobe on ${path.basename(inputFile)}`, { basePath: path.dirname(inputFile) });
+    ffmpeg.ffprobe(inputFile, (err, metadata) => {
+      if (err) {
+        log('DEBUG', `FFprobe error for ${path.basename(inputFile)}: ${err.message}`, { basePath: path.dirname(inputFile) });
+        log('INFO', `Skipping ${path.basename(inputFile)}: ${rule.skipReason}.`, { basePath: path.dirname(inputFile) });
+        resolve(false);
+      } else {
+        log('DEBUG', `FFprobe metadata for ${path.basename(inputFile)}: ${JSON.stringify(metadata.streams, null, 2)}`, { basePath: path.dirname(inputFile) });
+        const isValid = metadata.streams.some(rule.accepts);
+        if (!isValid) {
+          log('INFO', `Skipping ${path.basename(inputFile)}: ${rule.skipReason}.`, { basePath: path.dirname(inputFile) });
+        }
+        log('DEBUG', `Validation result for ${path.basename(inputFile)}: ${isValid}`, { basePath: path.dirname(inputFile) });
+        resolve(isValid);
+      }
+    });
+  });
+}
+
+// Formats the engine encodes itself are read here, the rest by libvips
+async function imageMetadata(inputFile) {
+  if (hasExtension(inputFile, 'bmp')) {
+    const header = readBmpHeader(await fs.readFile(inputFile));
+    return { format: 'bmp', width: header.width, height: header.height };
+  }
+  return sharp(inputFile).metadata();
+}
+
+async function validateImage(inputFile, rule) {
+  try {
+    const metadata = await imageMetadata(inputFile);
+    log('DEBUG', `Image metadata for ${path.basename(inputFile)}: ${metadata.format} ${metadata.width}x${metadata.height}`, { basePath: path.dirname(inputFile) });
+    if (rule.accepts(metadata)) return true;
+  } catch (error) {
+    log('DEBUG', `Cannot read ${path.basename(inputFile)}: ${error.message}`, { basePath: path.dirname(inputFile) });
+  }
+  log('INFO', `Skipping ${path.basename(inputFile)}: ${rule.skipReason}.`, { basePath: path.dirname(inputFile) });
+  return false;
+}
+
+function validateInput(inputFile, rule) {
+  return rule.probe === 'sharp' ? validateImage(inputFile, rule) : validateStream(inputFile, rule);
+}
+
+// Run a prepared fluent-ffmpeg command to outputFile, killing FFmpeg when the job is cancelled
+function saveFfmpeg(command, inputFile, outputFile, inputDir, params) {
+  return new Promise((resolve, reject) => {
+    if (params.signal) params.signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+    if (params.onProgress) command.on('progress', progress => params.onProgress(progress.percent));
+    command
+      .on('start', (commandLine) => {
+        log('DEBUG', `FFmpeg command: ${commandLine}`, { basePath: inputDir });
+      })
+      .on('end', () => resolve())
+      .on('error', (error) => {
+        if (params.signal && params.signal.aborted) {
+          log('DEBUG', `FFmpeg stopped for ${path.relative(inputDir, inputFile)}`, { basePath: inputDir });
+          reject(error);
+          return;
+        }
+        log('ERROR', `FFmpeg error for ${path.relative(inputDir, inputFile)}: ${error.message}`, { basePath: inputDir });
+        if (params.verbose) log('DEBUG', `FFmpeg error stack: ${error.stack}`, { basePath: inputDir });
+        reject(error);
+      })
+      .save(outputFile);
+  });
+}
+
+function runFfmpeg(inputFile, outputFile, inputDir, conversion, params) {
+  const { settings } = conversion;
+  const command = ffmpeg(inputFile);
+  if (settings.noVideo) command.noVideo();
+  if (settings.videoCodec) command.videoCodec(settings.videoCodec);
+  if (settings.videoBitrate) command.videoBitrate(settings.videoBitrate);
+  if (settings.audioCodec) command.audioCodec(settings.audioCodec);
+  if (settings.audioBitrate) command.audioBitrate(settings.audioBitrate);
+  if (settings.audioChannels) command.audioChannels(settings.audioChannels);
+  if (settings.audioFrequency) command.audioFrequency(settings.audioFrequency);
+  let filters = settings.videoFilters || [];
+  if (params.fps) filters = [`fps=${params.fps}`, ...filters.filter(filter => !filter.startsWith('fps='))];
+  if (filters.length > 0) command.videoFilters(filters);
+  const animationOptions = conversion.animated ? animationOutputOptions(conversion.to, params.image) : [];
+  command
+    .outputOptions([...(settings.outputOptions || []), ...animationOptions, '-y'])
+    .toFormat(FORMATS[conversion.to].ffmpegFormat);
+  return saveFfmpeg(command, inputFile, outputFile, inputDir, params);
+}
+
+// sharp options for the target format: its default `sharpOptions`, the conversion's settings and the
+// image options given for the run (params.image, see resolveImageOptions)
+function sharpOptions(conversion, params) {
+  const options = { ...FORMATS[conversion.to].sharpOptions, ...conversion.settings };
+  for (const [name, value] of Object.entries(params.image || {})) {
+    if (IMAGE_OPTIONS[name].sharpOption !== false) options[IMAGE_OPTIONS[name].sharpOption || name] = value;
+  }
+  return options;
+}
+
+// Binary search the quality for the largest output that fits in targetSize KB, starting from the quality
+// given (or 100). Writes the output and resolves to the quality used.
+async function encodeToSize(image, inputFile, outputFile, inputDir, conversion, options, params) {
+  const limit = params.image.targetSize * 1024;
+  let low = 1;
+  let high = params.image.quality || 100;
+  let best = null;
+  let smallest = Infinity;
+  while (low <= high) {
+    if (params.signal && params.signal.aborted) throw params.signal.reason;
+    const quality = Math.floor((low + high) / 2);
+    const buffer = await image.clone().toFormat(FORMATS[conversion.to].sharpFormat, { ...options, quality }).toBuffer();
+    log('DEBUG', `${path.basename(inputFile)} at quality ${quality}: ${buffer.length} bytes`, { basePath: inputDir });
+    smallest = Math.min(smallest, buffer.length);
+    if (buffer.length <= limit) {
+      best = { quality, buffer };
+      low = quality + 1;
+    } else {
+      high = quality - 1;
+    }
+  }
+  if (!best) {
+    throw new Error(`Cannot fit ${path.basename(inputFile)} in ${params.image.targetSize} KB: the smallest ${FORMATS[conversion.to].label} is ${Math.ceil(smallest / 1024)} KB`);
+  }
+  await fs.writeFile(outputFile, best.buffer);
+  log('INFO', `Encoded ${path.relative(inputDir, inputFile)} at quality ${best.quality} (${Math.ceil(best.buffer.length / 1024)} KB of ${params.image.targetSize} KB)`, { basePath: inputDir });
+  return best.quality;
+}
+
+// Open the input in sharp, decoding BMP to raw pixels first. With animated, every frame is read.
+async function loadImage(inputFile, conversion, animated) {
+  if (FORMATS[conversion.from].codec !== 'bmp') return sharp(inputFile, { animated: Boolean(animated) });
+  const { data, width, height, channels } = decodeBmp(await fs.readFile(inputFile));
+  return sharp(data, { raw: { width, height, channels } });
+}
+
+// Write a BMP from sharp's raw sRGB output, which has an alpha channel only when the image does
+async function writeBmp(image, outputFile) {
+  const { data, info } = await image.toColourspace('srgb').raw().toBuffer({ resolveWithObject: true });
+  await fs.writeFile(outputFile, encodeBmp(data, info.width, info.height, info.channels));
+}
+
+// Images through libvips, in memory. An animation is read as its first frame unless params.animated is
+// set (see runAnimation). A still image is turned upright from its EXIF orientation. The image keeps its
+// ICC profile when the target can embed one (otherwise it is converted to sRGB) and is flattened onto the
+// background when the target has no alpha. libvips runs the encode on its own threads, so a cancelled job
+// is only noticed between encodes.
+async function runSharp(inputFile, outputFile, inputDir, conversion, params) {
+  if (params.signal && params.signal.aborted) throw params.signal.reason;
+  const format = FORMATS[conversion.to];
+  const image = params.image || {};
+  const options = sharpOptions(conversion, params);
+  log('DEBUG', `sharp: ${path.basename(inputFile)} -> ${format.sharpFormat || format.codec} ${JSON.stringify(options)}`, { basePath: inputDir });
+  try {
+    let pipeline = await loadImage(inputFile, conversion, params.animated);
+    if (!params.animated) pipeline = pipeline.rotate();
+    if (format.icc) pipeline = pipeline.keepIccProfile();
+    if (format.flatten) pipeline = pipeline.flatten({ background: image.background || format.flatten });
+    if (format.codec === 'bmp') {
+      await writeBmp(pipeline, outputFile);
+    } else if (image.targetSize) {
+      await encodeToSize(pipeline, inputFile, outputFile, inputDir, conversion, options, params);
+    } else {
+      await pipeline.toFormat(format.sharpFormat, options).toFile(outputFile);
+    }
+  } catch (error) {
+    if (conversion.from === 'heic' && /unsupported|compression|decod/i.test(error.message)) {
+      throw new Error(`libvips cannot decode ${path.basename(inputFile)}; this sharp build may lack an HEVC decoder (${error.message})`);
+    }
+    throw error;
+  }
+  if (params.onProgress) params.onProgress(100);
+}
+
+// Whether an input is animated, with its frame delays (ms) and loop count as libvips reports them. libvips
+// reads only the first frame of an AVIF sequence, so those are recognised by their brand instead.
+async function readAnimation(inputFile, conversion) {
+  if (FORMATS[conversion.from].animation === 'ffmpeg') {
+    const handle = await fs.open(inputFile, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(64), 0, 64, 0);
+      return { animated: isAvifSequence(buffer.subarray(0, bytesRead)), delay: [], loop: 0 };
+    } finally {
+      await handle.close();
+    }
+  }
+  const metadata = await sharp(inputFile, { animated: true }).metadata();
+  return { animated: (metadata.pages || 1) > 1, delay: metadata.delay || [], loop: metadata.loop || 0 };
+}
+
+function ffprobeStreams(inputFile) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputFile, (err, metadata) => (err ? reject(err) : resolve(metadata.streams)));
+  });
+}
+
+// Rotation of a video stream in degrees, from its display matrix or (older files) its rotate tag
+function videoRotation(stream) {
+  const matrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  return Number(matrix ? matrix.rotation : (stream.tags || {}).rotate) || 0;
+}
+
+// Animations through FFmpeg. FFmpeg cannot decode animated WebP, so its frames are decoded by sharp and
+// piped in as raw RGBA at a constant rate. The alpha of an AVIF sequence is a separate stream, which is
+// merged back into the frames.
+async function runFfmpegAnimation(inputFile, outputFile, inputDir, conversion, params, animation) {
+  const image = params.image || {};
+  const unsupported = Object.keys(image).find(name => !FFMPEG_IMAGE_OPTIONS.includes(name));
+  if (unsupported) {
+    throw new Error(`${imageFlag(unsupported)} is not supported for animated ${FORMATS[conversion.to].label}, which FFmpeg encodes`);
+  }
+  let command;
+  let alphaStream = false;
+  if (conversion.from === 'webp') {
+    const { data, info } = await sharp(inputFile, { animated: true }).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const frameHeight = info.pageHeight || info.height;
+    const { tick, repeats } = frameTicks(animation.delay, info.height / frameHeight);
+    command = ffmpeg(Readable.from(rawFrames(data, info.width * frameHeight * 4, repeats)))
+      .inputFormat('rawvideo')
+      .inputOptions(['-pix_fmt rgba', `-video_size ${info.width}x${frameHeight}`, `-framerate ${1000 / tick}`]);
+  } else {
+    if (conversion.from === 'avif') alphaStream = (await ffprobeStreams(inputFile)).filter(stream => stream.codec_type === 'video').length > 1;
+    command = ffmpeg(inputFile);
+  }
+  const { graph, outputs } = animationFilterGraph(conversion.to, { fps: params.fps, alphaStream, chroma: image.chroma });
+  const codec = FORMATS[conversion.to].animationCodec;
+  command
+    .complexFilter(graph, outputs)
+    .outputOptions([...(codec ? [`-c:v ${codec}`] : []), ...animationOutputOptions(conversion.to, image, animation.loop), '-y'])
+    .toFormat(FORMATS[conversion.to].ffmpegFormat);
+  return saveFfmpeg(command, inputFile, outputFile, inputDir, params);
+}
+
+// Conversions between GIF, WebP and AVIF. Still inputs are converted as any other image. libvips keeps
+// the frames, their timing, the loop count and transparency from GIF to WebP and back; AVIF sequences,
+// and frame rates capped with fps below the animation's own, go through FFmpeg.
+async function runAnimation(inputFile, outputFile, inputDir, conversion, params) {
+  if (params.signal && params.signal.aborted) throw params.signal.reason;
+  const animation = await readAnimation(inputFile, conversion);
+  if (!animation.animated) return runSharp(inputFile, outputFile, inputDir, conversion, params);
+  const capped = Boolean(params.fps) && animation.delay.some(delay => delay < 1000 / params.fps);
+  log('DEBUG', `${path.basename(inputFile)} is animated (loop ${animation.loop})${capped ? `, capping it at ${params.fps} fps` : ''}`, { basePath: inputDir });
+  if (FORMATS[conversion.from].animation === 'libvips' && FORMATS[conversion.to].animation === 'libvips' && !capped) {
+    return runSharp(inputFile, outputFile, inputDir, conversion, { ...params, animated: true });
+  }
+  return runFfmpegAnimation(inputFile, outputFile, inputDir, conversion, params, animation);
+}
+
+function encodeGif(inputFile, outputFile, inputDir, params, gif) {
+  const command = ffmpeg(inputFile).noAudio();
+  if (gif.start) command.seekInput(gif.start);
+  if (gif.end) command.duration(gif.end - (gif.start || 0));
+  command
+    .videoFilters(gifFilters(gif))
+    .outputOptions([loopOption('gif', gif.loop), '-y'])
+    .toFormat('gif');
+  return saveFfmpeg(command, inputFile, outputFile, inputDir, params);
+}
+
+// Videos to GIF through FFmpeg with a palette made from the clip itself (see gifFilters). The conversion's
+// settings are the defaults for the GIF options of the run. With targetSize the GIF is encoded again at a
+// lower frame rate, then a smaller width, until it fits (see shrinkGif).
+async function runGif(inputFile, outputFile, inputDir, conversion, params) {
+  const image = params.image || {};
+  let gif = { ...conversion.settings, ...image, fps: params.fps || conversion.settings.fps };
+  if (!image.targetSize) return encodeGif(inputFile, outputFile, inputDir, params, gif);
+  // The scale filter never upscales, so the search starts from the source width when that is smaller
+  const video = (await ffprobeStreams(inputFile)).find(stream => stream.codec_type === 'video');
+  const sourceWidth = video && (Math.abs(videoRotation(video)) % 180 === 90 ? video.height : video.width);
+  if (sourceWidth && sourceWidth < gif.width) gif.width = sourceWidth;
+  const limit = image.targetSize * 1024;
+  while (true) {
+    await encodeGif(inputFile, outputFile, inputDir, params, gif);
+    const { size } = await fs.stat(outputFile);
+    log('DEBUG', `${path.basename(inputFile)} at ${gif.fps} fps and ${gif.width} px: ${size} bytes`, { basePath: inputDir });
+    if (size <= limit) {
+      log('INFO', `Encoded ${path.relative(inputDir, inputFile)} at ${gif.fps} fps and up to ${gif.width} px wide (${Math.ceil(size / 1024)} KB of ${image.targetSize} KB)`, { basePath: inputDir });
+      return;
+    }
+    const smaller = shrinkGif(gif);
+    if (!smaller) {
+      throw new Error(`Cannot fit ${path.basename(inputFile)} in ${image.targetSize} KB: at ${gif.fps} fps and ${gif.width} px the GIF is ${Math.ceil(size / 1024)} KB. Shorten it with --start and --end or use fewer --colors.`);
+    }
+    if (params.signal && params.signal.aborted) throw params.signal.reason;
+    gif = { ...gif, ...smaller };
+  }
+}
+
+const ENCODERS = {
+  ffmpeg: runFfmpeg,
+  sharp: runSharp,
+  animation: runAnimation,
+  gif: runGif,
+};
+
+// Whether this sharp build can write a format, found by encoding a tiny image once. HEIC needs an HEVC
+// encoder, which the prebuilt libvips binaries do not include. Resolves to the encoder's error message,
+// or null when the format can be written.
+const writableFormats = new Map();
+
+async function sharpWriteFailure(format) {
+  if (FORMATS[format].codec) return null;
+  if (!writableFormats.has(format)) {
+    const probe = sharp({ create: { width: 8, height: 8, channels: 3, background: '#000000' } });
+    writableFormats.set(format, await probe.toFormat(FORMATS[format].sharpFormat, FORMATS[format].sharpOptions).toBuffer().then(() => null, error => error.message));
+  }
+  return writableFormats.get(format);
+}
+
+async function assertSharpWrites(format) {
+  const failure = await sharpWriteFailure(format);
+  if (failure) {
+    throw new UnsupportedFormatError(`This sharp build cannot write ${FORMATS[format].label}: ${failure}. Run "node src/main.js doctor" to see the formats it supports.`, { to: format });
+  }
+}
+
+function imageFlag(name) {
+  return `--${IMAGE_OPTIONS[name].flag || name}`;
+}
+
+// Image options a conversion takes: its own list, or else those of the target format
+function conversionOptions(conversion) {
+  return conversion.options || FORMATS[conversion.to].options || [];
+}
+
+// Seconds from a time given as seconds or [HH:]MM:SS(.ms), e.g. '1:30.5' to 90.5. Returns null when invalid.
+function parseTime(value) {
+  const parts = String(value).trim().split(':');
+  if (parts.length > 3 || !parts.every(part => /^\d+(\.\d+)?$/.test(part))) return null;
+  return parts.reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+
+// Image options from parsed arguments, keyed by option name, e.g. --target-size to targetSize
+function imageOptions(params) {
+  const options = {};
+  for (const [name, spec] of Object.entries(IMAGE_OPTIONS)) {
+    if (params[spec.flag || name] !== undefined) options[name] = params[spec.flag || name];
+  }
+  return options;
+}
+
+// Check the format-specific image options (see IMAGE_OPTIONS) against the target format. Returns the
+// options that were given, e.g. { effort: 9, lossless: true }.
+function resolveImageOptions(conversion, options) {
+  const target = FORMATS[conversion.to];
+  const names = conversionOptions(conversion);
+  const scope = conversion.options ? `${FORMATS[conversion.from].label} to ${target.label}` : `${target.label} output`;
+  const resolved = {};
+  for (const [name, spec] of Object.entries(IMAGE_OPTIONS)) {
+    const value = options[name];
+    if (value === undefined || value === null || value === false || value === '') continue;
+    if (!names.includes(name)) {
+      const accepted = names.map(imageFlag).join(', ');
+      throw new ValidationError(`${imageFlag(name)} does not apply to ${scope}.${accepted ? ` It takes: ${accepted}` : ''}`, { option: name });
+    }
+    if (spec.boolean) {
+      resolved[name] = value === true || String(value).toLowerCase() === 'true';
+    } else if (spec.color) {
+      try {
+        sharp({ create: { width: 1, height: 1, channels: 4, background: String(value) } });
+      } catch (error) {
+        throw new ValidationError(`Invalid ${imageFlag(name)}: ${value}. Must be a color such as white, #fff or rgb(255,255,255).`, { option: name });
+      }
+      resolved[name] = String(value);
+    } else if (spec.time) {
+      const seconds = parseTime(value);
+      if (seconds === null) {
+        throw new ValidationError(`Invalid ${imageFlag(name)}: ${value}. Must be seconds (e.g. 12.5) or [HH:]MM:SS (e.g. 1:30).`, { option: name });
+      }
+      resolved[name] = seconds;
+    } else if (spec.range) {
+      const [min, max] = spec.range[conversion.to];
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        throw new ValidationError(`Invalid ${imageFlag(name)}: ${value}. Must be a whole number from ${min} to ${max} for ${target.label}.`, { option: name });
+      }
+      resolved[name] = number;
+    } else {
+      const text = String(value).toLowerCase();
+      if (!spec.values.includes(text)) {
+        throw new ValidationError(`Invalid ${imageFlag(name)}: ${value}. Must be one of: ${spec.values.join(', ')}`, { option: name });
+      }
+      resolved[name] = text;
+    }
+  }
+  if (resolved.targetSize && (resolved.lossless || resolved.nearLossless)) {
+    throw new ValidationError(`${imageFlag('targetSize')} searches the quality, so it cannot be combined with ${imageFlag(resolved.lossless ? 'lossless' : 'nearLossless')}.`, { option: 'targetSize' });
+  }
+  if (resolved.end !== undefined && resolved.end <= (resolved.start || 0)) {
+    throw new ValidationError(`${imageFlag('end')} must be after ${resolved.start ? imageFlag('start') : 'the beginning of the input'}.`, { option: 'end' });
+  }
+  return resolved;
+}
+
+// Ask for the target format's image options when none were passed (options as returned by
+// imageOptions). Non-interactive runs keep the encoder defaults.
+async function promptImageOptions(conversion, options) {
+  const names = conversionOptions(conversion);
+  if (names.length === 0 || !isInteractive() || names.some(name => options[name] !== undefined)) return {};
+  const modeResponse = await prompts({
+    type: 'select',
+    name: 'mode',
+    message: `${FORMATS[conversion.to].label} encoder options:`,
+    choices: [
+      { title: 'Defaults', value: 'defaults' },
+      { title: `Choose (${names.map(name => IMAGE_OPTIONS[name].flag || name).join(', ')})`, value: 'choose' },
+    ],
+  });
+  if (modeResponse.mode !== 'choose') return {};
+  const chosen = {};
+  for (const name of names) {
+    const spec = IMAGE_OPTIONS[name];
+    let question;
+    if (spec.boolean) {
+      question = { type: 'confirm', name: 'value', message: `${spec.description}?`, initial: false };
+    } else if (spec.color) {
+      question = { type: 'text', name: 'value', message: `${spec.description} (e.g. white or #ff0000, empty for the default):` };
+    } else if (spec.time) {
+      question = { type: 'text', name: 'value', message: `${spec.description} (empty for the ${name === 'start' ? 'beginning' : 'end'}):` };
+    } else if (spec.range) {
+      const [min, max] = spec.range[conversion.to];
+      question = { type: 'number', name: 'value', message: `${spec.description} (${min}-${max}, empty for the default):`, min, max };
+    } else {
+      question = { type: 'select', name: 'value', message: `${spec.description}:`, choices: spec.values.map(value => ({ title: value, value })) };
+    }
+    const response = await prompts(question);
+    if (response.value !== undefined && response.value !== '') chosen[name] = response.value;
+  }
+  return chosen;
+}
+
+async function encode(inputFile, outputFile, inputDir, conversion, params) {
+  const encoder = ENCODERS[conversion.encoder];
+  if (!encoder) throw new Error(`Unknown encoder: ${conversion.encoder}`);
+  return encoder(inputFile, outputFile, inputDir, conversion, params);
+}
+
+async function processFile(inputFile, outputFile, inputDir, conversion, params) {
+  log('DEBUG', `Converting ${path.relative(inputDir, inputFile)} to ${path.relative(inputDir, outputFile)}`, { basePath: inputDir });
+  await writeAtomically(outputFile, partialFile => encode(inputFile, partialFile, inputDir, conversion, params), params.signal);
+  log('INFO', `Converted ${path.relative(inputDir, inputFile)} to ${path.relative(inputDir, outputFile)}`, { basePath: inputDir });
+  log('INFO', `Output file location: ${path.resolve(outputFile)}`, { basePath: inputDir });
+  try {
+    const inputStats = await fs.stat(inputFile);
+    const outputStats = await fs.stat(outputFile);
+    log('DEBUG', `Input file size: ${inputStats.size} bytes, Output file size: ${outputStats.size} bytes`, { basePath: inputDir });
+    log('DEBUG', `Conversion successful: ${path.relative(inputDir, inputFile)} -> ${path.relative(inputDir, outputFile)}`, { basePath: inputDir });
+  } catch (statError) {
+    log('DEBUG', `Failed to retrieve file sizes: ${statError.message}`, { basePath: inputDir });
+  }
+}
+
+function parseArgs(args) {
+  const params = {};
+  const validFlags = ['from', 'to', 'input', 'output', 'fps', 'verbose', ...IMAGE_FLAGS, ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['recursive', ...IMAGE_BOOLEAN_FLAGS];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const flag = args[i].slice(2);
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
+        const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
+        params[flag] = value || true;
+        i++;
+      } else {
+        log('DEBUG', `Ignoring unrecognized argument: --${flag}`, { basePath: BASE_DIR });
+        if (args[i + 1] && !args[i + 1].startsWith('--')) i++;
+      }
+    }
+  }
+  return params;
+}
+
+function hasExtension(filePath, format) {
+  return FORMATS[format].extensions.includes(path.extname(filePath).toLowerCase());
+}
+
+// Output files mirror the input file's folder under the output directory
+function getOutputFile(inputFile, inputDir, outputDir, conversion) {
+  return path.join(mirrorDir(inputDir, inputFile, outputDir), path.parse(inputFile).name + FORMATS[conversion.to].extensions[0]);
+}
+
+// Resolve --from/--to to a registry conversion, prompting for whichever is missing.
+// Returns null when the user cancels a prompt.
+async function selectConversion(params) {
+  let from = typeof params['from'] === 'string' ? normalizeFormat(params['from']) || params['from'] : null;
+  if (!from) {
+    log('DEBUG', 'Prompting for source format');
+    const response = await prompts({
+      type: 'select',
+      name: 'format',
+      message: 'Convert from which format?',
+      choices: getSourceFormats().map(format => ({ title: FORMATS[format].label, value: format })),
+    });
+    if (!response.format) return null;
+    from = response.format;
+  }
+
+  let to = typeof params['to'] === 'string' ? normalizeFormat(params['to']) || params['to'] : null;
+  if (!to && getSourceFormats().includes(from)) {
+    log('DEBUG', 'Prompting for target format');
+    const response = await prompts({
+      type: 'select',
+      name: 'format',
+      message: `Convert ${FORMATS[from].label} to which format?`,
+      choices: getTargetFormats(from).map(format => ({ title: FORMATS[format].label, value: format })),
+    });
+    if (!response.format) return null;
+    to = response.format;
+  }
+  return { from, to };
+}
+
+// Look up a conversion, throwing when either format or the pair is not supported
+function resolveConversion(from, to) {
+  if (!from || !to) {
+    throw new ValidationError('Both a source format (from) and a target format (to) are required');
+  }
+  const source = normalizeFormat(from);
+  if (UNREADABLE_FORMATS.includes(source)) {
+    throw new UnsupportedFormatError(`This sharp build cannot read ${FORMATS[source].label}: its libvips has no decoder for it (the prebuilt binaries read HEIF only when it holds AV1, i.e. AVIF). Install sharp against a libvips built with libde265 to convert these files. Run "node src/main.js doctor" to see the formats it supports.`, { from, to });
+  }
+  if (!source || !getSourceFormats().includes(source)) {
+    throw new UnsupportedFormatError(`Unsupported source format: ${from}. Supported: ${getSourceFormats().join(', ')}`, { from, to });
+  }
+  const conversion = getConversion(source, normalizeFormat(to));
+  if (!conversion) {
+    throw new UnsupportedFormatError(`Unsupported conversion: ${source} to ${to}. ${FORMATS[source].label} converts to: ${getTargetFormats(source).join(', ')}`, { from, to });
+  }
+  return conversion;
+}
+
+// Convert a file or every matching file in a directory (and its subfolders with recursive/maxDepth,
+// see walkUtils) without prompting. Existing outputs are handled by onConflict (see conflictUtils, default 'overwrite').
+// Progress is saved to a checkpoint (see checkpointUtils); pass resume with its job id to continue a run that stopped.
+// Outputs are written under a temporary name and only renamed into place once complete (see writeAtomically).
+// quality, effort, compression, lossless, nearLossless, progressive, mozjpeg, chroma, palette, colors,
+// background and targetSize (KB) are encoder options of the target image format, and width, paletteMode,
+// dither, start, end and loop those of video to GIF conversions (see IMAGE_OPTIONS). fps sets the frame
+// rate of a video or GIF and caps that of an animated GIF, WebP or AVIF.
+// options: { from, to, input, output, fps, quality, effort, compression, lossless, nearLossless, progressive, mozjpeg, chroma, palette, colors, background, width, paletteMode, dither, start, end, loop, targetSize, verbose, onConflict, recursive, maxDepth, filters, concurrency, timeout, retries, resume, signal }. Resolves to a result (see resultUtils)
+// and throws a typed error (see errorUtils) for invalid options or paths.
+async function convert(options = {}) {
+  const conversion = resolveConversion(options.from, options.to);
+  const fromLabel = FORMATS[conversion.from].label;
+  const toLabel = FORMATS[conversion.to].label;
+  const rule = VALIDATION_RULES[conversion.validate];
+  const params = { verbose: Boolean(options.verbose) };
+  if (options.fps !== undefined && options.fps !== null) {
+    params.fps = Number(options.fps);
+    if (!(params.fps > 0)) {
+      throw new ValidationError(`Invalid fps: ${options.fps}. Must be a positive number.`, { option: 'fps' });
+    }
+    if (conversion.category !== 'videos' && conversion.encoder !== 'animation') {
+      throw new ValidationError(`fps only applies to video and animated image conversions, not ${fromLabel} to ${toLabel}.`, { option: 'fps' });
+    }
+  }
+  params.image = resolveImageOptions(conversion, options);
+  if (conversion.encoder === 'sharp' || conversion.encoder === 'animation') await assertSharpWrites(conversion.to);
+
+  const inputPath = await resolveInputPath(options.input);
+  log('DEBUG', `Input path: ${path.basename(inputPath)}`, { basePath: path.dirname(inputPath) });
+  const outputDir = await resolveOutputDir(options.output);
+  log('DEBUG', `Output directory created or verified: ${path.basename(outputDir)}`, { basePath: path.dirname(outputDir) });
+
+  const stats = await fs.stat(inputPath);
+  log('DEBUG', `Input path stats: ${stats.isFile() ? 'File' : 'Directory'}`, { basePath: path.dirname(inputPath) });
+  const inputDir = stats.isFile() ? path.dirname(inputPath) : inputPath;
+  const result = createResult();
+
+  let candidates;
+  if (stats.isFile()) {
+    if (!hasExtension(inputPath, conversion.from)) {
+      throw new ValidationError(`Input file ${path.basename(inputPath)} must be a ${FORMATS[conversion.from].extensions.map(ext => ext.slice(1).toUpperCase()).join('/')}.`, { option: 'input' });
+    }
+    if (!isValidFileName(inputPath)) {
+      throw new ValidationError(`Invalid filename in input path: ${path.basename(inputPath)}`, { option: 'input' });
+    }
+    candidates = [inputPath];
+  } else {
+    log('DEBUG', `Reading directory: ${path.basename(inputPath)}`, { basePath: path.dirname(inputPath) });
+    const files = await listFiles(inputPath, { ...options, skipDirs: [outputDir] });
+    log('DEBUG', `Checking ${files.length} files in directory: ${path.basename(inputPath)}`, { basePath: path.dirname(inputPath) });
+    candidates = [];
+    for (const file of files.filter(file => hasExtension(file, conversion.from))) {
+      if (isValidFileName(file)) {
+        candidates.push(file);
+      } else {
+        recordSkipped(result, file, 'invalid filename');
+      }
+    }
+  }
+
+  if (stats.isDirectory()) candidates = await applyFilters(result, candidates, options, inputDir);
+  const inputFiles = [];
+  for (const inputFile of candidates) {
+    if (await validateInput(inputFile, rule)) {
+      inputFiles.push(inputFile);
+    } else {
+      recordSkipped(result, inputFile, rule.skipReason);
+    }
+  }
+  log('DEBUG', `Found ${inputFiles.length} valid ${fromLabel} files: ${inputFiles.length > 0 ? inputFiles.map(file => path.basename(file)).join(', ') : 'none'}`, { basePath: inputDir });
+  if (stats.isDirectory() && inputFiles.length === 0) {
+    log('INFO', `No valid ${fromLabel} files found in ${path.basename(inputPath)}`, { basePath: path.dirname(inputPath) });
+    return result;
+  }
+
+  const wanted = new Map();
+  for (const inputFile of inputFiles) {
+    const outputFile = getOutputFile(inputFile, inputDir, outputDir, conversion);
+    if (!isValidFileName(outputFile)) {
+      log('ERROR', `Invalid filename in output path: ${path.basename(outputFile)}`, { basePath: path.dirname(outputDir) });
+      recordFailed(result, inputFile, `Invalid filename in output path: ${path.basename(outputFile)}`);
+      continue;
+    }
+    log('DEBUG', `Generated output filename: ${path.basename(outputFile)}`, { basePath: path.dirname(outputDir) });
+    wanted.set(inputFile, outputFile);
+  }
+  const checkpoint = await openCheckpoint('convert', options);
+  const outputFiles = await applyCheckpointConflicts(checkpoint, result, wanted, options, 'overwrite');
+
+  const kind = conversion.encoder === 'ffmpeg' || conversion.encoder === 'gif' ? 'ffmpeg' : 'sharp';
+  const summary = await runJobs([...outputFiles.keys()], async (inputFile, { signal, progress }) => {
+    const outputFile = outputFiles.get(inputFile);
+    try {
+      await fs.mkdir(path.dirname(outputFile), { recursive: true });
+      await processFile(inputFile, outputFile, inputDir, conversion, { ...params, signal, onProgress: progress });
+    } catch (error) {
+      if (signal.aborted) throw error;
+      log('ERROR', `Failed to process ${path.basename(inputFile)}: ${error.message}`, { basePath: inputDir });
+      if (params.verbose) log('DEBUG', `Error stack: ${error.stack}`, { basePath: inputDir });
+      throw error;
+    }
+    return outputFile;
+  }, { ...options, checkpoint, kind, label: 'conversion' });
+  recordJobs(result, summary);
+  if (checkpoint.status === 'incomplete') result.checkpoint = checkpoint.id;
+  log('INFO', `Processed ${result.processed.length} of ${candidates.length} ${fromLabel} files to ${toLabel}.`);
+  log('DEBUG', `${fromLabel} to ${toLabel} Conversion completed`);
+  return result;
+}
+
+async function convertFiles(args = process.argv.slice(2)) {
+  let inputPath = null; // Initialize inputPath to avoid undefined reference
+  const params = parseArgs(args);
+  try {
+    const formats = await selectConversion(params);
+    if (!formats) {
+      log('INFO', 'No format selected, cancelling...');
+      return 'cancelled';
+    }
+    const conversion = resolveConversion(formats.from, formats.to);
+    const fromLabel = FORMATS[conversion.from].label;
+    log('INFO', `Starting ${fromLabel} to ${FORMATS[conversion.to].label} Conversion Feature`);
+
+    if (params['input']) {
+      inputPath = path.resolve(params['input']);
+      log('DEBUG', `Input path from args: ${path.basename(inputPath)}`, { basePath: path.dirname(inputPath) });
+    } else {
+      log('DEBUG', 'Prompting for input path');
+      const inputPathResponse = await prompts({
+        type: 'text',
+        name: 'path',
+        message: `Enter the path to the input ${fromLabel} file or directory (or press Enter to cancel):`,
+        validate: async value => {
+          if (value.trim() === '') return true;
+          const violation = await pathViolation(value);
+          if (violation) return violation;
+          return (await pathExists(path.resolve(value))) ? true : 'Path not found.';
+        },
+      });
+      inputPath = inputPathResponse.path ? path.resolve(inputPathResponse.path) : null;
+      log('DEBUG', `Input path provided: ${inputPath ? path.basename(inputPath) : 'none'}`, { basePath: inputPath ? path.dirname(inputPath) : BASE_DIR });
+      if (!inputPath) {
+        log('INFO', 'No input path provided, cancelling...');
+        return 'cancelled';
+      }
+    }
+
+    let outputDir;
+    if (params['output']) {
+      outputDir = path.resolve(params['output']);
+      log('DEBUG', `Output directory from args: ${path.basename(outputDir)}`, { basePath: path.dirname(outputDir) });
+    } else {
+      log('DEBUG', 'Prompting for output directory');
+      const outputPathResponse = await prompts({
+        type: 'text',
+        name: 'path',
+        message: 'Enter the path for the output directory (or press Enter to cancel):',
+        validate: async value => {
+          if (value.trim() === '') return 'Output directory required.';
+          const violation = await pathViolation(value);
+          if (violation) return violation;
+          return true;
+        },
+      });
+      outputDir = outputPathResponse.path ? path.resolve(outputPathResponse.path) : null;
+      log('DEBUG', `Output directory provided: ${outputDir ? path.basename(outputDir) : 'none'}`, { basePath: outputDir ? path.dirname(outputDir) : BASE_DIR });
+      if (!outputDir) {
+        log('INFO', 'No output directory provided, cancelling...');
+        return 'cancelled';
+      }
+    }
+
+    const encoderOptions = imageOptions(params);
+    const result = await convert({
+      from: conversion.from,
+      to: conversion.to,
+      input: inputPath,
+      output: outputDir,
+      fps: params['fps'],
+      ...encoderOptions,
+      ...await promptImageOptions(conversion, encoderOptions),
+      verbose: params.verbose,
+      ...conflictOptions(params),
+      ...walkOptions(params),
+      ...filterOptions(params),
+      ...queueOptions(params),
+    });
+    return reportRun('convert', result);
+  } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message, { basePath: inputPath || BASE_DIR });
+      return reportError('convert', error, args);
+    }
+    log('ERROR', `Unexpected error in File Conversion: ${error.message}`, { basePath: inputPath || BASE_DIR });
+    if (params.verbose) log('DEBUG', `Error stack: ${error.stack}`, { basePath: inputPath || BASE_DIR });
+    return reportError('convert', error, args);
+  }
+}
+
+if (require.main === module) {
+  convertFiles(process.argv.slice(2)).then(result => {
+    process.exit(result === 'success' ? 0 : 1);
+  }).catch(err => {
+    log('ERROR', `Fatal error: ${err.message}`, { basePath: BASE_DIR });
+    process.exit(1);
+  });
+}
+
+module.exports = { convertFiles, convert, sharpWriteFailure };
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+require('dotenv').config({ quiet: true });
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError } = require('../../backend/utils/errorUtils');
+const { FORMATS, CONVERSIONS, UNREADABLE_FORMATS, CATEGORIES, VALIDATION_RULES } = require('../convert-file-type/conversionRegistry');
+
+const execFileAsync = promisify(execFile);
+
+// Configuration
+const BASE_DIR = path.join(__dirname, '..', '..', '..');
+const PROBE_TIMEOUT_MS = 10000;
+
+// External programs the features start. `version` picks the version out of the program's output.
+const TOOLS = {
+  ffmpeg: { command: () => 'ffmpeg', args: ['-version'], version: output => output.split('\n')[0].split(' ')[2] },
+  ffprobe: { command: () => 'ffprobe', args: ['-version'], version: output => output.split('\n')[0].split(' ')[2] },
+  exiftool: { command: () => 'exiftool', args: ['-ver'], version: output => output.trim() },
+};
+
+// Encoders used outside the conversion registry
+const EXTRA_ENCODERS = ['libx264']; // resizeVideos
+
+// Programs behind the engine's encoders that are not named after one
+const ENCODER_TOOLS = { animation: 'sharp', gif: 'ffmpeg' };
+
+// Image formats the engine reads and writes with sharp, by their registry name
+const SHARP_FORMATS = Object.keys(FORMATS).filter(format => FORMATS[format].sharpFormat);
+
+const API_KEYS = {
+  OPENAI_API_KEY: 'OpenAI (DALL-E)',
+  IDEOGRAM_API_KEY: 'Ideogram',
+  XAI_API_KEY: 'xAI (Grok)',
+};
+
+const DIRECTORIES = ['bin', 'json', 'logs'];
+
+// What every menu feature needs: tools, `encoder:<name>` for FFmpeg encoders, `write:<format>` for the
+// formats sharp must be able to encode, `env:<name>` for API keys and `dir:<name>` for the app's own folders
+const FEATURES = [
+  ...Object.entries(CATEGORIES).map(([category, title]) => ({ name: `Convert File Type: ${title}`, conversions: CONVERSIONS.filter(conversion => conversion.category === category) })),
+  { name: 'Rename Files', needs: ['dir:json'] },
+  { name: 'Sanitize Filenames', needs: ['dir:json'] },
+  { name: 'Sort Files', needs: ['dir:json'] },
+  { name: 'Cleanup Files: Images', needs: ['sharp', 'dir:bin', 'dir:json'] },
+  { name: 'Cleanup Files: Videos', needs: ['ffmpeg', 'ffprobe', 'sharp', 'dir:bin', 'dir:json'] },
+  { name: 'Resize Files: Images', needs: ['sharp'] },
+  { name: 'Resize Files: Videos', needs: ['ffmpeg', 'ffprobe', 'encoder:libx264'] },
+  { name: 'Update Metadata: GIF, JPG, PNG, WebP', needs: ['exiftool'] },
+  { name: 'Update Metadata: MP4, WAV, WebM', needs: ['exiftool', 'ffmpeg'] },
+  { name: 'Generate Images: DALL-E', needs: ['env:OPENAI_API_KEY', 'dir:bin', 'dir:json'] },
+  { name: 'Generate Images: Ideogram', needs: ['env:IDEOGRAM_API_KEY', 'dir:bin', 'dir:json'] },
+  { name: 'Generate Images: Grok', needs: ['env:XAI_API_KEY', 'dir:bin', 'dir:json'] },
+  { name: 'Run Recipe / Watch Folder', needs: ['dir:json'] },
+  { name: 'Undo Last Operation', needs: ['dir:json'] },
+];
+
+function parseArgs(args) {
+  const params = {};
+  const validFlags = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const flag = args[i].slice(2);
+      if (validFlags.includes(flag)) {
+        params[flag] = true;
+      } else {
+        log('DEBUG', `Ignoring unrecognized argument: --${flag}`);
+        if (args[i + 1] && !args[i + 1].startsWith('--')) i++; // Skip value of unrecognized flag
+      }
+    }
+  }
+  return params;
+}
+
+// Run a tool's version command. Resolves to { name, ok, version } or { name, ok: false, detail }.
+async function probeTool(name) {
+  const tool = TOOLS[name];
+  let command;
+  try {
+    command = tool.command();
+    if (!command) return { name, ok: false, detail: `no bundled build for ${process.platform} ${process.arch}` };
+    const { stdout, stderr } = await execFileAsync(command, tool.args, { timeout: PROBE_TIMEOUT_MS });
+    return { name, ok: true, version: tool.version(stdout || stderr) || 'unknown version', path: command };
+  } catch (error) {
+    log('DEBUG', `${name} probe failed: ${error.message}`);
+    const detail = error.code === 'ENOENT' ? 'not found in PATH' : (error.killed ? 'did not answer in time' : error.message.split('\n')[0]);
+    return { name, ok: false, detail };
+  }
+}
+
+// The encoders ffmpeg was built with, from `ffmpeg -encoders`
+async function listEncoders() {
+  const { stdout } = await execFileAsync('ffmpeg', ['-hide_banner', '-encoders'], { timeout: PROBE_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 });
+  const encoders = new Set();
+  for (const line of stdout.split('\n')) {
+    const match = /^\s[VAS][F.][S.][X.][B.][D.]\s+(\S+)/.exec(line);
+    if (match) encoders.add(match[1]);
+  }
+  return encoders;
+}
+
+// Encoders named by the conversion registry (videoCodec and audioCodec settings) and the other features
+function wantedEncoders() {
+  // Animations that sharp cannot keep are encoded by FFmpeg (see runAnimation)
+  const names = new Set([...EXTRA_ENCODERS, ...Object.values(FORMATS).map(format => format.animationCodec).filter(Boolean)]);
+  for (const conversion of CONVERSIONS) {
+    const settings = conversion.settings || {};
+    if (settings.videoCodec) names.add(settings.videoCodec);
+    if (settings.audioCodec) names.add(settings.audioCodec);
+  }
+  return [...names].sort();
+}
+
+async function probeEncoders(ffmpegOk) {
+  if (!ffmpegOk) return wantedEncoders().map(name => ({ name, ok: false, detail: 'ffmpeg not available' }));
+  let encoders;
+  try {
+    encoders = await listEncoders();
+  } catch (error) {
+    return wantedEncoders().map(name => ({ name, ok: false, detail: `cannot list encoders: ${error.message.split('\n')[0]}` }));
+  }
+  return wantedEncoders().map(name => (encoders.has(name) ? { name, ok: true } : { name, ok: false, detail: 'ffmpeg was built without it' }));
+}
+
+// sharp loads libvips when it is required, so a broken install shows up here. Reading follows the file
+// suffixes sharp's loaders take (see UNREADABLE_FORMATS); writing is tried the way conversions check it,
+// since libvips lists formats such as HEIC as writable without the encoder they need.
+async function probeSharp() {
+  try {
+    const sharp = require('sharp');
+    const { sharpWriteFailure } = require('../convert-file-type/convertFiles');
+    const formats = [];
+    for (const format of SHARP_FORMATS) {
+      const failure = await sharpWriteFailure(format);
+      if (failure) log('DEBUG', `sharp cannot write ${format}: ${failure}`);
+      formats.push({ name: format, read: !UNREADABLE_FORMATS.includes(format), write: !failure });
+    }
+    return { name: 'sharp', ok: true, version: `${sharp.versions.sharp}, libvips ${sharp.versions.vips}`, formats };
+  } catch (error) {
+    return { name: 'sharp', ok: false, detail: error.message.split('\n')[0] };
+  }
+}
+
+// Check the API keys loaded from .env (or the environment) without sending them anywhere. Keys are shown
+// by their last four characters only.
+function checkApiKeys() {
+  return Object.entries(API_KEYS).map(([name, service]) => {
+    const value = (process.env[name] || '').trim();
+    return value ? { name, service, ok: true, detail: `set (...${value.slice(-4)})` } : { name, service, ok: false, detail: 'not set' };
+  });
+}
+
+async function checkDirectory(name) {
+  const dir = path.join(BASE_DIR, name);
+  const probeFile = path.join(dir, `.doctor-${process.pid}`);
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(probeFile, '');
+    await fs.unlink(probeFile);
+    return { name, ok: true, path: dir };
+  } catch (error) {
+    return { name, ok: false, path: dir, detail: `not writable: ${error.message}` };
+  }
+}
+
+// Requirements of one conversion
+function conversionNeeds(conversion) {
+  const settings = conversion.settings || {};
+  // Inputs are checked with sharp instead of ffprobe for the `still` rule
+  const needs = [VALIDATION_RULES[conversion.validate].probe === 'sharp' ? 'sharp' : 'ffprobe', ENCODER_TOOLS[conversion.encoder] || conversion.encoder];
+  if (settings.videoCodec) needs.push(`encoder:${settings.videoCodec}`);
+  if (settings.audioCodec) needs.push(`encoder:${settings.audioCodec}`);
+  if (['sharp', 'animation'].includes(conversion.encoder) && FORMATS[conversion.to].sharpFormat) needs.push(`write:${conversion.to}`);
+  return needs;
+}
+
+// Decide for every feature whether it works: 'works', 'partial' (some conversions only) or 'unavailable'
+function assessFeatures(checks) {
+  const ok = new Map([
+    ...checks.tools.map(tool => [tool.name, tool.ok]),
+    ['sharp', checks.sharp.ok],
+    ...(checks.sharp.formats || []).map(format => [`write:${format.name}`, format.write]),
+    ...checks.encoders.map(encoder => [`encoder:${encoder.name}`, encoder.ok]),
+    ...checks.apiKeys.map(key => [`env:${key.name}`, key.ok]),
+    ...checks.directories.map(dir => [`dir:${dir.name}`, dir.ok]),
+  ]);
+  const missing = needs => [...new Set(needs.filter(need => !ok.get(need)).map(need => need.replace(/^write:(.*)$/, 'sharp $1 encoder').replace(/^(encoder|env|dir):/, '')))];
+
+  return FEATURES.map(feature => {
+    if (!feature.conversions) {
+      const lacking = missing(feature.needs);
+      return { name: feature.name, status: lacking.length === 0 ? 'works' : 'unavailable', missing: lacking };
+    }
+    const broken = feature.conversions.filter(conversion => missing(conversionNeeds(conversion)).length > 0);
+    const lacking = missing(feature.conversions.flatMap(conversionNeeds));
+    const status = broken.length === 0 ? 'works' : (broken.length < feature.conversions.length ? 'partial' : 'unavailable');
+    const working = feature.conversions.filter(conversion => !broken.includes(conversion)).map(conversion => `${conversion.from}->${conversion.to}`);
+    return { name: feature.name, status, missing: lacking, ...(status === 'partial' ? { working } : {}) };
+  });
+}
+
+function formatReport(report) {
+  const mark = ok => (ok ? 'ok     ' : 'MISSING');
+  const lines = ['Tools:'];
+  for (const tool of report.tools) lines.push(`  ${mark(tool.ok)}  ${tool.name.padEnd(10)} ${tool.ok ? tool.version : tool.detail}`);
+  lines.push(`  ${mark(report.sharp.ok)}  ${'sharp'.padEnd(10)} ${report.sharp.ok ? report.sharp.version : report.sharp.detail}`);
+  if (report.sharp.ok) {
+    const describe = format => `${format.name}${format.read && format.write ? '' : format.read ? ' (read only)' : format.write ? ' (write only)' : ' (none)'}`;
+    lines.push(`             ${''.padEnd(10)} formats: ${report.sharp.formats.map(describe).join(', ')}`);
+  }
+  lines.push('FFmpeg encoders:');
+  for (const encoder of report.encoders) lines.push(`  ${mark(encoder.ok)}  ${encoder.name.padEnd(10)} ${encoder.ok ? '' : encoder.detail}`.trimEnd());
+  lines.push('API keys:');
+  for (const key of report.apiKeys) lines.push(`  ${mark(key.ok)}  ${key.name.padEnd(17)} ${key.service}: ${key.detail}`);
+  lines.push('Directories:');
+  for (const dir of report.directories) lines.push(`  ${mark(dir.ok)}  ${dir.name.padEnd(10)} ${dir.ok ? 'writable' : dir.detail}`);
+  lines.push('Features:');
+  for (const feature of report.features) {
+    const status = { works: 'ok     ', partial: 'PARTIAL', unavailable: 'NO     ' }[feature.status];
+    const detail = feature.missing.length > 0 ? ` (needs ${feature.missing.join(', ')})` : '';
+    const working = feature.working ? `; works for ${feature.working.join(', ')}` : '';
+    lines.push(`  ${status}  ${feature.name}${detail}${working}`);
+  }
+  return lines.join('\n');
+}
+
+// Check the external tools, FFmpeg encoders, sharp, API keys and the app's folders, and work out which
+// menu features will work, without prompting. Resolves to a report:
+// { ok, tools, sharp, encoders, apiKeys, directories, features } where `ok` is true when every feature works.
+// options: {}
+async function diagnose(options = {}) {
+  const tools = [];
+  for (const name of Object.keys(TOOLS)) tools.push(await probeTool(name));
+  const ffmpegOk = tools.find(tool => tool.name === 'ffmpeg').ok;
+  const checks = {
+    tools,
+    sharp: await probeSharp(),
+    encoders: await probeEncoders(ffmpegOk),
+    apiKeys: checkApiKeys(),
+    directories: await Promise.all(DIRECTORIES.map(checkDirectory)),
+  };
+  const features = assessFeatures(checks);
+  return { ok: features.every(feature => feature.status === 'works'), ...checks, features };
+}
+
+async function runDoctor(args = process.argv.slice(2)) {
+  try {
+    log('INFO', 'Starting Doctor Feature');
+    parseArgs(args);
+
+    const envPath = path.resolve('.env');
+    if (!(await fs.access(envPath).then(() => true, () => false))) {
+      log('WARN', `No .env file in ${process.cwd()}; API keys are read from the environment only. Copy env-template.txt to .env to set them.`);
+    }
+    const report = await diagnose();
+    log('INFO', `Doctor report:\n${formatReport(report)}`);
+    const unavailable = report.features.filter(feature => feature.status !== 'works').length;
+    log('INFO', unavailable === 0 ? 'Every feature is ready to use.' : `${unavailable} of ${report.features.length} features will not fully work. Install the missing tools or set the missing keys, then run doctor again.`);
+    return report.ok ? 'success' : 'error';
+  } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return 'error';
+    }
+    log('ERROR', `Unexpected error in Doctor: ${error.message}`);
+    log('DEBUG', `Error stack: ${error.stack}`);
+    return 'error';
+  }
+}
+
+if (require.main === module) {
+  runDoctor().then(result => {
+    process.exit(result === 'success' ? 0 : 1);
+  }).catch(err => {
+    log('ERROR', `Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { runDoctor, diagnose };
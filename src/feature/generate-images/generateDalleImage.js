@@ -1,18 +1,22 @@
 #!/usr/bin/env node
 
-require('dotenv').config();
-const prompts = require('prompts');
+require('dotenv').config({ quiet: true });
+const { prompts } = require('../../backend/utils/promptUtils');
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
 const { log } = require('../../backend/utils/logUtils');
+const { CONFLICT_FLAGS, conflictOptions, resolveConflictPolicy, claimOutputPath } = require('../../backend/utils/conflictUtils');
+const { resolveOutputDir } = require('../../backend/utils/pathUtils');
+const { createResult, recordProcessed, recordSkipped, recordFailed } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
 
 function parseArgs(args) {
     const params = {};
     const validFlags = [
         'prompt', 'background', 'model', 'moderation', 'n', 'output-compression',
         'output-format', 'partial-images', 'quality', 'response-format', 'size',
-        'stream', 'style', 'user'
+        'stream', 'style', 'user', ...CONFLICT_FLAGS
     ];
     for (let i = 0; i < args.length; i++) {
         if (args[i].startsWith('--')) {
@@ -79,13 +83,14 @@ async function generateDalleImage(args = process.argv.slice(2)) {
 
         const params = parseArgs(args);
         if (params.error) return 'error';
+        resolveConflictPolicy(conflictOptions(params)); // Reject a bad --on-conflict before calling the API
 
         const outputDir = path.resolve(__dirname, '../../../bin/generateImages/dalle');
         try {
-            await fs.mkdir(outputDir, { recursive: true });
+            await resolveOutputDir(outputDir);
             log('DEBUG', `Output directory: ${outputDir}`);
         } catch (error) {
-            log('ERROR', `Failed to create output directory: ${outputDir}`);
+            log('ERROR', `Failed to create output directory: ${error.message}`);
             return 'error';
         }
 
@@ -454,6 +459,7 @@ async function generateDalleImage(args = process.argv.slice(2)) {
         }
 
         // Make API call
+        const result = createResult();
         log('DEBUG', `Generating Dalle image with prompt: ${imagePrompt}, payload: ${JSON.stringify(imageRequest)}`);
         const response = await axios.post('https://api.openai.com/v1/images/generations', imageRequest, {
             headers: {
@@ -473,13 +479,19 @@ async function generateDalleImage(args = process.argv.slice(2)) {
             const image = images[i];
             if (!image.url && !image.b64_json) {
                 log('WARNING', `Image ${i + 1} failed safety checks`);
+                recordSkipped(result, `image ${i + 1}`, 'failed safety checks');
                 continue;
             }
 
             const outputFileName = `dalle-${Date.now()}-${i + 1}.${model === 'gpt-image-1' ? outputFormat : 'png'}`;
-            const outputFilePath = path.join(outputDir, outputFileName);
 
             try {
+                const outputFilePath = await claimOutputPath(path.join(outputDir, outputFileName), conflictOptions(params));
+                if (!outputFilePath) {
+                    log('INFO', `Skipping image ${i + 1}: ${outputFileName} already exists`);
+                    recordSkipped(result, `image ${i + 1}`, 'output already exists');
+                    continue;
+                }
                 if (image.b64_json) {
                     const imageData = Buffer.from(image.b64_json, 'base64');
                     await fs.writeFile(outputFilePath, imageData);
@@ -488,6 +500,7 @@ async function generateDalleImage(args = process.argv.slice(2)) {
                     await fs.writeFile(outputFilePath, imageResponse.data);
                 }
                 log('INFO', `Generated image saved to ${outputFilePath}`);
+                recordProcessed(result, `image ${i + 1}`, outputFilePath);
                 try {
                     const stats = await fs.stat(outputFilePath);
                     log('DEBUG', `Generated image size: ${stats.size} bytes for ${outputFilePath}`);
@@ -496,17 +509,18 @@ async function generateDalleImage(args = process.argv.slice(2)) {
                 }
             } catch (error) {
                 log('ERROR', `Error saving image ${i + 1}: ${error.message}`);
+                recordFailed(result, `image ${i + 1}`, error);
                 continue;
             }
         }
 
         log('INFO', `Successfully generated ${images.length} image(s)`);
         log('DEBUG', `Generate Dalle Image completed: ${images.length} image(s) generated`);
-        return 'success';
+        return reportRun('generate-dalle', result);
     } catch (error) {
         log('ERROR', `Unexpected error in Generate Dalle Image: ${error.message}`);
         log('DEBUG', `Error stack: ${error.stack}`);
-        return 'error';
+        return reportError('generate-dalle', error, args);
     }
 }
 
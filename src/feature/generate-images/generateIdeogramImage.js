@@ -1,19 +1,23 @@
 #!/usr/bin/env node
 
-require('dotenv').config();
-const prompts = require('prompts');
+require('dotenv').config({ quiet: true });
+const { prompts } = require('../../backend/utils/promptUtils');
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
 const FormData = require('form-data');
 const { log } = require('../../backend/utils/logUtils');
+const { CONFLICT_FLAGS, conflictOptions, resolveConflictPolicy, claimOutputPath } = require('../../backend/utils/conflictUtils');
+const { resolveOutputDir } = require('../../backend/utils/pathUtils');
+const { createResult, recordProcessed, recordSkipped, recordFailed } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
 
 function parseArgs(args) {
     const params = {};
     const validFlags = [
         'prompt', 'seed', 'resolution', 'aspect-ratio', 'rendering-speed',
         'magic-prompt', 'negative-prompt', 'num-images', 'color-palette',
-        'style-codes', 'style-type', 'style-reference-images'
+        'style-codes', 'style-type', 'style-reference-images', ...CONFLICT_FLAGS
     ];
     for (let i = 0; i < args.length; i++) {
         if (args[i].startsWith('--')) {
@@ -143,13 +147,14 @@ async function generateIdeogramImage(args = process.argv.slice(2)) {
 
         const params = parseArgs(args);
         if (params.error) return 'error';
+        resolveConflictPolicy(conflictOptions(params)); // Reject a bad --on-conflict before calling the API
 
         const outputDir = path.resolve(__dirname, '../../../bin/generateImages/ideogram');
         try {
-            await fs.mkdir(outputDir, { recursive: true });
+            await resolveOutputDir(outputDir);
             log('DEBUG', `Output directory: ${outputDir}`);
         } catch (error) {
-            log('ERROR', `Failed to create output directory: ${outputDir}`);
+            log('ERROR', `Failed to create output directory: ${error.message}`);
             return 'error';
         }
 
@@ -528,6 +533,7 @@ async function generateIdeogramImage(args = process.argv.slice(2)) {
         }
 
         // Make API call
+        const result = createResult();
         log('DEBUG', `Generating Ideogram image with prompt: ${imagePrompt}, payload: ${JSON.stringify(data)}`);
         const response = await axios.post('https://api.ideogram.ai/generate', data, { headers })
             .catch(error => {
@@ -543,16 +549,23 @@ async function generateIdeogramImage(args = process.argv.slice(2)) {
             const image = images[i];
             if (!image.url) {
                 log('WARNING', `Image ${i + 1} failed safety checks`);
+                recordSkipped(result, `image ${i + 1}`, 'failed safety checks');
                 continue;
             }
 
             const outputFileName = `ideogram-${Date.now()}-${i + 1}.png`;
-            const outputFilePath = path.join(outputDir, outputFileName);
 
             try {
+                const outputFilePath = await claimOutputPath(path.join(outputDir, outputFileName), conflictOptions(params));
+                if (!outputFilePath) {
+                    log('INFO', `Skipping image ${i + 1}: ${outputFileName} already exists`);
+                    recordSkipped(result, `image ${i + 1}`, 'output already exists');
+                    continue;
+                }
                 const imageResponse = await axios.get(image.url, { responseType: 'arraybuffer' });
                 await fs.writeFile(outputFilePath, imageResponse.data);
                 log('INFO', `Generated image saved to ${outputFilePath}`);
+                recordProcessed(result, `image ${i + 1}`, outputFilePath);
                 try {
                     const stats = await fs.stat(outputFilePath);
                     log('DEBUG', `Generated image size: ${stats.size} bytes for ${outputFilePath}`);
@@ -561,17 +574,18 @@ async function generateIdeogramImage(args = process.argv.slice(2)) {
                 }
             } catch (error) {
                 log('ERROR', `Error saving image ${i + 1}: ${error.message}`);
+                recordFailed(result, `image ${i + 1}`, error);
                 continue;
             }
         }
 
         log('INFO', `Successfully generated ${images.length} image(s)`);
         log('DEBUG', `Generate Ideogram Image completed: ${images.length} image(s) generated`);
-        return 'success';
+        return reportRun('generate-ideogram', result);
     } catch (error) {
         log('ERROR', `Unexpected error in Generate Ideogram Image: ${error.message}`);
         log('DEBUG', `Error stack: ${error.stack}`);
-        return 'error';
+        return reportError('generate-ideogram', error, args);
     }
 }
 
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+const { prompts } = require('../../backend/utils/promptUtils');
+const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError } = require('../../backend/utils/errorUtils');
+const { loadProfiles, describeProfile, saveProfile, cloneProfile, deleteProfile } = require('../../backend/utils/profileUtils');
+
+// Commands that take profiles, loaded when needed since commands.js requires every feature
+function profileCommands() {
+  const { COMMANDS } = require('../../commands');
+  return Object.entries(COMMANDS).filter(([, spec]) => spec.profiles);
+}
+
+// Numbers are saved as numbers, e.g. "width": 400
+function profileValue(value) {
+  return /^\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+async function chooseProfileName(profiles, message) {
+  const response = await prompts({
+    type: 'select',
+    name: 'name',
+    message,
+    choices: [
+      ...Object.keys(profiles).map(name => ({ title: name, description: describeProfile(profiles[name]), value: name })),
+      { title: 'Back', value: null },
+    ],
+  });
+  return response.name || null;
+}
+
+function listProfiles(profiles) {
+  const names = Object.keys(profiles);
+  if (names.length === 0) {
+    log('INFO', 'No profiles are saved yet.');
+    return;
+  }
+  log('INFO', `Saved profiles:\n${names.map(name => `  - ${name}: ${describeProfile(profiles[name])}`).join('\n')}`);
+}
+
+// Ask for a command, what it applies to and the flag values, then save the profile. Resolves to false
+// when the user backs out.
+async function createProfile(profiles) {
+  const nameResponse = await prompts({
+    type: 'text',
+    name: 'name',
+    message: 'Profile name (e.g. web-thumbnails):',
+    validate: value => (value.trim() ? true : 'Enter a name'),
+  });
+  const name = nameResponse.name && nameResponse.name.trim();
+  if (!name) return false;
+  if (profiles[name]) {
+    const overwriteResponse = await prompts({ type: 'confirm', name: 'overwrite', message: `Profile ${name} exists. Replace it?`, initial: false });
+    if (!overwriteResponse.overwrite) return false;
+  }
+
+  const commands = profileCommands();
+  const commandResponse = await prompts({
+    type: 'select',
+    name: 'command',
+    message: 'Command the profile is for:',
+    choices: commands.map(([command, spec]) => ({ title: command, description: spec.description, value: command })),
+  });
+  if (!commandResponse.command) return false;
+  const spec = commands.find(([command]) => command === commandResponse.command)[1];
+
+  // Narrow the profile to one feature of the command, e.g. resize images, or leave it for all of them
+  const args = [];
+  let features = spec.features;
+  for (const positional of spec.positionals) {
+    if (!features) break;
+    const argResponse = await prompts({
+      type: 'select',
+      name: 'arg',
+      message: `${positional[0].toUpperCase()}${positional.slice(1)}:`,
+      // Aliases, such as jpeg for jpg, point at the same feature and are left out
+      choices: [{ title: 'Any', value: '' }, ...Object.keys(features).filter((key, index, keys) => keys.findIndex(other => features[other] === features[key]) === index).map(key => ({ title: key, value: key }))],
+    });
+    if (argResponse.arg === undefined) return false;
+    if (!argResponse.arg) break;
+    args.push(argResponse.arg);
+    features = typeof features[argResponse.arg] === 'function' ? null : features[argResponse.arg];
+  }
+
+  const flagsResponse = await prompts({
+    type: 'multiselect',
+    name: 'flags',
+    message: 'Flags the profile sets:',
+    choices: [...spec.required, ...spec.optional, ...spec.booleans].map(flag => ({ title: `--${flag}`, value: flag })),
+    hint: '- Space to select. Return to submit',
+  });
+  if (!flagsResponse.flags) return false;
+
+  const profile = { command: commandResponse.command };
+  if (args.length > 0) profile.args = args;
+  for (const flag of flagsResponse.flags) {
+    if (spec.booleans.includes(flag)) {
+      profile[flag] = true;
+      continue;
+    }
+    const valueResponse = await prompts({
+      type: 'text',
+      name: 'value',
+      message: `Value for --${flag}:`,
+      validate: value => (value.trim() ? true : 'Enter a value'),
+    });
+    if (valueResponse.value === undefined) return false;
+    profile[flag] = profileValue(valueResponse.value.trim());
+  }
+
+  await saveProfile(name, profile);
+  log('INFO', `Saved profile ${name}: ${describeProfile(profile)}`);
+  return true;
+}
+
+async function manageProfiles() {
+  try {
+    log('INFO', 'Starting Manage Profiles Feature');
+    while (true) {
+      const profiles = await loadProfiles();
+      const actionResponse = await prompts({
+        type: 'select',
+        name: 'action',
+        message: `Profiles (${Object.keys(profiles).length} saved):`,
+        choices: [
+          { title: 'List Profiles', value: 'list' },
+          { title: 'Create Profile', value: 'create' },
+          { title: 'Clone Profile', value: 'clone' },
+          { title: 'Delete Profile', value: 'delete' },
+          { title: 'Back', value: 'back' },
+        ],
+      });
+      log('DEBUG', `User selected profile action: ${actionResponse.action}`);
+      if (!actionResponse.action || actionResponse.action === 'back') return 'success';
+
+      if (actionResponse.action === 'list') {
+        listProfiles(profiles);
+      } else if (actionResponse.action === 'create') {
+        if (!(await createProfile(profiles))) log('INFO', 'No profile saved.');
+      } else if (Object.keys(profiles).length === 0) {
+        log('INFO', 'No profiles are saved yet.');
+      } else if (actionResponse.action === 'clone') {
+        const name = await chooseProfileName(profiles, 'Profile to clone:');
+        if (!name) continue;
+        const cloneResponse = await prompts({
+          type: 'text',
+          name: 'newName',
+          message: 'Name of the copy:',
+          initial: `${name}-copy`,
+          validate: value => (!value.trim() ? 'Enter a name' : profiles[value.trim()] ? 'A profile with this name exists' : true),
+        });
+        if (!cloneResponse.newName) continue;
+        await cloneProfile(name, cloneResponse.newName.trim());
+        log('INFO', `Cloned profile ${name} to ${cloneResponse.newName.trim()}. Edit it in json/config.json or create it again to change its flags.`);
+      } else if (actionResponse.action === 'delete') {
+        const name = await chooseProfileName(profiles, 'Profile to delete:');
+        if (!name) continue;
+        const confirmResponse = await prompts({ type: 'confirm', name: 'confirm', message: `Delete profile ${name}?`, initial: false });
+        if (!confirmResponse.confirm) continue;
+        await deleteProfile(name);
+        log('INFO', `Deleted profile ${name}.`);
+      }
+    }
+  } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return 'error';
+    }
+    log('ERROR', `Unexpected error in Manage Profiles: ${error.message}`);
+    log('DEBUG', `Error stack: ${error.stack}`);
+    return 'error';
+  }
+}
+
+if (require.main === module) {
+  manageProfiles().then(result => {
+    process.exit(result === 'success' ? 0 : 1);
+  }).catch(err => {
+    log('ERROR', `Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { manageProfiles };
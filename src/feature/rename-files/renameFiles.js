@@ -1,17 +1,36 @@
 #!/usr/bin/env node
 
-const prompts = require('prompts');
+const { prompts } = require('../../backend/utils/promptUtils');
 const fs = require('fs').promises;
 const path = require('path');
 const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { createResult, recordJobs } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs } = require('../../backend/utils/jobUtils');
+const { createPlan, addAction, planOptions, reviewPlan } = require('../../backend/utils/planUtils');
+const { createJournal, journaledMove, vacateSources, saveJournal } = require('../../backend/utils/journalUtils');
+const { WALK_FLAGS, walkOptions, listFiles } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { CONFLICT_FLAGS, conflictOptions, applyConflicts } = require('../../backend/utils/conflictUtils');
+const { pathViolation, resolveInputPath } = require('../../backend/utils/pathUtils');
+const { cleanFileName } = require('../../backend/utils/filenameUtils');
+
+// Drop characters a file name cannot hold from a base name; spaces and Unicode letters are kept
+function sanitizeBase(base) {
+  return cleanFileName(base || '');
+}
 
 function parseArgs(args) {
   const params = {};
-  const validFlags = ['input', 'base'];
+  const validFlags = ['input', 'base', 'plan', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['dry-run', 'recursive'];
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const flag = args[i].slice(2);
-      if (validFlags.includes(flag)) {
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
         const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
         params[flag] = value;
         i++;
@@ -24,6 +43,82 @@ function parseArgs(args) {
   return params;
 }
 
+// Rename every file in a directory to <base>-1, <base>-2, ... keeping extensions, without prompting.
+// With recursive (see walkUtils) files in subfolders are renamed too; they stay in their own folder and
+// each folder is numbered from 1.
+// A new name that is already taken is handled by onConflict (see conflictUtils, default 'fail'); a name
+// another file gives up in the same run is free.
+// With dryRun the renames are only planned and printed; planFile saves the plan as JSON. Otherwise the
+// renames are journaled (see journalUtils) and the result's `journal` names the id to undo.
+// options: { input, base, onConflict, dryRun, planFile, recursive, maxDepth, filters, concurrency, timeout, retries }
+async function renameDirectoryFiles(options = {}) {
+  const fileNameBase = sanitizeBase(options.base);
+  if (!fileNameBase) {
+    throw new ValidationError('base must contain at least one character that can be used in a file name', { option: 'base' });
+  }
+  const inputDir = await resolveInputPath(options.input, 'Input directory');
+  if (!(await fs.stat(inputDir)).isDirectory()) {
+    throw new ValidationError(`Input directory ${inputDir} is not a directory.`, { option: 'input' });
+  }
+  const result = createResult();
+
+  log('DEBUG', `Reading directory: ${inputDir}`);
+  const files = await applyFilters(result, await listFiles(inputDir, options), options, inputDir);
+  log('DEBUG', `Found ${files.length} files in ${inputDir}: ${files.join(', ')}`);
+
+  if (files.length === 0) {
+    log('INFO', `No files found in ${inputDir}`);
+    return result;
+  }
+
+  const counters = new Map();
+  const newFilePaths = await applyConflicts(result, new Map(files.map(file => {
+    const dir = path.dirname(file);
+    counters.set(dir, (counters.get(dir) || 0) + 1);
+    return [file, path.join(dir, `${fileNameBase}-${counters.get(dir)}${path.extname(file)}`)];
+  })), options, 'fail', true);
+  const renamable = files.filter(file => newFilePaths.has(file));
+  const plan = createPlan('rename', inputDir);
+  renamable.filter(file => newFilePaths.get(file) !== file).forEach(file => addAction(plan, 'rename', file, newFilePaths.get(file)));
+  result.plan = await reviewPlan(plan, options);
+  if (options.dryRun) return result;
+
+  const journal = createJournal('rename');
+  const sources = await vacateSources(journal, newFilePaths);
+  log('INFO', `Processing ${renamable.length} files`);
+  const summary = await runJobs(renamable, async (file) => {
+    const newFilePath = newFilePaths.get(file);
+    const newFileName = path.basename(newFilePath);
+    log('DEBUG', `Renaming ${file} to ${newFilePath}`);
+
+    try {
+      if (file !== newFilePath) {
+        await journaledMove(journal, 'rename', sources.get(file) || file, newFilePath);
+        log('INFO', `Renamed ${path.basename(file)} to ${newFileName}`);
+        try {
+          const stats = await fs.stat(newFilePath);
+          log('DEBUG', `Renamed file size: ${stats.size} bytes for ${newFilePath}`);
+        } catch (statError) {
+          log('DEBUG', `Failed to retrieve file size for ${newFilePath}: ${statError.message}`);
+        }
+      } else {
+        log('DEBUG', `File already named correctly: ${file}`);
+      }
+      return newFilePath;
+    } catch (error) {
+      log('ERROR', `Error renaming ${file} to ${newFileName}: ${error.message}`);
+      log('DEBUG', `Rename error stack: ${error.stack}`);
+      throw error;
+    }
+  }, { ...options, kind: 'fs', label: 'rename' });
+  recordJobs(result, summary);
+  if (await saveJournal(journal)) result.journal = journal.id;
+
+  log('INFO', `Renamed ${result.processed.length} files, ${result.failed.length} failed.`);
+  log('DEBUG', `Rename Files completed: ${result.processed.length} renamed, ${result.failed.length} failed`);
+  return result;
+}
+
 async function renameFiles(args = process.argv.slice(2)) {
   try {
     log('INFO', 'Starting Rename Files Feature');
@@ -34,20 +129,7 @@ async function renameFiles(args = process.argv.slice(2)) {
     let inputDir;
     if (params['input']) {
       inputDir = params['input'];
-      const resolvedInput = path.resolve(inputDir);
-      const realPath = await fs.realpath(resolvedInput); // Use async realpath
-      const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-      if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-        log('ERROR', `Input directory ${inputDir} is in a system directory.`);
-        return 'error';
-      }
-      try {
-        await fs.access(inputDir);
-        log('DEBUG', `Input directory from args: ${inputDir}`);
-      } catch {
-        log('ERROR', `Input directory not found: ${inputDir}`);
-        return 'error';
-      }
+      log('DEBUG', `Input directory from args: ${inputDir}`);
     } else {
       log('DEBUG', 'Prompting for input directory');
       const inputDirResponse = await prompts({
@@ -56,14 +138,10 @@ async function renameFiles(args = process.argv.slice(2)) {
         message: 'Enter the directory containing files to rename (or press Enter to cancel):',
         validate: async (value) => {
           if (value.trim() === '') return true;
-          const resolvedPath = path.resolve(value);
-          const realPath = await fs.realpath(resolvedPath); // Use async realpath
-          const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-          if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-            return 'System directory not allowed.';
-          }
+          const violation = await pathViolation(value);
+          if (violation) return violation;
           try {
-            await fs.access(resolvedPath);
+            await fs.access(path.resolve(value));
             return true;
           } catch {
             return 'Directory not found.';
@@ -80,7 +158,7 @@ async function renameFiles(args = process.argv.slice(2)) {
 
     let fileNameBase;
     if (params['base']) {
-      fileNameBase = params['base'].replace(/[^a-zA-Z0-9-]/g, ''); // Sanitize
+      fileNameBase = sanitizeBase(params['base']);
       log('DEBUG', `Base name from args: ${fileNameBase}`);
     } else {
       log('DEBUG', 'Prompting for base name');
@@ -89,11 +167,10 @@ async function renameFiles(args = process.argv.slice(2)) {
         name: 'base',
         message: 'Enter the base name for renamed files (e.g., "file" becomes "file-1", "file-2", etc.):',
         validate: value => {
-          const sanitized = value.replace(/[^a-zA-Z0-9-]/g, '');
-          return sanitized.trim() !== '' ? true : 'Base name required.';
+          return sanitizeBase(value).trim() !== '' ? true : 'Base name required.';
         }
       });
-      fileNameBase = fileNameBaseResponse.base.replace(/[^a-zA-Z0-9-]/g, ''); // Sanitize
+      fileNameBase = sanitizeBase(fileNameBaseResponse.base);
       log('DEBUG', `Base name provided: ${fileNameBase}`);
       if (!fileNameBase) {
         log('INFO', 'No base name provided, cancelling...');
@@ -101,61 +178,16 @@ async function renameFiles(args = process.argv.slice(2)) {
       }
     }
 
-    // Read directory and filter files asynchronously
-    log('DEBUG', `Reading directory: ${inputDir}`);
-    const dirEntries = await fs.readdir(inputDir);
-    const files = [];
-    for (const entry of dirEntries) {
-      const fullPath = path.join(inputDir, entry);
-      const stats = await fs.stat(fullPath);
-      if (stats.isFile()) {
-        files.push(fullPath);
-      }
-    }
-    log('DEBUG', `Found ${files.length} files in ${inputDir}: ${files.join(', ')}`);
-
-    if (files.length === 0) {
-      log('INFO', `No files found in ${inputDir}`);
-      return 'success';
-    }
-
-    log('INFO', `Processing ${files.length} files`);
-    let failed = 0;
-
-    for (let index = 0; index < files.length; index++) {
-      const file = files[index];
-      const originalExt = path.extname(file);
-      const newFileName = `${fileNameBase}-${index + 1}${originalExt}`;
-      const newFilePath = path.join(inputDir, newFileName);
-      log('DEBUG', `Renaming ${file} to ${newFilePath}`);
-
-      try {
-        if (file !== newFilePath) {
-          await fs.rename(file, newFilePath);
-          log('INFO', `Renamed ${path.basename(file)} to ${newFileName}`);
-          try {
-            const stats = await fs.stat(newFilePath);
-            log('DEBUG', `Renamed file size: ${stats.size} bytes for ${newFilePath}`);
-          } catch (statError) {
-            log('DEBUG', `Failed to retrieve file size for ${newFilePath}: ${statError.message}`);
-          }
-        } else {
-          log('DEBUG', `File already named correctly: ${file}`);
-        }
-      } catch (error) {
-        log('ERROR', `Error renaming ${file} to ${newFileName}: ${error.message}`);
-        log('DEBUG', `Rename error stack: ${error.stack}`);
-        failed++;
-      }
-    }
-
-    log('INFO', `Renamed ${files.length - failed} files, ${failed} failed.`);
-    log('DEBUG', `Rename Files completed: ${files.length - failed} renamed, ${failed} failed`);
-    return failed === 0 ? 'success' : 'error';
+    const result = await renameDirectoryFiles({ input: inputDir, base: fileNameBase, ...conflictOptions(params), ...planOptions(params), ...walkOptions(params), ...filterOptions(params), ...queueOptions(params) });
+    return reportRun('rename', result);
   } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('rename', error, args);
+    }
     log('ERROR', `Unexpected error in Rename Files: ${error.message}`);
     log('DEBUG', `Error stack: ${error.stack}`);
-    return 'error';
+    return reportError('rename', error, args);
   }
 }
 
@@ -168,4 +200,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { renameFiles };
\ No newline at end of file
+module.exports = { renameFiles, renameDirectoryFiles };
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+const { prompts } = require('../../backend/utils/promptUtils');
+const fs = require('fs').promises;
+const path = require('path');
+const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { createResult, recordSkipped, recordJobs } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs } = require('../../backend/utils/jobUtils');
+const { createPlan, addAction, planOptions, reviewPlan } = require('../../backend/utils/planUtils');
+const { createJournal, journaledMove, vacateSources, saveJournal } = require('../../backend/utils/journalUtils');
+const { WALK_FLAGS, walkOptions, listFiles } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { CONFLICT_FLAGS, conflictOptions, applyConflicts } = require('../../backend/utils/conflictUtils');
+const { pathViolation, resolveInputPath } = require('../../backend/utils/pathUtils');
+const { sanitizeFileName } = require('../../backend/utils/filenameUtils');
+
+const SEPARATORS = ['-', '_', '.'];
+
+function parseArgs(args) {
+  const params = {};
+  const validFlags = ['input', 'separator', 'plan', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['dry-run', 'recursive', 'keep-case', 'keep-unicode'];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const flag = args[i].slice(2);
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
+        const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
+        params[flag] = value;
+        i++;
+      } else {
+        log('DEBUG', `Ignoring unrecognized argument: --${flag}`);
+        if (args[i + 1] && !args[i + 1].startsWith('--')) i++; // Skip value of unrecognized flag
+      }
+    }
+  }
+  return params;
+}
+
+// Rename every file in a directory to a transliterated slug of its name (see filenameUtils), e.g.
+// `Vacation Café (1).JPG` to `vacation-cafe-1.jpg`, without prompting. Files stay in their folder; with
+// recursive (see walkUtils) files in subfolders are renamed too, but folder names are left alone. Names
+// with nothing left after sanitizing (e.g. only CJK letters without keepUnicode) are skipped.
+// A new name that is already taken is handled by onConflict (see conflictUtils, default 'fail'); a name
+// another file gives up in the same run is free.
+// With dryRun the renames are only planned and printed; planFile saves the plan as JSON. Otherwise the
+// renames are journaled (see journalUtils) and the result's `journal` names the id to undo.
+// options: { input, separator, keepCase, keepUnicode, onConflict, dryRun, planFile, recursive, maxDepth,
+// filters, concurrency, timeout, retries }
+async function sanitizeDirectoryFiles(options = {}) {
+  const separator = options.separator === undefined || options.separator === '' ? '-' : options.separator;
+  if (!SEPARATORS.includes(separator)) {
+    throw new ValidationError(`Invalid separator: ${options.separator}. Must be one of ${SEPARATORS.join(' ')}`, { option: 'separator' });
+  }
+  const inputDir = await resolveInputPath(options.input, 'Input directory');
+  if (!(await fs.stat(inputDir)).isDirectory()) {
+    throw new ValidationError(`Input directory ${inputDir} is not a directory.`, { option: 'input' });
+  }
+  const result = createResult();
+
+  log('DEBUG', `Reading directory: ${inputDir}`);
+  const files = await applyFilters(result, await listFiles(inputDir, options), options, inputDir);
+  log('DEBUG', `Found ${files.length} files in ${inputDir}: ${files.join(', ')}`);
+
+  const wanted = new Map();
+  for (const file of files) {
+    const newName = sanitizeFileName(path.basename(file), { separator, keepCase: options.keepCase, keepUnicode: options.keepUnicode });
+    if (!newName) {
+      log('DEBUG', `Nothing left of ${file} after sanitizing, skipping`);
+      recordSkipped(result, file, 'no usable characters in name');
+    } else if (newName !== path.basename(file)) {
+      wanted.set(file, path.join(path.dirname(file), newName));
+    } else {
+      log('DEBUG', `File name already clean: ${file}`);
+    }
+  }
+  if (wanted.size === 0) {
+    log('INFO', `No file names to sanitize in ${inputDir}`);
+    return result;
+  }
+
+  const newFilePaths = await applyConflicts(result, wanted, options, 'fail', true);
+  const plan = createPlan('sanitize', inputDir);
+  newFilePaths.forEach((newFilePath, file) => addAction(plan, 'rename', file, newFilePath));
+  result.plan = await reviewPlan(plan, options);
+  if (options.dryRun) return result;
+
+  const journal = createJournal('sanitize');
+  const sources = await vacateSources(journal, newFilePaths);
+  log('INFO', `Processing ${newFilePaths.size} files`);
+  const summary = await runJobs([...newFilePaths.keys()], async (file) => {
+    const newFilePath = newFilePaths.get(file);
+    log('DEBUG', `Renaming ${file} to ${newFilePath}`);
+    try {
+      await journaledMove(journal, 'rename', sources.get(file) || file, newFilePath);
+      log('INFO', `Renamed ${path.basename(file)} to ${path.basename(newFilePath)}`);
+      return newFilePath;
+    } catch (error) {
+      log('ERROR', `Error renaming ${file} to ${path.basename(newFilePath)}: ${error.message}`);
+      log('DEBUG', `Rename error stack: ${error.stack}`);
+      throw error;
+    }
+  }, { ...options, kind: 'fs', label: 'sanitize' });
+  recordJobs(result, summary);
+  if (await saveJournal(journal)) result.journal = journal.id;
+
+  log('INFO', `Sanitized ${result.processed.length} file names, ${result.failed.length} failed, ${result.skipped.length} skipped.`);
+  log('DEBUG', `Sanitize Filenames completed: ${result.processed.length} renamed, ${result.failed.length} failed, ${result.skipped.length} skipped`);
+  return result;
+}
+
+async function sanitizeFilenames(args = process.argv.slice(2)) {
+  try {
+    log('INFO', 'Starting Sanitize Filenames Feature');
+
+    const params = parseArgs(args);
+    if (params.error) return 'error';
+
+    let inputDir;
+    if (params['input']) {
+      inputDir = params['input'];
+      log('DEBUG', `Input directory from args: ${inputDir}`);
+    } else {
+      log('DEBUG', 'Prompting for input directory');
+      const inputDirResponse = await prompts({
+        type: 'text',
+        name: 'dir',
+        message: 'Enter the directory containing files to sanitize (or press Enter to cancel):',
+        validate: async (value) => {
+          if (value.trim() === '') return true;
+          const violation = await pathViolation(value);
+          if (violation) return violation;
+          if (!await fs.stat(path.resolve(value)).then(stats => stats.isDirectory()).catch(() => false)) {
+            return 'Path not found or not a directory.';
+          }
+          return true;
+        }
+      });
+      inputDir = inputDirResponse.dir;
+      log('DEBUG', `Input directory provided: ${inputDir}`);
+      if (!inputDir) {
+        log('INFO', 'No input directory provided, cancelling...');
+        return 'cancelled';
+      }
+    }
+
+    const result = await sanitizeDirectoryFiles({
+      input: inputDir,
+      separator: params['separator'],
+      keepCase: Boolean(params['keep-case']),
+      keepUnicode: Boolean(params['keep-unicode']),
+      ...conflictOptions(params),
+      ...planOptions(params),
+      ...walkOptions(params),
+      ...filterOptions(params),
+      ...queueOptions(params),
+    });
+    return reportRun('sanitize', result);
+  } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('sanitize', error, args);
+    }
+    log('ERROR', `Unexpected error in Sanitize Filenames: ${error.message}`);
+    log('DEBUG', `Error stack: ${error.stack}`);
+    return reportError('sanitize', error, args);
+  }
+}
+
+if (require.main === module) {
+  sanitizeFilenames().then(result => {
+    process.exit(result === 'success' ? 0 : 1);
+  }).catch(err => {
+    log('ERROR', `Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { sanitizeFilenames, sanitizeDirectoryFiles };
@@ -1,24 +1,35 @@
 #!/usr/bin/env node
 
-const prompts = require('prompts');
+const { prompts } = require('../../backend/utils/promptUtils');
 const fsPromises = require('fs').promises; // For async operations
 const fs = require('fs'); // For sync operations like existsSync
 const path = require('path');
 const sharp = require('sharp');
 const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { createResult, recordJobs } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs } = require('../../backend/utils/jobUtils');
+const { WALK_FLAGS, walkOptions, listFiles, mirrorDir } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { CONFLICT_FLAGS, conflictOptions } = require('../../backend/utils/conflictUtils');
+const { openCheckpoint, applyCheckpointConflicts } = require('../../backend/utils/checkpointUtils');
+const { writeAtomically } = require('../../backend/utils/fileUtils');
+const { pathViolation, resolveInputPath, resolveOutputDir } = require('../../backend/utils/pathUtils');
 
 // Supported image extensions
 const SUPPORTED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const RESIZE_METHODS = ['stretch', 'crop', 'contain'];
 
 // Generate unique filename
 function generateUniqueFilename(originalPath) {
   const timestamp = new Date().toISOString().replace(/[-:.T]/g, '').slice(0, 14); // e.g., 20250310123456
-  const baseName = path.basename(originalPath, path.extname(originalPath)).replace(/[^a-zA-Z0-9-]/g, ''); // Sanitize
+  const baseName = path.basename(originalPath, path.extname(originalPath));
   const ext = path.extname(originalPath);
   return `${baseName}-${timestamp}${ext}`;
 }
 
-// Process a single image
+// Process a single image. Resolves to null on success or to the error that stopped it.
 async function processImage(inputPath, outputPath, width, height, method) {
   try {
     log('DEBUG', `Processing image: ${inputPath} -> ${outputPath} (${width}x${height}, method: ${method})`);
@@ -67,21 +78,24 @@ async function processImage(inputPath, outputPath, width, height, method) {
       log('DEBUG', `Failed to retrieve file size for ${outputPath}: ${statError.message}`);
     }
     log('DEBUG', `Successfully processed ${inputPath} to ${outputPath}`);
-    return true;
+    return null;
   } catch (error) {
     log('ERROR', `Error processing ${inputPath}: ${error.message}`);
     log('DEBUG', `Process image error stack: ${error.stack}`);
-    return false;
+    return error;
   }
 }
 
 function parseArgs(args) {
   const params = {};
-  const validFlags = ['input', 'output', 'width', 'height', 'method'];
+  const validFlags = ['input', 'output', 'width', 'height', 'method', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['recursive'];
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const flag = args[i].slice(2);
-      if (validFlags.includes(flag)) {
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
         const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
         params[flag] = value;
         i++;
@@ -94,6 +108,70 @@ function parseArgs(args) {
   return params;
 }
 
+// Resize an image or every supported image in a directory without prompting. With recursive (see
+// walkUtils) subfolders are included and mirrored under the output directory.
+// Outputs already on disk are handled by onConflict (see conflictUtils, default 'overwrite').
+// The run is checkpointed (see checkpointUtils); resume continues the job with that id. Each image is
+// written under a temporary name and renamed once complete, so a cancelled run leaves no partial files.
+// options: { input, output, width, height, method: 'crop' | 'stretch' | 'contain', onConflict, recursive, maxDepth, filters, concurrency, timeout, retries, resume, signal }
+async function resizeImageFiles(options = {}) {
+  const width = Number(options.width);
+  const height = Number(options.height);
+  const method = options.method;
+  if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+    throw new ValidationError('width and height must be positive whole numbers', { option: 'width' });
+  }
+  if (!RESIZE_METHODS.includes(method)) {
+    throw new ValidationError(`method must be ${RESIZE_METHODS.join(', ')}`, { option: 'method' });
+  }
+  const inputPath = await resolveInputPath(options.input);
+  const outputDir = await resolveOutputDir(options.output);
+  log('DEBUG', `Output directory created or verified: ${outputDir}`);
+  log('DEBUG', `Resize parameters: width=${width}, height=${height}, method=${method}`);
+
+  const stats = await fsPromises.stat(inputPath);
+  log('DEBUG', `Input path stats: ${stats.isFile() ? 'File' : 'Directory'}`);
+  const inputDir = stats.isFile() ? path.dirname(inputPath) : inputPath;
+  const result = createResult();
+
+  let imageFiles;
+  if (stats.isFile()) {
+    const ext = path.extname(inputPath).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+      throw new ValidationError(`Input file must be one of ${SUPPORTED_EXTENSIONS.join(', ')}.`, { option: 'input' });
+    }
+    imageFiles = [inputPath];
+  } else {
+    log('DEBUG', `Reading directory: ${inputPath}`);
+    const files = await listFiles(inputPath, { ...options, skipDirs: [outputDir] });
+    imageFiles = await applyFilters(result, files.filter(f => SUPPORTED_EXTENSIONS.includes(path.extname(f).toLowerCase())), options, inputDir);
+    log('DEBUG', `Found ${imageFiles.length} supported image files: ${imageFiles.map(f => path.basename(f)).join(', ')}`);
+    if (imageFiles.length === 0) {
+      log('INFO', 'No supported image files found in the directory.');
+      return result;
+    }
+  }
+
+  const checkpoint = await openCheckpoint('resize-images', options);
+  const outputFiles = await applyCheckpointConflicts(checkpoint, result, new Map(imageFiles.map(inputFile => [inputFile, path.join(mirrorDir(inputDir, inputFile, outputDir), generateUniqueFilename(inputFile))])), options, 'overwrite');
+  const summary = await runJobs([...outputFiles.keys()], async (inputFile, { signal }) => {
+    const outputFile = outputFiles.get(inputFile);
+    log('DEBUG', `Generated output filename: ${outputFile}`);
+    await fsPromises.mkdir(path.dirname(outputFile), { recursive: true });
+    return writeAtomically(outputFile, async (partialFile) => {
+      const error = await processImage(inputFile, partialFile, width, height, method);
+      if (error) throw error;
+    }, signal);
+  }, { ...options, checkpoint, kind: 'sharp', label: 'image resize' });
+  recordJobs(result, summary);
+  if (checkpoint.status === 'incomplete') result.checkpoint = checkpoint.id;
+  if (stats.isDirectory()) {
+    log('INFO', `Processed ${result.processed.length} images, ${result.failed.length} failed.`);
+  }
+  log('DEBUG', `Image Resize completed: ${result.processed.length} processed, ${result.failed.length} failed`);
+  return result;
+}
+
 async function resizeImages(args = process.argv.slice(2)) {
   try {
     log('INFO', 'Starting Image Resize Feature');
@@ -104,17 +182,6 @@ async function resizeImages(args = process.argv.slice(2)) {
     let inputPath;
     if (params['input']) {
       inputPath = params['input'];
-      const resolvedInput = path.resolve(inputPath);
-      const realPath = await fsPromises.realpath(resolvedInput); // Check for forbidden directories
-      const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-      if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-        log('ERROR', `Input path ${inputPath} is in a system directory.`);
-        return 'error';
-      }
-      if (!fs.existsSync(inputPath)) {
-        log('ERROR', `Input path not found: ${inputPath}`);
-        return 'error';
-      }
       log('DEBUG', `Input path from args: ${inputPath}`);
     } else {
       log('DEBUG', 'Prompting for input path');
@@ -124,13 +191,9 @@ async function resizeImages(args = process.argv.slice(2)) {
         message: 'Enter the path to the input image file or directory (or press Enter to cancel):',
         validate: async (value) => {
           if (value.trim() === '') return true;
-          const resolvedPath = path.resolve(value);
-          const realPath = await fsPromises.realpath(resolvedPath); // Check for forbidden directories
-          const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-          if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-            return 'System directory not allowed.';
-          }
-          if (!fs.existsSync(resolvedPath)) return 'Path not found.';
+          const violation = await pathViolation(value);
+          if (violation) return violation;
+          if (!fs.existsSync(path.resolve(value))) return 'Path not found.';
           return true;
         }
       });
@@ -145,13 +208,6 @@ async function resizeImages(args = process.argv.slice(2)) {
     let outputDir;
     if (params['output']) {
       outputDir = params['output'];
-      const resolvedOutput = path.resolve(outputDir);
-      const realPath = await fsPromises.realpath(resolvedOutput); // Check for forbidden directories
-      const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-      if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-        log('ERROR', `Output directory ${outputDir} is in a system directory.`);
-        return 'error';
-      }
       log('DEBUG', `Output directory from args: ${outputDir}`);
     } else {
       log('DEBUG', 'Prompting for output directory');
@@ -161,12 +217,8 @@ async function resizeImages(args = process.argv.slice(2)) {
         message: 'Enter the path for the output directory (or press Enter to cancel):',
         validate: async (value) => {
           if (value.trim() === '') return 'Output directory required.';
-          const resolvedPath = path.resolve(value);
-          const realPath = await fsPromises.realpath(resolvedPath); // Check for forbidden directories
-          const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-          if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-            return 'System directory not allowed.';
-          }
+          const violation = await pathViolation(value);
+          if (violation) return violation;
           return true;
         }
       });
@@ -178,13 +230,6 @@ async function resizeImages(args = process.argv.slice(2)) {
       }
     }
 
-    log('DEBUG', `Creating output directory: ${outputDir}`);
-    await fsPromises.mkdir(outputDir, { recursive: true });
-    log('DEBUG', `Output directory created or verified: ${outputDir}`);
-
-    const stats = await fsPromises.stat(inputPath);
-    log('DEBUG', `Input path stats: ${stats.isFile() ? 'File' : 'Directory'}`);
-
     let width, height, method;
     if (params['width'] || params['height'] || params['method']) {
       width = params['width'] ? parseInt(params['width'], 10) : null;
@@ -228,11 +273,6 @@ async function resizeImages(args = process.argv.slice(2)) {
           return 'cancelled';
         }
       }
-
-      if (isNaN(width) || width <= 0 || isNaN(height) || height <= 0 || !['stretch', 'crop', 'contain'].includes(method)) {
-        log('ERROR', 'Invalid arguments: --width and --height must be positive numbers, --method must be stretch, crop, or contain');
-        return 'error';
-      }
       log('DEBUG', `Resize parameters from args/prompts: width=${width}, height=${height}, method=${method}`);
     } else {
       const formatChoices = [
@@ -288,45 +328,16 @@ async function resizeImages(args = process.argv.slice(2)) {
       log('DEBUG', `Resize parameters: width=${width}, height=${height}, method=${method}`);
     }
 
-    let processed = 0, failed = 0;
-
-    if (stats.isFile()) {
-      const ext = path.extname(inputPath).toLowerCase();
-      if (!SUPPORTED_EXTENSIONS.includes(ext)) {
-        log('ERROR', `Input file must be one of ${SUPPORTED_EXTENSIONS.join(', ')}.`);
-        return 'error';
-      }
-      const outputFile = path.join(outputDir, generateUniqueFilename(inputPath));
-      log('DEBUG', `Generated output filename: ${outputFile}`);
-      const success = await processImage(inputPath, outputFile, width, height, method);
-      if (success) processed++;
-      else failed++;
-    } else if (stats.isDirectory()) {
-      log('DEBUG', `Reading directory: ${inputPath}`);
-      const files = await fsPromises.readdir(inputPath);
-      const imageFiles = files.filter(f => SUPPORTED_EXTENSIONS.includes(path.extname(f).toLowerCase()));
-      log('DEBUG', `Found ${imageFiles.length} supported image files: ${imageFiles.join(', ')}`);
-      if (imageFiles.length === 0) {
-        log('INFO', 'No supported image files found in the directory.');
-        return 'success';
-      }
-      for (const file of imageFiles) {
-        const inputFile = path.join(inputPath, file);
-        const outputFile = path.join(outputDir, generateUniqueFilename(file));
-        log('DEBUG', `Generated output filename: ${outputFile}`);
-        const success = await processImage(inputFile, outputFile, width, height, method);
-        if (success) processed++;
-        else failed++;
-      }
-      log('INFO', `Processed ${processed} images, ${failed} failed.`);
-    }
-
-    log('DEBUG', `Image Resize completed: ${processed} processed, ${failed} failed`);
-    return failed === 0 ? 'success' : 'error';
+    const result = await resizeImageFiles({ input: inputPath, output: outputDir, width, height, method, ...conflictOptions(params), ...walkOptions(params), ...filterOptions(params), ...queueOptions(params) });
+    return reportRun('resize-images', result);
   } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('resize-images', error, args);
+    }
     log('ERROR', `Unexpected error in Image Resize: ${error.message}`);
     log('DEBUG', `Error stack: ${error.stack}`);
-    return 'error';
+    return reportError('resize-images', error, args);
   }
 }
 
@@ -339,4 +350,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { resizeImages };
\ No newline at end of file
+module.exports = { resizeImages, resizeImageFiles };
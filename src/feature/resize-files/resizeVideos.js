@@ -1,14 +1,25 @@
 #!/usr/bin/env node
 
-const prompts = require('prompts');
+const { prompts } = require('../../backend/utils/promptUtils');
 const fsPromises = require('fs').promises; // For async operations
 const fs = require('fs'); // For sync operations like existsSync
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { createResult, recordSkipped, recordJobs } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs } = require('../../backend/utils/jobUtils');
+const { WALK_FLAGS, walkOptions, listFiles, mirrorDir } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { CONFLICT_FLAGS, conflictOptions } = require('../../backend/utils/conflictUtils');
+const { openCheckpoint, applyCheckpointConflicts } = require('../../backend/utils/checkpointUtils');
+const { writeAtomically } = require('../../backend/utils/fileUtils');
+const { pathViolation, resolveInputPath, resolveOutputDir } = require('../../backend/utils/pathUtils');
 
 // Supported video extensions
 const SUPPORTED_EXTENSIONS = ['.mp4', '.webm', '.gif'];
+const RESIZE_METHODS = ['stretch', 'crop', 'contain'];
 
 // Generate unique filename
 function generateUniqueFilename(originalPath) {
@@ -44,8 +55,9 @@ async function validateVideoStream(inputFile) {
   });
 }
 
-// Process a single video
-async function processVideo(inputPath, outputPath, width, height, method) {
+// Process a single video. Resolves to null on success or to the error that stopped it.
+// Aborting `signal` kills the FFmpeg process; onProgress(percent) follows the encode.
+async function processVideo(inputPath, outputPath, width, height, method, signal, onProgress) {
   return new Promise((resolve) => {
     try {
       log('DEBUG', `Processing video: ${inputPath} -> ${outputPath} (${width}x${height}, method: ${method})`);
@@ -66,6 +78,8 @@ async function processVideo(inputPath, outputPath, width, height, method) {
           throw new Error(`Invalid resize method: ${method}`);
       }
       log('DEBUG', `FFmpeg filter: ${filter}`);
+      if (signal) signal.addEventListener('abort', () => ffmpegCmd.kill('SIGKILL'), { once: true });
+      if (onProgress) ffmpegCmd.on('progress', progress => onProgress(progress.percent));
 
       ffmpegCmd
         .videoFilter(filter)
@@ -81,28 +95,36 @@ async function processVideo(inputPath, outputPath, width, height, method) {
             log('DEBUG', `Failed to retrieve file size for ${outputPath}: ${statError.message}`);
           }
           log('DEBUG', `Successfully processed ${inputPath} to ${outputPath}`);
-          resolve(true);
+          resolve(null);
         })
         .on('error', (err) => {
+          if (signal && signal.aborted) {
+            log('DEBUG', `FFmpeg stopped for ${inputPath}`);
+            resolve(err);
+            return;
+          }
           log('ERROR', `Error processing ${inputPath}: ${err.message}`);
           log('DEBUG', `FFmpeg error stack: ${err.stack}`);
-          resolve(false);
+          resolve(err);
         });
     } catch (error) {
       log('ERROR', `Error processing ${inputPath}: ${error.message}`);
       log('DEBUG', `Process video error stack: ${error.stack}`);
-      resolve(false);
+      resolve(error);
     }
   });
 }
 
 function parseArgs(args) {
   const params = {};
-  const validFlags = ['input', 'output', 'width', 'height', 'method'];
+  const validFlags = ['input', 'output', 'width', 'height', 'method', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['recursive'];
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const flag = args[i].slice(2);
-      if (validFlags.includes(flag)) {
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
         const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
         params[flag] = value;
         i++;
@@ -115,6 +137,83 @@ function parseArgs(args) {
   return params;
 }
 
+// Resize a video or every valid video in a directory without prompting. With recursive (see walkUtils)
+// subfolders are included and mirrored under the output directory. Files that fail ffprobe
+// validation are reported as skipped.
+// Outputs already on disk are handled by onConflict (see conflictUtils, default 'overwrite').
+// The run is checkpointed (see checkpointUtils); resume continues the job with that id. Each video is
+// encoded under a temporary name and renamed once FFmpeg finishes, so a cancelled run leaves no truncated files.
+// options: { input, output, width, height, method: 'crop' | 'stretch' | 'contain', onConflict, recursive, maxDepth, filters, concurrency, timeout, retries, resume, signal }
+async function resizeVideoFiles(options = {}) {
+  const width = Number(options.width);
+  const height = Number(options.height);
+  const method = options.method;
+  if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+    throw new ValidationError('width and height must be positive whole numbers', { option: 'width' });
+  }
+  if (!RESIZE_METHODS.includes(method)) {
+    throw new ValidationError(`method must be ${RESIZE_METHODS.join(', ')}`, { option: 'method' });
+  }
+  const inputPath = await resolveInputPath(options.input);
+  const outputDir = await resolveOutputDir(options.output);
+  log('DEBUG', `Output directory created or verified: ${outputDir}`);
+  log('DEBUG', `Resize parameters: width=${width}, height=${height}, method=${method}`);
+
+  const stats = await fsPromises.stat(inputPath);
+  log('DEBUG', `Input path stats: ${stats.isFile() ? 'File' : 'Directory'}`);
+  const inputDir = stats.isFile() ? path.dirname(inputPath) : inputPath;
+  const result = createResult();
+
+  let potentialVideoFiles;
+  if (stats.isFile()) {
+    const ext = path.extname(inputPath).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+      throw new ValidationError(`Input file must be one of ${SUPPORTED_EXTENSIONS.join(', ')}.`, { option: 'input' });
+    }
+    potentialVideoFiles = [inputPath];
+  } else {
+    log('DEBUG', `Reading directory: ${inputPath}`);
+    const files = await listFiles(inputPath, { ...options, skipDirs: [outputDir] });
+    potentialVideoFiles = await applyFilters(result, files.filter(f => SUPPORTED_EXTENSIONS.includes(path.extname(f).toLowerCase())), options, inputDir);
+    log('DEBUG', `Found ${potentialVideoFiles.length} potential video files: ${potentialVideoFiles.map(f => path.basename(f)).join(', ')}`);
+  }
+
+  // Validate each potential video file before processing
+  const validVideoFiles = [];
+  for (const inputFile of potentialVideoFiles) {
+    if (await validateVideoStream(inputFile)) {
+      validVideoFiles.push(inputFile);
+    } else {
+      recordSkipped(result, inputFile, 'not a valid video');
+    }
+  }
+
+  log('DEBUG', `Found ${validVideoFiles.length} valid video files: ${validVideoFiles.map(f => path.basename(f)).join(', ')}`);
+  if (validVideoFiles.length === 0) {
+    log('INFO', stats.isFile() ? `Skipped ${path.basename(inputPath)}: Not a valid video.` : 'No valid video files found in the directory.');
+    return result;
+  }
+
+  const checkpoint = await openCheckpoint('resize-videos', options);
+  const outputFiles = await applyCheckpointConflicts(checkpoint, result, new Map(validVideoFiles.map(inputFile => [inputFile, path.join(mirrorDir(inputDir, inputFile, outputDir), generateUniqueFilename(inputFile))])), options, 'overwrite');
+  const summary = await runJobs([...outputFiles.keys()], async (inputFile, { signal, progress }) => {
+    const outputFile = outputFiles.get(inputFile);
+    log('DEBUG', `Generated output filename: ${outputFile}`);
+    await fsPromises.mkdir(path.dirname(outputFile), { recursive: true });
+    return writeAtomically(outputFile, async (partialFile) => {
+      const error = await processVideo(inputFile, partialFile, width, height, method, signal, progress);
+      if (error) throw error;
+    }, signal);
+  }, { ...options, checkpoint, kind: 'ffmpeg', label: 'video resize' });
+  recordJobs(result, summary);
+  if (checkpoint.status === 'incomplete') result.checkpoint = checkpoint.id;
+  if (stats.isDirectory()) {
+    log('INFO', `Processed ${result.processed.length} videos, ${result.failed.length} failed.`);
+  }
+  log('DEBUG', `Video Resize completed: ${result.processed.length} processed, ${result.failed.length} failed`);
+  return result;
+}
+
 async function resizeVideos(args = process.argv.slice(2)) {
   try {
     log('INFO', 'Starting Video Resize Feature');
@@ -125,17 +224,6 @@ async function resizeVideos(args = process.argv.slice(2)) {
     let inputPath;
     if (params['input']) {
       inputPath = params['input'];
-      const resolvedInput = path.resolve(inputPath);
-      const realPath = await fsPromises.realpath(resolvedInput); // Check for forbidden directories
-      const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-      if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-        log('ERROR', `Input path ${inputPath} is in a system directory.`);
-        return 'error';
-      }
-      if (!fs.existsSync(inputPath)) {
-        log('ERROR', `Input path not found: ${inputPath}`);
-        return 'error';
-      }
       log('DEBUG', `Input path from args: ${inputPath}`);
     } else {
       log('DEBUG', 'Prompting for input path');
@@ -145,13 +233,9 @@ async function resizeVideos(args = process.argv.slice(2)) {
         message: 'Enter the path to the input video file or directory (or press Enter to cancel):',
         validate: async (value) => {
           if (value.trim() === '') return true;
-          const resolvedPath = path.resolve(value);
-          const realPath = await fsPromises.realpath(resolvedPath); // Check for forbidden directories
-          const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-          if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-            return 'System directory not allowed.';
-          }
-          if (!fs.existsSync(resolvedPath)) return 'Path not found.';
+          const violation = await pathViolation(value);
+          if (violation) return violation;
+          if (!fs.existsSync(path.resolve(value))) return 'Path not found.';
           return true;
         }
       });
@@ -166,13 +250,6 @@ async function resizeVideos(args = process.argv.slice(2)) {
     let outputDir;
     if (params['output']) {
       outputDir = params['output'];
-      const resolvedOutput = path.resolve(outputDir);
-      const realPath = await fsPromises.realpath(resolvedOutput); // Check for forbidden directories
-      const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-      if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-        log('ERROR', `Output directory ${outputDir} is in a system directory.`);
-        return 'error';
-      }
       log('DEBUG', `Output directory from args: ${outputDir}`);
     } else {
       log('DEBUG', 'Prompting for output directory');
@@ -182,12 +259,8 @@ async function resizeVideos(args = process.argv.slice(2)) {
         message: 'Enter the path for the output directory (or press Enter to cancel):',
         validate: async (value) => {
           if (value.trim() === '') return 'Output directory required.';
-          const resolvedPath = path.resolve(value);
-          const realPath = await fsPromises.realpath(resolvedPath); // Check for forbidden directories
-          const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-          if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-            return 'System directory not allowed.';
-          }
+          const violation = await pathViolation(value);
+          if (violation) return violation;
           return true;
         }
       });
@@ -199,13 +272,6 @@ async function resizeVideos(args = process.argv.slice(2)) {
       }
     }
 
-    log('DEBUG', `Creating output directory: ${outputDir}`);
-    await fsPromises.mkdir(outputDir, { recursive: true });
-    log('DEBUG', `Output directory created or verified: ${outputDir}`);
-
-    const stats = await fsPromises.stat(inputPath);
-    log('DEBUG', `Input path stats: ${stats.isFile() ? 'File' : 'Directory'}`);
-
     let width, height, method;
     if (params['width'] || params['height'] || params['method']) {
       width = params['width'] ? parseInt(params['width'], 10) : null;
@@ -249,11 +315,6 @@ async function resizeVideos(args = process.argv.slice(2)) {
           return 'cancelled';
         }
       }
-
-      if (isNaN(width) || width <= 0 || isNaN(height) || height <= 0 || !['stretch', 'crop', 'contain'].includes(method)) {
-        log('ERROR', 'Invalid arguments: --width and --height must be positive numbers, --method must be stretch, crop, or contain');
-        return 'error';
-      }
       log('DEBUG', `Resize parameters from args/prompts: width=${width}, height=${height}, method=${method}`);
     } else {
       const formatChoices = [
@@ -307,64 +368,16 @@ async function resizeVideos(args = process.argv.slice(2)) {
       log('DEBUG', `Resize parameters: width=${width}, height=${height}, method=${method}`);
     }
 
-    let processed = 0, failed = 0;
-
-    if (stats.isFile()) {
-      const ext = path.extname(inputPath).toLowerCase();
-      if (!SUPPORTED_EXTENSIONS.includes(ext)) {
-        log('ERROR', `Input file must be one of ${SUPPORTED_EXTENSIONS.join(', ')}.`);
-        return 'error';
-      }
-      // Validate the file is a valid video
-      const isValidVideo = await validateVideoStream(inputPath);
-      if (!isValidVideo) {
-        log('INFO', `Skipped ${path.basename(inputPath)}: Not a valid video.`);
-        return 'success';
-      }
-      const outputFile = path.join(outputDir, generateUniqueFilename(inputPath));
-      log('DEBUG', `Generated output filename: ${outputFile}`);
-      const success = await processVideo(inputPath, outputFile, width, height, method);
-      if (success) processed++;
-      else failed++;
-    } else if (stats.isDirectory()) {
-      log('DEBUG', `Reading directory: ${inputPath}`);
-      const files = await fsPromises.readdir(inputPath);
-      const potentialVideoFiles = files.filter(f => SUPPORTED_EXTENSIONS.includes(path.extname(f).toLowerCase()));
-      log('DEBUG', `Found ${potentialVideoFiles.length} potential video files: ${potentialVideoFiles.join(', ')}`);
-
-      // Validate each potential video file before processing
-      const validVideoFiles = [];
-      for (const file of potentialVideoFiles) {
-        const inputFile = path.join(inputPath, file);
-        const isValidVideo = await validateVideoStream(inputFile);
-        if (isValidVideo) {
-          validVideoFiles.push(file);
-        }
-      }
-
-      log('DEBUG', `Found ${validVideoFiles.length} valid video files: ${validVideoFiles.join(', ')}`);
-      if (validVideoFiles.length === 0) {
-        log('INFO', 'No valid video files found in the directory.');
-        return 'success';
-      }
-
-      for (const file of validVideoFiles) {
-        const inputFile = path.join(inputPath, file);
-        const outputFile = path.join(outputDir, generateUniqueFilename(file));
-        log('DEBUG', `Generated output filename: ${outputFile}`);
-        const success = await processVideo(inputFile, outputFile, width, height, method);
-        if (success) processed++;
-        else failed++;
-      }
-      log('INFO', `Processed ${processed} videos, ${failed} failed.`);
-    }
-
-    log('DEBUG', `Video Resize completed: ${processed} processed, ${failed} failed`);
-    return failed === 0 ? 'success' : 'error';
+    const result = await resizeVideoFiles({ input: inputPath, output: outputDir, width, height, method, ...conflictOptions(params), ...walkOptions(params), ...filterOptions(params), ...queueOptions(params) });
+    return reportRun('resize-videos', result);
   } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('resize-videos', error, args);
+    }
     log('ERROR', `Unexpected error in Video Resize: ${error.message}`);
     log('DEBUG', `Error stack: ${error.stack}`);
-    return 'error';
+    return reportError('resize-videos', error, args);
   }
 }
 
@@ -377,4 +390,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { resizeVideos };
\ No newline at end of file
+module.exports = { resizeVideos, resizeVideoFiles };
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+const { prompts } = require('../../backend/utils/promptUtils');
+const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { QUEUE_FLAGS, queueOptions } = require('../../backend/utils/jobUtils');
+const { loadCheckpoint, listCheckpoints, checkpointCounts } = require('../../backend/utils/checkpointUtils');
+const { convert } = require('../convert-file-type/convertFiles');
+const { resizeImageFiles } = require('../resize-files/resizeImages');
+const { resizeVideoFiles } = require('../resize-files/resizeVideos');
+const { writeGifMetadata } = require('../update-metadata/updateGifMetadata');
+const { writeJpgMetadata } = require('../update-metadata/updateJpgMetadata');
+const { writeMp4Metadata } = require('../update-metadata/updateMp4Metadata');
+const { writePngMetadata } = require('../update-metadata/updatePngMetadata');
+const { writeWavMetadata } = require('../update-metadata/updateWavMetadata');
+const { writeWebmMetadata } = require('../update-metadata/updateWebmMetadata');
+const { writeWebpMetadata } = require('../update-metadata/updateWebpMetadata');
+
+// The features that save checkpoints, keyed by the feature name stored in the checkpoint
+const RESUMABLE = {
+  'convert': convert,
+  'resize-images': resizeImageFiles,
+  'resize-videos': resizeVideoFiles,
+  'metadata-gif': writeGifMetadata,
+  'metadata-jpg': writeJpgMetadata,
+  'metadata-mp4': writeMp4Metadata,
+  'metadata-png': writePngMetadata,
+  'metadata-wav': writeWavMetadata,
+  'metadata-webm': writeWebmMetadata,
+  'metadata-webp': writeWebpMetadata,
+};
+
+function parseArgs(args) {
+  const params = {};
+  const validFlags = ['job', ...QUEUE_FLAGS];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const flag = args[i].slice(2);
+      if (validFlags.includes(flag)) {
+        const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
+        params[flag] = value;
+        i++;
+      } else {
+        log('DEBUG', `Ignoring unrecognized argument: --${flag}`);
+        if (args[i + 1] && !args[i + 1].startsWith('--')) i++; // Skip value of unrecognized flag
+      }
+    }
+  }
+  return params;
+}
+
+function describeCheckpoint(checkpoint) {
+  const counts = checkpointCounts(checkpoint);
+  return `${checkpoint.feature} from ${new Date(checkpoint.startedAt).toLocaleString()} (${counts.done} done, ${counts.failed} failed, ${counts.pending} pending)`;
+}
+
+// Continue a checkpointed batch job (see checkpointUtils) without prompting: run its feature again with the
+// options it was started with and options.job as the checkpoint to resume. Outputs that are still intact
+// are skipped; failed, pending and changed ones are processed again. The queue options can be changed for
+// the resumed run. Resolves to the feature's result.
+// options: { job, concurrency, timeout, retries }
+async function resumeCheckpoint(options = {}) {
+  if (!options.job) {
+    throw new ValidationError('A job id is required. Batch runs print theirs when they start.', { option: 'job' });
+  }
+  const checkpoint = await loadCheckpoint(options.job);
+  const feature = RESUMABLE[checkpoint.feature];
+  if (!feature) {
+    throw new ValidationError(`Checkpoint ${checkpoint.id} is for ${checkpoint.feature}, which cannot be resumed`, { option: 'job' });
+  }
+  log('INFO', `Resuming ${describeCheckpoint(checkpoint)}`);
+  return feature({ ...checkpoint.options, ...queueOptions(options), resume: checkpoint.id });
+}
+
+async function resumeJob(args = process.argv.slice(2)) {
+  try {
+    log('INFO', 'Starting Resume Job Feature');
+
+    const params = parseArgs(args);
+    if (params.error) return 'error';
+
+    let job = params['job'];
+    if (!job) {
+      const checkpoints = await listCheckpoints();
+      if (checkpoints.length === 0) {
+        log('INFO', 'No batch jobs to resume.');
+        return 'cancelled';
+      }
+      log('DEBUG', 'Prompting for job to resume');
+      const jobResponse = await prompts({
+        type: 'select',
+        name: 'job',
+        message: 'Select a job to resume:',
+        choices: [
+          ...checkpoints.map(checkpoint => ({ title: describeCheckpoint(checkpoint), value: checkpoint.id })),
+          { title: 'Cancel', value: null },
+        ],
+      });
+      job = jobResponse.job;
+      if (!job) {
+        log('INFO', 'No job selected, cancelling...');
+        return 'cancelled';
+      }
+    }
+
+    const result = await resumeCheckpoint({ job, ...queueOptions(params) });
+    return reportRun('resume', result);
+  } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('resume', error, args);
+    }
+    log('ERROR', `Unexpected error in Resume Job: ${error.message}`);
+    log('DEBUG', `Error stack: ${error.stack}`);
+    return reportError('resume', error, args);
+  }
+}
+
+if (require.main === module) {
+  resumeJob().then(result => {
+    process.exit(result === 'success' ? 0 : 1);
+  }).catch(err => {
+    log('ERROR', `Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { resumeJob, resumeCheckpoint };
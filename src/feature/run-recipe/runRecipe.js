@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+const { prompts, isInteractive, setInteractive } = require('../../backend/utils/promptUtils');
+const fs = require('fs').promises;
+const path = require('path');
+const { log } = require('../../backend/utils/logUtils');
+const { pathExists, assertPathAllowed } = require('../../backend/utils/pathUtils');
+const { isCancelled } = require('../../backend/utils/cancelUtils');
+
+// Configuration
+const BASE_DIR = path.join(__dirname, '..', '..', '..');
+const RECIPE_DIR = path.join(BASE_DIR, 'json', 'recipes');
+
+// Step keys that are not passed to the command as flags
+const STEP_KEYS = ['command', 'args', 'name'];
+
+function parseArgs(args) {
+  const params = {};
+  const validFlags = ['recipe', 'input'];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const flag = args[i].slice(2);
+      if (validFlags.includes(flag)) {
+        const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
+        params[flag] = value;
+        i++;
+      } else {
+        log('DEBUG', `Ignoring unrecognized argument: --${flag}`);
+        if (args[i + 1] && !args[i + 1].startsWith('--')) i++; // Skip value of unrecognized flag
+      }
+    }
+  }
+  return params;
+}
+
+async function listRecipes() {
+  try {
+    const files = await fs.readdir(RECIPE_DIR);
+    return files.filter(file => path.extname(file).toLowerCase() === '.json').map(file => path.basename(file, '.json'));
+  } catch {
+    return [];
+  }
+}
+
+// A recipe can be given as a path to a JSON file or as the name of a file in json/recipes
+async function resolveRecipePath(recipe) {
+  if (await pathExists(path.resolve(recipe))) return path.resolve(recipe);
+  const namedPath = path.join(RECIPE_DIR, recipe.endsWith('.json') ? recipe : `${recipe}.json`);
+  return (await pathExists(namedPath)) ? namedPath : null;
+}
+
+async function loadRecipe(recipePath) {
+  const recipe = JSON.parse(await fs.readFile(recipePath, 'utf8'));
+  if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) {
+    throw new Error('Recipe must contain a non-empty "steps" array');
+  }
+  recipe.steps.forEach((step, index) => {
+    if (!step || typeof step.command !== 'string') {
+      throw new Error(`Step ${index + 1} is missing a "command"`);
+    }
+    if (step.args !== undefined && !Array.isArray(step.args)) {
+      throw new Error(`Step ${index + 1}: "args" must be an array`);
+    }
+  });
+  return recipe;
+}
+
+// Build the flags for one step. The input defaults to the previous step's output and, when the
+// recipe has an `output` root, each step writes to its own numbered sub-directory of it.
+function buildStepFlags(step, index, spec, input, recipe) {
+  const flags = {};
+  for (const [key, value] of Object.entries(step)) {
+    if (!STEP_KEYS.includes(key) && value !== undefined && value !== null && value !== false) {
+      flags[key] = value;
+    }
+  }
+  if (flags.input === undefined && input) flags.input = input;
+  const takesOutput = spec.required.includes('output') || spec.optional.includes('output');
+  if (takesOutput && flags.output === undefined && recipe.output) {
+    flags.output = path.join(recipe.output, `${index + 1}-${step.name || step.command}`);
+  }
+  return flags;
+}
+
+function logReport(recipeName, report) {
+  const lines = report.map(entry => {
+    const label = `${entry.step}. ${entry.description}`;
+    const timing = entry.durationMs !== undefined ? ` (${(entry.durationMs / 1000).toFixed(1)}s)` : '';
+    const detail = entry.message ? ` - ${entry.message}` : '';
+    return `  ${label.padEnd(32)} ${entry.status}${timing}${detail}`;
+  });
+  log('INFO', `Recipe "${recipeName}" report:\n${lines.join('\n')}`);
+}
+
+// Run the steps of a recipe in order, starting from `input`, and stop at the first step that does
+// not succeed; a step with nothing to do does not stop the recipe. Steps run without prompts so a
+// recipe never stops halfway waiting for input. Once the run is cancelled (see cancelUtils) no further
+// step starts. Resolves to { result, report } where result is 'success', 'error' or 'cancelled'.
+async function runSteps(recipe, input) {
+  // Required lazily: commands.js registers this feature as the `recipe` command
+  const { COMMANDS, UsageError, prepareCommand, applyProfile } = require('../../commands');
+  const wasInteractive = isInteractive();
+  setInteractive(false);
+  try {
+    const report = recipe.steps.map((step, index) => ({
+      step: index + 1,
+      description: [step.command, ...(step.args || [])].join(' '),
+      status: 'not run',
+    }));
+    let result = 'success';
+    for (let index = 0; index < recipe.steps.length; index++) {
+      const step = recipe.steps[index];
+      const entry = report[index];
+      const startTime = Date.now();
+      if (isCancelled()) {
+        result = 'cancelled';
+        break;
+      }
+      try {
+        const spec = COMMANDS[step.command];
+        // Recipes and watchers cannot be nested inside a recipe
+        if (!spec || ['recipe', 'watch'].includes(step.command)) {
+          throw new UsageError(`Unknown step command: ${step.command}`);
+        }
+        let flags = buildStepFlags(step, index, spec, input, recipe);
+        let positionals = (step.args || []).map(arg => String(arg).toLowerCase());
+        // A step can name a saved profile instead of repeating its flags, e.g. "profile": "web-thumbnails"
+        if (flags.profile && spec.profiles) ({ flags, positionals } = await applyProfile(step.command, positionals, flags));
+        const { feature, featureArgs } = prepareCommand(step.command, positionals, flags);
+        log('INFO', `Recipe step ${entry.step}/${report.length}: ${entry.description}`);
+        log('DEBUG', `Step args: ${featureArgs.join(' ')}`);
+        if (flags.output) await fs.mkdir(await assertPathAllowed(String(flags.output), 'Output directory', 'output'), { recursive: true });
+        const stepResult = await feature(featureArgs);
+        entry.status = stepResult;
+        entry.durationMs = Date.now() - startTime;
+        if (stepResult !== 'success' && stepResult !== 'nothing') {
+          result = stepResult === 'cancelled' ? 'cancelled' : 'error';
+          break;
+        }
+        // Features without an output directory (rename, cleanup) work in place
+        input = flags.output || flags.input;
+      } catch (error) {
+        entry.status = 'error';
+        entry.message = error.message;
+        entry.durationMs = Date.now() - startTime;
+        result = 'error';
+        break;
+      }
+    }
+    return { result, report };
+  } finally {
+    setInteractive(wasInteractive);
+  }
+}
+
+async function runRecipe(args = process.argv.slice(2)) {
+  try {
+    log('INFO', 'Starting Run Recipe Feature');
+    const params = parseArgs(args);
+
+    let recipePath;
+    if (params['recipe']) {
+      recipePath = await resolveRecipePath(params['recipe']);
+      if (!recipePath) {
+        log('ERROR', `Recipe not found: ${params['recipe']} (looked for a file path and in ${path.relative(BASE_DIR, RECIPE_DIR)})`);
+        return 'error';
+      }
+    } else {
+      const recipes = await listRecipes();
+      if (recipes.length === 0) {
+        log('INFO', `No recipes found. Add recipe JSON files to ${path.relative(BASE_DIR, RECIPE_DIR)}.`);
+        return 'cancelled';
+      }
+      log('DEBUG', 'Prompting for recipe selection');
+      const recipeResponse = await prompts({
+        type: 'select',
+        name: 'recipe',
+        message: 'Choose a recipe to run:',
+        choices: [
+          ...recipes.map(recipe => ({ title: recipe, value: recipe })),
+          { title: 'Cancel', value: 'cancel' },
+        ],
+        initial: 0,
+      });
+      if (!recipeResponse.recipe || recipeResponse.recipe === 'cancel') {
+        log('INFO', 'No recipe selected, cancelling...');
+        return 'cancelled';
+      }
+      recipePath = path.join(RECIPE_DIR, `${recipeResponse.recipe}.json`);
+    }
+
+    let recipe;
+    try {
+      recipe = await loadRecipe(recipePath);
+    } catch (error) {
+      log('ERROR', `Invalid recipe ${path.basename(recipePath)}: ${error.message}`);
+      return 'error';
+    }
+    const recipeName = recipe.name || path.basename(recipePath, '.json');
+    log('DEBUG', `Loaded recipe ${recipeName} with ${recipe.steps.length} steps from ${recipePath}`);
+
+    let input = params['input'] || recipe.input;
+    if (!input && !recipe.steps[0].input) {
+      log('DEBUG', 'Prompting for recipe input path');
+      const inputResponse = await prompts({
+        type: 'text',
+        name: 'path',
+        message: `Enter the input path for recipe "${recipeName}" (or press Enter to cancel):`,
+        validate: async value => {
+          if (value.trim() === '') return true;
+          return (await pathExists(path.resolve(value))) ? true : 'Path not found.';
+        },
+      });
+      if (!inputResponse.path) {
+        log('INFO', 'No input path provided, cancelling...');
+        return 'cancelled';
+      }
+      input = inputResponse.path;
+    }
+
+    const { result, report } = await runSteps(recipe, input);
+    logReport(recipeName, report);
+    if (result !== 'success') {
+      const failed = report.find(entry => !['success', 'nothing'].includes(entry.status));
+      log('ERROR', `Recipe "${recipeName}" stopped at step ${failed.step} (${failed.description}): ${failed.status}`);
+    } else {
+      log('INFO', `Recipe "${recipeName}" completed ${report.length} steps.`);
+    }
+    return result;
+  } catch (error) {
+    log('ERROR', `Unexpected error in Run Recipe: ${error.message}`);
+    return 'error';
+  }
+}
+
+if (require.main === module) {
+  runRecipe(process.argv.slice(2)).then(result => {
+    process.exit(result === 'success' ? 0 : 1);
+  }).catch(err => {
+    log('ERROR', `Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { runRecipe, loadRecipe, runSteps, logReport };
+
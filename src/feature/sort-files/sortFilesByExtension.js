@@ -1,17 +1,30 @@
 #!/usr/bin/env node
 
-const prompts = require('prompts');
+const { prompts } = require('../../backend/utils/promptUtils');
 const fs = require('fs').promises;
 const path = require('path');
 const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { createResult, recordSkipped, recordJobs } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs } = require('../../backend/utils/jobUtils');
+const { createPlan, addAction, planOptions, reviewPlan } = require('../../backend/utils/planUtils');
+const { createJournal, journaledMove, saveJournal } = require('../../backend/utils/journalUtils');
+const { WALK_FLAGS, walkOptions, listFiles, mirrorDir } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { CONFLICT_FLAGS, conflictOptions, applyConflicts } = require('../../backend/utils/conflictUtils');
+const { pathViolation, resolveInputPath, resolveOutputDir } = require('../../backend/utils/pathUtils');
 
 function parseArgs(args) {
   const params = {};
-  const validFlags = ['input', 'output'];
+  const validFlags = ['input', 'output', 'plan', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['dry-run', 'recursive'];
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const flag = args[i].slice(2);
-      if (validFlags.includes(flag)) {
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
         const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
         params[flag] = value;
         i++;
@@ -24,6 +37,89 @@ function parseArgs(args) {
   return params;
 }
 
+// Move every file in a directory into a subfolder of the output directory named after its extension (e.g. jpg/, png/),
+// without prompting. With dryRun the moves are only planned and printed; planFile saves the plan as JSON.
+// Otherwise the moves are journaled (see journalUtils) and the result's `journal` names the id to undo.
+// With recursive (see walkUtils) subfolders are sorted too and mirrored inside each extension folder.
+// A file already at the destination is handled by onConflict (see conflictUtils, default 'fail').
+// options: { input, output, onConflict, dryRun, planFile, recursive, maxDepth, filters, concurrency, timeout, retries }
+async function sortByExtension(options = {}) {
+  const inputDir = await resolveInputPath(options.input, 'Input directory');
+  if (!(await fs.stat(inputDir)).isDirectory()) {
+    throw new ValidationError(`Input path not found or not a directory: ${inputDir}`, { option: 'input' });
+  }
+  const outputDir = await resolveOutputDir(options.output, undefined, { create: !options.dryRun });
+  log('DEBUG', `Output directory created or verified: ${outputDir}`);
+  const result = createResult();
+
+  log('DEBUG', `Reading directory: ${inputDir}`);
+  const files = [];
+  const listed = await listFiles(inputDir, { ...options, skipDirs: [outputDir] });
+  for (const fullPath of await applyFilters(result, listed, options, inputDir)) {
+    const stats = await fs.stat(fullPath);
+    files.push({ path: fullPath, stats });
+    log('DEBUG', `Found file: ${fullPath}, size: ${stats.size} bytes`);
+  }
+  log('DEBUG', `Found ${files.length} files in ${inputDir}: ${files.map(f => path.basename(f.path)).join(', ')}`);
+
+  if (files.length === 0) {
+    log('INFO', `No files found in ${inputDir}`);
+    return result;
+  }
+
+  // Dynamically determine unique extensions from files
+  const uniqueExtensions = new Set(files.map(file => path.extname(file.path).toLowerCase()).filter(ext => ext));
+  log('DEBUG', `Detected unique extensions: ${Array.from(uniqueExtensions).join(', ')}`);
+
+  const movable = [];
+  for (const file of files) {
+    if (path.extname(file.path)) {
+      movable.push(file.path);
+    } else {
+      log('DEBUG', `Skipping file with no extension: ${file.path}`);
+      recordSkipped(result, file.path, 'no extension');
+    }
+  }
+
+  const destinations = await applyConflicts(result, new Map(movable.map(filePath => [filePath, path.join(mirrorDir(inputDir, filePath, path.join(outputDir, path.extname(filePath).toLowerCase().slice(1))), path.basename(filePath))])), options, 'fail');
+  const plan = createPlan('sort-extension', inputDir);
+  destinations.forEach((destFile, filePath) => addAction(plan, 'move', filePath, destFile));
+  result.plan = await reviewPlan(plan, options);
+  if (options.dryRun) return result;
+
+  const journal = createJournal('sort-extension');
+  const summary = await runJobs([...destinations.keys()], async (filePath) => {
+    const extDir = path.dirname(destinations.get(filePath));
+    log('DEBUG', `Creating extension directory: ${extDir}`);
+    await fs.mkdir(extDir, { recursive: true });
+    log('DEBUG', `Extension directory created or verified: ${extDir}`);
+
+    const destFile = destinations.get(filePath);
+    log('DEBUG', `Moving ${filePath} to ${destFile}`);
+    try {
+      await journaledMove(journal, 'move', filePath, destFile);
+      log('INFO', `Moved ${path.basename(filePath)} to ${path.relative(outputDir, extDir)} folder`);
+      try {
+        const stats = await fs.stat(destFile);
+        log('DEBUG', `Moved file size: ${stats.size} bytes for ${destFile}`);
+      } catch (statError) {
+        log('DEBUG', `Failed to retrieve file size for ${destFile}: ${statError.message}`);
+      }
+      return destFile;
+    } catch (error) {
+      log('ERROR', `Failed to move ${filePath} to ${destFile}: ${error.message}`);
+      log('DEBUG', `Move error stack: ${error.stack}`);
+      throw error;
+    }
+  }, { ...options, kind: 'fs', label: 'move' });
+  recordJobs(result, summary);
+  if (await saveJournal(journal)) result.journal = journal.id;
+
+  log('INFO', `Moved ${result.processed.length} files, ${result.failed.length} failed, ${result.skipped.length} skipped.`);
+  log('DEBUG', `Sort Files By Extension completed: ${result.processed.length} moved, ${result.failed.length} failed, ${result.skipped.length} skipped`);
+  return result;
+}
+
 async function sortFilesByExtension(args = process.argv.slice(2)) {
   try {
     log('INFO', 'Starting Sort Files By Extension Feature');
@@ -34,17 +130,6 @@ async function sortFilesByExtension(args = process.argv.slice(2)) {
     let inputDir;
     if (params['input']) {
       inputDir = params['input'];
-      const resolvedInput = path.resolve(inputDir);
-      const realPath = await fs.realpath(resolvedInput); // Check for forbidden directories
-      const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-      if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-        log('ERROR', `Input directory ${inputDir} is in a system directory.`);
-        return 'error';
-      }
-      if (!await fs.stat(inputDir).then(stats => stats.isDirectory()).catch(() => false)) {
-        log('ERROR', `Input path not found or not a directory: ${inputDir}`);
-        return 'error';
-      }
       log('DEBUG', `Input directory from args: ${inputDir}`);
     } else {
       log('DEBUG', 'Prompting for input directory');
@@ -54,13 +139,9 @@ async function sortFilesByExtension(args = process.argv.slice(2)) {
         message: 'Enter the directory containing files to sort (or press Enter to cancel):',
         validate: async (value) => {
           if (value.trim() === '') return true;
-          const resolvedPath = path.resolve(value);
-          const realPath = await fs.realpath(resolvedPath); // Check for forbidden directories
-          const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-          if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-            return 'System directory not allowed.';
-          }
-          if (!await fs.stat(resolvedPath).then(stats => stats.isDirectory()).catch(() => false)) {
+          const violation = await pathViolation(value);
+          if (violation) return violation;
+          if (!await fs.stat(path.resolve(value)).then(stats => stats.isDirectory()).catch(() => false)) {
             return 'Path not found or not a directory.';
           }
           return true;
@@ -77,13 +158,6 @@ async function sortFilesByExtension(args = process.argv.slice(2)) {
     let outputDir;
     if (params['output']) {
       outputDir = params['output'];
-      const resolvedOutput = path.resolve(outputDir);
-      const realPath = await fs.realpath(resolvedOutput); // Check for forbidden directories
-      const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-      if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-        log('ERROR', `Output directory ${outputDir} is in a system directory.`);
-        return 'error';
-      }
       log('DEBUG', `Output directory from args: ${outputDir}`);
     } else {
       log('DEBUG', 'Prompting for output directory');
@@ -93,12 +167,8 @@ async function sortFilesByExtension(args = process.argv.slice(2)) {
         message: 'Enter the output directory to sort files into (or press Enter to cancel):',
         validate: async (value) => {
           if (value.trim() === '') return 'Output directory required.';
-          const resolvedPath = path.resolve(value);
-          const realPath = await fs.realpath(resolvedPath); // Check for forbidden directories
-          const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-          if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-            return 'System directory not allowed.';
-          }
+          const violation = await pathViolation(value);
+          if (violation) return violation;
           return true;
         }
       });
@@ -110,73 +180,16 @@ async function sortFilesByExtension(args = process.argv.slice(2)) {
       }
     }
 
-    log('DEBUG', `Creating output directory: ${outputDir}`);
-    await fs.mkdir(outputDir, { recursive: true });
-    log('DEBUG', `Output directory created or verified: ${outputDir}`);
-
-    log('DEBUG', `Reading directory: ${inputDir}`);
-    const dirEntries = await fs.readdir(inputDir, { withFileTypes: true });
-    const files = [];
-    for (const entry of dirEntries) {
-      if (entry.isFile()) {
-        const fullPath = path.join(inputDir, entry.name);
-        const stats = await fs.stat(fullPath);
-        files.push({ path: fullPath, stats });
-        log('DEBUG', `Found file: ${fullPath}, size: ${stats.size} bytes`);
-      }
-    }
-    log('DEBUG', `Found ${files.length} files in ${inputDir}: ${files.map(f => path.basename(f.path)).join(', ')}`);
-
-    if (files.length === 0) {
-      log('INFO', `No files found in ${inputDir}`);
-      return 'success';
-    }
-
-    // Dynamically determine unique extensions from files
-    const uniqueExtensions = new Set(files.map(file => path.extname(file.path).toLowerCase()).filter(ext => ext));
-    log('DEBUG', `Detected unique extensions: ${Array.from(uniqueExtensions).join(', ')}`);
-
-    let processed = 0, failed = 0, skipped = 0;
-
-    for (const file of files) {
-      const ext = path.extname(file.path).toLowerCase();
-      if (!ext) {
-        log('DEBUG', `Skipping file with no extension: ${file.path}`);
-        skipped++;
-        continue;
-      }
-
-      const extDir = path.join(outputDir, ext.slice(1));
-      log('DEBUG', `Creating extension directory: ${extDir}`);
-      await fs.mkdir(extDir, { recursive: true });
-      log('DEBUG', `Extension directory created or verified: ${extDir}`);
-
-      const destFile = path.join(extDir, path.basename(file.path));
-      log('DEBUG', `Moving ${file.path} to ${destFile}`);
-      try {
-        await fs.rename(file.path, destFile);
-        log('INFO', `Moved ${path.basename(file.path)} to ${ext.slice(1)} folder`);
-        try {
-          const stats = await fs.stat(destFile);
-          log('DEBUG', `Moved file size: ${stats.size} bytes for ${destFile}`);
-        } catch (statError) {
-          log('DEBUG', `Failed to retrieve file size for ${destFile}: ${statError.message}`);
-        }
-        processed++;
-      } catch (error) {
-        log('ERROR', `Failed to move ${file.path} to ${destFile}: ${error.message}`);
-        log('DEBUG', `Move error stack: ${error.stack}`);
-        failed++;
-      }
-    }
-
-    log('INFO', `Moved ${processed} files, ${failed} failed, ${skipped} skipped.`);
-    log('DEBUG', `Sort Files By Extension completed: ${processed} moved, ${failed} failed, ${skipped} skipped`);
-    return failed === 0 ? 'success' : 'error';
+    const result = await sortByExtension({ input: inputDir, output: outputDir, ...conflictOptions(params), ...planOptions(params), ...walkOptions(params), ...filterOptions(params), ...queueOptions(params) });
+    return reportRun('sort-extension', result);
   } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('sort-extension', error, args);
+    }
     log('ERROR', `Unexpected error in Sort Files By Extension: ${error.message}`);
     log('DEBUG', `Error stack: ${error.stack}`);
-    return 'error';
+    return reportError('sort-extension', error, args);
   }
 }
 
@@ -189,4 +202,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { sortFilesByExtension };
\ No newline at end of file
+module.exports = { sortFilesByExtension, sortByExtension };
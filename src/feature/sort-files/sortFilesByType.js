@@ -1,18 +1,31 @@
 #!/usr/bin/env node
 
-const prompts = require('prompts');
+const { prompts } = require('../../backend/utils/promptUtils');
 const fs = require('fs').promises;
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg'); // Optional, for video detection
 const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { createResult, recordSkipped, recordJobs } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs } = require('../../backend/utils/jobUtils');
+const { createPlan, addAction, planOptions, reviewPlan } = require('../../backend/utils/planUtils');
+const { createJournal, journaledMove, saveJournal } = require('../../backend/utils/journalUtils');
+const { WALK_FLAGS, walkOptions, listFiles, mirrorDir } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { CONFLICT_FLAGS, conflictOptions, applyConflicts } = require('../../backend/utils/conflictUtils');
+const { pathViolation, resolveInputPath, resolveOutputDir } = require('../../backend/utils/pathUtils');
 
 function parseArgs(args) {
   const params = {};
-  const validFlags = ['input', 'output'];
+  const validFlags = ['input', 'output', 'plan', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['dry-run', 'recursive'];
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const flag = args[i].slice(2);
-      if (validFlags.includes(flag)) {
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
         const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
         params[flag] = value;
         i++;
@@ -79,6 +92,83 @@ async function detectFileType(filePath) {
   });
 }
 
+// Move every file in a directory into a subfolder of the output directory named after its detected type (images/ or videos/),
+// without prompting. With dryRun the moves are only planned and printed; planFile saves the plan as JSON.
+// Otherwise the moves are journaled (see journalUtils) and the result's `journal` names the id to undo.
+// With recursive (see walkUtils) subfolders are sorted too and mirrored inside each type folder.
+// A file already at the destination is handled by onConflict (see conflictUtils, default 'fail').
+// options: { input, output, onConflict, dryRun, planFile, recursive, maxDepth, filters, concurrency, timeout, retries }
+async function sortByType(options = {}) {
+  const inputDir = await resolveInputPath(options.input, 'Input directory');
+  if (!(await fs.stat(inputDir)).isDirectory()) {
+    throw new ValidationError(`Input path not found or not a directory: ${inputDir}`, { option: 'input' });
+  }
+  const outputDir = await resolveOutputDir(options.output, undefined, { create: !options.dryRun });
+  log('DEBUG', `Output directory created or verified: ${outputDir}`);
+  const result = createResult();
+
+  log('DEBUG', `Reading directory: ${inputDir}`);
+  const files = await applyFilters(result, await listFiles(inputDir, { ...options, skipDirs: [outputDir] }), options, inputDir);
+  log('DEBUG', `Found ${files.length} files in ${inputDir}: ${files.join(', ')}`);
+
+  if (files.length === 0) {
+    log('INFO', `No files found in ${inputDir}`);
+    return result;
+  }
+
+  const typeDirs = new Map();
+  for (const file of files) {
+    const type = await detectFileType(file);
+    if (type === 'image') {
+      typeDirs.set(file, mirrorDir(inputDir, file, path.join(outputDir, 'images')));
+    } else if (type === 'video') {
+      typeDirs.set(file, mirrorDir(inputDir, file, path.join(outputDir, 'videos')));
+    } else {
+      log('DEBUG', `Skipping file with unrecognized type: ${file}, type detection result: ${type}`);
+      recordSkipped(result, file, 'unrecognized type');
+    }
+  }
+
+  const destinations = await applyConflicts(result, new Map([...typeDirs].map(([file, typeDir]) => [file, path.join(typeDir, path.basename(file))])), options, 'fail');
+  const plan = createPlan('sort-type', inputDir);
+  destinations.forEach((destFile, file) => addAction(plan, 'move', file, destFile));
+  result.plan = await reviewPlan(plan, options);
+  if (options.dryRun) return result;
+
+  const journal = createJournal('sort-type');
+  const summary = await runJobs([...destinations.keys()], async (file) => {
+    const typeDir = typeDirs.get(file);
+
+    log('DEBUG', `Creating type directory: ${typeDir}`);
+    await fs.mkdir(typeDir, { recursive: true });
+    log('DEBUG', `Type directory created or verified: ${typeDir}`);
+
+    const destFile = destinations.get(file);
+    log('DEBUG', `Moving ${file} to ${destFile}`);
+    try {
+      await journaledMove(journal, 'move', file, destFile);
+      log('INFO', `Moved ${path.basename(file)} to ${path.relative(outputDir, typeDir)} folder`);
+      try {
+        const stats = await fs.stat(destFile);
+        log('DEBUG', `Moved file size: ${stats.size} bytes for ${destFile}`);
+      } catch (statError) {
+        log('DEBUG', `Failed to retrieve file size for ${destFile}: ${statError.message}`);
+      }
+      return destFile;
+    } catch (error) {
+      log('ERROR', `Failed to move ${file} to ${destFile}: ${error.message}`);
+      log('DEBUG', `Move error stack: ${error.stack}`);
+      throw error;
+    }
+  }, { ...options, kind: 'fs', label: 'move' });
+  recordJobs(result, summary);
+  if (await saveJournal(journal)) result.journal = journal.id;
+
+  log('INFO', `Moved ${result.processed.length} files, ${result.failed.length} failed, ${result.skipped.length} skipped.`);
+  log('DEBUG', `Sort Files By Type completed: ${result.processed.length} moved, ${result.failed.length} failed, ${result.skipped.length} skipped`);
+  return result;
+}
+
 async function sortFilesByType(args = process.argv.slice(2)) {
   try {
     log('INFO', 'Starting Sort Files By Type Feature');
@@ -89,17 +179,6 @@ async function sortFilesByType(args = process.argv.slice(2)) {
     let inputDir;
     if (params['input']) {
       inputDir = params['input'];
-      const resolvedInput = path.resolve(inputDir);
-      const realPath = await fs.realpath(resolvedInput); // Check for forbidden directories
-      const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-      if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-        log('ERROR', `Input directory ${inputDir} is in a system directory.`);
-        return 'error';
-      }
-      if (!await fs.stat(inputDir).then(stats => stats.isDirectory()).catch(() => false)) {
-        log('ERROR', `Input path not found or not a directory: ${inputDir}`);
-        return 'error';
-      }
       log('DEBUG', `Input directory from args: ${inputDir}`);
     } else {
       log('DEBUG', 'Prompting for input directory');
@@ -109,13 +188,9 @@ async function sortFilesByType(args = process.argv.slice(2)) {
         message: 'Enter the directory containing files to sort (or press Enter to cancel):',
         validate: async (value) => {
           if (value.trim() === '') return true;
-          const resolvedPath = path.resolve(value);
-          const realPath = await fs.realpath(resolvedPath); // Check for forbidden directories
-          const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-          if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-            return 'System directory not allowed.';
-          }
-          if (!await fs.stat(resolvedPath).then(stats => stats.isDirectory()).catch(() => false)) {
+          const violation = await pathViolation(value);
+          if (violation) return violation;
+          if (!await fs.stat(path.resolve(value)).then(stats => stats.isDirectory()).catch(() => false)) {
             return 'Path not found or not a directory.';
           }
           return true;
@@ -132,13 +207,6 @@ async function sortFilesByType(args = process.argv.slice(2)) {
     let outputDir;
     if (params['output']) {
       outputDir = params['output'];
-      const resolvedOutput = path.resolve(outputDir);
-      const realPath = await fs.realpath(resolvedOutput); // Check for forbidden directories
-      const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-      if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-        log('ERROR', `Output directory ${outputDir} is in a system directory.`);
-        return 'error';
-      }
       log('DEBUG', `Output directory from args: ${outputDir}`);
     } else {
       log('DEBUG', 'Prompting for output directory');
@@ -148,12 +216,8 @@ async function sortFilesByType(args = process.argv.slice(2)) {
         message: 'Enter the output directory to sort files into (or press Enter to cancel):',
         validate: async (value) => {
           if (value.trim() === '') return 'Output directory required.';
-          const resolvedPath = path.resolve(value);
-          const realPath = await fs.realpath(resolvedPath); // Check for forbidden directories
-          const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
-          if (forbiddenDirs.some(dir => realPath.startsWith(path.resolve(dir)))) {
-            return 'System directory not allowed.';
-          }
+          const violation = await pathViolation(value);
+          if (violation) return violation;
           return true;
         }
       });
@@ -165,73 +229,16 @@ async function sortFilesByType(args = process.argv.slice(2)) {
       }
     }
 
-    log('DEBUG', `Creating output directory: ${outputDir}`);
-    await fs.mkdir(outputDir, { recursive: true });
-    log('DEBUG', `Output directory created or verified: ${outputDir}`);
-
-    log('DEBUG', `Reading directory: ${inputDir}`);
-    const dirEntries = await fs.readdir(inputDir, { withFileTypes: true });
-    const files = [];
-    for (const entry of dirEntries) {
-      if (entry.isFile()) {
-        const fullPath = path.join(inputDir, entry.name);
-        files.push(fullPath);
-        log('DEBUG', `Found file: ${fullPath}`);
-      }
-    }
-    log('DEBUG', `Found ${files.length} files in ${inputDir}: ${files.join(', ')}`);
-
-    if (files.length === 0) {
-      log('INFO', `No files found in ${inputDir}`);
-      return 'success';
-    }
-
-    let processed = 0, failed = 0, skipped = 0;
-
-    for (const file of files) {
-      const type = await detectFileType(file);
-      let typeDir;
-
-      if (type === 'image') {
-        typeDir = path.join(outputDir, 'images');
-      } else if (type === 'video') {
-        typeDir = path.join(outputDir, 'videos');
-      } else {
-        log('DEBUG', `Skipping file with unrecognized type: ${file}, type detection result: ${type}`);
-        skipped++;
-        continue;
-      }
-
-      log('DEBUG', `Creating type directory: ${typeDir}`);
-      await fs.mkdir(typeDir, { recursive: true });
-      log('DEBUG', `Type directory created or verified: ${typeDir}`);
-
-      const destFile = path.join(typeDir, path.basename(file));
-      log('DEBUG', `Moving ${file} to ${destFile}`);
-      try {
-        await fs.rename(file, destFile);
-        log('INFO', `Moved ${path.basename(file)} to ${path.basename(typeDir)} folder`);
-        try {
-          const stats = await fs.stat(destFile);
-          log('DEBUG', `Moved file size: ${stats.size} bytes for ${destFile}`);
-        } catch (statError) {
-          log('DEBUG', `Failed to retrieve file size for ${destFile}: ${statError.message}`);
-        }
-        processed++;
-      } catch (error) {
-        log('ERROR', `Failed to move ${file} to ${destFile}: ${error.message}`);
-        log('DEBUG', `Move error stack: ${error.stack}`);
-        failed++;
-      }
-    }
-
-    log('INFO', `Moved ${processed} files, ${failed} failed, ${skipped} skipped.`);
-    log('DEBUG', `Sort Files By Type completed: ${processed} moved, ${failed} failed, ${skipped} skipped`);
-    return failed === 0 ? 'success' : 'error';
+    const result = await sortByType({ input: inputDir, output: outputDir, ...conflictOptions(params), ...planOptions(params), ...walkOptions(params), ...filterOptions(params), ...queueOptions(params) });
+    return reportRun('sort-type', result);
   } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('sort-type', error, args);
+    }
     log('ERROR', `Unexpected error in Sort Files By Type: ${error.message}`);
     log('DEBUG', `Error stack: ${error.stack}`);
-    return 'error';
+    return reportError('sort-type', error, args);
   }
 }
 
@@ -244,4 +251,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { sortFilesByType };
\ No newline at end of file
+module.exports = { sortFilesByType, sortByType };
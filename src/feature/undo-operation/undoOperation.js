@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+const { prompts } = require('../../backend/utils/promptUtils');
+const fs = require('fs').promises;
+const path = require('path');
+const { log } = require('../../backend/utils/logUtils');
+const { FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { createResult, recordProcessed, recordSkipped, recordFailed } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { pathExists, assertPathAllowed } = require('../../backend/utils/pathUtils');
+const { hashFile, movePath } = require('../../backend/utils/fileUtils');
+const { TRASH_DIR, loadJournal, saveJournal } = require('../../backend/utils/journalUtils');
+
+function parseArgs(args) {
+  const params = {};
+  const validFlags = ['journal'];
+  const booleanFlags = ['yes'];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const flag = args[i].slice(2);
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
+        const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
+        params[flag] = value;
+        i++;
+      } else {
+        log('DEBUG', `Ignoring unrecognized argument: --${flag}`);
+        if (args[i + 1] && !args[i + 1].startsWith('--')) i++; // Skip value of unrecognized flag
+      }
+    }
+  }
+  return params;
+}
+
+function describeJournal(journal) {
+  const count = journal.entries.length;
+  return `${journal.feature} from ${new Date(journal.startedAt).toLocaleString()} (${count} change${count === 1 ? '' : 's'})`;
+}
+
+// Remove a directory the operation created if undoing it left the directory empty
+async function removeIfEmpty(dir) {
+  try {
+    await fs.rmdir(dir);
+    log('DEBUG', `Removed empty directory: ${dir}`);
+  } catch {
+    // Not empty or already gone
+  }
+}
+
+// Put one journal entry back: move the file at `destination` (the renamed, moved or trashed file) back
+// to `source`. Files changed since the operation, whose original path is taken again or no longer
+// allowed by the path policy (see pathUtils), are left alone.
+async function restoreEntry(entry) {
+  if (!(await pathExists(entry.destination))) {
+    if (await pathExists(entry.source) && await hashFile(entry.source) === entry.hash) return 'already restored';
+    throw new Error(`${entry.destination} no longer exists`);
+  }
+  if (await pathExists(entry.source)) {
+    throw new Error(`${entry.source} already exists`);
+  }
+  if (await hashFile(entry.destination) !== entry.hash) {
+    throw new Error(`${entry.destination} has changed since the ${entry.type}`);
+  }
+  await assertPathAllowed(entry.source, 'Restore path');
+  await movePath(entry.destination, entry.source);
+  await removeIfEmpty(path.dirname(entry.destination));
+  return null;
+}
+
+// Undo a journaled operation without prompting by replaying its entries in reverse: the newest journal
+// not undone yet, or options.journal (a journal id). The journal is marked undone once every entry is
+// restored; after a partial undo it can be run again and skips the entries already restored.
+// options: { journal }
+async function undoJournal(options = {}) {
+  const journal = await loadJournal(options.journal || null);
+  if (!journal) {
+    throw new ValidationError('No operation to undo. Rename, Sanitize, Sort and Cleanup record one when they change files.', { option: 'journal' });
+  }
+  if (journal.undoneAt) {
+    throw new ValidationError(`Journal ${journal.id} was already undone at ${journal.undoneAt}`, { option: 'journal' });
+  }
+  const result = Object.assign(createResult(), { journal: journal.id });
+
+  log('INFO', `Undoing ${describeJournal(journal)}`);
+  for (const entry of [...journal.entries].reverse()) {
+    try {
+      const skipped = await restoreEntry(entry);
+      if (skipped) {
+        recordSkipped(result, entry.destination, skipped);
+        continue;
+      }
+      recordProcessed(result, entry.destination, entry.source);
+      log('INFO', `Restored ${path.basename(entry.source)}${entry.type === 'delete' ? ' from trash' : ''}`);
+    } catch (error) {
+      log('ERROR', `Cannot undo ${entry.type} of ${entry.source}: ${error.message}`);
+      recordFailed(result, entry.destination, error);
+    }
+  }
+  await removeIfEmpty(path.join(TRASH_DIR, journal.id));
+
+  if (result.failed.length === 0) {
+    journal.undoneAt = new Date().toISOString();
+    await saveJournal(journal);
+  }
+  log('INFO', `Restored ${result.processed.length} files, ${result.failed.length} failed, ${result.skipped.length} already restored.`);
+  return result;
+}
+
+async function undoOperation(args = process.argv.slice(2)) {
+  try {
+    log('INFO', 'Starting Undo Operation Feature');
+
+    const params = parseArgs(args);
+    if (params.error) return 'error';
+
+    const journal = await loadJournal(params['journal'] || null);
+    if (!journal) {
+      log('INFO', 'No operation to undo.');
+      return 'nothing';
+    }
+
+    if (!params['yes']) {
+      const confirmResponse = await prompts({
+        type: 'confirm',
+        name: 'confirm',
+        message: `Undo ${describeJournal(journal)}?`,
+        initial: false
+      });
+      if (!confirmResponse.confirm) {
+        log('INFO', 'Undo cancelled by user.');
+        return 'cancelled';
+      }
+    }
+
+    const result = await undoJournal({ journal: journal.id });
+    return reportRun('undo', result);
+  } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('undo', error, args);
+    }
+    log('ERROR', `Unexpected error in Undo Operation: ${error.message}`);
+    log('DEBUG', `Error stack: ${error.stack}`);
+    return reportError('undo', error, args);
+  }
+}
+
+if (require.main === module) {
+  undoOperation().then(result => {
+    process.exit(result === 'success' ? 0 : 1);
+  }).catch(err => {
+    log('ERROR', `Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { undoOperation, undoJournal };
@@ -1,11 +1,34 @@
 #!/usr/bin/env node
 
-const prompts = require('prompts');
+const { prompts, isInteractive } = require('../../backend/utils/promptUtils');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, execFile } = require('child_process');
+const { promisify } = require('util');
 const { log } = require('../../backend/utils/logUtils');
+const { DependencyError, FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { createResult, recordJobs } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs } = require('../../backend/utils/jobUtils');
+const { WALK_FLAGS, walkOptions, listFiles, mirrorDir } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { CONFLICT_FLAGS, conflictOptions } = require('../../backend/utils/conflictUtils');
+const { openCheckpoint, applyCheckpointConflicts } = require('../../backend/utils/checkpointUtils');
+const { writeAtomically } = require('../../backend/utils/fileUtils');
+const { pathViolation, resolveInputPath, resolveOutputDir } = require('../../backend/utils/pathUtils');
+
+const execFileAsync = promisify(execFile);
+
+const SUPPORTED_EXTENSIONS = ['.gif'];
+const DEFAULT_METADATA = {
+  title: 'Untitled',
+  description: '',
+  keywords: '',
+  copyright: '',
+  genre: '',
+  comment: ''
+};
 
 function getCurrentDateTime() {
   const now = new Date();
@@ -35,32 +58,31 @@ function checkExifTool() {
 async function processGifFile(inputFile, outputFile, metadata) {
   const currentDateTime = getCurrentDateTime();
   log('DEBUG', `Processing GIF file: ${inputFile} -> ${outputFile}`);
-  const command = [
-    'exiftool',
-    `-Comment="${metadata.comment}"`,
-    `-XMP-dc:Title="${metadata.title}"`,
-    `-XMP-dc:Description="${metadata.description}"`,
-    `-XMP-dc:Subject="${metadata.keywords}"`,
-    `-XMP-dc:Rights="${metadata.copyright}"`,
-    `-XMP-dc:Type="${metadata.genre}"`,
-    `-XMP-xmp:Comment="${metadata.comment}"`,
-    `-XMP-xmp:CreateDate="${currentDateTime}"`,
-    `-XMP-xmp:ModifyDate="${currentDateTime}"`,
-    `-XMP-xmp:DateTimeOriginal="${currentDateTime}"`,
-    `-ModifyDate="${currentDateTime}"`,
-    `-DateTimeOriginal="${currentDateTime}"`,
-    `-CreateDate="${currentDateTime}"`,
+  const exifArgs = [
+    `-Comment=${metadata.comment}`,
+    `-XMP-dc:Title=${metadata.title}`,
+    `-XMP-dc:Description=${metadata.description}`,
+    `-XMP-dc:Subject=${metadata.keywords}`,
+    `-XMP-dc:Rights=${metadata.copyright}`,
+    `-XMP-dc:Type=${metadata.genre}`,
+    `-XMP-xmp:Comment=${metadata.comment}`,
+    `-XMP-xmp:CreateDate=${currentDateTime}`,
+    `-XMP-xmp:ModifyDate=${currentDateTime}`,
+    `-XMP-xmp:DateTimeOriginal=${currentDateTime}`,
+    `-ModifyDate=${currentDateTime}`,
+    `-DateTimeOriginal=${currentDateTime}`,
+    `-CreateDate=${currentDateTime}`,
     '-overwrite_original',
-    `"${outputFile}"`
-  ].join(' ');
-  log('DEBUG', `ExifTool command: ${command}`);
+    outputFile
+  ];
+  log('DEBUG', `ExifTool command: exiftool ${exifArgs.join(' ')}`);
 
   log('DEBUG', `Copying file from ${inputFile} to ${outputFile}`);
   await fsPromises.copyFile(inputFile, outputFile);
   log('INFO', `Copied ${path.basename(inputFile)} to ${outputFile}`);
 
   log('DEBUG', `Executing ExifTool command for ${outputFile}`);
-  execSync(command, { stdio: 'inherit' });
+  await execFileAsync('exiftool', exifArgs);
   log('INFO', `Success: Metadata updated for ${outputFile}`);
 
   try {
@@ -73,11 +95,14 @@ async function processGifFile(inputFile, outputFile, metadata) {
 
 function parseArgs(args) {
   const params = {};
-  const validFlags = ['input', 'output', 'title', 'description', 'keywords', 'copyright', 'genre', 'comment'];
+  const validFlags = ['input', 'output', 'title', 'description', 'keywords', 'copyright', 'genre', 'comment', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['recursive'];
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const flag = args[i].slice(2);
-      if (validFlags.includes(flag)) {
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
         const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
         params[flag] = value;
         i++;
@@ -90,6 +115,72 @@ function parseArgs(args) {
   return params;
 }
 
+// Write metadata to a GIF file or every GIF file in a directory without prompting. Files are
+// copied into the output directory; fields missing from options.metadata fall back to the defaults.
+// With recursive (see walkUtils) subfolders are included and mirrored under the output directory.
+// A file already in the output directory is handled by onConflict (see conflictUtils, default 'overwrite').
+// Each run is checkpointed (see checkpointUtils); resume continues the job with that id.
+// Outputs are written under a temporary name and renamed into place once complete.
+// options: { input, output, metadata: { title, description, keywords, copyright, genre, comment }, onConflict, recursive, maxDepth, filters, concurrency, timeout, retries, resume, signal }
+async function writeGifMetadata(options = {}) {
+  if (!checkExifTool()) {
+    throw new DependencyError('ExifTool is not installed.', { tool: 'exiftool' });
+  }
+  const metadata = { ...DEFAULT_METADATA };
+  Object.entries(options.metadata || {}).forEach(([key, value]) => {
+    if (key in DEFAULT_METADATA && value !== null && value !== undefined) metadata[key] = String(value);
+  });
+  const inputPath = await resolveInputPath(options.input);
+  const outputDir = await resolveOutputDir(options.output);
+  log('DEBUG', `Output directory created or verified: ${outputDir}`);
+  log('DEBUG', `Metadata to write: ${JSON.stringify(metadata)}`);
+
+  const stats = await fsPromises.stat(inputPath);
+  log('DEBUG', `Input path stats: ${stats.isFile() ? 'File' : 'Directory'}`);
+  const inputDir = stats.isFile() ? path.dirname(inputPath) : inputPath;
+  const result = createResult();
+
+  let gifFiles;
+  if (stats.isFile()) {
+    if (!SUPPORTED_EXTENSIONS.includes(path.extname(inputPath).toLowerCase())) {
+      throw new ValidationError('Input file must be a GIF.', { option: 'input' });
+    }
+    gifFiles = [inputPath];
+  } else {
+    log('DEBUG', `Reading directory: ${inputPath}`);
+    const files = await listFiles(inputPath, { ...options, skipDirs: [outputDir] });
+    gifFiles = await applyFilters(result, files.filter(f => SUPPORTED_EXTENSIONS.includes(path.extname(f).toLowerCase())), options, inputDir);
+    log('DEBUG', `Found ${gifFiles.length} GIF files: ${gifFiles.map(f => path.basename(f)).join(', ')}`);
+    if (gifFiles.length === 0) {
+      log('INFO', 'No GIF files found in the directory.');
+      return result;
+    }
+  }
+
+  const checkpoint = await openCheckpoint('metadata-gif', options);
+  const outputFiles = await applyCheckpointConflicts(checkpoint, result, new Map(gifFiles.map(inputFile => [inputFile, path.join(mirrorDir(inputDir, inputFile, outputDir), path.basename(inputFile))])), options, 'overwrite');
+  const summary = await runJobs([...outputFiles.keys()], async (inputFile, { signal }) => {
+    const outputFile = outputFiles.get(inputFile);
+    try {
+      await fsPromises.mkdir(path.dirname(outputFile), { recursive: true });
+      await writeAtomically(outputFile, partialFile => processGifFile(inputFile, partialFile, metadata), signal);
+    } catch (error) {
+      if (signal.aborted) throw error;
+      log('ERROR', `Error processing ${inputFile}: ${error.message}`);
+      log('DEBUG', `Process file error stack: ${error.stack}`);
+      throw error;
+    }
+    return outputFile;
+  }, { ...options, checkpoint, kind: 'exiftool', label: 'metadata' });
+  recordJobs(result, summary);
+  if (checkpoint.status === 'incomplete') result.checkpoint = checkpoint.id;
+  if (stats.isDirectory()) {
+    log('INFO', `Processed ${result.processed.length} GIF files, ${result.failed.length} failed.`);
+  }
+  log('DEBUG', `Update GIF Metadata completed: ${result.processed.length} processed, ${result.failed.length} failed`);
+  return result;
+}
+
 async function updateGifMetadata(args = process.argv.slice(2)) {
   try {
     log('INFO', 'Starting Update GIF Metadata Feature');
@@ -116,7 +207,10 @@ async function updateGifMetadata(args = process.argv.slice(2)) {
         type: 'text',
         name: 'path',
         message: 'Enter the path to the input GIF file or directory (or press Enter to cancel):',
-        validate: value => value.trim() === '' || fs.existsSync(value) ? true : 'Path not found.'
+        validate: async value => {
+          if (value.trim() === '') return true;
+          return (await pathViolation(value)) || (fs.existsSync(value) ? true : 'Path not found.');
+        }
       });
       inputPath = inputPathResponse.path;
       log('DEBUG', `Input path provided: ${inputPath}`);
@@ -136,7 +230,7 @@ async function updateGifMetadata(args = process.argv.slice(2)) {
         type: 'text',
         name: 'path',
         message: 'Enter the path for the output directory (or press Enter to cancel):',
-        validate: value => value.trim() !== '' ? true : 'Output directory required.'
+        validate: async value => value.trim() !== '' ? (await pathViolation(value)) || true : 'Output directory required.'
       });
       outputDir = outputPathResponse.path;
       log('DEBUG', `Output directory provided: ${outputDir}`);
@@ -146,14 +240,6 @@ async function updateGifMetadata(args = process.argv.slice(2)) {
       }
     }
 
-    const defaultMetadata = {
-      title: 'Untitled',
-      description: '',
-      keywords: '',
-      copyright: '',
-      genre: '',
-      comment: ''
-    };
     let metadata;
     if (params['title'] || params['description'] || params['keywords'] || params['copyright'] || params['genre'] || params['comment']) {
       metadata = {
@@ -166,76 +252,54 @@ async function updateGifMetadata(args = process.argv.slice(2)) {
       };
 
       const metadataPrompts = [];
-      if (!metadata.title) metadataPrompts.push({ type: 'text', name: 'title', message: 'Enter title:', initial: defaultMetadata.title });
-      if (!metadata.description) metadataPrompts.push({ type: 'text', name: 'description', message: 'Enter description:', initial: defaultMetadata.description });
-      if (!metadata.keywords) metadataPrompts.push({ type: 'text', name: 'keywords', message: 'Enter keywords (comma-separated):', initial: defaultMetadata.keywords });
-      if (!metadata.copyright) metadataPrompts.push({ type: 'text', name: 'copyright', message: 'Enter copyright:', initial: defaultMetadata.copyright });
-      if (!metadata.genre) metadataPrompts.push({ type: 'text', name: 'genre', message: 'Enter genre:', initial: defaultMetadata.genre });
-      if (!metadata.comment) metadataPrompts.push({ type: 'text', name: 'comment', message: 'Enter comment:', initial: defaultMetadata.comment });
-
-      if (metadataPrompts.length > 0) {
+      if (!metadata.title) metadataPrompts.push({ type: 'text', name: 'title', message: 'Enter title:', initial: DEFAULT_METADATA.title });
+      if (!metadata.description) metadataPrompts.push({ type: 'text', name: 'description', message: 'Enter description:', initial: DEFAULT_METADATA.description });
+      if (!metadata.keywords) metadataPrompts.push({ type: 'text', name: 'keywords', message: 'Enter keywords (comma-separated):', initial: DEFAULT_METADATA.keywords });
+      if (!metadata.copyright) metadataPrompts.push({ type: 'text', name: 'copyright', message: 'Enter copyright:', initial: DEFAULT_METADATA.copyright });
+      if (!metadata.genre) metadataPrompts.push({ type: 'text', name: 'genre', message: 'Enter genre:', initial: DEFAULT_METADATA.genre });
+      if (!metadata.comment) metadataPrompts.push({ type: 'text', name: 'comment', message: 'Enter comment:', initial: DEFAULT_METADATA.comment });
+
+      if (metadataPrompts.length > 0 && isInteractive()) {
         log('DEBUG', 'Prompting for missing metadata fields');
         const additionalMetadata = await prompts(metadataPrompts);
-        metadata = { ...defaultMetadata, ...metadata, ...additionalMetadata };
+        metadata = { ...DEFAULT_METADATA, ...metadata, ...additionalMetadata };
       } else {
-        metadata = { ...defaultMetadata, ...metadata };
+        // Non-interactive runs keep the defaults for any field that was not passed
+        Object.keys(metadata).forEach(key => { if (metadata[key] === null) delete metadata[key]; });
+        metadata = { ...DEFAULT_METADATA, ...metadata };
       }
       log('DEBUG', `Metadata from args/prompts: ${JSON.stringify(metadata)}`);
+    } else if (!isInteractive()) {
+      metadata = { ...DEFAULT_METADATA };
+      log('DEBUG', `Using default metadata in non-interactive mode: ${JSON.stringify(metadata)}`);
     } else {
       log('DEBUG', 'Prompting for full metadata input');
       metadata = await prompts([
-        { type: 'text', name: 'title', message: 'Enter title:', initial: defaultMetadata.title },
-        { type: 'text', name: 'description', message: 'Enter description:', initial: defaultMetadata.description },
-        { type: 'text', name: 'keywords', message: 'Enter keywords (comma-separated):', initial: defaultMetadata.keywords },
-        { type: 'text', name: 'copyright', message: 'Enter copyright:', initial: defaultMetadata.copyright },
-        { type: 'text', name: 'genre', message: 'Enter genre:', initial: defaultMetadata.genre },
-        { type: 'text', name: 'comment', message: 'Enter comment:', initial: defaultMetadata.comment }
+        { type: 'text', name: 'title', message: 'Enter title:', initial: DEFAULT_METADATA.title },
+        { type: 'text', name: 'description', message: 'Enter description:', initial: DEFAULT_METADATA.description },
+        { type: 'text', name: 'keywords', message: 'Enter keywords (comma-separated):', initial: DEFAULT_METADATA.keywords },
+        { type: 'text', name: 'copyright', message: 'Enter copyright:', initial: DEFAULT_METADATA.copyright },
+        { type: 'text', name: 'genre', message: 'Enter genre:', initial: DEFAULT_METADATA.genre },
+        { type: 'text', name: 'comment', message: 'Enter comment:', initial: DEFAULT_METADATA.comment }
       ]);
       log('DEBUG', `Metadata collected: ${JSON.stringify(metadata)}`);
       if (!metadata.title) {
         log('INFO', 'Metadata input cancelled.');
         return 'cancelled';
       }
-      metadata = { ...defaultMetadata, ...metadata };
-    }
-
-    log('DEBUG', `Creating output directory: ${outputDir}`);
-    await fsPromises.mkdir(outputDir, { recursive: true });
-    log('DEBUG', `Output directory created or verified: ${outputDir}`);
-
-    const stats = await fsPromises.stat(inputPath);
-    log('DEBUG', `Input path stats: ${stats.isFile() ? 'File' : 'Directory'}`);
-
-    if (stats.isFile()) {
-      if (!inputPath.toLowerCase().endsWith('.gif')) {
-        log('ERROR', 'Input file must be a GIF.');
-        return 'error';
-      }
-      const outputFile = path.join(outputDir, path.basename(inputPath));
-      await processGifFile(inputFile, outputFile, metadata);
-    } else if (stats.isDirectory()) {
-      log('DEBUG', `Reading directory: ${inputPath}`);
-      const files = await fsPromises.readdir(inputPath);
-      const gifFiles = files.filter(f => f.toLowerCase().endsWith('.gif'));
-      log('DEBUG', `Found ${gifFiles.length} GIF files: ${gifFiles.join(', ')}`);
-      if (gifFiles.length === 0) {
-        log('INFO', 'No GIF files found in the directory.');
-        return 'success';
-      }
-      for (const file of gifFiles) {
-        const inputFile = path.join(inputPath, file);
-        const outputFile = path.join(outputDir, file);
-        await processGifFile(inputFile, outputFile, metadata);
-      }
-      log('INFO', `Processed ${gifFiles.length} GIF files.`);
+      metadata = { ...DEFAULT_METADATA, ...metadata };
     }
 
-    log('DEBUG', 'Update GIF Metadata completed successfully');
-    return 'success';
+    const result = await writeGifMetadata({ input: inputPath, output: outputDir, metadata, ...conflictOptions(params), ...walkOptions(params), ...filterOptions(params), ...queueOptions(params) });
+    return reportRun('metadata-gif', result);
   } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('metadata-gif', error, args);
+    }
     log('ERROR', `Unexpected error in Update GIF Metadata: ${error.message}`);
     log('DEBUG', `Error stack: ${error.stack}`);
-    return 'error';
+    return reportError('metadata-gif', error, args);
   }
 }
 
@@ -248,4 +312,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { updateGifMetadata };
\ No newline at end of file
+module.exports = { updateGifMetadata, writeGifMetadata };
@@ -1,12 +1,35 @@
 #!/usr/bin/env node
 
-const prompts = require('prompts');
+const { prompts, isInteractive } = require('../../backend/utils/promptUtils');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, execFile } = require('child_process');
+const { promisify } = require('util');
 const ffmpeg = require('fluent-ffmpeg');
 const { log } = require('../../backend/utils/logUtils');
+const { DependencyError, FileManipulatorError, ValidationError } = require('../../backend/utils/errorUtils');
+const { createResult, recordJobs } = require('../../backend/utils/resultUtils');
+const { reportRun, reportError } = require('../../backend/utils/reportUtils');
+const { QUEUE_FLAGS, queueOptions, runJobs } = require('../../backend/utils/jobUtils');
+const { WALK_FLAGS, walkOptions, listFiles, mirrorDir } = require('../../backend/utils/walkUtils');
+const { FILTER_FLAGS, filterOptions, applyFilters } = require('../../backend/utils/filterUtils');
+const { CONFLICT_FLAGS, conflictOptions } = require('../../backend/utils/conflictUtils');
+const { openCheckpoint, applyCheckpointConflicts } = require('../../backend/utils/checkpointUtils');
+const { writeAtomically } = require('../../backend/utils/fileUtils');
+const { pathViolation, resolveInputPath, resolveOutputDir } = require('../../backend/utils/pathUtils');
+
+const execFileAsync = promisify(execFile);
+
+const SUPPORTED_EXTENSIONS = ['.mp4'];
+const DEFAULT_METADATA = {
+  title: 'Untitled',
+  description: '',
+  keywords: '',
+  copyright: '',
+  genre: '',
+  comment: ''
+};
 
 function getCurrentDateTime() {
   const now = new Date();
@@ -47,7 +70,8 @@ function checkFFmpeg() {
   }
 }
 
-async function processMp4File(inputFile, outputFile, metadata) {
+// Aborting `signal` kills the FFmpeg process; onProgress(percent) follows the copy
+async function processMp4File(inputFile, outputFile, metadata, signal, onProgress) {
   const currentDateTime = getCurrentDateTime();
   log('DEBUG', `Processing MP4 file: ${inputFile} -> ${outputFile}`);
   await new Promise((resolve, reject) => {
@@ -68,9 +92,9 @@ async function processMp4File(inputFile, outputFile, metadata) {
       .on('end', async () => {
         log('INFO', `Success: Metadata updated for ${outputFile}`);
         try {
-          const exifCommand = `exiftool -ModifyDate="${currentDateTime}" -DateTimeOriginal="${currentDateTime}" -CreateDate="${currentDateTime}" -FileCreateDate="${currentDateTime}" -FileModifyDate="${currentDateTime}" -overwrite_original "${outputFile}"`;
-          log('DEBUG', `Executing ExifTool command: ${exifCommand}`);
-          execSync(exifCommand, { stdio: 'ignore' });
+          const exifArgs = [`-ModifyDate=${currentDateTime}`, `-DateTimeOriginal=${currentDateTime}`, `-CreateDate=${currentDateTime}`, `-FileCreateDate=${currentDateTime}`, `-FileModifyDate=${currentDateTime}`, '-overwrite_original', outputFile];
+          log('DEBUG', `Executing ExifTool command: exiftool ${exifArgs.join(' ')}`);
+          await execFileAsync('exiftool', exifArgs);
           log('INFO', `Success: File timestamps updated for ${outputFile}`);
           try {
             const stats = await fsPromises.stat(outputFile);
@@ -86,20 +110,29 @@ async function processMp4File(inputFile, outputFile, metadata) {
         }
       })
       .on('error', (err) => {
+        if (signal && signal.aborted) {
+          reject(err);
+          return;
+        }
         log('ERROR', `FFmpeg error processing ${inputFile}: ${err.message}`);
         log('DEBUG', `FFmpeg error stack: ${err.stack}`);
         reject(err);
       });
+    if (signal) signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+    if (onProgress) command.on('progress', progress => onProgress(progress.percent));
   });
 }
 
 function parseArgs(args) {
   const params = {};
-  const validFlags = ['input', 'output', 'title', 'description', 'keywords', 'copyright', 'genre', 'comment'];
+  const validFlags = ['input', 'output', 'title', 'description', 'keywords', 'copyright', 'genre', 'comment', ...CONFLICT_FLAGS, ...WALK_FLAGS, ...FILTER_FLAGS, ...QUEUE_FLAGS];
+  const booleanFlags = ['recursive'];
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const flag = args[i].slice(2);
-      if (validFlags.includes(flag)) {
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
         const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
         params[flag] = value;
         i++;
@@ -112,6 +145,75 @@ function parseArgs(args) {
   return params;
 }
 
+// Write metadata to an MP4 file or every MP4 file in a directory without prompting. Files are
+// copied into the output directory; fields missing from options.metadata fall back to the defaults.
+// With recursive (see walkUtils) subfolders are included and mirrored under the output directory.
+// A file already in the output directory is handled by onConflict (see conflictUtils, default 'overwrite').
+// Each run is checkpointed (see checkpointUtils); resume continues the job with that id.
+// Outputs are written under a temporary name and renamed into place once complete.
+// options: { input, output, metadata: { title, description, keywords, copyright, genre, comment }, onConflict, recursive, maxDepth, filters, concurrency, timeout, retries, resume, signal }
+async function writeMp4Metadata(options = {}) {
+  if (!checkExifTool()) {
+    throw new DependencyError('ExifTool is not installed.', { tool: 'exiftool' });
+  }
+  if (!checkFFmpeg()) {
+    throw new DependencyError('FFmpeg is not installed.', { tool: 'ffmpeg' });
+  }
+  const metadata = { ...DEFAULT_METADATA };
+  Object.entries(options.metadata || {}).forEach(([key, value]) => {
+    if (key in DEFAULT_METADATA && value !== null && value !== undefined) metadata[key] = String(value);
+  });
+  const inputPath = await resolveInputPath(options.input);
+  const outputDir = await resolveOutputDir(options.output);
+  log('DEBUG', `Output directory created or verified: ${outputDir}`);
+  log('DEBUG', `Metadata to write: ${JSON.stringify(metadata)}`);
+
+  const stats = await fsPromises.stat(inputPath);
+  log('DEBUG', `Input path stats: ${stats.isFile() ? 'File' : 'Directory'}`);
+  const inputDir = stats.isFile() ? path.dirname(inputPath) : inputPath;
+  const result = createResult();
+
+  let mp4Files;
+  if (stats.isFile()) {
+    if (!SUPPORTED_EXTENSIONS.includes(path.extname(inputPath).toLowerCase())) {
+      throw new ValidationError('Input file must be an MP4.', { option: 'input' });
+    }
+    mp4Files = [inputPath];
+  } else {
+    log('DEBUG', `Reading directory: ${inputPath}`);
+    const files = await listFiles(inputPath, { ...options, skipDirs: [outputDir] });
+    mp4Files = await applyFilters(result, files.filter(f => SUPPORTED_EXTENSIONS.includes(path.extname(f).toLowerCase())), options, inputDir);
+    log('DEBUG', `Found ${mp4Files.length} MP4 files: ${mp4Files.map(f => path.basename(f)).join(', ')}`);
+    if (mp4Files.length === 0) {
+      log('INFO', 'No MP4 files found in the directory.');
+      return result;
+    }
+  }
+
+  const checkpoint = await openCheckpoint('metadata-mp4', options);
+  const outputFiles = await applyCheckpointConflicts(checkpoint, result, new Map(mp4Files.map(inputFile => [inputFile, path.join(mirrorDir(inputDir, inputFile, outputDir), path.basename(inputFile))])), options, 'overwrite');
+  const summary = await runJobs([...outputFiles.keys()], async (inputFile, { signal, progress }) => {
+    const outputFile = outputFiles.get(inputFile);
+    try {
+      await fsPromises.mkdir(path.dirname(outputFile), { recursive: true });
+      await writeAtomically(outputFile, partialFile => processMp4File(inputFile, partialFile, metadata, signal, progress), signal);
+    } catch (error) {
+      if (signal.aborted) throw error;
+      log('ERROR', `Error processing ${inputFile}: ${error.message}`);
+      log('DEBUG', `Process file error stack: ${error.stack}`);
+      throw error;
+    }
+    return outputFile;
+  }, { ...options, checkpoint, kind: 'ffmpeg', label: 'metadata' });
+  recordJobs(result, summary);
+  if (checkpoint.status === 'incomplete') result.checkpoint = checkpoint.id;
+  if (stats.isDirectory()) {
+    log('INFO', `Processed ${result.processed.length} MP4 files, ${result.failed.length} failed.`);
+  }
+  log('DEBUG', `Update MP4 Metadata completed: ${result.processed.length} processed, ${result.failed.length} failed`);
+  return result;
+}
+
 async function updateMp4Metadata(args = process.argv.slice(2)) {
   try {
     log('INFO', 'Starting Update MP4 Metadata Feature');
@@ -138,7 +240,10 @@ async function updateMp4Metadata(args = process.argv.slice(2)) {
         type: 'text',
         name: 'path',
         message: 'Enter the path to the input MP4 file or directory (or press Enter to cancel):',
-        validate: value => value.trim() === '' || fs.existsSync(value) ? true : 'Path not found.'
+        validate: async value => {
+          if (value.trim() === '') return true;
+          return (await pathViolation(value)) || (fs.existsSync(value) ? true : 'Path not found.');
+        }
       });
       inputPath = inputPathResponse.path;
       log('DEBUG', `Input path provided: ${inputPath}`);
@@ -158,7 +263,7 @@ async function updateMp4Metadata(args = process.argv.slice(2)) {
         type: 'text',
         name: 'path',
         message: 'Enter the path for the output directory (or press Enter to cancel):',
-        validate: value => value.trim() !== '' ? true : 'Output directory required.'
+        validate: async value => value.trim() !== '' ? (await pathViolation(value)) || true : 'Output directory required.'
       });
       outputDir = outputPathResponse.path;
       log('DEBUG', `Output directory provided: ${outputDir}`);
@@ -168,14 +273,6 @@ async function updateMp4Metadata(args = process.argv.slice(2)) {
       }
     }
 
-    const defaultMetadata = {
-      title: 'Untitled',
-      description: '',
-      keywords: '',
-      copyright: '',
-      genre: '',
-      comment: ''
-    };
     let metadata;
     if (params['title'] || params['description'] || params['keywords'] || params['copyright'] || params['genre'] || params['comment']) {
       metadata = {
@@ -188,76 +285,54 @@ async function updateMp4Metadata(args = process.argv.slice(2)) {
       };
 
       const metadataPrompts = [];
-      if (!metadata.title) metadataPrompts.push({ type: 'text', name: 'title', message: 'Enter title:', initial: defaultMetadata.title });
-      if (!metadata.description) metadataPrompts.push({ type: 'text', name: 'description', message: 'Enter description:', initial: defaultMetadata.description });
-      if (!metadata.keywords) metadataPrompts.push({ type: 'text', name: 'keywords', message: 'Enter keywords (comma-separated):', initial: defaultMetadata.keywords });
-      if (!metadata.copyright) metadataPrompts.push({ type: 'text', name: 'copyright', message: 'Enter copyright:', initial: defaultMetadata.copyright });
-      if (!metadata.genre) metadataPrompts.push({ type: 'text', name: 'genre', message: 'Enter genre:', initial: defaultMetadata.genre });
-      if (!metadata.comment) metadataPrompts.push({ type: 'text', name: 'comment', message: 'Enter comment:', initial: defaultMetadata.comment });
+      if (!metadata.title) metadataPrompts.push({ type: 'text', name: 'title', message: 'Enter title:', initial: DEFAULT_METADATA.title });
+      if (!metadata.description) metadataPrompts.push({ type: 'text', name: 'description', message: 'Enter description:', initial: DEFAULT_METADATA.description });
+      if (!metadata.keywords) metadataPrompts.push({ type: 'text', name: 'keywords', message: 'Enter keywords (comma-separated):', initial: DEFAULT_METADATA.keywords });
+      if (!metadata.copyright) metadataPrompts.push({ type: 'text', name: 'copyright', message: 'Enter copyright:', initial: DEFAULT_METADATA.copyright });
+      if (!metadata.genre) metadataPrompts.push({ type: 'text', name: 'genre', message: 'Enter genre:', initial: DEFAULT_METADATA.genre });
+      if (!metadata.comment) metadataPrompts.push({ type: 'text', name: 'comment', message: 'Enter comment:', initial: DEFAULT_METADATA.comment });
 
-      if (metadataPrompts.length > 0) {
+      if (metadataPrompts.length > 0 && isInteractive()) {
         log('DEBUG', 'Prompting for missing metadata fields');
         const additionalMetadata = await prompts(metadataPrompts);
-        metadata = { ...defaultMetadata, ...metadata, ...additionalMetadata };
+        metadata = { ...DEFAULT_METADATA, ...metadata, ...additionalMetadata };
       } else {
-        metadata = { ...defaultMetadata, ...metadata };
+        // Non-interactive runs keep the defaults for any field that was not passed
+        Object.keys(metadata).forEach(key => { if (metadata[key] === null) delete metadata[key]; });
+        metadata = { ...DEFAULT_METADATA, ...metadata };
       }
       log('DEBUG', `Metadata from args/prompts: ${JSON.stringify(metadata)}`);
+    } else if (!isInteractive()) {
+      metadata = { ...DEFAULT_METADATA };
+      log('DEBUG', `Using default metadata in non-interactive mode: ${JSON.stringify(metadata)}`);
     } else {
       log('DEBUG', 'Prompting for full metadata input');
       metadata = await prompts([
-        { type: 'text', name: 'title', message: 'Enter title:', initial: defaultMetadata.title },
-        { type: 'text', name: 'description', message: 'Enter description:', initial: defaultMetadata.description },
-        { type: 'text', name: 'keywords', message: 'Enter keywords (comma-separated):', initial: defaultMetadata.keywords },
-        { type: 'text', name: 'copyright', message: 'Enter copyright:', initial: defaultMetadata.copyright },
-        { type: 'text', name: 'genre', message: 'Enter genre:', initial: defaultMetadata.genre },
-        { type: 'text', name: 'comment', message: 'Enter comment:', initial: defaultMetadata.comment }
+        { type: 'text', name: 'title', message: 'Enter title:', initial: DEFAULT_METADATA.title },
+        { type: 'text', name: 'description', message: 'Enter description:', initial: DEFAULT_METADATA.description },
+        { type: 'text', name: 'keywords', message: 'Enter keywords (comma-separated):', initial: DEFAULT_METADATA.keywords },
+        { type: 'text', name: 'copyright', message: 'Enter copyright:', initial: DEFAULT_METADATA.copyright },
+        { type: 'text', name: 'genre', message: 'Enter genre:', initial: DEFAULT_METADATA.genre },
+        { type: 'text', name: 'comment', message: 'Enter comment:', initial: DEFAULT_METADATA.comment }
       ]);
       log('DEBUG', `Metadata collected: ${JSON.stringify(metadata)}`);
       if (!metadata.title) {
         log('INFO', 'Metadata input cancelled.');
         return 'cancelled';
       }
-      metadata = { ...defaultMetadata, ...metadata };
+      metadata = { ...DEFAULT_METADATA, ...metadata };
     }
 
-    log('DEBUG', `Creating output directory: ${outputDir}`);
-    await fsPromises.mkdir(outputDir, { recursive: true });
-    log('DEBUG', `Output directory created or verified: ${outputDir}`);
-
-    const stats = await fsPromises.stat(inputPath);
-    log('DEBUG', `Input path stats: ${stats.isFile() ? 'File' : 'Directory'}`);
-
-    if (stats.isFile()) {
-      if (!inputPath.toLowerCase().endsWith('.mp4')) {
-        log('ERROR', 'Input file must be an MP4.');
-        return 'error';
-      }
-      const outputFile = path.join(outputDir, path.basename(inputPath));
-      await processMp4File(inputFile, outputFile, metadata);
-    } else if (stats.isDirectory()) {
-      log('DEBUG', `Reading directory: ${inputPath}`);
-      const files = await fsPromises.readdir(inputPath);
-      const mp4Files = files.filter(f => f.toLowerCase().endsWith('.mp4'));
-      log('DEBUG', `Found ${mp4Files.length} MP4 files: ${mp4Files.join(', ')}`);
-      if (mp4Files.length === 0) {
-        log('INFO', 'No MP4 files found in the directory.');
-        return 'success';
-      }
-      for (const file of mp4Files) {
-        const inputFile = path.join(inputPath, file);
-        const outputFile = path.join(outputDir, file);
-        await processMp4File(inputFile, outputFile, metadata);
-      }
-      log('INFO', `Processed ${mp4Files.length} MP4 files.`);
-    }
-
-    log('DEBUG', 'Update MP4 Metadata completed successfully');
-    return 'success';
+    const result = await writeMp4Metadata({ input: inputPath, output: outputDir, metadata, ...conflictOptions(params), ...walkOptions(params), ...filterOptions(params), ...queueOptions(params) });
+    return reportRun('metadata-mp4', result);
   } catch (error) {
+    if (error instanceof FileManipulatorError) {
+      log('ERROR', error.message);
+      return reportError('metadata-mp4', error, args);
+    }
     log('ERROR', `Unexpected error in Update MP4 Metadata: ${error.message}`);
     log('DEBUG', `Error stack: ${error.stack}`);
-    return 'error';
+    return reportError('metadata-mp4', error, args);
   }
 }
 
@@ -270,4 +345,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { updateMp4Metadata };
\ No newline at end of file
+module.exports = { updateMp4Metadata, writeMp4Metadata };
@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+
+const { prompts } = require('../../backend/utils/promptUtils');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { log } = require('../../backend/utils/logUtils');
+const { pathExists, checkPath } = require('../../backend/utils/pathUtils');
+const { hashFile, movePath } = require('../../backend/utils/fileUtils');
+const { nextFreePath } = require('../../backend/utils/conflictUtils');
+const { cancelSignal, isCancelled, beginOperation, installCancelHandlers } = require('../../backend/utils/cancelUtils');
+const { loadRecipe, runSteps, logReport } = require('../run-recipe/runRecipe');
+
+// Configuration
+const BASE_DIR = path.join(__dirname, '..', '..', '..');
+const WATCH_DIR = path.join(BASE_DIR, 'json', 'watch');
+const LEDGER_DIR = path.join(WATCH_DIR, 'ledgers');
+const STAGING_DIR = '.processing';
+const DEFAULT_SETTLE_MS = 2000;
+
+// Suffixes used by browsers and copy tools while a file is still being written
+const PARTIAL_SUFFIXES = ['.part', '.partial', '.crdownload', '.download', '.tmp'];
+
+function parseArgs(args) {
+  const params = {};
+  const validFlags = ['config', 'input'];
+  const booleanFlags = ['once'];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const flag = args[i].slice(2);
+      if (booleanFlags.includes(flag)) {
+        params[flag] = true;
+      } else if (validFlags.includes(flag)) {
+        const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : '';
+        params[flag] = value;
+        i++;
+      } else {
+        log('DEBUG', `Ignoring unrecognized argument: --${flag}`);
+        if (args[i + 1] && !args[i + 1].startsWith('--')) i++; // Skip value of unrecognized flag
+      }
+    }
+  }
+  return params;
+}
+
+async function listWatchConfigs() {
+  try {
+    const files = await fsPromises.readdir(WATCH_DIR);
+    return files.filter(file => path.extname(file).toLowerCase() === '.json').map(file => path.basename(file, '.json'));
+  } catch {
+    return [];
+  }
+}
+
+// A watch config can be given as a path to a JSON file or as the name of a file in json/watch
+async function resolveConfigPath(config) {
+  if (await pathExists(path.resolve(config))) return path.resolve(config);
+  const namedPath = path.join(WATCH_DIR, config.endsWith('.json') ? config : `${config}.json`);
+  return (await pathExists(namedPath)) ? namedPath : null;
+}
+
+// A watch config is a recipe (see runRecipe.js) plus the hot folder settings
+async function loadWatchConfig(configPath, inputOverride) {
+  const config = await loadRecipe(configPath);
+  config.name = config.name || path.basename(configPath, '.json');
+  config.input = inputOverride || config.input;
+  if (!config.input) {
+    throw new Error('Watch config must set an "input" folder');
+  }
+  config.input = path.resolve(config.input);
+  const inputViolation = await checkPath(config.input, 'Input folder');
+  if (inputViolation) {
+    throw new Error(inputViolation.message);
+  }
+  if (!(await fsPromises.stat(config.input).then(stats => stats.isDirectory()).catch(() => false))) {
+    throw new Error(`Input folder not found or not a directory: ${config.input}`);
+  }
+  config.settleMs = config.settleMs === undefined ? DEFAULT_SETTLE_MS : Number(config.settleMs);
+  if (!Number.isFinite(config.settleMs) || config.settleMs < 0) {
+    throw new Error('"settleMs" must be a number of milliseconds');
+  }
+  if (config.extensions !== undefined && !Array.isArray(config.extensions)) {
+    throw new Error('"extensions" must be an array such as [".mov", ".mp4"]');
+  }
+  config.extensions = (config.extensions || []).map(ext => {
+    const normalized = String(ext).toLowerCase();
+    return normalized.startsWith('.') ? normalized : `.${normalized}`;
+  });
+  config.moveOriginals = config.moveOriginals !== false;
+  config.done = path.resolve(config.input, config.done || 'done');
+  config.failed = path.resolve(config.input, config.failed || 'failed');
+  for (const [key, label] of [['done', 'Done folder'], ['failed', 'Failed folder']]) {
+    const violation = await checkPath(config[key], label);
+    if (violation) throw new Error(violation.message);
+  }
+  return config;
+}
+
+function isCandidate(config, fileName) {
+  const lowerName = fileName.toLowerCase();
+  if (fileName.startsWith('.')) return false;
+  if (PARTIAL_SUFFIXES.some(suffix => lowerName.endsWith(suffix))) return false;
+  return config.extensions.length === 0 || config.extensions.includes(path.extname(lowerName));
+}
+
+function ledgerPath(config) {
+  return path.join(LEDGER_DIR, `${config.name.replace(/[^a-zA-Z0-9_-]/g, '-')}.json`);
+}
+
+// The ledger maps the SHA-256 of every handled file to its outcome so a restart skips it
+async function loadLedger(config) {
+  try {
+    return JSON.parse(await fsPromises.readFile(ledgerPath(config), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+async function saveLedger(config, ledger) {
+  const filePath = ledgerPath(config);
+  await fsPromises.mkdir(LEDGER_DIR, { recursive: true });
+  await fsPromises.writeFile(`${filePath}.tmp`, JSON.stringify(ledger, null, 2));
+  await fsPromises.rename(`${filePath}.tmp`, filePath);
+}
+
+// Move a file into a directory without overwriting (the 'rename' conflict policy, see conflictUtils),
+// falling back to copy + delete across devices
+async function moveFile(filePath, destDir) {
+  const target = path.join(destDir, path.basename(filePath));
+  return movePath(filePath, (await pathExists(target)) ? await nextFreePath(target) : target);
+}
+
+// Resolve once the file's size and modification time stop changing for settleMs, or false if it
+// disappears or turns out not to be a file
+async function waitForSettle(filePath, settleMs) {
+  let previous = null;
+  for (;;) {
+    const stats = await fsPromises.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile()) return false;
+    const signature = `${stats.size}:${stats.mtimeMs}`;
+    if (signature === previous) return true;
+    previous = signature;
+    await new Promise(resolve => setTimeout(resolve, settleMs));
+  }
+}
+
+// Files left in the staging folder by an interrupted run go back into the hot folder
+async function recoverStagedFiles(config) {
+  const stagingRoot = path.join(config.input, STAGING_DIR);
+  const entries = await fsPromises.readdir(stagingRoot, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries.filter(entry => entry.isDirectory())) {
+    const stagingDir = path.join(stagingRoot, entry.name);
+    for (const file of await fsPromises.readdir(stagingDir)) {
+      log('INFO', `Recovering ${file} from an interrupted run`);
+      await moveFile(path.join(stagingDir, file), config.input);
+    }
+    await fsPromises.rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+// Run the configured steps on one settled file. The file is moved into its own staging folder
+// first so that every command, including the directory-based ones such as `sort`, sees only it.
+async function processFile(config, ledger, filePath) {
+  const fileName = path.basename(filePath);
+  let hash;
+  try {
+    hash = await hashFile(filePath);
+  } catch (error) {
+    log('DEBUG', `File ${fileName} disappeared before processing: ${error.message}`);
+    return null;
+  }
+
+  const previous = ledger[hash];
+  if (previous) {
+    log('INFO', `Skipping ${fileName}: already handled as ${previous.file} (${previous.status}) at ${previous.finishedAt}`);
+    if (config.moveOriginals) await moveFile(filePath, previous.status === 'done' ? config.done : config.failed);
+    return 'skipped';
+  }
+
+  const stagingDir = path.join(config.input, STAGING_DIR, hash.slice(0, 16));
+  const stagedFile = path.join(stagingDir, fileName);
+  await fsPromises.mkdir(stagingDir, { recursive: true });
+  await fsPromises.rename(filePath, stagedFile);
+
+  log('INFO', `Processing ${fileName}`);
+  const { result, report } = await runSteps(config, stagingDir);
+  logReport(`${config.name}: ${fileName}`, report);
+  if (result === 'cancelled') {
+    if (await pathExists(stagedFile)) await fsPromises.rename(stagedFile, filePath);
+    await fsPromises.rm(stagingDir, { recursive: true, force: true });
+    log('WARN', `${fileName}: cancelled, left in place for the next run`);
+    return null;
+  }
+  const status = result === 'success' ? 'done' : 'failed';
+
+  // Commands such as `sort` move the original themselves
+  if (await pathExists(stagedFile)) {
+    if (config.moveOriginals) {
+      const destFile = await moveFile(stagedFile, status === 'done' ? config.done : config.failed);
+      log('INFO', `Moved ${fileName} to ${path.relative(config.input, destFile)}`);
+    } else {
+      await fsPromises.rename(stagedFile, filePath);
+    }
+  }
+  await fsPromises.rm(stagingDir, { recursive: true, force: true });
+
+  ledger[hash] = { file: fileName, status, finishedAt: new Date().toISOString() };
+  await saveLedger(config, ledger);
+  log(status === 'done' ? 'INFO' : 'ERROR', `${fileName}: ${status === 'done' ? 'processed' : 'failed'}`);
+  return status;
+}
+
+// Watch the hot folder until SIGINT/SIGTERM, or only handle the files already there when `once` is set.
+// Files are processed one at a time. Stopping cancels the file in progress (see cancelUtils), which is put
+// back to be picked up again. Resolves to the number of files processed and failed.
+async function startWatching(config, once) {
+  const ledger = await loadLedger(config);
+  const counts = { done: 0, failed: 0, skipped: 0 };
+  const tracked = new Set();
+  let queue = Promise.resolve();
+
+  await recoverStagedFiles(config);
+
+  const enqueue = filePath => {
+    queue = queue.then(() => (isCancelled() ? null : processFile(config, ledger, filePath))).then(status => {
+      if (status) counts[status]++;
+    }).catch(error => {
+      log('ERROR', `Error processing ${path.basename(filePath)}: ${error.message}`);
+      log('DEBUG', `Watch error stack: ${error.stack}`);
+      counts.failed++;
+    });
+    return queue;
+  };
+
+  const track = async fileName => {
+    const filePath = path.join(config.input, fileName);
+    if (!isCandidate(config, fileName) || tracked.has(filePath)) return;
+    tracked.add(filePath);
+    try {
+      log('DEBUG', `Waiting for ${fileName} to settle`);
+      if (await waitForSettle(filePath, config.settleMs)) await enqueue(filePath);
+    } finally {
+      tracked.delete(filePath);
+    }
+  };
+
+  installCancelHandlers();
+  const endOperation = beginOperation();
+  try {
+    const existing = await fsPromises.readdir(config.input);
+    const initial = Promise.all(existing.map(track));
+    if (once) {
+      await initial;
+      await queue;
+      return counts;
+    }
+    await watchUntilStopped(config, track);
+    log('INFO', 'Stopping watch, waiting for the current file to finish...');
+    await queue;
+    return counts;
+  } finally {
+    endOperation();
+  }
+}
+
+// Resolve once the process is cancelled (Ctrl+C) or the watcher fails
+async function watchUntilStopped(config, track) {
+  const watcher = fs.watch(config.input, (eventType, fileName) => {
+    if (fileName) track(fileName);
+  });
+  log('INFO', `Watching ${config.input} for "${config.name}". Press Ctrl+C to stop.`);
+  const signal = cancelSignal();
+  await new Promise(resolve => {
+    if (signal.aborted) resolve();
+    signal.addEventListener('abort', resolve, { once: true });
+    watcher.on('error', error => {
+      log('ERROR', `Watcher error: ${error.message}`);
+      signal.removeEventListener('abort', resolve);
+      resolve();
+    });
+  });
+  watcher.close();
+}
+
+async function watchFolder(args = process.argv.slice(2)) {
+  try {
+    log('INFO', 'Starting Watch Folder Feature');
+    const params = parseArgs(args);
+
+    let configPath;
+    if (params['config']) {
+      configPath = await resolveConfigPath(params['config']);
+      if (!configPath) {
+        log('ERROR', `Watch config not found: ${params['config']} (looked for a file path and in ${path.relative(BASE_DIR, WATCH_DIR)})`);
+        return 'error';
+      }
+    } else {
+      const configs = await listWatchConfigs();
+      if (configs.length === 0) {
+        log('INFO', `No watch configs found. Add watch config JSON files to ${path.relative(BASE_DIR, WATCH_DIR)}.`);
+        return 'cancelled';
+      }
+      log('DEBUG', 'Prompting for watch config selection');
+      const configResponse = await prompts({
+        type: 'select',
+        name: 'config',
+        message: 'Choose a watch config:',
+        choices: [
+          ...configs.map(config => ({ title: config, value: config })),
+          { title: 'Cancel', value: 'cancel' },
+        ],
+        initial: 0,
+      });
+      if (!configResponse.config || configResponse.config === 'cancel') {
+        log('INFO', 'No watch config selected, cancelling...');
+        return 'cancelled';
+      }
+      configPath = path.join(WATCH_DIR, `${configResponse.config}.json`);
+    }
+
+    let config;
+    try {
+      config = await loadWatchConfig(configPath, params['input']);
+    } catch (error) {
+      log('ERROR', `Invalid watch config ${path.basename(configPath)}: ${error.message}`);
+      return 'error';
+    }
+    log('DEBUG', `Loaded watch config ${config.name} from ${configPath}: ${JSON.stringify(config)}`);
+
+    const counts = await startWatching(config, params['once']);
+    log('INFO', `Watch "${config.name}" finished: ${counts.done} processed, ${counts.failed} failed, ${counts.skipped} already handled.`);
+    if (counts.failed > 0) return counts.done > 0 ? 'partial' : 'error';
+    return counts.done > 0 ? 'success' : 'nothing';
+  } catch (error) {
+    log('ERROR', `Unexpected error in Watch Folder: ${error.message}`);
+    log('DEBUG', `Error stack: ${error.stack}`);
+    return 'error';
+  }
+}
+
+if (require.main === module) {
+  watchFolder().then(result => {
+    process.exit(result === 'success' ? 0 : 1);
+  }).catch(err => {
+    log('ERROR', `Fatal error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { watchFolder };
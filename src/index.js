@@ -0,0 +1,155 @@
+// Library entry point. Every function takes an options object, never prompts, resolves to a result
+// ({ processed, skipped, failed, outputs, startedAt }) and throws the errors exported below for invalid options,
+// paths or missing tools. Batch functions also take the job queue options { concurrency, timeout, retries }
+// (see backend/utils/jobUtils); `timeout` is in seconds per file. Results carry the queue totals as `summary`.
+// Functions reading a directory also take { recursive, maxDepth } (see backend/utils/walkUtils) and the
+// file selection filters { include, exclude, minSize, maxSize, ... } (see backend/utils/filterUtils).
+// rename, sanitize, sort and dedupe journal the files they change; their results carry the journal id for undo().
+// Functions writing or moving files take { onConflict: 'overwrite' | 'skip' | 'rename' | 'fail' } for outputs
+// that already exist (see backend/utils/conflictUtils) and report what it did as `conflicts`.
+// convert, resize and updateMetadata save a checkpoint while they run; a result with files left to do
+// carries its id as `checkpoint` for resume().
+// Batch functions also take { signal }, an AbortSignal: aborting it stops the run, kills running FFmpeg
+// processes and removes partial outputs, and the result then has `cancelled: true` and the unfinished
+// files under `skipped` (see backend/utils/cancelUtils).
+// doctor() is the exception: it changes nothing and resolves to a dependency report instead of a result.
+// Nothing is printed to the console unless setLogLevel() turns logging on.
+
+const { convert } = require('./feature/convert-file-type/convertFiles');
+const { FORMATS, CONVERSIONS } = require('./feature/convert-file-type/conversionRegistry');
+const { resizeImageFiles } = require('./feature/resize-files/resizeImages');
+const { resizeVideoFiles } = require('./feature/resize-files/resizeVideos');
+const { renameDirectoryFiles } = require('./feature/rename-files/renameFiles');
+const { sanitizeDirectoryFiles } = require('./feature/rename-files/sanitizeFilenames');
+const { sortByExtension } = require('./feature/sort-files/sortFilesByExtension');
+const { sortByType } = require('./feature/sort-files/sortFilesByType');
+const { dedupeImages } = require('./feature/cleanup-files/findDuplicateImages');
+const { dedupeVideos } = require('./feature/cleanup-files/findDuplicateVideos');
+const { undoJournal } = require('./feature/undo-operation/undoOperation');
+const { diagnose } = require('./feature/doctor/runDoctor');
+const { resumeCheckpoint } = require('./feature/resume-job/resumeJob');
+const { writeGifMetadata } = require('./feature/update-metadata/updateGifMetadata');
+const { writeJpgMetadata } = require('./feature/update-metadata/updateJpgMetadata');
+const { writeMp4Metadata } = require('./feature/update-metadata/updateMp4Metadata');
+const { writePngMetadata } = require('./feature/update-metadata/updatePngMetadata');
+const { writeWavMetadata } = require('./feature/update-metadata/updateWavMetadata');
+const { writeWebmMetadata } = require('./feature/update-metadata/updateWebmMetadata');
+const { writeWebpMetadata } = require('./feature/update-metadata/updateWebpMetadata');
+const {
+  FileManipulatorError,
+  ValidationError,
+  PathError,
+  UnsupportedFormatError,
+  DependencyError,
+  ConflictError,
+  CancelledError,
+} = require('./backend/utils/errorUtils');
+const { setConsoleLevel } = require('./backend/utils/logUtils');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+setConsoleLevel(null);
+
+const RESIZERS = { images: resizeImageFiles, videos: resizeVideoFiles };
+const SORTERS = { extension: sortByExtension, type: sortByType };
+const DEDUPERS = { images: dedupeImages, videos: dedupeVideos };
+const METADATA_WRITERS = {
+  gif: writeGifMetadata,
+  jpg: writeJpgMetadata,
+  jpeg: writeJpgMetadata,
+  mp4: writeMp4Metadata,
+  png: writePngMetadata,
+  wav: writeWavMetadata,
+  webm: writeWebmMetadata,
+  webp: writeWebpMetadata,
+};
+
+function pick(table, key, option) {
+  const fn = table[String(key || '').toLowerCase()];
+  if (!fn) {
+    throw new ValidationError(`${option} must be one of ${Object.keys(table).join(', ')}`, { option });
+  }
+  return fn;
+}
+
+// options: { type: 'images' | 'videos', input, output, width, height, method, onConflict }
+async function resize(options = {}) {
+  return pick(RESIZERS, options.type, 'type')(options);
+}
+
+// options: { input, base, onConflict, dryRun, planFile }
+async function rename(options = {}) {
+  return renameDirectoryFiles(options);
+}
+
+// Rename files to transliterated slugs, e.g. `Café Photo.JPG` to `cafe-photo.jpg`
+// options: { input, separator: '-' | '_' | '.', keepCase, keepUnicode, onConflict, dryRun, planFile }
+async function sanitize(options = {}) {
+  return sanitizeDirectoryFiles(options);
+}
+
+// options: { by: 'extension' | 'type', input, output, onConflict, dryRun, planFile }
+async function sort(options = {}) {
+  return pick(SORTERS, options.by, 'by')(options);
+}
+
+// options: { type: 'images' | 'videos', input, delete: 'no' | 'yes' | 'all', chooseKeep, dryRun, planFile }
+async function dedupe(options = {}) {
+  return pick(DEDUPERS, options.type, 'type')(options);
+}
+
+// Reverse the newest operation not undone yet, or a specific one
+// options: { journal }
+async function undo(options = {}) {
+  return undoJournal(options);
+}
+
+// Continue a convert, resize or updateMetadata run from its checkpoint, skipping the outputs already written
+// options: { job, concurrency, timeout, retries }
+async function resume(options = {}) {
+  return resumeCheckpoint(options);
+}
+
+// Check the external tools, encoders, API keys and app folders. Resolves to
+// { ok, tools, sharp, encoders, apiKeys, directories, features }; see feature/doctor/runDoctor
+async function doctor() {
+  return diagnose();
+}
+
+// options: { type: 'gif' | 'jpg' | 'mp4' | 'png' | 'wav' | 'webm' | 'webp', input, output, metadata, onConflict }
+async function updateMetadata(options = {}) {
+  return pick(METADATA_WRITERS, options.type, 'type')(options);
+}
+
+// Print the features' log lines at `level` and above to the console, or nothing with 'silent' (the default)
+// level: 'debug' | 'info' | 'warn' | 'error' | 'silent'
+function setLogLevel(level) {
+  const name = String(level || '').toLowerCase();
+  if (!LOG_LEVELS.includes(name)) {
+    throw new ValidationError(`level must be one of ${LOG_LEVELS.join(', ')}`, { option: 'level' });
+  }
+  setConsoleLevel(name === 'silent' ? null : name);
+}
+
+module.exports = {
+  convert,
+  resize,
+  rename,
+  sanitize,
+  sort,
+  dedupe,
+  undo,
+  resume,
+  doctor,
+  updateMetadata,
+  setLogLevel,
+  FORMATS,
+  CONVERSIONS,
+  FileManipulatorError,
+  ValidationError,
+  PathError,
+  UnsupportedFormatError,
+  DependencyError,
+  ConflictError,
+  CancelledError,
+};
@@ -1,10 +1,16 @@
 #!/usr/bin/env node
 
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 const prompts = require('prompts');
 const path = require('path');
 const fs = require('fs');
-const { log, setupConsoleLogging } = require('./backend/utils/logUtils');
+const { log, flushLogs, setupConsoleLogging } = require('./backend/utils/logUtils');
+const { setupProgress } = require('./backend/utils/progressUtils');
+const { installCancelHandlers, resetCancellation } = require('./backend/utils/cancelUtils');
+const { setupReports } = require('./backend/utils/reportUtils');
+const { loadProfiles, profileMatches, describeProfile } = require('./backend/utils/profileUtils');
+const { COMMANDS, runCommand, profileArgs } = require('./commands');
+const { CONFLICT_POLICIES } = require('./backend/utils/conflictUtils');
 // Update Metadata Imports
 const { updateGifMetadata } = require('./feature/update-metadata/updateGifMetadata');
 const { updateJpgMetadata } = require('./feature/update-metadata/updateJpgMetadata');
@@ -13,40 +19,15 @@ const { updatePngMetadata } = require('./feature/update-metadata/updatePngMetada
 const { updateWavMetadata } = require('./feature/update-metadata/updateWavMetadata');
 const { updateWebpMetadata } = require('./feature/update-metadata/updateWebpMetadata');
 const { updateWebmMetadata } = require('./feature/update-metadata/updateWebmMetadata');
-// Convert Video File Type Imports
-const { convertGifToMp4 } = require('./feature/convert-file-type/convert-videos/convertGifToMp4');
-const { convertGifToMov } = require('./feature/convert-file-type/convert-videos/convertGifToMov');
-const { convertGifToWebm } = require('./feature/convert-file-type/convert-videos/convertGifToWebm');
-const { convertMp4ToGif } = require('./feature/convert-file-type/convert-videos/convertMp4ToGif');
-const { convertMp4ToMov } = require('./feature/convert-file-type/convert-videos/convertMp4ToMov');
-const { convertMp4ToWebm } = require('./feature/convert-file-type/convert-videos/convertMp4ToWebm');
-const { convertMovToGif } = require('./feature/convert-file-type/convert-videos/convertMovToGif');
-const { convertMovToMp4 } = require('./feature/convert-file-type/convert-videos/convertMovToMp4');
-const { convertMovToWebm } = require('./feature/convert-file-type/convert-videos/convertMovToWebm');
-const { convertWebmToGif } = require('./feature/convert-file-type/convert-videos/convertWebmToGif');
-const { convertWebmToMov } = require('./feature/convert-file-type/convert-videos/convertWebmToMov');
-const { convertWebmToMp4 } = require('./feature/convert-file-type/convert-videos/convertWebmToMp4');
-// Convert Audio File Type Imports
-const { convertGifToMp3 } = require('./feature/convert-file-type/convert-video-to-audio/convertGifToMp3');
-const { convertGifToWav } = require('./feature/convert-file-type/convert-video-to-audio/convertGifToWav');
-const { convertMovToMp3 } = require('./feature/convert-file-type/convert-video-to-audio/convertMovToMp3');
-const { convertMovToWav } = require('./feature/convert-file-type/convert-video-to-audio/convertMovToWav');
-const { convertMp4ToMp3 } = require('./feature/convert-file-type/convert-video-to-audio/convertMp4ToMp3');
-const { convertMp4ToWav } = require('./feature/convert-file-type/convert-video-to-audio/convertMp4ToWav');
-const { convertWebmToMp3 } = require('./feature/convert-file-type/convert-video-to-audio/convertWebmToMp3');
-const { convertWebmToWav } = require('./feature/convert-file-type/convert-video-to-audio/convertWebmToWav');
-// Convert Image File Type Imports
-const { convertJpgToPng } = require('./feature/convert-file-type/convert-images/convertJpgToPng');
-const { convertJpgToWebp } = require('./feature/convert-file-type/convert-images/convertJpgToWebp');
-const { convertPngToJpg } = require('./feature/convert-file-type/convert-images/convertPngToJpg');
-const { convertPngToWebp } = require('./feature/convert-file-type/convert-images/convertPngToWebp');
-const { convertWebpToJpg } = require('./feature/convert-file-type/convert-images/convertWebpToJpg');
-const { convertWebpToPng } = require('./feature/convert-file-type/convert-images/convertWebpToPng');
+// Convert File Type Imports
+const { convertFiles } = require('./feature/convert-file-type/convertFiles');
+const { FORMATS, CONVERSIONS, CATEGORIES } = require('./feature/convert-file-type/conversionRegistry');
 // Resize Files Imports
 const { resizeImages } = require('./feature/resize-files/resizeImages');
 const { resizeVideos } = require('./feature/resize-files/resizeVideos');
 // Rename Files Import
 const { renameFiles } = require('./feature/rename-files/renameFiles');
+const { sanitizeFilenames } = require('./feature/rename-files/sanitizeFilenames');
 // Sort Files Imports
 const { sortFilesByExtension } = require('./feature/sort-files/sortFilesByExtension');
 const { sortFilesByType } = require('./feature/sort-files/sortFilesByType');
@@ -57,6 +38,18 @@ const { generateGrokImage } = require('./feature/generate-images/generateGrokIma
 // Cleanup Files Imports
 const { findDuplicateImages } = require('./feature/cleanup-files/findDuplicateImages');
 const { findDuplicateVideos } = require('./feature/cleanup-files/findDuplicateVideos');
+// Run Recipe Import
+const { runRecipe } = require('./feature/run-recipe/runRecipe');
+// Watch Folder Import
+const { watchFolder } = require('./feature/watch-folder/watchFolder');
+// Undo Operation Import
+const { undoOperation } = require('./feature/undo-operation/undoOperation');
+// Resume Job Import
+const { resumeJob } = require('./feature/resume-job/resumeJob');
+// Manage Profiles Import
+const { manageProfiles } = require('./feature/manage-profiles/manageProfiles');
+// Doctor Import
+const { runDoctor } = require('./feature/doctor/runDoctor');
 
 // Configuration
 const BASE_DIR = path.join(__dirname, '..');
@@ -66,7 +59,7 @@ const LOG_DIR = path.join(BASE_DIR, 'logs');
 
 // Parse command-line arguments
 function parseArgs(args) {
-  const validFlags = ['help', 'v', 'version', 'verbose'];
+  const validFlags = ['help', 'v', 'version', 'verbose', 'json'];
   const params = {};
   for (let i = 0; i < args.length; i++) {
     if (args[i].startsWith('--')) {
@@ -88,6 +81,30 @@ function parseArgs(args) {
   return params;
 }
 
+// Summarize a conversion category from the registry, e.g. "GIF to MP4/MOV, MOV to GIF"
+function describeConversions(category) {
+  const targets = {};
+  for (const conversion of CONVERSIONS.filter(entry => entry.category === category)) {
+    (targets[conversion.from] = targets[conversion.from] || []).push(FORMATS[conversion.to].label);
+  }
+  const sources = Object.keys(targets);
+  if (sources.every(from => targets[from].length === sources.length - 1)) {
+    return `any of ${sources.map(from => FORMATS[from].label).join(', ')} to any other`;
+  }
+  return Object.entries(targets).map(([from, labels]) => `${FORMATS[from].label} to ${labels.join('/')}`).join(', ');
+}
+
+// Log how a menu feature ended from the status it returned
+function logOutcome(label, result) {
+  const messages = {
+    cancelled: `${label} cancelled.`,
+    success: `${label} completed successfully.`,
+    partial: `${label} finished, but some files failed. See the run report in bin/reports.`,
+    nothing: `${label} had nothing to do.`,
+  };
+  log('INFO', messages[result] || `${label} failed.`);
+}
+
 // Help message
 function displayHelp() {
   const helpText = `
@@ -95,18 +112,38 @@ main.js - Metadata Update, File Conversion, Resize, Rename, Sort, Cleanup & Medi
 
 Usage:
   node src/main.js [--help] [--verbose]
+  node src/main.js <command> [arguments] [--verbose] [--json]
 
 Options:
   --help        Display this help and exit
   -v, --version Display version and exit
   --verbose     Enable verbose logging
+  --json        Output for scripts: print the run report as JSON on stdout, log to stderr, and log
+                progress as plain lines instead of a live bar
+
+Commands (non-interactive, missing values are errors instead of prompts):
+${Object.values(COMMANDS).map(command => `  ${command.usage}`).join('\n')}
+
+  Run "node src/main.js <command> --help" for details.
+  Batch commands run files through a shared job queue: --concurrency <n> jobs at once (default: CPU
+  count for image work, fewer for FFmpeg), --timeout <seconds> per file and --retries <n> after a failure.
+  --recursive includes files in subfolders (--max-depth <n> limits how deep); outputs mirror the folder tree.
+  Filter flags pick which files a batch command handles: --include/--exclude <glob,glob>, --min-size and
+  --max-size <500k|10MB|2G>, --modified-since and --modified-before <date>, --min-width, --max-width,
+  --min-height and --max-height <px>, --min-duration and --max-duration <seconds>, --file-list <file>.
+  --on-conflict <overwrite|skip|rename|fail> decides what happens to an output that already exists
+  (default: overwrite for convert, resize and metadata; fail for rename, sanitize and sort).
+  Every run saves a report (inputs, processed, skipped, failed, outputs, bytes, time) to bin/reports;
+  --json also prints it to stdout as one line of JSON and sends the log lines to stderr.
+  --profile <name> fills in flags from a profile saved in json/config.json; flags given explicitly win.
+  Exit codes: 0 success, 1 every file failed (or error), 2 invalid usage, 3 cancelled,
+  4 some files failed, 5 nothing to do
 
 Features:
   - Convert File Type:
-    - Videos: GIF to MP4/MOV/WebM, MOV to GIF/MP4/WebM, MP4 to GIF/MOV/WebM, WebM to GIF/MOV/MP4
-    - Video to Audio: GIF to MP3/WAV, MOV to MP3/WAV, MP4 to MP3/WAV, WebM to MP3/WAV
-    - Images: JPG to PNG/WebP, PNG to JPG/WebP, WebP to JPG/PNG
+${Object.entries(CATEGORIES).map(([category, title]) => `    - ${title}: ${describeConversions(category)}`).join('\n')}
   - Rename Files
+  - Sanitize Filenames: transliterate names to lower-case slugs (café photo.JPG -> cafe-photo.jpg)
   - Sort Files:
     - Sort Files By Extension
     - Sort Files By Type (Video & Images)
@@ -120,6 +157,17 @@ Features:
     - Generate Ideogram Image
     - Generate Grok Image
   - Generate Videos:
+  - Run Recipe: chain features using a recipe from json/recipes
+  - Watch Folder: process new files in a hot folder using a config from json/watch
+  - Subfolders: make every feature that reads a directory include its subfolders, mirroring them in the output
+  - On Conflict: overwrite, skip, rename (-1, -2, ...) or fail when an output file already exists
+  - Dry Run: make Rename, Sanitize, Sort and Cleanup print (and optionally save) their plan instead of changing files
+  - Undo Last Operation: reverse the last Rename, Sanitize, Sort or Cleanup using its journal in json/journal
+    (deleted duplicates are kept in bin/trash until then)
+  - Resume Batch Job: continue a Convert, Resize or Update Metadata run that stopped, from its checkpoint in json/checkpoints
+  - Check Dependencies: report missing tools, FFmpeg encoders and API keys, and which features will work
+  - Manage Profiles: list, create, clone and delete named flag presets saved in json/config.json; features
+    that have matching profiles offer them before they run (or pass --profile <name> to a command)
 
 Directories:
   - Bin: ${path.relative(BASE_DIR, BIN_DIR)}
@@ -132,14 +180,9 @@ Directories:
 // Ensure base directories exist
 async function ensureDirectories() {
   const dirs = [BIN_DIR, JSON_DIR, LOG_DIR];
-  const forbiddenDirs = ['/etc', '/usr', '/var', '/bin', '/sbin', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)'];
   log('DEBUG', `Ensuring directories exist: ${dirs.map(dir => path.relative(BASE_DIR, dir)).join(', ')}`, { basePath: BASE_DIR });
   try {
     for (const dir of dirs) {
-      if (forbiddenDirs.some(forbidden => path.resolve(dir).startsWith(path.resolve(forbidden)))) {
-        log('ERROR', `Directory ${path.relative(BASE_DIR, dir)} is a system directory and cannot be created.`, { basePath: BASE_DIR });
-        throw new Error('System directory access denied');
-      }
       if (!path.resolve(dir).startsWith(path.resolve(BASE_DIR))) {
         log('ERROR', `Directory ${path.relative(BASE_DIR, dir)} is outside project root.`, { basePath: BASE_DIR });
         throw new Error('Directory outside project root');
@@ -159,10 +202,22 @@ async function ensureDirectories() {
 // Main execution
 async function main() {
   const args = process.argv.slice(2);
-  const params = parseArgs(args);
+  const command = args[0] && !args[0].startsWith('-') ? args[0] : null;
+  const params = command ? {} : parseArgs(args);
   setupConsoleLogging(args, LOG_DIR); // Pass LOG_DIR to setupConsoleLogging
+  setupProgress(args);
+  setupReports(args);
+  installCancelHandlers();
   log('DEBUG', `Starting main execution with args: ${args.join(', ')}`, { basePath: BASE_DIR });
 
+  if (command) {
+    log('DEBUG', `Running non-interactive command: ${command}`);
+    await ensureDirectories();
+    const exitCode = await runCommand(args);
+    await flushLogs();
+    process.exit(exitCode);
+  }
+
   if (params.help) {
     displayHelp();
     return;
@@ -175,6 +230,136 @@ async function main() {
   log('DEBUG', 'Ensuring directories');
   await ensureDirectories();
 
+  // Dry-run toggle for the menu features that rename, move or delete files: 'off', 'print' or 'save'
+  let dryRunMode = 'off';
+
+  // Extra feature args for the current dry-run mode. 'save' also writes each plan to bin/plans.
+  function dryRunArgs(feature) {
+    if (dryRunMode === 'off') return [];
+    if (dryRunMode === 'print') return ['--dry-run'];
+    const timestamp = new Date().toISOString().replace(/[-:.T]/g, '').slice(0, 14);
+    return ['--dry-run', '--plan', path.join(BIN_DIR, 'plans', `${feature}-${timestamp}.json`)];
+  }
+
+  async function dryRunMenu() {
+    log('DEBUG', 'Prompting for dry-run mode');
+    const dryRunResponse = await prompts({
+      type: 'select',
+      name: 'mode',
+      message: 'Dry run for Rename, Sanitize, Sort and Cleanup (only plan the changes, never touch files):',
+      choices: [
+        { title: 'Off', value: 'off' },
+        { title: 'On: print the plan', value: 'print' },
+        { title: `On: print the plan and save it to ${path.relative(BASE_DIR, path.join(BIN_DIR, 'plans'))}`, value: 'save' },
+      ],
+      initial: ['off', 'print', 'save'].indexOf(dryRunMode),
+    });
+    if (!dryRunResponse.mode) return;
+    dryRunMode = dryRunResponse.mode;
+    log('INFO', dryRunMode === 'off' ? 'Dry run disabled.' : 'Dry run enabled: Rename, Sanitize, Sort and Cleanup will only print their plans.');
+  }
+
+  // Subfolder toggle for the menu features that read a directory: null (off), Infinity (all levels) or a depth
+  let subfolderDepth = null;
+
+  // Extra feature args for the current subfolder setting
+  function walkArgs() {
+    if (subfolderDepth === null) return [];
+    if (subfolderDepth === Infinity) return ['--recursive'];
+    return ['--recursive', '--max-depth', String(subfolderDepth)];
+  }
+
+  function describeSubfolders() {
+    if (subfolderDepth === null) return 'Off';
+    if (subfolderDepth === Infinity) return 'All Levels';
+    return `Up To ${subfolderDepth} Level${subfolderDepth === 1 ? '' : 's'}`;
+  }
+
+  async function subfolderMenu() {
+    log('DEBUG', 'Prompting for subfolder mode');
+    const subfolderResponse = await prompts({
+      type: 'select',
+      name: 'mode',
+      message: 'Include files in subfolders (outputs mirror the folder tree):',
+      choices: [
+        { title: 'Off: top-level files only', value: 'off' },
+        { title: 'All levels', value: 'all' },
+        { title: 'Limit the depth', value: 'depth' },
+      ],
+      initial: subfolderDepth === null ? 0 : subfolderDepth === Infinity ? 1 : 2,
+    });
+    if (!subfolderResponse.mode) return;
+    if (subfolderResponse.mode === 'depth') {
+      const depthResponse = await prompts({
+        type: 'number',
+        name: 'depth',
+        message: 'How many levels of subfolders below the input directory?',
+        initial: 1,
+        min: 1,
+      });
+      if (!depthResponse.depth) return;
+      subfolderDepth = depthResponse.depth;
+    } else {
+      subfolderDepth = subfolderResponse.mode === 'all' ? Infinity : null;
+    }
+    log('INFO', `Subfolders: ${describeSubfolders()}.`);
+  }
+
+  // Conflict policy for the menu features that write or move files: null leaves each feature's default
+  // ('overwrite' for new outputs, 'fail' for Rename, Sanitize and Sort)
+  let conflictPolicy = null;
+
+  // Offer the saved profiles for a command (see profileUtils), e.g. chooseProfile('resize', ['images']).
+  // Resolves to the feature args of the chosen one, which go last so they win over the toggles above.
+  async function chooseProfile(command, positionals = []) {
+    let profiles;
+    try {
+      profiles = Object.entries(await loadProfiles()).filter(([, profile]) => profileMatches(profile, command, positionals));
+    } catch (error) {
+      log('WARN', `Profiles not available: ${error.message}`);
+      return [];
+    }
+    if (profiles.length === 0) return [];
+    const profileResponse = await prompts({
+      type: 'select',
+      name: 'profile',
+      message: 'Use a saved profile?',
+      choices: [
+        { title: 'No profile', value: '' },
+        ...profiles.map(([name, profile]) => ({ title: name, description: describeProfile(profile), value: name })),
+      ],
+      initial: 0,
+    });
+    if (!profileResponse.profile) return [];
+    log('INFO', `Using profile ${profileResponse.profile}.`);
+    return profileArgs(command, profiles.find(([name]) => name === profileResponse.profile)[1]);
+  }
+
+  // Extra feature args for the current conflict policy
+  function conflictArgs() {
+    return conflictPolicy ? ['--on-conflict', conflictPolicy] : [];
+  }
+
+  async function conflictMenu() {
+    log('DEBUG', 'Prompting for conflict policy');
+    const conflictResponse = await prompts({
+      type: 'select',
+      name: 'policy',
+      message: 'When an output file already exists:',
+      choices: [
+        { title: 'Default: overwrite new outputs, stop Rename, Sanitize and Sort', value: 'default' },
+        { title: 'Overwrite it (moved files go to the trash first)', value: 'overwrite' },
+        { title: 'Skip the file', value: 'skip' },
+        { title: 'Rename the new file (-1, -2, ...)', value: 'rename' },
+        { title: 'Fail before changing anything', value: 'fail' },
+      ],
+      initial: ['default', ...CONFLICT_POLICIES].indexOf(conflictPolicy || 'default'),
+    });
+    if (!conflictResponse.policy) return;
+    conflictPolicy = conflictResponse.policy === 'default' ? null : conflictResponse.policy;
+    log('INFO', `On conflict: ${conflictPolicy || 'default'}.`);
+  }
+
   async function mainMenu() {
     log('DEBUG', 'Prompting for initial selection');
     const initialResponse = await prompts({
@@ -184,12 +369,22 @@ async function main() {
       choices: [
         { title: 'Convert File Type', value: 'convertFileType' },
         { title: 'Rename Files', value: 'renameFiles' },
+        { title: 'Sanitize Filenames', value: 'sanitizeFilenames' },
         { title: 'Sort Files', value: 'sortFiles' },
         { title: 'Cleanup Files', value: 'cleanupFiles' },
         { title: 'Resize Files', value: 'resizeFiles' },
         { title: 'Update Metadata', value: 'updateMetadata' },
         { title: 'Generate Images', value: 'generateImages' },
         { title: 'Generate Videos', value: 'generateVideos' },
+        { title: 'Run Recipe', value: 'runRecipe' },
+        { title: 'Watch Folder', value: 'watchFolder' },
+        { title: 'Undo Last Operation', value: 'undoOperation' },
+        { title: 'Resume Batch Job', value: 'resumeJob' },
+        { title: 'Check Dependencies', value: 'doctor' },
+        { title: 'Manage Profiles', value: 'manageProfiles' },
+        { title: `Subfolders: ${describeSubfolders()}`, value: 'subfolders' },
+        { title: `On Conflict: ${conflictPolicy ? conflictPolicy[0].toUpperCase() + conflictPolicy.slice(1) : 'Default'}`, value: 'onConflict' },
+        { title: `Dry Run: ${dryRunMode === 'off' ? 'Off' : 'On'}`, value: 'dryRun' },
         { title: 'Exit', value: 'exit' },
       ],
       initial: 0,
@@ -197,7 +392,8 @@ async function main() {
 
     log('DEBUG', `User selected choice: ${initialResponse.choice}`);
     if (!initialResponse.choice || initialResponse.choice === 'exit') {
-      log('INFO', 'Exiting application.');
+      await log('INFO', 'Exiting application.');
+      await flushLogs();
       process.exit(0);
     }
 
@@ -208,11 +404,15 @@ async function main() {
         break;
       case 'renameFiles':
         log('DEBUG', 'Starting rename files feature');
-        const renameResult = await renameFiles();
+        const renameResult = await renameFiles([...dryRunArgs('rename'), ...conflictArgs(), ...walkArgs(), ...await chooseProfile('rename')]);
         log('DEBUG', `Rename result: ${renameResult}`);
-        if (renameResult === 'cancelled') log('INFO', 'Rename cancelled by user.');
-        else if (renameResult === 'success') log('INFO', 'Rename completed successfully.');
-        else log('INFO', 'Rename failed.');
+        logOutcome('Rename', renameResult);
+        break;
+      case 'sanitizeFilenames':
+        log('DEBUG', 'Starting sanitize filenames feature');
+        const sanitizeResult = await sanitizeFilenames([...dryRunArgs('sanitize'), ...conflictArgs(), ...walkArgs(), ...await chooseProfile('sanitize')]);
+        log('DEBUG', `Sanitize result: ${sanitizeResult}`);
+        logOutcome('Sanitize', sanitizeResult);
         break;
       case 'sortFiles':
         log('DEBUG', 'Entering sort menu');
@@ -238,11 +438,66 @@ async function main() {
         log('DEBUG', 'Entering generate videos menu');
         await generateVideosMenu();
         break;
+      case 'runRecipe':
+        log('DEBUG', 'Starting run recipe feature');
+        const recipeResult = await runRecipe();
+        log('DEBUG', `Recipe result: ${recipeResult}`);
+        logOutcome('Recipe', recipeResult);
+        break;
+      case 'watchFolder':
+        log('DEBUG', 'Starting watch folder feature');
+        const watchResult = await watchFolder();
+        log('DEBUG', `Watch result: ${watchResult}`);
+        if (watchResult === 'cancelled') log('INFO', 'Watch cancelled.');
+        else if (['success', 'nothing'].includes(watchResult)) log('INFO', 'Watch stopped.');
+        else log('INFO', 'Watch stopped with failures.');
+        break;
+      case 'undoOperation':
+        log('DEBUG', 'Starting undo operation feature');
+        const undoResult = await undoOperation();
+        log('DEBUG', `Undo result: ${undoResult}`);
+        logOutcome('Undo', undoResult);
+        break;
+      case 'resumeJob':
+        log('DEBUG', 'Starting resume job feature');
+        const resumeResult = await resumeJob([]);
+        log('DEBUG', `Resume result: ${resumeResult}`);
+        if (resumeResult === 'cancelled') log('INFO', 'Resume cancelled.');
+        else if (resumeResult === 'success') log('INFO', 'Job completed successfully.');
+        else if (resumeResult === 'nothing') log('INFO', 'Nothing was left to do in this job.');
+        else log('INFO', 'Job finished with failures. It can be resumed again.');
+        break;
+      case 'doctor':
+        log('DEBUG', 'Starting doctor feature');
+        const doctorResult = await runDoctor([]);
+        log('DEBUG', `Doctor result: ${doctorResult}`);
+        if (doctorResult === 'success') log('INFO', 'All dependencies found.');
+        else log('INFO', 'Some features will not work until the missing dependencies are installed.');
+        break;
+      case 'manageProfiles':
+        log('DEBUG', 'Starting manage profiles feature');
+        const profilesResult = await manageProfiles();
+        log('DEBUG', `Manage profiles result: ${profilesResult}`);
+        break;
+      case 'subfolders':
+        log('DEBUG', 'Entering subfolder menu');
+        await subfolderMenu();
+        break;
+      case 'dryRun':
+        log('DEBUG', 'Entering dry run menu');
+        await dryRunMenu();
+        break;
+      case 'onConflict':
+        log('DEBUG', 'Entering conflict policy menu');
+        await conflictMenu();
+        break;
       default:
         log('WARN', `Invalid choice selected: ${initialResponse.choice}`);
         break;
     }
 
+    // A feature stopped with Ctrl-C must not cancel the next one
+    resetCancellation();
     log('DEBUG', 'Returning to main menu');
     await mainMenu();
   }
@@ -276,31 +531,31 @@ async function main() {
     switch (metadataResponse.metadataType) {
       case 'gif':
         log('DEBUG', 'Starting GIF metadata update');
-        result = await updateGifMetadata();
+        result = await updateGifMetadata([...conflictArgs(), ...walkArgs(), ...await chooseProfile('metadata', ['gif'])]);
         break;
       case 'jpg':
         log('DEBUG', 'Starting JPG metadata update');
-        result = await updateJpgMetadata();
+        result = await updateJpgMetadata([...conflictArgs(), ...walkArgs(), ...await chooseProfile('metadata', ['jpg'])]);
         break;
       case 'mp4':
         log('DEBUG', 'Starting MP4 metadata update');
-        result = await updateMp4Metadata();
+        result = await updateMp4Metadata([...conflictArgs(), ...walkArgs(), ...await chooseProfile('metadata', ['mp4'])]);
         break;
       case 'png':
         log('DEBUG', 'Starting PNG metadata update');
-        result = await updatePngMetadata();
+        result = await updatePngMetadata([...conflictArgs(), ...walkArgs(), ...await chooseProfile('metadata', ['png'])]);
         break;
       case 'wav':
         log('DEBUG', 'Starting WAV metadata update');
-        result = await updateWavMetadata();
+        result = await updateWavMetadata([...conflictArgs(), ...walkArgs(), ...await chooseProfile('metadata', ['wav'])]);
         break;
       case 'webp':
         log('DEBUG', 'Starting WebP metadata update');
-        result = await updateWebpMetadata();
+        result = await updateWebpMetadata([...conflictArgs(), ...walkArgs(), ...await chooseProfile('metadata', ['webp'])]);
         break;
       case 'webm':
         log('DEBUG', 'Starting WebM metadata update');
-        result = await updateWebmMetadata();
+        result = await updateWebmMetadata([...conflictArgs(), ...walkArgs(), ...await chooseProfile('metadata', ['webm'])]);
         break;
       default:
         log('WARN', `Invalid metadata type selected: ${metadataResponse.metadataType}`);
@@ -309,9 +564,7 @@ async function main() {
     }
 
     log('DEBUG', `Metadata update result: ${result}`);
-    if (result === 'cancelled') log('INFO', 'Metadata update cancelled by user.');
-    else if (result === 'success') log('INFO', 'Metadata update completed successfully.');
-    else log('INFO', 'Metadata update failed.');
+    logOutcome('Metadata update', result);
 
     log('DEBUG', 'Returning to metadata menu');
     await metadataMenu();
@@ -324,9 +577,7 @@ async function main() {
       name: 'convertType',
       message: 'Choose a conversion type:',
       choices: [
-        { title: 'Convert Videos', value: 'videos' },
-        { title: 'Convert Video to Audio', value: 'audio' },
-        { title: 'Convert Images', value: 'images' },
+        ...Object.entries(CATEGORIES).map(([value, title]) => ({ title: `Convert ${title}`, value })),
         { title: 'Back', value: 'back' },
       ],
       initial: 0,
@@ -338,256 +589,62 @@ async function main() {
       return;
     }
 
-    if (convertResponse.convertType === 'videos') {
-      log('DEBUG', 'Entering video convert menu');
-      await videoConvertMenu();
-    } else if (convertResponse.convertType === 'audio') {
-      log('DEBUG', 'Entering audio convert menu');
-      await audioConvertMenu();
-    } else if (convertResponse.convertType === 'images') {
-      log('DEBUG', 'Entering image convert menu');
-      await imageConvertMenu();
-    } else {
-      log('WARN', `Invalid convert type selected: ${convertResponse.convertType}`);
-    }
+    log('DEBUG', `Entering ${convertResponse.convertType} convert menu`);
+    await conversionMenu(convertResponse.convertType);
 
     log('DEBUG', 'Returning to convert menu');
     await convertMenu();
   }
 
-  async function videoConvertMenu() {
-    log('DEBUG', 'Prompting for video conversion selection');
-    const videoResponse = await prompts({
-      type: 'select',
-      name: 'conversion',
-      message: 'Choose a video conversion:',
-      choices: [
-        { title: 'GIF to MP4', value: 'gifToMp4' },
-        { title: 'GIF to MOV', value: 'gifToMov' },
-        { title: 'GIF to WebM', value: 'gifToWebm' },
-        { title: 'MOV to GIF', value: 'movToGif' },
-        { title: 'MOV to MP4', value: 'movToMp4' },
-        { title: 'MOV to WebM', value: 'movToWebm' },
-        { title: 'MP4 to GIF', value: 'mp4ToGif' },
-        { title: 'MP4 to MOV', value: 'mp4ToMov' },
-        { title: 'MP4 to WebM', value: 'mp4ToWebm' },
-        { title: 'WebM to GIF', value: 'webmToGif' },
-        { title: 'WebM to MOV', value: 'webmToMov' },
-        { title: 'WebM to MP4', value: 'webmToMp4' },
-        { title: 'Back', value: 'back' },
-      ],
-      initial: 0,
-    });
-
-    log('DEBUG', `User selected video conversion: ${videoResponse.conversion}`);
-    if (!videoResponse.conversion || videoResponse.conversion === 'back') {
-      log('INFO', 'Returning to conversion type menu.');
-      return;
-    }
-
-    let result;
-    switch (videoResponse.conversion) {
-      case 'gifToMp4':
-        log('DEBUG', 'Starting GIF to MP4 conversion');
-        result = await convertGifToMp4();
-        break;
-      case 'gifToMov':
-        log('DEBUG', 'Starting GIF to MOV conversion');
-        result = await convertGifToMov();
-        break;
-      case 'gifToWebm':
-        log('DEBUG', 'Starting GIF to WebM conversion');
-        result = await convertGifToWebm();
-        break;
-      case 'movToGif':
-        log('DEBUG', 'Starting MOV to GIF conversion');
-        result = await convertMovToGif();
-        break;
-      case 'movToMp4':
-        log('DEBUG', 'Starting MOV to MP4 conversion');
-        result = await convertMovToMp4();
-        break;
-      case 'movToWebm':
-        log('DEBUG', 'Starting MOV to WebM conversion');
-        result = await convertMovToWebm();
-        break;
-      case 'mp4ToGif':
-        log('DEBUG', 'Starting MP4 to GIF conversion');
-        result = await convertMp4ToGif();
-        break;
-      case 'mp4ToMov':
-        log('DEBUG', 'Starting MP4 to MOV conversion');
-        result = await convertMp4ToMov();
-        break;
-      case 'mp4ToWebm':
-        log('DEBUG', 'Starting MP4 to WebM conversion');
-        result = await convertMp4ToWebm();
-        break;
-      case 'webmToGif':
-        log('DEBUG', 'Starting WebM to GIF conversion');
-        result = await convertWebmToGif();
-        break;
-      case 'webmToMov':
-        log('DEBUG', 'Starting WebM to MOV conversion');
-        result = await convertWebmToMov();
-        break;
-      case 'webmToMp4':
-        log('DEBUG', 'Starting WebM to MP4 conversion');
-        result = await convertWebmToMp4();
-        break;
-      default:
-        log('WARN', `Invalid video conversion selected: ${videoResponse.conversion}`);
-        result = 'error';
-        break;
-    }
-
-    log('DEBUG', `Video conversion result: ${result}`);
-    if (result === 'cancelled') log('INFO', 'Video conversion cancelled by user.');
-    else if (result === 'success') log('INFO', 'Video conversion completed successfully.');
-    else log('INFO', 'Video conversion failed.');
-
-    log('DEBUG', 'Returning to video convert menu');
-    await videoConvertMenu();
-  }
-
-  async function audioConvertMenu() {
-    log('DEBUG', 'Prompting for audio conversion selection');
-    const audioResponse = await prompts({
-      type: 'select',
-      name: 'conversion',
-      message: 'Choose a video to audio conversion:',
-      choices: [
-        { title: 'GIF to MP3', value: 'gifToMp3' },
-        { title: 'GIF to WAV', value: 'gifToWav' },
-        { title: 'MOV to MP3', value: 'movToMp3' },
-        { title: 'MOV to WAV', value: 'movToWav' },
-        { title: 'MP4 to MP3', value: 'mp4ToMp3' },
-        { title: 'MP4 to WAV', value: 'mp4ToWav' },
-        { title: 'WebM to MP3', value: 'webmToMp3' },
-        { title: 'WebM to WAV', value: 'webmToWav' },
-        { title: 'Back', value: 'back' },
-      ],
-      initial: 0,
-    });
-
-    log('DEBUG', `User selected audio conversion: ${audioResponse.conversion}`);
-    if (!audioResponse.conversion || audioResponse.conversion === 'back') {
-      log('INFO', 'Returning to conversion type menu.');
-      return;
-    }
-
-    let result;
-    switch (audioResponse.conversion) {
-      case 'gifToMp3':
-        log('DEBUG', 'Starting GIF to MP3 conversion');
-        result = await convertGifToMp3();
-        break;
-      case 'gifToWav':
-        log('DEBUG', 'Starting GIF to WAV conversion');
-        result = await convertGifToWav();
-        break;
-      case 'movToMp3':
-        log('DEBUG', 'Starting MOV to MP3 conversion');
-        result = await convertMovToMp3();
-        break;
-      case 'movToWav':
-        log('DEBUG', 'Starting MOV to WAV conversion');
-        result = await convertMovToWav();
-        break;
-      case 'mp4ToMp3':
-        log('DEBUG', 'Starting MP4 to MP3 conversion');
-        result = await convertMp4ToMp3();
-        break;
-      case 'mp4ToWav':
-        log('DEBUG', 'Starting MP4 to WAV conversion');
-        result = await convertMp4ToWav();
-        break;
-      case 'webmToMp3':
-        log('DEBUG', 'Starting WebM to MP3 conversion');
-        result = await convertWebmToMp3();
-        break;
-      case 'webmToWav':
-        log('DEBUG', 'Starting WebM to WAV conversion');
-        result = await convertWebmToWav();
-        break;
-      default:
-        log('WARN', `Invalid audio conversion selected: ${audioResponse.conversion}`);
-        result = 'error';
-        break;
+  // Categories with more conversions than fit on a screen (images) ask for the source format first
+  async function conversionMenu(category) {
+    let conversions = CONVERSIONS.filter(conversion => conversion.category === category);
+    if (conversions.length > 20) {
+      const sources = [...new Set(conversions.map(conversion => conversion.from))];
+      log('DEBUG', `Prompting for ${category} source format`);
+      const sourceResponse = await prompts({
+        type: 'select',
+        name: 'from',
+        message: `Convert ${CATEGORIES[category].toLowerCase()} from which format?`,
+        choices: [
+          ...sources.map(from => ({ title: FORMATS[from].label, value: from })),
+          { title: 'Back', value: 'back' },
+        ],
+        initial: 0,
+      });
+      if (!sourceResponse.from || sourceResponse.from === 'back') {
+        log('INFO', 'Returning to conversion type menu.');
+        return;
+      }
+      conversions = conversions.filter(conversion => conversion.from === sourceResponse.from);
     }
-
-    log('DEBUG', `Audio conversion result: ${result}`);
-    if (result === 'cancelled') log('INFO', 'Audio conversion cancelled by user.');
-    else if (result === 'success') log('INFO', 'Audio conversion completed successfully.');
-    else log('INFO', 'Audio conversion failed.');
-
-    log('DEBUG', 'Returning to audio convert menu');
-    await audioConvertMenu();
-  }
-
-  async function imageConvertMenu() {
-    log('DEBUG', 'Prompting for image conversion selection');
-    const imageResponse = await prompts({
+    log('DEBUG', `Prompting for ${category} conversion selection`);
+    const conversionResponse = await prompts({
       type: 'select',
       name: 'conversion',
-      message: 'Choose an image conversion:',
+      message: `Choose a ${CATEGORIES[category].toLowerCase()} conversion:`,
       choices: [
-        { title: 'JPG to PNG', value: 'jpgToPng' },
-        { title: 'JPG to WebP', value: 'jpgToWebp' },
-        { title: 'PNG to JPG', value: 'pngToJpg' },
-        { title: 'PNG to WebP', value: 'pngToWebp' },
-        { title: 'WebP to JPG', value: 'webpToJpg' },
-        { title: 'WebP to PNG', value: 'webpToPng' },
+        ...conversions.map((conversion, index) => ({ title: `${FORMATS[conversion.from].label} to ${FORMATS[conversion.to].label}`, value: index })),
         { title: 'Back', value: 'back' },
       ],
       initial: 0,
     });
 
-    log('DEBUG', `User selected image conversion: ${imageResponse.conversion}`);
-    if (!imageResponse.conversion || imageResponse.conversion === 'back') {
+    log('DEBUG', `User selected conversion: ${conversionResponse.conversion}`);
+    if (conversionResponse.conversion === undefined || conversionResponse.conversion === 'back') {
       log('INFO', 'Returning to conversion type menu.');
       return;
     }
 
-    let result;
-    switch (imageResponse.conversion) {
-      case 'jpgToPng':
-        log('DEBUG', 'Starting JPG to PNG conversion');
-        result = await convertJpgToPng();
-        break;
-      case 'jpgToWebp':
-        log('DEBUG', 'Starting JPG to WebP conversion');
-        result = await convertJpgToWebp();
-        break;
-      case 'pngToJpg':
-        log('DEBUG', 'Starting PNG to JPG conversion');
-        result = await convertPngToJpg();
-        break;
-      case 'pngToWebp':
-        log('DEBUG', 'Starting PNG to WebP conversion');
-        result = await convertPngToWebp();
-        break;
-      case 'webpToJpg':
-        log('DEBUG', 'Starting WebP to JPG conversion');
-        result = await convertWebpToJpg();
-        break;
-      case 'webpToPng':
-        log('DEBUG', 'Starting WebP to PNG conversion');
-        result = await convertWebpToPng();
-        break;
-      default:
-        log('WARN', `Invalid image conversion selected: ${imageResponse.conversion}`);
-        result = 'error';
-        break;
-    }
+    const { from, to } = conversions[conversionResponse.conversion];
+    log('DEBUG', `Starting ${FORMATS[from].label} to ${FORMATS[to].label} conversion`);
+    const result = await convertFiles(['--from', from, '--to', to, ...conflictArgs(), ...walkArgs(), ...await chooseProfile('convert', [from, to])]);
 
-    log('DEBUG', `Image conversion result: ${result}`);
-    if (result === 'cancelled') log('INFO', 'Image conversion cancelled by user.');
-    else if (result === 'success') log('INFO', 'Image conversion completed successfully.');
-    else log('INFO', 'Image conversion failed.');
+    log('DEBUG', `Conversion result: ${result}`);
+    logOutcome('Conversion', result);
 
-    log('DEBUG', 'Returning to image convert menu');
-    await imageConvertMenu();
+    log('DEBUG', 'Returning to conversion menu');
+    await conversionMenu(category);
   }
 
   async function resizeMenu() {
@@ -614,11 +671,11 @@ async function main() {
     switch (resizeResponse.resizeType) {
       case 'images':
         log('INFO', 'Starting Resize Images Feature');
-        result = await resizeImages();
+        result = await resizeImages([...conflictArgs(), ...walkArgs(), ...await chooseProfile('resize', ['images'])]);
         break;
       case 'videos':
         log('INFO', 'Starting Resize Videos Feature');
-        result = await resizeVideos();
+        result = await resizeVideos([...conflictArgs(), ...walkArgs(), ...await chooseProfile('resize', ['videos'])]);
         break;
       default:
         log('WARN', `Invalid resize type selected: ${resizeResponse.resizeType}`);
@@ -627,9 +684,7 @@ async function main() {
     }
 
     log('DEBUG', `Resize result: ${result}`);
-    if (result === 'cancelled') log('INFO', 'Resize cancelled by user.');
-    else if (result === 'success') log('INFO', 'Resize completed successfully.');
-    else log('INFO', 'Resize failed.');
+    logOutcome('Resize', result);
 
     log('DEBUG', 'Returning to resize menu');
     await resizeMenu();
@@ -659,11 +714,11 @@ async function main() {
     switch (sortResponse.sortType) {
       case 'byExtension':
         log('INFO', 'Starting Sort Files By Extension Feature');
-        result = await sortFilesByExtension();
+        result = await sortFilesByExtension([...dryRunArgs('sort-extension'), ...conflictArgs(), ...walkArgs(), ...await chooseProfile('sort', ['extension'])]);
         break;
       case 'byType':
         log('INFO', 'Starting Sort Files By Type Feature');
-        result = await sortFilesByType();
+        result = await sortFilesByType([...dryRunArgs('sort-type'), ...conflictArgs(), ...walkArgs(), ...await chooseProfile('sort', ['type'])]);
         break;
       default:
         log('WARN', `Invalid sort type selected: ${sortResponse.sortType}`);
@@ -672,9 +727,7 @@ async function main() {
     }
 
     log('DEBUG', `Sort result: ${result}`);
-    if (result === 'cancelled') log('INFO', 'Sort cancelled by user.');
-    else if (result === 'success') log('INFO', 'Sort completed successfully.');
-    else log('INFO', 'Sort failed.');
+    logOutcome('Sort', result);
 
     log('DEBUG', 'Returning to sort menu');
     await sortMenu();
@@ -704,11 +757,11 @@ async function main() {
     switch (cleanupResponse.cleanupType) {
       case 'findDuplicateImages':
         log('INFO', 'Starting Find Duplicate Images Feature');
-        result = await findDuplicateImages();
+        result = await findDuplicateImages([...dryRunArgs('dedupe-images'), ...walkArgs(), ...await chooseProfile('cleanup', ['images'])]);
         break;
       case 'findDuplicateVideos':
         log('INFO', 'Starting Find Duplicate Videos Feature');
-        result = await findDuplicateVideos();
+        result = await findDuplicateVideos([...dryRunArgs('dedupe-videos'), ...walkArgs(), ...await chooseProfile('cleanup', ['videos'])]);
         break;
       default:
         log('WARN', `Invalid cleanup type selected: ${cleanupResponse.cleanupType}`);
@@ -717,9 +770,7 @@ async function main() {
     }
 
     log('DEBUG', `Cleanup result: ${result}`);
-    if (result === 'cancelled') log('INFO', 'Cleanup cancelled by user.');
-    else if (result === 'success') log('INFO', 'Cleanup completed successfully.');
-    else log('INFO', 'Cleanup failed.');
+    logOutcome('Cleanup', result);
 
     log('DEBUG', 'Returning to cleanup menu');
     await cleanupMenu();
@@ -750,15 +801,15 @@ async function main() {
     switch (generateResponse.generateType) {
       case 'dalle':
         log('DEBUG', 'Starting Dalle image generation');
-        result = await generateDalleImage();
+        result = await generateDalleImage(conflictArgs());
         break;
       case 'ideogram':
         log('DEBUG', 'Starting Ideogram image generation');
-        result = await generateIdeogramImage();
+        result = await generateIdeogramImage(conflictArgs());
         break;
       case 'grok':
         log('DEBUG', 'Starting Grok image generation');
-        result = await generateGrokImage();
+        result = await generateGrokImage(conflictArgs());
         break;
       default:
         log('WARN', `Invalid generate type selected: ${generateResponse.generateType}`);
@@ -767,9 +818,7 @@ async function main() {
     }
 
     log('DEBUG', `Image generation result: ${result}`);
-    if (result === 'cancelled') log('INFO', 'Image generation cancelled by user.');
-    else if (result === 'success') log('INFO', 'Image generation completed successfully.');
-    else log('INFO', 'Image generation failed.');
+    logOutcome('Image generation', result);
 
     log('DEBUG', 'Returning to generate images menu');
     await generateImagesMenu();
@@ -810,6 +859,6 @@ if (require.main === module) {
   main().catch(err => {
     log('ERROR', `Unexpected error in main: ${err.message}`, { basePath: BASE_DIR });
     if (params.verbose) log('DEBUG', `Main error stack: ${err.stack}`, { basePath: BASE_DIR });
-    process.exit(1);
+    flushLogs().then(() => process.exit(1));
   });
 }
\ No newline at end of file